@@ -6,6 +6,8 @@ import Dashboard from './components/Dashboard/Dashboard';
 import PhylogenenticTree from './components/PhylogeneticTree/PhylogeneticTree';
 import DiversityAnalysis from './components/DiversityAnalysis/DiversityAnalysis';
 import ConservationPriority from './components/ConservationPriority/ConservationPriority';
+import GenomeUpload from './components/GenomeUpload/GenomeUpload';
+import SequenceQC from './components/SequenceQC/SequenceQC';
 import './styles/index.css';
 import Logo from './assets/images/logo.svg';
 
@@ -111,6 +113,12 @@ function App() {
                   {getViewTitle()}
                 </h2>
               </div>
+              {currentView !== 'conservation' && (
+                <div className="flex items-center space-x-3">
+                  <SequenceQC />
+                  <GenomeUpload />
+                </div>
+              )}
             </div>
           </div>
         </div>
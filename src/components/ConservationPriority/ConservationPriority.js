@@ -15,6 +15,7 @@ import MarkerClusterGroup from "react-leaflet-markercluster";
 import L from "leaflet";
 import "leaflet/dist/leaflet.css";
 import dataService from "../../services/dataService";
+import { POPULATION_GROUPINGS } from "../../utils/populationDifferentiation";
 
 // Fix for default markers in react-leaflet
 delete L.Icon.Default.prototype._getIconUrl;
@@ -27,6 +28,19 @@ L.Icon.Default.mergeOptions({
     "https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png",
 });
 
+// Share of variation among sampled populations. In the hierarchical AMOVA ΦST also holds the
+// among-species component, so the among-populations-within-species source and ΦSC are quoted
+const amongPopulationVariation = (amova) =>
+  amova.hierarchical
+    ? {
+        percentage: amova.sources.find((source) => source.source === "Among populations within groups").percentage,
+        statistic: "ΦSC",
+        value: amova.phiSC,
+        pValue: amova.pValues.phiSC,
+        withinSpecies: true,
+      }
+    : { percentage: amova.phiST * 100, statistic: "ΦST", value: amova.phiST, pValue: amova.pValues.phiST, withinSpecies: false };
+
 // Helper component to access map instance
 const MapContent = ({ children, mapRef, selectedArea }) => {
   const map = useMap(); // This hook must be called inside MapContainer's direct child
@@ -670,11 +684,26 @@ const ConservationPriority = () => {
   const [selectedArea, setSelectedArea] = useState(null); // New state for selected area
   const [dataSource, setDataSource] = useState("loading");
   const [gbifStatus, setGbifStatus] = useState("checking");
+  const [differentiation, setDifferentiation] = useState(null);
 
   useEffect(() => {
     loadConservationData();
   }, []);
 
+  // Genetic structure of the selected locus (pairwise ΦST and AMOVA) defines management units
+  useEffect(() => {
+    let cancelled = false;
+    dataService
+      .getPopulationDifferentiation()
+      .then((result) => {
+        if (!cancelled) setDifferentiation(result);
+      })
+      .catch((error) => console.warn("Population differentiation unavailable:", error.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [conservationData]);
+
   const loadConservationData = async () => {
     try {
       setLoading(true);
@@ -983,6 +1012,8 @@ const ConservationPriority = () => {
     );
   }
 
+  const amongPopulations = differentiation?.amova ? amongPopulationVariation(differentiation.amova) : null;
+
   return (
     <div className="space-y-4 lg:space-y-6">
       {/* Data Source Status */}
@@ -1727,6 +1758,72 @@ const ConservationPriority = () => {
               </li>
             </ul>
           </div>
+
+          {/* Genetic Management Units */}
+          <div className="bg-indigo-50 p-4 rounded-lg border border-indigo-100 lg:col-span-2">
+            <h4 className="font-medium text-indigo-800 mb-3">
+              Genetic Management Units
+            </h4>
+            {differentiation?.amova ? (
+              <ul className="space-y-2 text-sm text-gray-700">
+                <li className="flex items-start">
+                  <span className="text-indigo-600 mr-2">•</span>
+                  <span>
+                    {amongPopulations.percentage.toFixed(1)}% of
+                    variation lies among{" "}
+                    {POPULATION_GROUPINGS[differentiation.groupBy].toLowerCase()}{" "}
+                    populations{amongPopulations.withinSpecies ? " within species" : ""}{" "}
+                    ({amongPopulations.statistic} = {amongPopulations.value.toFixed(3)}, p ={" "}
+                    {amongPopulations.pValue.toFixed(3)})
+                  </span>
+                </li>
+                {differentiation.managementUnits.map((unit, index) => (
+                  <li key={index} className="flex items-start">
+                    <span className="text-indigo-600 mr-2">•</span>
+                    <span>
+                      <strong>Unit {index + 1}:</strong>{" "}
+                      {unit
+                        .map((populationIndex) => {
+                          const population =
+                            differentiation.populations[populationIndex];
+                          return differentiation.groupBy === "species"
+                            ? population.species
+                            : `${population.name} (${population.species})`;
+                        })
+                        .join(", ")}
+                    </span>
+                  </li>
+                ))}
+                {differentiation.unresolvedPairs.length > 0 && (
+                  <li className="flex items-start">
+                    <span className="text-indigo-600 mr-2">•</span>
+                    <span>
+                      {differentiation.unresolvedPairs.length} pair(s) of
+                      populations have too few samples to test and are kept
+                      apart until more are sequenced
+                    </span>
+                  </li>
+                )}
+                {differentiation.managementUnits.length > 1 && (
+                  <li className="flex items-start">
+                    <span className="text-indigo-600 mr-2">•</span>
+                    <span>
+                      Manage significantly differentiated units separately and
+                      avoid translocations between them without genetic review
+                    </span>
+                  </li>
+                )}
+              </ul>
+            ) : (
+              <p className="text-sm text-gray-600">
+                {differentiation
+                  ? `Fewer than two populations with enough samples when grouping by ${POPULATION_GROUPINGS[
+                      differentiation.groupBy
+                    ].toLowerCase()}; choose another grouping under Diversity Analysis → Population Structure.`
+                  : "Genetic structure has not been computed for the selected locus."}
+              </p>
+            )}
+          </div>
         </div>
       </div>
     </div>
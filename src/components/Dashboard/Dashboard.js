@@ -14,267 +14,91 @@ import {
   ScatterChart,
   Scatter,
   Cell,
-  LineChart,
   Line,
+  Area,
+  ComposedChart,
 } from "recharts"
-import genomeData from "../../services/pongo_genome_sequence.json"
+import useGenomeSource from "../../hooks/useGenomeSource"
+import dataService from "../../services/dataService"
+import { assessDiversityRisk } from "../../utils/populationGenetics"
 import Logo from '../../assets/images/logo.svg';
 
 const Dashboard = () => {
   const [loading, setLoading] = useState(true)
   const [processedData, setProcessedData] = useState([])
-  const [selectionData, setSelectionData] = useState([])
   const [viabilityData, setViabilityData] = useState([])
-
-  // Calculate nucleotide frequencies
-  const calculateNucleotideFrequencies = (sequence) => {
-    const total = sequence.length
-    const counts = { A: 0, T: 0, C: 0, G: 0 }
-
-    for (const nucleotide of sequence.toUpperCase()) {
-      if (nucleotide in counts) {
-        counts[nucleotide]++
-      }
-    }
-
-    return {
-      A: counts.A / total,
-      T: counts.T / total,
-      C: counts.C / total,
-      G: counts.G / total,
-    }
-  }
-
-  // Shannon Index: Measures genetic uncertainty
-  // Higher value = greater diversity
-  // Range: 0 to ln(4) ≈ 1.386 for 4 nucleotides
-  const calculateShannonIndex = (frequencies) => {
-    return -Object.values(frequencies).reduce((sum, freq) => {
-      return freq > 0 ? sum + freq * Math.log(freq) : sum
-    }, 0)
-  }
-
-  // Simpson Index: Probability that two randomly selected nucleotides are different
-  // Higher value = greater diversity
-  // Range: 0 to 1
-  const calculateSimpsonIndex = (frequencies) => {
-    return 1 - Object.values(frequencies).reduce((sum, freq) => sum + freq * freq, 0)
-  }
-
-  // Nucleotide Diversity: Average nucleotide differences between sequences
-  const calculateNucleotideDiversity = (sequences) => {
-    if (sequences.length < 2) return 0
-
-    let totalDifferences = 0
-    let comparisons = 0
-
-    for (let i = 0; i < sequences.length; i++) {
-      for (let j = i + 1; j < sequences.length; j++) {
-        const seq1 = sequences[i]
-        const seq2 = sequences[j]
-        const minLength = Math.min(seq1.length, seq2.length)
-
-        let differences = 0
-        for (let k = 0; k < minLength; k++) {
-          if (seq1[k] !== seq2[k]) differences++
-        }
-
-        totalDifferences += differences / minLength
-        comparisons++
-      }
-    }
-
-    return comparisons > 0 ? totalDifferences / comparisons : 0
-  }
-
-  // Count polymorphic sites (positions where nucleotides vary)
-  // Polymorphic Sites: DNA positions where different individuals have different nucleotides
-  // These sites indicate genetic variation within a population
-  const countPolymorphicSites = (sequences) => {
-    if (sequences.length < 2) return 0
-
-    const minLength = Math.min(...sequences.map((s) => s.length))
-    let polymorphicCount = 0
-
-    for (let pos = 0; pos < minLength; pos++) {
-      const nucleotides = new Set(sequences.map((seq) => seq[pos]))
-      if (nucleotides.size > 1) {
-        polymorphicCount++
-      }
-    }
-
-    return polymorphicCount
-  }
-
-  // Calculate dN/dS ratio for selection pressure analysis
-  // dN/dS: Ratio of non-synonymous to synonymous substitutions
-  // dN/dS > 1: Positive selection (adaptive evolution)
-  // dN/dS = 1: Neutral evolution
-  // dN/dS < 1: Purifying selection (removing harmful mutations)
-  const calculateDnDsRatio = (sequences) => {
-    if (sequences.length < 2) return { dnds: 0, selectionType: "Insufficient data" }
-
-    let synonymous = 0
-    let nonSynonymous = 0
-
-    // Simplified codon analysis (assuming sequences are coding)
-    for (let i = 0; i < sequences.length - 1; i++) {
-      const seq1 = sequences[i]
-      const seq2 = sequences[i + 1]
-      const minLength = Math.min(seq1.length, seq2.length)
-
-      for (let pos = 0; pos < minLength - 2; pos += 3) {
-        const codon1 = seq1.slice(pos, pos + 3)
-        const codon2 = seq2.slice(pos, pos + 3)
-
-        if (codon1.length === 3 && codon2.length === 3 && codon1 !== codon2) {
-          // Simplified: assume third position changes are often synonymous
-          const thirdPosChange = codon1[2] !== codon2[2]
-          const otherPosChange = codon1[0] !== codon2[0] || codon1[1] !== codon2[1]
-
-          if (thirdPosChange && !otherPosChange) {
-            synonymous++
-          } else if (otherPosChange) {
-            nonSynonymous++
-          }
-        }
-      }
-    }
-
-    const dnds = synonymous > 0 ? nonSynonymous / synonymous : 0
-    let selectionType = "Neutral"
-    if (dnds > 1.2) selectionType = "Positive"
-    else if (dnds < 0.8) selectionType = "Purifying"
-
-    return { dnds, selectionType, synonymous, nonSynonymous }
-  }
-
-  // Population Viability Analysis using simplified Vortex-like modeling
-  // Stochastic Demographic Modeling: Predicts population survival probability
-  // considering random environmental and demographic events
-  const calculatePopulationViability = (metrics, currentPopSize = 1000) => {
-    const diversityFactor = metrics.nucleotideDiversity / 1
-
-    const inbreedingRisk = 1 - diversityFactor
-
-    const carryingCapacity = currentPopSize * (1 + diversityFactor)
-
-    const extinctionRisk = inbreedingRisk * 0.8 + (1 - diversityFactor) * 0.2
-
-    const projections = []
-    let population = currentPopSize
-
-    for (let year = 0; year <= 50; year += 5) {
-      const environmentalStochasticity = 0.85 + Math.random() * 0.15
-      const baseGrowthRate = 1.005
-      const growthRate = (baseGrowthRate - extinctionRisk * 0.05) * environmentalStochasticity
-
-      population = Math.max(0, population * growthRate)
-
-      projections.push({
-        year,
-        population: Math.round(population),
-        extinctionRisk: extinctionRisk * 100,
-        viabilityScore: (1 - extinctionRisk) * 100,
-      })
-    }
-
-    return {
-      extinctionRisk: extinctionRisk * 100,
-      viabilityScore: (1 - extinctionRisk) * 100,
-      projections,
-      carryingCapacity,
-    }
-  }
-
-
-  // Assess conservation risk level
-  const assessConservationRisk = (metrics) => {
-    const diversityScore = metrics.nucleotideDiversity
-
-    if (diversityScore < 0.35) return "High"
-    if (diversityScore < 0.7) return "Medium"
-    return "Low"
-  }
-
+  const { locusData } = useGenomeSource()
+
+  // Yearly mean N and the central 95% of iterations from the individual-based viability model
+  const summarizeViability = (species, result) => ({
+    species,
+    extinctionRisk: result.extinctionProbability * 100,
+    viabilityScore: (1 - result.extinctionProbability) * 100,
+    years: result.years,
+    projections: result.trajectory.map((point) => ({
+      year: point.year,
+      population: Math.round(point.mean),
+      range: [point.lower, point.upper],
+    })),
+  })
+
+  // π, S and Hd of the aligned locus from the analysis worker; the neutrality tests are not needed here
   useEffect(() => {
-    const processDataInChunks = async () => {
-      setLoading(true)
+    const controller = new AbortController()
 
+    const runPopulationGenetics = async () => {
+      setLoading(true)
       try {
-        await new Promise((resolve) => setTimeout(resolve, 0))
-
-        const results = []
-        const selectionResults = []
-        const viabilityResults = []
-        const entries = Object.entries(genomeData)
-
-        for (let i = 0; i < entries.length; i++) {
-          const [speciesName, data] = entries[i]
-
-          if (i > 0) {
-            await new Promise((resolve) => setTimeout(resolve, 0))
-          }
-
-          const sequences = data.map((item) => item.sequence)
-          const combinedSequence = sequences.join("")
-          const frequencies = calculateNucleotideFrequencies(combinedSequence)
-
-          const metrics = {
-            shannonIndex: calculateShannonIndex(frequencies),
-            simpsonIndex: calculateSimpsonIndex(frequencies),
-            nucleotideDiversity: calculateNucleotideDiversity(sequences),
-            gcContent: frequencies.G + frequencies.C,
-            polymorphicSites: countPolymorphicSites(sequences),
-            sampleSize: sequences.length,
-          }
-
-          const selectionAnalysis = calculateDnDsRatio(sequences)
-          const viabilityAnalysis = calculatePopulationViability(metrics)
-
-          const riskLevel = assessConservationRisk(metrics)
-          const conservationPriority = riskLevel === "High" ? 3 : riskLevel === "Medium" ? 2 : 1
-
-          const speciesData = {
-            species: speciesName,
-            metrics,
-            selectionAnalysis,
-            viabilityAnalysis,
+        const result = await dataService.analyzePopulationGenetics(locusData, { simulations: 0, signal: controller.signal })
+        const priority = { High: 3, Medium: 2, Low: 1 }
+        const results = Object.entries(result.species).map(([species, stats]) => {
+          const riskLevel = assessDiversityRisk(stats)
+          return {
+            species,
+            metrics: {
+              nucleotideDiversity: stats.pi,
+              segregatingSites: stats.segregatingSites,
+              haplotypeDiversity: stats.haplotypeDiversity,
+              sampleSize: stats.sampleSize,
+            },
             riskLevel,
-            conservationPriority,
+            conservationPriority: priority[riskLevel] || 0,
           }
-
-          results.push(speciesData)
-
-          selectionResults.push({
-            species: speciesName,
-            dnds: selectionAnalysis.dnds,
-            selectionType: selectionAnalysis.selectionType,
-            synonymous: selectionAnalysis.synonymous,
-            nonSynonymous: selectionAnalysis.nonSynonymous,
-          })
-
-          viabilityResults.push({
-            species: speciesName,
-            extinctionRisk: viabilityAnalysis.extinctionRisk,
-            viabilityScore: viabilityAnalysis.viabilityScore,
-            projections: viabilityAnalysis.projections,
-          })
-        }
+        })
 
         results.sort((a, b) => b.conservationPriority - a.conservationPriority)
         setProcessedData(results)
-        setSelectionData(selectionResults)
-        setViabilityData(viabilityResults)
       } catch (error) {
-        console.error("Error processing genetic data:", error)
+        if (error.name === "AbortError") return
+        console.error("Error computing population statistics:", error)
+        setProcessedData([])
       } finally {
-        setLoading(false)
+        if (!controller.signal.aborted) setLoading(false)
       }
     }
 
-    processDataInChunks()
-  }, [])
+    runPopulationGenetics()
+    return () => controller.abort()
+  }, [locusData])
+
+  // Seeded from the selected locus; the service keeps the last run for the Diversity view
+  useEffect(() => {
+    const controller = new AbortController()
+
+    const runViability = async () => {
+      try {
+        const result = await dataService.analyzeViability(locusData, { signal: controller.signal })
+        setViabilityData(Object.entries(result.species).map(([species, viability]) => summarizeViability(species, viability)))
+      } catch (error) {
+        if (error.name === "AbortError") return
+        console.error("Error running population viability analysis:", error)
+        setViabilityData([])
+      }
+    }
+
+    runViability()
+    return () => controller.abort()
+  }, [locusData])
 
   // Color schemes
   const speciesColors = {
@@ -301,7 +125,7 @@ const Dashboard = () => {
           <p style={{ fontSize: "20px", fontWeight: "500", marginBottom: "8px" }}>Processing genetic sequences...</p>
           <p style={{ fontSize: "16px", color: "#666" }}>This may take a few moments for large datasets</p>
           <p style={{ fontSize: "14px", color: "#888", marginTop: "16px" }}>
-            Calculating diversity indices, selection pressure, and viability metrics
+            Aligning the selected locus and calculating diversity and viability metrics
           </p>
         </div>
       </div>
@@ -330,37 +154,51 @@ const Dashboard = () => {
         {/* Population Projections */}
         <div className="card">
           <div className="card-header">
-            <h3 style={{ fontSize: "18px", fontWeight: "600", margin: 0 }}>50-Year Population Projections</h3>
+            <h3 style={{ fontSize: "18px", fontWeight: "600", margin: 0 }}>
+              {viabilityData[0]?.years || 100}-Year Population Projections
+            </h3>
             <p style={{ fontSize: "14px", color: "#6b7280", margin: "4px 0 0 0" }}>
-              Stochastic population trajectories incorporating genetic diversity effects
+              Mean population size from the individual-based viability model, with the central 95% of simulated trajectories
             </p>
           </div>
           <div className="card-content">
             <ResponsiveContainer width="100%" height={400}>
-              <LineChart>
+              <ComposedChart>
                 <CartesianGrid strokeDasharray="3 3" />
-                <XAxis
-                  dataKey="year"
-                  type="number"
-                  domain={[0, 50]}
-                  tick={[0, 5, 10, 15, 20, 25, 30, 35, 40, 45, 50]}
-                />
-
+                <XAxis dataKey="year" type="number" domain={[0, viabilityData[0]?.years || 100]} />
                 <YAxis />
-                <Tooltip />
+                <Tooltip
+                  formatter={(value, name) =>
+                    Array.isArray(value) ? [`${Math.round(value[0])}–${Math.round(value[1])}`, name] : [value, name]
+                  }
+                />
                 <Legend />
-                {viabilityData.map((species, index) => (
+                {viabilityData.map((species) => (
+                  <Area
+                    key={`${species.species}-band`}
+                    type="monotone"
+                    dataKey="range"
+                    data={species.projections}
+                    stroke="none"
+                    fill={speciesColors[species.species] || "#8884d8"}
+                    fillOpacity={0.15}
+                    name={`${species.species} 95% range`}
+                    legendType="none"
+                  />
+                ))}
+                {viabilityData.map((species) => (
                   <Line
                     key={species.species}
                     type="monotone"
                     dataKey="population"
                     data={species.projections}
-                    stroke={Object.values(speciesColors)[index]}
+                    stroke={speciesColors[species.species] || "#8884d8"}
                     strokeWidth={2}
+                    dot={false}
                     name={species.species}
                   />
                 ))}
-              </LineChart>
+              </ComposedChart>
             </ResponsiveContainer>
           </div>
         </div>
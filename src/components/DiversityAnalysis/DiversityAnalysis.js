@@ -1,7 +1,7 @@
 "use client"
 
 import React from "react"
-import { useState, useEffect } from "react"
+import { useState, useEffect, useMemo } from "react"
 import {
   BarChart,
   Bar,
@@ -16,16 +16,89 @@ import {
   Cell,
   LineChart,
   Line,
+  Area,
+  ErrorBar,
+  ComposedChart,
+  ReferenceLine,
 } from "recharts"
-import genomeData from "../../services/pongo_genome_sequence.json"
+import useGenomeSource from "../../hooks/useGenomeSource"
+import dataService from "../../services/dataService"
+import { GENETIC_CODES, AUTO_GENETIC_CODE } from "../../utils/codonSelection"
+import { DEFAULT_SCAN_OPTIONS, slidingWindows, siteSelection } from "../../utils/selectionScan"
+import { DEFAULT_POPGEN_OPTIONS, DIVERSITY_RISK_THRESHOLDS, assessDiversityRisk } from "../../utils/populationGenetics"
+import { POPULATION_GROUPINGS, DEFAULT_DIFFERENTIATION_OPTIONS } from "../../utils/populationDifferentiation"
+import { THREAT_EFFECTS, BASELINE_SCENARIO, siteScenarios } from "../../utils/viabilityScenarios"
+import { SENSITIVITY_RESPONSES, DEFAULT_SENSITIVITY_OPTIONS, sensitivityRunsToCsv } from "../../utils/viabilitySensitivity"
+import LocusPicker from "../LocusPicker/LocusPicker"
 
 const DiversityAnalysis = () => {
   const [loading, setLoading] = useState(true)
   const [selectedSpecies, setSelectedSpecies] = useState("all")
   const [activeTab, setActiveTab] = useState("diversity")
-  const [processedData, setProcessedData] = useState([])
+  const [compositionData, setCompositionData] = useState([])
   const [selectionData, setSelectionData] = useState([])
   const [viabilityData, setViabilityData] = useState([])
+  const [viabilityLoading, setViabilityLoading] = useState(false)
+  const [viabilityError, setViabilityError] = useState(null)
+  const [viabilityProgress, setViabilityProgress] = useState(null)
+  const scenarioPresets = useMemo(() => siteScenarios(), [])
+  const catastropheCatalog = useMemo(
+    () => Object.values(THREAT_EFFECTS).flatMap((effect) => (effect.catastrophe ? [effect.catastrophe] : [])),
+    [],
+  )
+  const [scenarioDraft, setScenarioDraft] = useState(scenarioPresets[0])
+  const [appliedScenario, setAppliedScenario] = useState(scenarioPresets[0])
+  const [scenarioResult, setScenarioResult] = useState(null)
+  const [scenarioLoading, setScenarioLoading] = useState(false)
+  const [scenarioError, setScenarioError] = useState(null)
+  const [scenarioProgress, setScenarioProgress] = useState(null)
+  // The species with the most configured areas is the default for metapopulation and sensitivity runs
+  const mostAreasSpecies = useMemo(() => {
+    const areaCounts = scenarioPresets.reduce((counts, preset) => ({ ...counts, [preset.species]: (counts[preset.species] || 0) + 1 }), {})
+    return Object.keys(areaCounts).sort((a, b) => areaCounts[b] - areaCounts[a])[0]
+  }, [scenarioPresets])
+  const [metapopulationDraft, setMetapopulationDraft] = useState({
+    species: mostAreasSpecies,
+    source: "configured",
+    environmentalCorrelation: 0.5,
+    applyThreats: false,
+  })
+  const [appliedMetapopulation, setAppliedMetapopulation] = useState(null)
+  const [metapopulationResult, setMetapopulationResult] = useState(null)
+  const [metapopulationLoading, setMetapopulationLoading] = useState(false)
+  const [metapopulationError, setMetapopulationError] = useState(null)
+  const [metapopulationProgress, setMetapopulationProgress] = useState(null)
+  const [sensitivityDraft, setSensitivityDraft] = useState({
+    species: mostAreasSpecies,
+    scenarioId: BASELINE_SCENARIO.id,
+    initialSize: "",
+    carryingCapacity: "",
+    ...DEFAULT_SENSITIVITY_OPTIONS,
+  })
+  const [appliedSensitivity, setAppliedSensitivity] = useState(null)
+  const [sensitivityResult, setSensitivityResult] = useState(null)
+  const [sensitivityLoading, setSensitivityLoading] = useState(false)
+  const [sensitivityError, setSensitivityError] = useState(null)
+  const [sensitivityProgress, setSensitivityProgress] = useState(null)
+  const [sensitivityResponse, setSensitivityResponse] = useState("extinctionProbability")
+  const [geneticCode, setGeneticCode] = useState(AUTO_GENETIC_CODE)
+  const [selectionResult, setSelectionResult] = useState(null)
+  const [selectionLoading, setSelectionLoading] = useState(false)
+  const [selectionError, setSelectionError] = useState(null)
+  const [scanWindowSize, setScanWindowSize] = useState(DEFAULT_SCAN_OPTIONS.windowSize)
+  const [scanSignificance, setScanSignificance] = useState(DEFAULT_SCAN_OPTIONS.significance)
+  const [popgenResult, setPopgenResult] = useState(null)
+  const [popgenLoading, setPopgenLoading] = useState(false)
+  const [popgenError, setPopgenError] = useState(null)
+  const [mismatchSpecies, setMismatchSpecies] = useState(null)
+  const [populationGrouping, setPopulationGrouping] = useState(dataService.differentiationGroupBy)
+  const [differentiationMetric, setDifferentiationMetric] = useState("phiST")
+  const [differentiation, setDifferentiation] = useState(null)
+  const [differentiationLoading, setDifferentiationLoading] = useState(false)
+  const [differentiationError, setDifferentiationError] = useState(null)
+  // Only sequences of one homologous locus are compared site by site
+  const { locusData: genomicData, loci, selectedLocusId } = useGenomeSource()
+  const locusGene = loci.find((locus) => locus.id === selectedLocusId)?.gene || null
 
   // Calculate nucleotide frequencies
   const calculateNucleotideFrequencies = (sequence) => {
@@ -62,246 +135,338 @@ const DiversityAnalysis = () => {
     return 1 - Object.values(frequencies).reduce((sum, freq) => sum + freq * freq, 0)
   }
 
-  // Nucleotide Diversity: Average nucleotide differences between sequences
-  const calculateNucleotideDiversity = (sequences) => {
-    if (sequences.length < 2) return 0
+  // Viability score, yearly mean N with the central 95% of iterations, and genetic erosion
+  const summarizeViability = (species, result) => ({
+    species,
+    extinctionRisk: result.extinctionProbability * 100,
+    viabilityScore: (1 - result.extinctionProbability) * 100,
+    extinctionTime: result.extinctionTime,
+    heterozygosityRetained: result.heterozygosityRetained,
+    initialHeterozygosity: result.initialHeterozygosity,
+    finalInbreeding: result.finalInbreeding,
+    measuredDiversity: result.measuredDiversity,
+    lethalEquivalents: result.parameters.lethalEquivalents,
+    finalSize: result.finalSize,
+    stochasticGrowthRate: result.stochasticGrowthRate,
+    initialSize: result.parameters.initialSize,
+    carryingCapacity: result.parameters.carryingCapacity,
+    iterations: result.iterations,
+    years: result.years,
+    projections: result.trajectory.map((point) => ({
+      year: point.year,
+      population: Math.round(point.mean),
+      range: [point.lower, point.upper],
+    })),
+    genetics: result.trajectory
+      .filter((point) => point.inbreeding !== null)
+      .map((point) => ({ year: point.year, heterozygosity: point.heterozygosity, inbreeding: point.inbreeding })),
+  })
+
+  // Base composition of each species' pooled sequences, which needs no alignment
+  useEffect(() => {
+    let cancelled = false
 
-    let totalDifferences = 0
-    let comparisons = 0
+    const processDataInChunks = async () => {
+      setLoading(true)
 
-    for (let i = 0; i < sequences.length; i++) {
-      for (let j = i + 1; j < sequences.length; j++) {
-        const seq1 = sequences[i]
-        const seq2 = sequences[j]
-        const minLength = Math.min(seq1.length, seq2.length)
+      try {
+        await new Promise((resolve) => setTimeout(resolve, 0))
 
-        let differences = 0
-        for (let k = 0; k < minLength; k++) {
-          if (seq1[k] !== seq2[k]) differences++
-        }
+        const results = []
+        const entries = Object.entries(genomicData)
 
-        totalDifferences += differences / minLength
-        comparisons++
-      }
-    }
+        for (let i = 0; i < entries.length; i++) {
+          const [speciesName, data] = entries[i]
 
-    return comparisons > 0 ? totalDifferences / comparisons : 0
-  }
+          if (i > 0) {
+            await new Promise((resolve) => setTimeout(resolve, 0))
+          }
 
-  // Count polymorphic sites (positions where nucleotides vary)
-  // Polymorphic Sites: DNA positions where different individuals have different nucleotides
-  // These sites indicate genetic variation within a population
-  const countPolymorphicSites = (sequences) => {
-    if (sequences.length < 2) return 0
+          const sequences = data.map((item) => item.sequence)
+          const combinedSequence = sequences.join("")
+          const frequencies = calculateNucleotideFrequencies(combinedSequence)
 
-    const minLength = Math.min(...sequences.map((s) => s.length))
-    let polymorphicCount = 0
+          const metrics = {
+            shannonIndex: calculateShannonIndex(frequencies),
+            simpsonIndex: calculateSimpsonIndex(frequencies),
+            gcContent: frequencies.G + frequencies.C,
+            sampleSize: sequences.length,
+          }
 
-    for (let pos = 0; pos < minLength; pos++) {
-      const nucleotides = new Set(sequences.map((seq) => seq[pos]))
-      if (nucleotides.size > 1) {
-        polymorphicCount++
-      }
-    }
+          results.push({ species: speciesName, metrics })
+        }
 
-    return polymorphicCount
-  }
+        // A newer genome source replaced this one while processing
+        if (cancelled) return
 
-  // Calculate dN/dS ratio for selection pressure analysis
-  // dN/dS: Ratio of non-synonymous to synonymous substitutions
-  // dN/dS > 1: Positive selection (adaptive evolution)
-  // dN/dS = 1: Neutral evolution
-  // dN/dS < 1: Purifying selection (removing harmful mutations)
-  const calculateDnDsRatio = (sequences) => {
-    if (sequences.length < 2) return { dnds: 0, selectionType: "Insufficient data" }
-
-    let synonymous = 0
-    let nonSynonymous = 0
-
-    // Simplified codon analysis (assuming sequences are coding)
-    for (let i = 0; i < sequences.length - 1; i++) {
-      const seq1 = sequences[i]
-      const seq2 = sequences[i + 1]
-      const minLength = Math.min(seq1.length, seq2.length)
-
-      for (let pos = 0; pos < minLength - 2; pos += 3) {
-        const codon1 = seq1.slice(pos, pos + 3)
-        const codon2 = seq2.slice(pos, pos + 3)
-
-        if (codon1.length === 3 && codon2.length === 3 && codon1 !== codon2) {
-          // Simplified: assume third position changes are often synonymous
-          const thirdPosChange = codon1[2] !== codon2[2]
-          const otherPosChange = codon1[0] !== codon2[0] || codon1[1] !== codon2[1]
-
-          if (thirdPosChange && !otherPosChange) {
-            synonymous++
-          } else if (otherPosChange) {
-            nonSynonymous++
-          }
-        }
+        setCompositionData(results)
+      } catch (error) {
+        console.error("Error processing genetic data:", error)
+      } finally {
+        if (!cancelled) setLoading(false)
       }
     }
 
-    const dnds = synonymous > 0 ? nonSynonymous / synonymous : 0
-    let selectionType = "Neutral"
-    if (dnds > 1.2) selectionType = "Positive"
-    else if (dnds < 0.8) selectionType = "Purifying"
-
-    return { dnds, selectionType, synonymous, nonSynonymous }
-  }
-
-  // Population Viability Analysis using simplified Vortex-like modeling
-  // Stochastic Demographic Modeling: Predicts population survival probability
-  // considering random environmental and demographic events
-  const calculatePopulationViability = (metrics, currentPopSize = 1000) => {
-    const diversityFactor = metrics.nucleotideDiversity / 1
-
-    const inbreedingRisk = 1 - diversityFactor
-
-    const carryingCapacity = currentPopSize * (1 + diversityFactor)
-
-    const extinctionRisk = inbreedingRisk * 0.8 + (1 - diversityFactor) * 0.2
+    processDataInChunks()
+    return () => {
+      cancelled = true
+    }
+  }, [genomicData])
 
-    const projections = []
-    let population = currentPopSize
+  // Codon-based dN/dS runs in the analysis worker because the coding sequences are aligned first
+  useEffect(() => {
+    const controller = new AbortController()
 
-    for (let year = 0; year <= 50; year += 5) {
-      const environmentalStochasticity = 0.85 + Math.random() * 0.15
-      const baseGrowthRate = 1.005
-      const growthRate = (baseGrowthRate - extinctionRisk * 0.05) * environmentalStochasticity
+    const runSelection = async () => {
+      setSelectionLoading(true)
+      setSelectionError(null)
+      try {
+        const result = await dataService.analyzeSelection(genomicData, {
+          geneticCode,
+          gene: locusGene,
+          signal: controller.signal,
+        })
+        setSelectionResult(result)
+        setSelectionData(
+          Object.entries(result.bySpecies).map(([species, estimate]) => ({
+            species,
+            dnds: estimate.omega,
+            ci: estimate.ci,
+            errorBar: estimate.omega !== null && estimate.ci ? [estimate.omega - estimate.ci[0], estimate.ci[1] - estimate.omega] : [0, 0],
+            dN: estimate.dN,
+            dS: estimate.dS,
+            codons: estimate.codons,
+            pairCount: estimate.pairCount,
+            sampleSize: estimate.sampleSize,
+            selectionType: estimate.selectionType,
+            synonymous: estimate.Sd,
+            nonSynonymous: estimate.Nd,
+          })),
+        )
+      } catch (error) {
+        if (error.name === "AbortError") return
+        console.error("Error analyzing selection:", error)
+        setSelectionResult(null)
+        setSelectionData([])
+        setSelectionError(error.message)
+      } finally {
+        if (!controller.signal.aborted) setSelectionLoading(false)
+      }
+    }
 
-      population = Math.max(0, population * growthRate)
+    runSelection()
+    return () => controller.abort()
+  }, [genomicData, geneticCode, locusGene])
 
-      projections.push({
-        year,
-        population: Math.round(population),
-        extinctionRisk: extinctionRisk * 100,
-        viabilityScore: (1 - extinctionRisk) * 100,
-      })
-    }
+  // S, θ, π, haplotype diversity and coalescent neutrality tests, on the aligned locus in the analysis worker
+  useEffect(() => {
+    const controller = new AbortController()
 
-    return {
-      extinctionRisk: extinctionRisk * 100,
-      viabilityScore: (1 - extinctionRisk) * 100,
-      projections,
-      carryingCapacity,
+    const runPopulationGenetics = async () => {
+      setPopgenLoading(true)
+      setPopgenError(null)
+      try {
+        const result = await dataService.analyzePopulationGenetics(genomicData, { signal: controller.signal })
+        setPopgenResult(result)
+      } catch (error) {
+        if (error.name === "AbortError") return
+        console.error("Error computing population statistics:", error)
+        setPopgenResult(null)
+        setPopgenError(error.message)
+      } finally {
+        if (!controller.signal.aborted) setPopgenLoading(false)
+      }
     }
-  }
 
-
-  // Generate selection heatmap data
-  const generateSelectionHeatmap = (processedData) => {
-    const heatmapData = []
-    const regions = ["Exon 1", "Intron 1", "Exon 2", "Intron 2", "Exon 3", "UTR 3'"]
-
-    processedData.forEach((species, speciesIndex) => {
-      regions.forEach((region, regionIndex) => {
-        // Simulate selection pressure values based on actual data
-        const baseValue = species.selectionAnalysis?.dnds || 0.5
-        const variation = (Math.random() - 0.5) * 0.4
-        const selectionPressure = Math.max(0, baseValue + variation)
-
-        heatmapData.push({
-          species: species.species,
-          region,
-          value: selectionPressure,
-          x: regionIndex,
-          y: speciesIndex,
-          selectionType: selectionPressure > 1 ? "Positive" : selectionPressure < 0.8 ? "Purifying" : "Neutral",
-        })
+    runPopulationGenetics()
+    return () => controller.abort()
+  }, [genomicData])
+
+  // Composition next to π, S and Hd of the aligned locus, ranked by the risk these imply.
+  // Species with fewer than 2 sequences, or while the worker runs, have no aligned values.
+  const processedData = useMemo(() => {
+    const priority = { High: 3, Medium: 2, Low: 1 }
+    return compositionData
+      .map((entry) => {
+        const stats = popgenResult?.species[entry.species]
+        const riskLevel = assessDiversityRisk(stats)
+        return {
+          ...entry,
+          metrics: {
+            ...entry.metrics,
+            nucleotideDiversity: riskLevel ? stats.pi : null,
+            segregatingSites: riskLevel ? stats.segregatingSites : null,
+            haplotypeDiversity: riskLevel ? stats.haplotypeDiversity : null,
+          },
+          riskLevel,
+          conservationPriority: priority[riskLevel] || 0,
+        }
       })
-    })
+      .sort((a, b) => b.conservationPriority - a.conservationPriority)
+  }, [compositionData, popgenResult])
+  const alignedData = useMemo(() => processedData.filter((entry) => entry.riskLevel !== null), [processedData])
 
-    return heatmapData
-  }
+  // Individual-based viability model in the analysis worker, seeded with the locus' haplotype diversity
+  useEffect(() => {
+    const controller = new AbortController()
 
-  // Assess conservation risk level
-  const assessConservationRisk = (metrics) => {
-    const diversityScore = metrics.nucleotideDiversity
+    const runViability = async () => {
+      setViabilityLoading(true)
+      setViabilityError(null)
+      try {
+        const result = await dataService.analyzeViability(genomicData, {
+          signal: controller.signal,
+          onProgress: setViabilityProgress,
+        })
+        setViabilityData(Object.entries(result.species).map(([species, viability]) => summarizeViability(species, viability)))
+      } catch (error) {
+        if (error.name === "AbortError") return
+        console.error("Error running population viability analysis:", error)
+        setViabilityData([])
+        setViabilityError(error.message)
+      } finally {
+        if (!controller.signal.aborted) {
+          setViabilityLoading(false)
+          setViabilityProgress(null)
+        }
+      }
+    }
 
-    if (diversityScore < 0.35) return "High"
-    if (diversityScore < 0.7) return "Medium"
-    return "Low"
-  }
+    runViability()
+    return () => controller.abort()
+  }, [genomicData])
 
+  // A threat scenario is simulated when the Viability tab is open and compared with the cached baseline
   useEffect(() => {
-    const processDataInChunks = async () => {
-      setLoading(true)
+    if (activeTab !== "viability" || !appliedScenario) return undefined
+    const controller = new AbortController()
 
+    const runScenario = async () => {
+      setScenarioLoading(true)
+      setScenarioError(null)
       try {
-        await new Promise((resolve) => setTimeout(resolve, 0))
-
-        const results = []
-        const selectionResults = []
-        const viabilityResults = []
-        const entries = Object.entries(genomeData)
+        const result = await dataService.analyzeViabilityScenario(genomicData, appliedScenario.species, appliedScenario, {
+          signal: controller.signal,
+          onProgress: setScenarioProgress,
+        })
+        setScenarioResult(result)
+      } catch (error) {
+        if (error.name === "AbortError") return
+        console.error("Error running viability scenario:", error)
+        setScenarioResult(null)
+        setScenarioError(error.message)
+      } finally {
+        if (!controller.signal.aborted) {
+          setScenarioLoading(false)
+          setScenarioProgress(null)
+        }
+      }
+    }
 
-        for (let i = 0; i < entries.length; i++) {
-          const [speciesName, data] = entries[i]
+    runScenario()
+    return () => controller.abort()
+  }, [activeTab, appliedScenario, genomicData])
 
-          if (i > 0) {
-            await new Promise((resolve) => setTimeout(resolve, 0))
-          }
+  // Metapopulation runs (one per corridor landscape) are started from the Viability tab
+  useEffect(() => {
+    if (activeTab !== "viability" || !appliedMetapopulation) return undefined
+    const controller = new AbortController()
 
-          const sequences = data.map((item) => item.sequence)
-          const combinedSequence = sequences.join("")
-          const frequencies = calculateNucleotideFrequencies(combinedSequence)
+    const runMetapopulation = async () => {
+      setMetapopulationLoading(true)
+      setMetapopulationError(null)
+      try {
+        const { species, source, environmentalCorrelation, applyThreats, corridors } = appliedMetapopulation
+        const result = await dataService.analyzeMetapopulation(genomicData, species, {
+          source,
+          applyThreats,
+          parameters: { environmentalCorrelation },
+          ...(corridors && { corridors }),
+          signal: controller.signal,
+          onProgress: setMetapopulationProgress,
+        })
+        setMetapopulationResult(result)
+      } catch (error) {
+        if (error.name === "AbortError") return
+        console.error("Error running metapopulation viability:", error)
+        setMetapopulationResult(null)
+        setMetapopulationError(error.message)
+      } finally {
+        if (!controller.signal.aborted) {
+          setMetapopulationLoading(false)
+          setMetapopulationProgress(null)
+        }
+      }
+    }
 
-          const metrics = {
-            shannonIndex: calculateShannonIndex(frequencies),
-            simpsonIndex: calculateSimpsonIndex(frequencies),
-            nucleotideDiversity: calculateNucleotideDiversity(sequences),
-            gcContent: frequencies.G + frequencies.C,
-            polymorphicSites: countPolymorphicSites(sequences),
-            sampleSize: sequences.length,
-          }
+    runMetapopulation()
+    return () => controller.abort()
+  }, [activeTab, appliedMetapopulation, genomicData])
 
-          const selectionAnalysis = calculateDnDsRatio(sequences)
-          const viabilityAnalysis = calculatePopulationViability(metrics)
+  // Sensitivity sweeps are started from the Viability tab
+  useEffect(() => {
+    if (activeTab !== "viability" || !appliedSensitivity) return undefined
+    const controller = new AbortController()
 
-          const riskLevel = assessConservationRisk(metrics)
-          const conservationPriority = riskLevel === "High" ? 3 : riskLevel === "Medium" ? 2 : 1
+    const runSensitivity = async () => {
+      setSensitivityLoading(true)
+      setSensitivityError(null)
+      try {
+        const { species, scenarioId, initialSize, carryingCapacity, samples, numSimulations } = appliedSensitivity
+        const result = await dataService.analyzeSensitivity(genomicData, species, {
+          scenario: scenarioPresets.find((preset) => preset.id === scenarioId) || null,
+          initialSize: Number(initialSize),
+          carryingCapacity: Number(carryingCapacity),
+          samples,
+          numSimulations,
+          signal: controller.signal,
+          onProgress: setSensitivityProgress,
+        })
+        setSensitivityResult(result)
+      } catch (error) {
+        if (error.name === "AbortError") return
+        console.error("Error running viability sensitivity analysis:", error)
+        setSensitivityResult(null)
+        setSensitivityError(error.message)
+      } finally {
+        if (!controller.signal.aborted) {
+          setSensitivityLoading(false)
+          setSensitivityProgress(null)
+        }
+      }
+    }
 
-          const speciesData = {
-            species: speciesName,
-            metrics,
-            selectionAnalysis,
-            viabilityAnalysis,
-            riskLevel,
-            conservationPriority,
-          }
+    runSensitivity()
+    return () => controller.abort()
+  }, [activeTab, appliedSensitivity, genomicData, scenarioPresets])
 
-          results.push(speciesData)
-
-          selectionResults.push({
-            species: speciesName,
-            dnds: selectionAnalysis.dnds,
-            selectionType: selectionAnalysis.selectionType,
-            synonymous: selectionAnalysis.synonymous,
-            nonSynonymous: selectionAnalysis.nonSynonymous,
-          })
-
-          viabilityResults.push({
-            species: speciesName,
-            extinctionRisk: viabilityAnalysis.extinctionRisk,
-            viabilityScore: viabilityAnalysis.viabilityScore,
-            projections: viabilityAnalysis.projections,
-          })
-        }
+  // Permutation tests are run when the tab is opened; the service keeps the last result
+  useEffect(() => {
+    if (activeTab !== "structure") return undefined
+    const controller = new AbortController()
 
-        results.sort((a, b) => b.conservationPriority - a.conservationPriority)
-        setProcessedData(results)
-        setSelectionData(selectionResults)
-        setViabilityData(viabilityResults)
+    const runDifferentiation = async () => {
+      setDifferentiationLoading(true)
+      setDifferentiationError(null)
+      try {
+        const result = await dataService.analyzeDifferentiation(genomicData, {
+          groupBy: populationGrouping,
+          signal: controller.signal,
+        })
+        setDifferentiation(result)
       } catch (error) {
-        console.error("Error processing genetic data:", error)
+        if (error.name === "AbortError") return
+        console.error("Error analyzing population differentiation:", error)
+        setDifferentiation(null)
+        setDifferentiationError(error.message)
       } finally {
-        setLoading(false)
+        if (!controller.signal.aborted) setDifferentiationLoading(false)
       }
     }
 
-    processDataInChunks()
-  }, [])
+    runDifferentiation()
+    return () => controller.abort()
+  }, [genomicData, populationGrouping, activeTab])
 
   // Filter data by selected species
   const filteredData =
@@ -313,6 +478,7 @@ const DiversityAnalysis = () => {
     "Pongo pygmaeus": "#3b82f6",
     "Pongo tapanuliensis": "#f59e0b",
   }
+  const areaColors = ["#2563eb", "#16a34a", "#dc2626", "#9333ea", "#ea580c", "#0891b2", "#ca8a04", "#db2777"]
 
   const getRiskColor = (risk) => {
     switch (risk) {
@@ -340,8 +506,167 @@ const DiversityAnalysis = () => {
     }
   }
 
-  // Generate heatmap data
-  const heatmapData = generateSelectionHeatmap(processedData)
+  const formatStatistic = (value, digits = 4) => (value === null ? "—" : value.toFixed(digits))
+
+  const formatNeutralityTest = (value, test, tail = "p") => {
+    if (value === null) return "—"
+    return test ? `${value.toFixed(3)} (${test[tail].toFixed(3)})` : value.toFixed(3)
+  }
+
+  // Mismatch distribution of the chosen species, or the first one with a pair of sequences
+  const mismatchStats = useMemo(() => {
+    if (!popgenResult) return null
+    const species =
+      popgenResult.species[mismatchSpecies]?.sampleSize > 1
+        ? mismatchSpecies
+        : Object.keys(popgenResult.species).find((name) => popgenResult.species[name].sampleSize > 1)
+    return species ? { species, mismatch: popgenResult.species[species].mismatch } : null
+  }, [popgenResult, mismatchSpecies])
+
+  // Sequence diversity next to the modelled viability of the same species
+  const diversityViability = useMemo(
+    () =>
+      alignedData
+        .map((entry) => ({
+          ...entry,
+          viabilityScore: viabilityData.find((viability) => viability.species === entry.species)?.viabilityScore,
+        }))
+        .filter((entry) => entry.viabilityScore !== undefined),
+    [alignedData, viabilityData],
+  )
+
+  const updateScenarioCatastrophe = (index, field, value) =>
+    setScenarioDraft((draft) => ({
+      ...draft,
+      catastrophes: draft.catastrophes.map((catastrophe, i) => (i === index ? { ...catastrophe, [field]: value } : catastrophe)),
+    }))
+
+  // Baseline and scenario side by side, on one timeline with the scenario's carrying capacity
+  const scenarioComparison = useMemo(() => {
+    if (!scenarioResult) return null
+    const { baseline, result } = scenarioResult
+    const measures = [
+      { label: "Extinction probability", value: (run) => run.extinctionProbability, format: (value) => `${(value * 100).toFixed(0)}%` },
+      { label: "Mean time to extinction", value: (run) => run.extinctionTime?.mean ?? null, format: (value) => `${value.toFixed(0)} years` },
+      { label: `Mean N at year ${result.years} (surviving)`, value: (run) => run.finalSize, format: (value) => Math.round(value) },
+      { label: `K at year ${result.years}`, value: (run) => run.trajectory[run.years].carryingCapacity, format: (value) => Math.round(value) },
+      { label: "Heterozygosity retained", value: (run) => run.heterozygosityRetained, format: (value) => `${(value * 100).toFixed(1)}%` },
+      { label: "Mean inbreeding F", value: (run) => run.finalInbreeding, format: (value) => value.toFixed(4) },
+      { label: "Stochastic growth rate r", value: (run) => run.stochasticGrowthRate, format: (value) => value.toFixed(4) },
+      { label: "Catastrophes per iteration", value: (run) => run.catastrophesPerIteration, format: (value) => value.toFixed(1) },
+      { label: "Individuals taken per iteration", value: (run) => run.offtakePerIteration, format: (value) => Math.round(value) },
+    ]
+    return {
+      rows: measures.map((measure) => ({
+        label: measure.label,
+        baseline: measure.value(baseline),
+        scenario: measure.value(result),
+        format: measure.format,
+      })),
+      projections: result.trajectory.map((point, year) => ({
+        year: point.year,
+        baseline: Math.round(baseline.trajectory[year]?.mean ?? 0),
+        baselineRange: baseline.trajectory[year] ? [baseline.trajectory[year].lower, baseline.trajectory[year].upper] : null,
+        scenario: Math.round(point.mean),
+        scenarioRange: [point.lower, point.upper],
+        carryingCapacity: Math.round(point.carryingCapacity),
+      })),
+    }
+  }, [scenarioResult])
+
+  const sameCorridor = (a, b) => (a.from === b.from && a.to === b.to) || (a.from === b.to && a.to === b.from)
+
+  // Area names, per-area trajectories and the effect of toggling each candidate corridor
+  const metapopulationSummary = useMemo(() => {
+    if (!metapopulationResult) return null
+    const { subpopulations, corridors, candidates, current, alternatives } = metapopulationResult
+    const names = Object.fromEntries(subpopulations.map((subpopulation) => [subpopulation.id, subpopulation.name]))
+    return {
+      areaCount: subpopulations.length,
+      areas: current.subpopulations,
+      projections: current.trajectory.map((point) => ({
+        year: point.year,
+        ...Object.fromEntries(subpopulations.map((subpopulation, k) => [subpopulation.name, Math.round(point.subpopulations[k])])),
+      })),
+      corridors: candidates.map((candidate) => {
+        const alternative = alternatives.find((entry) => sameCorridor(entry.corridor, candidate))
+        return {
+          ...candidate,
+          label: `${names[candidate.from]} – ${names[candidate.to]}`,
+          inPlace: corridors.some((corridor) => sameCorridor(corridor, candidate)),
+          action: alternative.action,
+          extinctionProbability: alternative.result.extinctionProbability,
+          occupiedAreas: alternative.result.occupiedAreas,
+          heterozygosityRetained: alternative.result.heterozygosityRetained,
+        }
+      }),
+    }
+  }, [metapopulationResult])
+
+  // Tornado bars run from the unchanged population's response to the response at each end of the range
+  const tornadoData = useMemo(() => {
+    if (!sensitivityResult) return []
+    const base = sensitivityResult.baseline.responses[sensitivityResponse]
+    if (base === null) return []
+    return sensitivityResult.tornado[sensitivityResponse]
+      .filter((entry) => entry.low !== null && entry.high !== null)
+      .map((entry) => ({
+        label: entry.label,
+        low: [base, entry.low],
+        high: [base, entry.high],
+      }))
+  }, [sensitivityResult, sensitivityResponse])
+
+  const downloadSensitivityRuns = () => {
+    const url = URL.createObjectURL(new Blob([sensitivityRunsToCsv(sensitivityResult)], { type: "text/csv" }))
+    const link = document.createElement("a")
+    link.href = url
+    link.download = `viability_sensitivity_${sensitivityResult.species.replace(/\s+/g, "_")}.csv`
+    link.click()
+    setTimeout(() => URL.revokeObjectURL(url), 0)
+  }
+
+  const formatResponse = (value) =>
+    value === null ? "—" : sensitivityResponse === "finalSize" ? Math.round(value) : value.toFixed(3)
+
+  const toggleCorridor = (candidate) => {
+    const { corridors } = metapopulationResult
+    setAppliedMetapopulation({
+      ...appliedMetapopulation,
+      corridors: corridors.some((corridor) => sameCorridor(corridor, candidate))
+        ? corridors.filter((corridor) => !sameCorridor(corridor, candidate))
+        : [...corridors, { from: candidate.from, to: candidate.to, distance: candidate.distance }],
+    })
+  }
+
+  const formatPopulation = (population) =>
+    differentiation?.groupBy === "species"
+      ? population.species
+      : `${population.name} (${population.species.replace(/^(\w)\w* /, "$1. ")})`
+
+  const getDifferentiationColor = (value) => `rgba(124, 58, 237, ${Math.min(Math.max(value, 0), 1) * 0.85 + 0.05})`
+
+  const pairwiseLookup = useMemo(
+    () => new Map((differentiation?.pairwise || []).map((pair) => [`${pair.first}|${pair.second}`, pair])),
+    [differentiation],
+  )
+
+  // Window ω colored by direction, stronger when the window's counting test is significant
+  const getScanColor = (omega, call) => {
+    if (omega === null) return "#d1d5db"
+    const alpha = call === "neutral" ? 0.45 : 0.9
+    return omega > 1 ? `rgba(220, 38, 38, ${alpha})` : `rgba(59, 130, 246, ${alpha})`
+  }
+
+  const scanTracks = useMemo(
+    () =>
+      (selectionResult?.scan?.groups || []).map((group) => ({
+        ...group,
+        windows: slidingWindows(group.sites, scanWindowSize, Math.max(1, Math.floor(scanWindowSize / 2))),
+        flagged: group.sites.filter((site) => siteSelection(site, scanSignificance) !== "neutral"),
+      })),
+    [selectionResult, scanWindowSize, scanSignificance],
+  )
 
   if (loading) {
     return (
@@ -471,6 +796,10 @@ const DiversityAnalysis = () => {
         }
       `}</style>
 
+      <div style={{ marginBottom: "16px" }}>
+        <LocusPicker />
+      </div>
+
       {/* Header */}
       <div
         style={{
@@ -534,11 +863,11 @@ const DiversityAnalysis = () => {
           </div>
           <div className="card-content">
             <div style={{ fontSize: "24px", fontWeight: "bold", color: "#3b82f6" }}>
-              {processedData.length > 0
-                ? (processedData.reduce((sum, d) => sum + d.metrics.shannonIndex, 0) / processedData.length).toFixed(3)
-                : "0.000"}
+              {alignedData.length > 0
+                ? (alignedData.reduce((sum, d) => sum + d.metrics.nucleotideDiversity, 0) / alignedData.length).toFixed(4)
+                : "—"}
             </div>
-            <p style={{ fontSize: "12px", color: "#6b7280", margin: 0 }}>Shannon Index across species</p>
+            <p style={{ fontSize: "12px", color: "#6b7280", margin: 0 }}>Mean π of the aligned locus across species</p>
           </div>
         </div>
 
@@ -570,6 +899,12 @@ const DiversityAnalysis = () => {
           >
             Selection Analysis
           </button>
+          <button
+            className={`tab-button ${activeTab === "structure" ? "active" : ""}`}
+            onClick={() => setActiveTab("structure")}
+          >
+            Population Structure
+          </button>
           <button
             className={`tab-button ${activeTab === "viability" ? "active" : ""}`}
             onClick={() => setActiveTab("viability")}
@@ -610,8 +945,11 @@ const DiversityAnalysis = () => {
                   <div>
                     <h4 style={{ fontWeight: "600", color: "#f43f5e", margin: "0 0 4px 0" }}>Nucleotide Diversity</h4>
                     <p style={{ fontSize: "14px", color: "#6b7280", margin: 0 }}>
-                      Average nucleotide differences between sequences. Higher values indicate greater genetic
-                      variation. Calculated as the average number of nucleotide differences per site.
+                      Mean number of differences per site between pairs of sequences, after aligning the locus. Higher
+                      values indicate greater genetic variation. A species is High risk below π ={" "}
+                      {DIVERSITY_RISK_THRESHOLDS.high.pi} or Hd = {DIVERSITY_RISK_THRESHOLDS.high.haplotypeDiversity},
+                      and Medium risk below π = {DIVERSITY_RISK_THRESHOLDS.medium.pi} or Hd ={" "}
+                      {DIVERSITY_RISK_THRESHOLDS.medium.haplotypeDiversity}.
                     </p>
                   </div>
                   <div>
@@ -631,10 +969,28 @@ const DiversityAnalysis = () => {
                     </p>
                   </div>
                   <div>
-                    <h4 style={{ fontWeight: "600", color: "#8b5cf6", margin: "0 0 4px 0" }}>Polymorphic Sites</h4>
+                    <h4 style={{ fontWeight: "600", color: "#8b5cf6", margin: "0 0 4px 0" }}>Segregating Sites</h4>
                     <p style={{ fontSize: "14px", color: "#6b7280", margin: 0 }}>
-                      DNA positions where different individuals have different nucleotides (A, T, G, or C). These sites
-                      indicate genetic variation within a population and are crucial for adaptation and evolution.
+                      Columns of the aligned locus where individuals carry different nucleotides (A, T, G, or C).
+                      These sites indicate genetic variation within a population and are crucial for adaptation and
+                      evolution.
+                    </p>
+                  </div>
+                  <div>
+                    <h4 style={{ fontWeight: "600", color: "#0ea5e9", margin: "0 0 4px 0" }}>
+                      θW, π and Haplotype Diversity
+                    </h4>
+                    <p style={{ fontSize: "14px", color: "#6b7280", margin: 0 }}>
+                      Watterson's θW scales the number of segregating sites S by sample size; π is the mean number of
+                      pairwise differences per site. Haplotype diversity (Hd) is the probability that two sampled
+                      sequences differ.
+                    </p>
+                  </div>
+                  <div>
+                    <h4 style={{ fontWeight: "600", color: "#64748b", margin: "0 0 4px 0" }}>Tajima's D and Fu's Fs</h4>
+                    <p style={{ fontSize: "14px", color: "#6b7280", margin: 0 }}>
+                      Neutrality tests comparing π with S (D) and the number of haplotypes with that expected from π
+                      (Fs). Significance comes from coalescent simulations of a constant-size neutral population.
                     </p>
                   </div>
                   <div>
@@ -657,7 +1013,7 @@ const DiversityAnalysis = () => {
                 </div>
                 <div className="card-content">
                   <ResponsiveContainer width="100%" height={300}>
-                    <ScatterChart data={processedData}>
+                    <ScatterChart data={alignedData}>
                       <CartesianGrid strokeDasharray="3 3" />
                       <XAxis dataKey="metrics.sampleSize" name="Sample Size" type="number" />
                       <YAxis dataKey="metrics.nucleotideDiversity" name="Nucleotide Diversity" type="number" />
@@ -672,8 +1028,8 @@ const DiversityAnalysis = () => {
                         }}
                         labelFormatter={() => ""}
                       />
-                      <Scatter name="Species Data" data={processedData} fill="#8884d8">
-                        {processedData.map((entry, index) => (
+                      <Scatter name="Species Data" data={alignedData} fill="#8884d8">
+                        {alignedData.map((entry, index) => (
                           <Cell key={`cell-${index}`} fill={speciesColors[entry.species]} />
                         ))}
                       </Scatter>
@@ -684,6 +1040,111 @@ const DiversityAnalysis = () => {
             </div>
           </div>
 
+          {/* Population Genetic Statistics */}
+          <div className="card">
+            <div className="card-header">
+              <h3 style={{ fontSize: "18px", fontWeight: "600", margin: 0 }}>Population Genetic Statistics</h3>
+              <p style={{ fontSize: "14px", color: "#6b7280", margin: "4px 0 0 0" }}>
+                Computed on the aligned locus over sites without gaps or ambiguous bases; neutrality tests use{" "}
+                {popgenResult ? Object.values(popgenResult.species)[0]?.simulations || 0 : "—"} coalescent simulations
+                conditioned on the observed segregating sites
+              </p>
+            </div>
+            <div className="card-content" style={{ overflowX: "auto" }}>
+              {popgenLoading && <p style={{ fontSize: "14px", color: "#6b7280", margin: 0 }}>Aligning and simulating…</p>}
+              {popgenError && <p style={{ fontSize: "14px", color: "#dc2626", margin: 0 }}>{popgenError}</p>}
+              {popgenResult && !popgenLoading && (
+                <table style={{ width: "100%", fontSize: "13px", borderCollapse: "collapse" }}>
+                  <thead>
+                    <tr style={{ textAlign: "right", color: "#6b7280", borderBottom: "1px solid #e5e7eb" }}>
+                      <th style={{ padding: "6px", textAlign: "left" }}>Species</th>
+                      <th style={{ padding: "6px" }}>n</th>
+                      <th style={{ padding: "6px" }}>Sites</th>
+                      <th style={{ padding: "6px" }}>S</th>
+                      <th style={{ padding: "6px" }}>θW / site</th>
+                      <th style={{ padding: "6px" }}>π ± SD</th>
+                      <th style={{ padding: "6px" }}>h</th>
+                      <th style={{ padding: "6px" }}>Hd ± SD</th>
+                      <th style={{ padding: "6px" }}>Tajima's D (p)</th>
+                      <th style={{ padding: "6px" }}>Fu's Fs (p)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(popgenResult.species).map(([species, stats]) => (
+                      <tr key={species} style={{ textAlign: "right", borderBottom: "1px solid #f3f4f6" }}>
+                        <td style={{ padding: "6px", textAlign: "left", fontStyle: "italic" }}>{species}</td>
+                        <td style={{ padding: "6px" }}>{stats.sampleSize}</td>
+                        <td style={{ padding: "6px" }}>{stats.sites}</td>
+                        <td style={{ padding: "6px" }}>{stats.segregatingSites}</td>
+                        <td style={{ padding: "6px" }}>{stats.thetaWPerSite.toFixed(5)}</td>
+                        <td style={{ padding: "6px" }}>
+                          {stats.pi.toFixed(5)} ± {stats.piSd.toFixed(5)}
+                        </td>
+                        <td style={{ padding: "6px" }}>{stats.haplotypeCount}</td>
+                        <td style={{ padding: "6px" }}>
+                          {stats.haplotypeDiversity.toFixed(3)} ± {stats.haplotypeDiversitySd.toFixed(3)}
+                        </td>
+                        <td style={{ padding: "6px", fontWeight: stats.tajimasDTest?.p < 0.05 ? "700" : "400" }}>
+                          {formatNeutralityTest(stats.tajimasD, stats.tajimasDTest)}
+                        </td>
+                        <td style={{ padding: "6px", fontWeight: stats.fusFsTest?.pLower < 0.02 ? "700" : "400" }}>
+                          {formatNeutralityTest(stats.fusFs, stats.fusFsTest, "pLower")}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              <p style={{ fontSize: "12px", color: "#9ca3af", margin: "8px 0 0 0" }}>
+                Bold: Tajima's D two-sided p {"<"} 0.05; Fu's Fs p(Fs ≤ observed) {"<"} 0.02, Fu's recommended level.
+                Negative values suggest population expansion or purifying selection, positive D a bottleneck or
+                balancing selection. Tests need at least {DEFAULT_POPGEN_OPTIONS.minTestSequences} sequences.
+              </p>
+            </div>
+          </div>
+
+          {/* Mismatch Distribution */}
+          {mismatchStats && (
+            <div className="card">
+              <div className="card-header" style={{ display: "flex", justifyContent: "space-between", gap: "16px" }}>
+                <div>
+                  <h3 style={{ fontSize: "18px", fontWeight: "600", margin: 0 }}>Mismatch Distribution</h3>
+                  <p style={{ fontSize: "14px", color: "#6b7280", margin: "4px 0 0 0" }}>
+                    Pairwise differences against the constant-size expectation · mean{" "}
+                    {mismatchStats.mismatch.mean.toFixed(2)}, variance {mismatchStats.mismatch.variance.toFixed(2)},
+                    raggedness r = {mismatchStats.mismatch.raggedness.toFixed(4)}
+                  </p>
+                </div>
+                <select
+                  value={mismatchStats.species}
+                  onChange={(event) => setMismatchSpecies(event.target.value)}
+                  style={{ padding: "6px 10px", border: "1px solid #d1d5db", borderRadius: "6px", alignSelf: "center" }}
+                >
+                  {Object.keys(popgenResult.species)
+                    .filter((species) => popgenResult.species[species].sampleSize > 1)
+                    .map((species) => (
+                      <option key={species} value={species}>
+                        {species}
+                      </option>
+                    ))}
+                </select>
+              </div>
+              <div className="card-content">
+                <ResponsiveContainer width="100%" height={280}>
+                  <ComposedChart data={mismatchStats.mismatch.distribution}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="differences" label={{ value: "Pairwise differences", position: "insideBottom", offset: -4 }} />
+                    <YAxis />
+                    <Tooltip formatter={(value) => (typeof value === "number" ? value.toFixed(3) : value)} />
+                    <Legend verticalAlign="top" />
+                    <Bar dataKey="observed" name="Observed" fill={speciesColors[mismatchStats.species] || "#8884d8"} />
+                    <Line dataKey="expected" name="Expected (constant size)" stroke="#374151" dot={false} type="monotone" />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          )}
+
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3">
             {filteredData.map((species) => (
               <div key={species.species} className="card">
@@ -767,9 +1228,9 @@ const DiversityAnalysis = () => {
                   <div className="grid grid-cols-2" style={{ paddingTop: "12px", borderTop: "1px solid #e5e7eb" }}>
                     <div style={{ textAlign: "center" }}>
                       <div style={{ fontSize: "18px", fontWeight: "bold", color: "#1f2937" }}>
-                        {species.metrics.polymorphicSites}
+                        {species.metrics.segregatingSites ?? "—"}
                       </div>
-                      <div style={{ fontSize: "12px", color: "#6b7280" }}>Polymorphic Sites</div>
+                      <div style={{ fontSize: "12px", color: "#6b7280" }}>Segregating Sites</div>
                     </div>
                     <div style={{ textAlign: "center" }}>
                       <div style={{ fontSize: "18px", fontWeight: "bold", color: "#1f2937" }}>
@@ -780,11 +1241,24 @@ const DiversityAnalysis = () => {
                   </div>
 
                   <div>
-                    <span style={{ fontSize: "14px", color: "#6b7280" }}>Nucleotide Diversity: </span>
+                    <span style={{ fontSize: "14px", color: "#6b7280" }}>Nucleotide Diversity (π): </span>
                     <span style={{ fontSize: "14px", fontWeight: "500" }}>
-                      {species.metrics.nucleotideDiversity.toFixed(4)}
+                      {formatStatistic(species.metrics.nucleotideDiversity)}
                     </span>
                   </div>
+                  <div>
+                    <span style={{ fontSize: "14px", color: "#6b7280" }}>Haplotype Diversity (Hd): </span>
+                    <span style={{ fontSize: "14px", fontWeight: "500" }}>
+                      {formatStatistic(species.metrics.haplotypeDiversity, 3)}
+                    </span>
+                  </div>
+                  {species.riskLevel === null && (
+                    <p style={{ fontSize: "12px", color: "#6b7280", margin: 0 }}>
+                      {popgenLoading
+                        ? "Aligning the locus…"
+                        : "π, S and Hd need at least 2 aligned sequences of this species."}
+                    </p>
+                  )}
                 </div>
               </div>
             ))}
@@ -860,23 +1334,69 @@ const DiversityAnalysis = () => {
             </div>
           </div>
 
+          {/* Selection Analysis Settings */}
+          <div className="card">
+            <div
+              className="card-content"
+              style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "16px", fontSize: "14px" }}
+            >
+              <label style={{ display: "flex", alignItems: "center", gap: "8px", fontWeight: "500" }}>
+                Genetic code
+                <select
+                  value={geneticCode}
+                  onChange={(e) => setGeneticCode(e.target.value === AUTO_GENETIC_CODE ? AUTO_GENETIC_CODE : Number(e.target.value))}
+                  style={{ padding: "4px 8px", border: "1px solid #d1d5db", borderRadius: "4px" }}
+                >
+                  <option value={AUTO_GENETIC_CODE}>Auto (from CDS / organelle)</option>
+                  {Object.values(GENETIC_CODES).map((code) => (
+                    <option key={code.id} value={code.id}>
+                      {code.id}. {code.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              {selectionLoading && <span style={{ color: "#6b7280" }}>Aligning coding sequences…</span>}
+              {selectionError && <span style={{ color: "#dc2626" }}>{selectionError}</span>}
+              {selectionResult && !selectionLoading && (
+                <span style={{ color: "#6b7280" }}>
+                  {selectionResult.geneticCode.name} code ·{" "}
+                  {selectionResult.frames.filter((frame) => frame.frameSource === "cds").length} of{" "}
+                  {selectionResult.frames.length} reading frames from CDS features (others inferred) · Nei–Gojobori with
+                  Jukes–Cantor correction, {Math.round(selectionResult.overall.codons)} codon comparisons
+                </span>
+              )}
+              {selectionResult && selectionResult.frames.some((frame) => frame.internalStops > 0) && (
+                <span style={{ color: "#d97706" }}>
+                  {selectionResult.frames.filter((frame) => frame.internalStops > 0).length} sequence(s) contain
+                  internal stop codons; the locus may be non-coding or the genetic code wrong
+                </span>
+              )}
+            </div>
+          </div>
+
           {/* Selection Analysis Results */}
           <div className="grid grid-cols-1 md:grid-cols-2">
             <div className="card">
               <div className="card-header">
                 <h3 style={{ fontSize: "18px", fontWeight: "600", margin: 0 }}>dN/dS Ratios by Species</h3>
+                <p style={{ fontSize: "14px", color: "#6b7280", margin: "4px 0 0 0" }}>
+                  Pooled over within-species pairs; error bars are 95% bootstrap intervals over sequences
+                </p>
               </div>
               <div className="card-content">
                 <ResponsiveContainer width="100%" height={300}>
-                  <BarChart data={selectionData}>
+                  <BarChart data={selectionData.filter((entry) => entry.dnds !== null)}>
                     <CartesianGrid strokeDasharray="3 3" />
                     <XAxis dataKey="species" angle={-45} textAnchor="end" height={80} fontSize={12} />
                     <YAxis />
-                    <Tooltip />
+                    <Tooltip formatter={(value) => (typeof value === "number" ? value.toFixed(3) : value)} />
                     <Bar dataKey="dnds" name="dN/dS Ratio">
-                      {selectionData.map((entry, index) => (
-                        <Cell key={`cell-${index}`} fill={getSelectionColor(entry.selectionType)} />
-                      ))}
+                      {selectionData
+                        .filter((entry) => entry.dnds !== null)
+                        .map((entry, index) => (
+                          <Cell key={`cell-${index}`} fill={getSelectionColor(entry.selectionType)} />
+                        ))}
+                      <ErrorBar dataKey="errorBar" width={6} stroke="#374151" />
                     </Bar>
                   </BarChart>
                 </ResponsiveContainer>
@@ -903,7 +1423,14 @@ const DiversityAnalysis = () => {
                     <div>
                       <h4 style={{ fontWeight: "500", margin: "0 0 4px 0" }}>{species.species}</h4>
                       <p style={{ fontSize: "14px", color: "#6b7280", margin: 0 }}>
-                        dN/dS: {species.dnds.toFixed(3)} | Syn: {species.synonymous} | Non-syn: {species.nonSynonymous}
+                        dN/dS: {species.dnds !== null ? species.dnds.toFixed(3) : "N/A"}
+                        {species.ci && ` (95% CI ${species.ci[0].toFixed(3)}–${species.ci[1].toFixed(3)})`} | dN:{" "}
+                        {species.dN !== null ? species.dN.toFixed(4) : "N/A"} | dS:{" "}
+                        {species.dS !== null ? species.dS.toFixed(4) : "N/A"}
+                      </p>
+                      <p style={{ fontSize: "12px", color: "#9ca3af", margin: 0 }}>
+                        {species.sampleSize} sequences · {species.pairCount} pairs · Syn:{" "}
+                        {species.synonymous.toFixed(1)} | Non-syn: {species.nonSynonymous.toFixed(1)}
                       </p>
                     </div>
                     <span
@@ -921,78 +1448,270 @@ const DiversityAnalysis = () => {
             </div>
           </div>
 
-          {/* Selection Heatmap */}
+          {/* Pairwise dN/dS */}
+          {selectionResult && (
+            <div className="card">
+              <div className="card-header">
+                <h3 style={{ fontSize: "18px", fontWeight: "600", margin: 0 }}>Pairwise dN/dS</h3>
+                <p style={{ fontSize: "14px", color: "#6b7280", margin: "4px 0 0 0" }}>
+                  Between-species comparisons and every sequence pair; pair intervals use the delta method on log dN/dS
+                </p>
+              </div>
+              <div className="card-content" style={{ maxHeight: "400px", overflow: "auto" }}>
+                <table style={{ width: "100%", fontSize: "13px", borderCollapse: "collapse" }}>
+                  <thead>
+                    <tr style={{ textAlign: "left", color: "#6b7280", borderBottom: "1px solid #e5e7eb" }}>
+                      <th style={{ padding: "6px" }}>Comparison</th>
+                      <th style={{ padding: "6px", textAlign: "right" }}>Codons</th>
+                      <th style={{ padding: "6px", textAlign: "right" }}>dN</th>
+                      <th style={{ padding: "6px", textAlign: "right" }}>dS</th>
+                      <th style={{ padding: "6px", textAlign: "right" }}>dN/dS (95% CI)</th>
+                      <th style={{ padding: "6px" }}>Selection</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[
+                      ...selectionResult.betweenSpecies.map((entry) => ({
+                        key: `${entry.species1}|${entry.species2}`,
+                        label: `${entry.species1} vs ${entry.species2} (${entry.pairCount} pairs)`,
+                        bold: true,
+                        ...entry,
+                      })),
+                      ...selectionResult.pairs.map((entry) => ({
+                        key: `${entry.id1}|${entry.id2}`,
+                        label: `${entry.id1} vs ${entry.id2}`,
+                        bold: false,
+                        ...entry,
+                      })),
+                    ].map((row) => (
+                      <tr key={row.key} style={{ borderBottom: "1px solid #f3f4f6", fontWeight: row.bold ? "600" : "400" }}>
+                        <td style={{ padding: "6px" }}>{row.label}</td>
+                        <td style={{ padding: "6px", textAlign: "right" }}>{Math.round(row.codons)}</td>
+                        <td style={{ padding: "6px", textAlign: "right" }}>{row.dN !== null ? row.dN.toFixed(4) : "—"}</td>
+                        <td style={{ padding: "6px", textAlign: "right" }}>{row.dS !== null ? row.dS.toFixed(4) : "—"}</td>
+                        <td style={{ padding: "6px", textAlign: "right" }}>
+                          {row.omega !== null ? row.omega.toFixed(3) : row.saturated ? "saturated" : "—"}
+                          {row.ci && ` (${row.ci[0].toFixed(2)}–${row.ci[1].toFixed(2)})`}
+                        </td>
+                        <td style={{ padding: "6px", color: getSelectionColor(row.selectionType) }}>{row.selectionType}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {/* Selection Scan */}
           <div className="card">
             <div className="card-header">
               <h3 style={{ fontSize: "18px", fontWeight: "600", margin: 0 }}>🔥 Genomic Regions Under Selection</h3>
               <p style={{ fontSize: "14px", color: "#6b7280", margin: "4px 0 0 0" }}>
-                Heatmap showing selection pressure across different genomic regions
+                SLAC-style scan: substitutions are counted on a tree of each group and tested per codon against the
+                synonymous/nonsynonymous site ratio
               </p>
             </div>
-            <div className="card-content">
-              <div style={{ display: "flex", flexDirection: "column", gap: "8px" }}>
-                {/* Heatmap Header */}
-                <div className="grid grid-cols-7" style={{ gap: "2px" }}>
-                  <div style={{ padding: "8px", fontWeight: "600", fontSize: "12px" }}>Species</div>
-                  <div style={{ padding: "8px", fontWeight: "600", fontSize: "12px", textAlign: "center" }}>Exon 1</div>
-                  <div style={{ padding: "8px", fontWeight: "600", fontSize: "12px", textAlign: "center" }}>
-                    Intron 1
-                  </div>
-                  <div style={{ padding: "8px", fontWeight: "600", fontSize: "12px", textAlign: "center" }}>Exon 2</div>
-                  <div style={{ padding: "8px", fontWeight: "600", fontSize: "12px", textAlign: "center" }}>
-                    Intron 2
-                  </div>
-                  <div style={{ padding: "8px", fontWeight: "600", fontSize: "12px", textAlign: "center" }}>Exon 3</div>
-                  <div style={{ padding: "8px", fontWeight: "600", fontSize: "12px", textAlign: "center" }}>UTR 3'</div>
-                </div>
+            <div className="card-content" style={{ display: "flex", flexDirection: "column", gap: "16px" }}>
+              <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "16px", fontSize: "14px" }}>
+                <label style={{ display: "flex", alignItems: "center", gap: "8px" }}>
+                  <span style={{ fontWeight: "500" }}>Window</span>
+                  <select
+                    value={scanWindowSize}
+                    onChange={(event) => setScanWindowSize(Number(event.target.value))}
+                    style={{ padding: "6px 10px", border: "1px solid #d1d5db", borderRadius: "6px" }}
+                  >
+                    {[10, 20, 50].map((size) => (
+                      <option key={size} value={size}>
+                        {size} codons
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label style={{ display: "flex", alignItems: "center", gap: "8px" }}>
+                  <span style={{ fontWeight: "500" }}>Significance</span>
+                  <select
+                    value={scanSignificance}
+                    onChange={(event) => setScanSignificance(Number(event.target.value))}
+                    style={{ padding: "6px 10px", border: "1px solid #d1d5db", borderRadius: "6px" }}
+                  >
+                    {[0.01, 0.05, 0.1].map((level) => (
+                      <option key={level} value={level}>
+                        p {"<"} {level}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                {selectionResult?.scan && (
+                  <span style={{ color: "#6b7280" }}>
+                    Coordinates are positions in {selectionResult.scan.reference.id} (
+                    {selectionResult.scan.reference.species}), {selectionResult.scan.reference.codons} codons
+                  </span>
+                )}
+              </div>
 
-                {/* Heatmap Rows */}
-                {processedData.map((species, speciesIndex) => (
-                  <div key={species.species} className="grid grid-cols-7" style={{ gap: "2px" }}>
-                    <div style={{ padding: "8px", fontSize: "12px", fontWeight: "500" }}>
-                      {species.species.replace("Pongo ", "P. ")}
-                    </div>
-                    {["Exon 1", "Intron 1", "Exon 2", "Intron 2", "Exon 3", "UTR 3'"].map((region, regionIndex) => {
-                      const baseValue = species.selectionAnalysis?.dnds || 0.5
-                      const variation = (Math.random() - 0.5) * 0.4
-                      const selectionPressure = Math.max(0, baseValue + variation)
-                      const intensity = Math.min(selectionPressure / 2, 1)
-                      const color =
-                        selectionPressure > 1
-                          ? `rgba(220, 38, 38, ${intensity})`
-                          : selectionPressure < 0.8
-                            ? `rgba(59, 130, 246, ${intensity})`
-                            : `rgba(107, 114, 128, ${intensity})`
-
-                      return (
+              {scanTracks.length === 0 ? (
+                <p style={{ fontSize: "14px", color: "#6b7280", margin: 0 }}>
+                  {selectionLoading
+                    ? "Scanning codon sites…"
+                    : `The scan needs at least ${DEFAULT_SCAN_OPTIONS.minSequences} aligned coding sequences in a group.`}
+                </p>
+              ) : (
+                <>
+                  {/* Sliding-window heatmap */}
+                  <div style={{ overflowX: "auto" }}>
+                    <div
+                      style={{
+                        display: "grid",
+                        gridTemplateColumns: `140px repeat(${scanTracks[0].windows.length}, minmax(40px, 1fr))`,
+                        gap: "2px",
+                      }}
+                    >
+                      <div style={{ padding: "8px", fontWeight: "600", fontSize: "12px" }}>Group</div>
+                      {scanTracks[0].windows.map((window) => (
                         <div
-                          key={region}
-                          className="heatmap-cell"
-                          style={{ backgroundColor: color }}
-                          title={`${species.species} - ${region}: dN/dS = ${selectionPressure.toFixed(3)}`}
+                          key={window.startCodon}
+                          style={{ padding: "4px 0", fontSize: "10px", color: "#6b7280", textAlign: "center" }}
+                          title={`Codons ${window.startCodon}–${window.endCodon}, nt ${window.position[0]}–${window.position[1]}`}
                         >
-                          {selectionPressure.toFixed(2)}
+                          {window.position[0]}
                         </div>
-                      )
-                    })}
+                      ))}
+
+                      {scanTracks.map((track) => (
+                        <React.Fragment key={track.name}>
+                          <div style={{ padding: "8px", fontSize: "12px", fontWeight: "500" }}>
+                            {track.name.replace("Pongo ", "P. ")} ({track.sequenceCount})
+                          </div>
+                          {track.windows.map((window) => {
+                            const call = siteSelection(window, scanSignificance)
+                            return (
+                              <div
+                                key={window.startCodon}
+                                className="heatmap-cell"
+                                style={{
+                                  backgroundColor: getScanColor(window.omega, call),
+                                  outline: call === "neutral" ? "none" : "2px solid #111827",
+                                }}
+                                title={
+                                  `${track.name}, nt ${window.position[0]}–${window.position[1]}: ` +
+                                  `dN/dS = ${window.omega !== null ? window.omega.toFixed(3) : "n/a"}, ` +
+                                  `syn ${window.synonymous.toFixed(1)}, non-syn ${window.nonsynonymous.toFixed(1)}, ` +
+                                  `p(positive) = ${window.pPositive.toFixed(3)}, p(negative) = ${window.pNegative.toFixed(3)}`
+                                }
+                              >
+                                {window.omega !== null ? window.omega.toFixed(2) : "–"}
+                              </div>
+                            )
+                          })}
+                        </React.Fragment>
+                      ))}
+                    </div>
                   </div>
-                ))}
-              </div>
+
+                  {/* Per-codon tracks */}
+                  <div style={{ display: "flex", flexDirection: "column", gap: "6px" }}>
+                    <span style={{ fontSize: "12px", fontWeight: "600" }}>Codon sites</span>
+                    {scanTracks.map((track) => (
+                      <div key={track.name} style={{ display: "flex", alignItems: "center", gap: "8px" }}>
+                        <span style={{ width: "140px", flexShrink: 0, fontSize: "12px" }}>
+                          {track.name.replace("Pongo ", "P. ")}
+                        </span>
+                        <div style={{ display: "flex", flex: 1, height: "14px", background: "#f3f4f6" }}>
+                          {track.sites.map((site) => {
+                            const call = siteSelection(site, scanSignificance)
+                            return (
+                              <div
+                                key={site.index}
+                                style={{
+                                  flex: 1,
+                                  backgroundColor:
+                                    call === "positive" ? "#dc2626" : call === "negative" ? "#3b82f6" : "transparent",
+                                }}
+                                title={`Codon ${site.index} (nt ${site.position[0]}–${site.position[1]}) ${site.codon || ""} ${site.aminoAcid || ""}`}
+                              />
+                            )
+                          })}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+
+                  {/* Significant sites */}
+                  <div style={{ maxHeight: "320px", overflow: "auto" }}>
+                    {scanTracks.every((track) => track.flagged.length === 0) ? (
+                      <p style={{ fontSize: "14px", color: "#6b7280", margin: 0 }}>
+                        No codon sites reach p {"<"} {scanSignificance}.
+                      </p>
+                    ) : (
+                      <table style={{ width: "100%", fontSize: "13px", borderCollapse: "collapse" }}>
+                        <thead>
+                          <tr style={{ textAlign: "left", color: "#6b7280", borderBottom: "1px solid #e5e7eb" }}>
+                            <th style={{ padding: "6px" }}>Group</th>
+                            <th style={{ padding: "6px", textAlign: "right" }}>Codon</th>
+                            <th style={{ padding: "6px" }}>Position (nt)</th>
+                            <th style={{ padding: "6px" }}>Ancestral</th>
+                            <th style={{ padding: "6px", textAlign: "right" }}>Syn</th>
+                            <th style={{ padding: "6px", textAlign: "right" }}>Non-syn</th>
+                            <th style={{ padding: "6px", textAlign: "right" }}>dN − dS</th>
+                            <th style={{ padding: "6px", textAlign: "right" }}>p</th>
+                            <th style={{ padding: "6px" }}>Selection</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {scanTracks.flatMap((track) =>
+                            track.flagged.map((site) => {
+                              const call = siteSelection(site, scanSignificance)
+                              const type = call === "positive" ? "Positive" : "Purifying"
+                              return (
+                                <tr key={`${track.name}|${site.index}`} style={{ borderBottom: "1px solid #f3f4f6" }}>
+                                  <td style={{ padding: "6px" }}>{track.name}</td>
+                                  <td style={{ padding: "6px", textAlign: "right" }}>{site.index}</td>
+                                  <td style={{ padding: "6px" }}>
+                                    {site.position[0]}–{site.position[1]}
+                                  </td>
+                                  <td style={{ padding: "6px", fontFamily: "monospace" }}>
+                                    {site.codon} ({site.aminoAcid})
+                                  </td>
+                                  <td style={{ padding: "6px", textAlign: "right" }}>{site.synonymous.toFixed(1)}</td>
+                                  <td style={{ padding: "6px", textAlign: "right" }}>{site.nonsynonymous.toFixed(1)}</td>
+                                  <td style={{ padding: "6px", textAlign: "right" }}>{site.dNminusdS.toFixed(3)}</td>
+                                  <td style={{ padding: "6px", textAlign: "right" }}>
+                                    {(call === "positive" ? site.pPositive : site.pNegative).toFixed(4)}
+                                  </td>
+                                  <td style={{ padding: "6px", color: getSelectionColor(type) }}>{type}</td>
+                                </tr>
+                              )
+                            }),
+                          )}
+                        </tbody>
+                      </table>
+                    )}
+                  </div>
+                </>
+              )}
 
               {/* Legend */}
-              <div style={{ marginTop: "16px", display: "flex", alignItems: "center", gap: "16px", fontSize: "12px" }}>
-                <span>Selection Pressure:</span>
+              <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "16px", fontSize: "12px" }}>
+                <span>Window dN/dS:</span>
                 <div style={{ display: "flex", alignItems: "center", gap: "4px" }}>
-                  <div style={{ width: "20px", height: "12px", backgroundColor: "rgba(59, 130, 246, 0.8)" }}></div>
-                  <span>Purifying ({"<"} 0.8)</span>
+                  <div style={{ width: "20px", height: "12px", backgroundColor: getScanColor(0.3, "neutral") }}></div>
+                  <span>{"<"} 1</span>
                 </div>
                 <div style={{ display: "flex", alignItems: "center", gap: "4px" }}>
-                  <div style={{ width: "20px", height: "12px", backgroundColor: "rgba(107, 114, 128, 0.8)" }}></div>
-                  <span>Neutral (0.8-1.2)</span>
+                  <div style={{ width: "20px", height: "12px", backgroundColor: getScanColor(3, "neutral") }}></div>
+                  <span>{">"} 1</span>
                 </div>
                 <div style={{ display: "flex", alignItems: "center", gap: "4px" }}>
-                  <div style={{ width: "20px", height: "12px", backgroundColor: "rgba(220, 38, 38, 0.8)" }}></div>
-                  <span>Positive ({">"} 1.2)</span>
+                  <div style={{ width: "20px", height: "12px", outline: "2px solid #111827" }}></div>
+                  <span>Significant window</span>
+                </div>
+                <div style={{ display: "flex", alignItems: "center", gap: "4px" }}>
+                  <div style={{ width: "20px", height: "12px", backgroundColor: "#dc2626" }}></div>
+                  <span>Positively selected codon</span>
+                </div>
+                <div style={{ display: "flex", alignItems: "center", gap: "4px" }}>
+                  <div style={{ width: "20px", height: "12px", backgroundColor: "#3b82f6" }}></div>
+                  <span>Negatively selected codon</span>
                 </div>
               </div>
             </div>
@@ -1000,6 +1719,225 @@ const DiversityAnalysis = () => {
         </div>
       )}
 
+      {activeTab === "structure" && (
+        <div style={{ display: "flex", flexDirection: "column", gap: "24px" }}>
+          {/* Grouping */}
+          <div className="card">
+            <div className="card-header">
+              <h3 style={{ fontSize: "18px", fontWeight: "600", margin: 0 }}>Population Differentiation</h3>
+              <p style={{ fontSize: "14px", color: "#6b7280", margin: "4px 0 0 0" }}>
+                Pairwise FST (Hudson) and ΦST from pairwise nucleotide differences of the aligned locus, with a
+                hierarchical AMOVA of species, populations and individuals
+              </p>
+            </div>
+            <div className="card-content" style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "16px", fontSize: "14px" }}>
+              <label style={{ display: "flex", alignItems: "center", gap: "8px" }}>
+                <span style={{ fontWeight: "500" }}>Populations</span>
+                <select
+                  value={populationGrouping}
+                  onChange={(event) => setPopulationGrouping(event.target.value)}
+                  style={{ padding: "6px 10px", border: "1px solid #d1d5db", borderRadius: "6px" }}
+                >
+                  {Object.entries(POPULATION_GROUPINGS).map(([field, label]) => (
+                    <option key={field} value={field}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              {differentiationLoading && <span style={{ color: "#6b7280" }}>Aligning and permuting…</span>}
+              {differentiationError && <span style={{ color: "#dc2626" }}>{differentiationError}</span>}
+              {differentiation && !differentiationLoading && (
+                <span style={{ color: "#6b7280" }}>
+                  {differentiation.populations.length} populations · {differentiation.permutations} permutations
+                  {differentiation.excluded.length > 0 &&
+                    ` · ${differentiation.excluded.length} sample(s) left out (no ${POPULATION_GROUPINGS[
+                      differentiation.groupBy
+                    ].toLowerCase()} or population too small)`}
+                </span>
+              )}
+            </div>
+          </div>
+
+          {differentiation && !differentiationLoading && differentiation.populations.length < 2 && (
+            <div className="card">
+              <div className="card-content" style={{ fontSize: "14px", color: "#6b7280" }}>
+                Differentiation needs at least two populations with {DEFAULT_DIFFERENTIATION_OPTIONS.minPopulationSize}{" "}
+                or more samples of the selected locus. Try another grouping or upload records with collection sites or
+                coordinates.
+              </div>
+            </div>
+          )}
+
+          {differentiation?.amova && !differentiationLoading && (
+            <>
+              {/* Pairwise heatmap */}
+              <div className="card">
+                <div className="card-header" style={{ display: "flex", justifyContent: "space-between", gap: "16px" }}>
+                  <div>
+                    <h3 style={{ fontSize: "18px", fontWeight: "600", margin: 0 }}>Pairwise {differentiationMetric === "phiST" ? "ΦST" : "FST"}</h3>
+                    <p style={{ fontSize: "14px", color: "#6b7280", margin: "4px 0 0 0" }}>
+                      Values below the diagonal, permutation p-values above; bold pairs are differentiated at p {"<"}{" "}
+                      {differentiation.alpha}
+                    </p>
+                  </div>
+                  <select
+                    value={differentiationMetric}
+                    onChange={(event) => setDifferentiationMetric(event.target.value)}
+                    style={{ padding: "6px 10px", border: "1px solid #d1d5db", borderRadius: "6px", alignSelf: "center" }}
+                  >
+                    <option value="phiST">ΦST</option>
+                    <option value="fst">FST</option>
+                  </select>
+                </div>
+                <div className="card-content" style={{ overflowX: "auto" }}>
+                  <div
+                    style={{
+                      display: "grid",
+                      gridTemplateColumns: `180px repeat(${differentiation.populations.length}, minmax(64px, 1fr))`,
+                      gap: "2px",
+                      fontSize: "12px",
+                    }}
+                  >
+                    <div />
+                    {differentiation.populations.map((population) => (
+                      <div key={population.id} style={{ padding: "4px", fontWeight: "600", textAlign: "center" }}>
+                        {formatPopulation(population)}
+                      </div>
+                    ))}
+                    {differentiation.populations.map((rowPopulation, row) => (
+                      <React.Fragment key={rowPopulation.id}>
+                        <div style={{ padding: "8px", fontWeight: "600" }}>
+                          {formatPopulation(rowPopulation)} (n={rowPopulation.size})
+                        </div>
+                        {differentiation.populations.map((columnPopulation, column) => {
+                          if (row === column) {
+                            return <div key={columnPopulation.id} style={{ backgroundColor: "#f3f4f6" }} />
+                          }
+                          const pair = pairwiseLookup.get(`${Math.min(row, column)}|${Math.max(row, column)}`)
+                          const value = pair[differentiationMetric]
+                          const p = differentiationMetric === "phiST" ? pair.pPhiST : pair.pFst
+                          const significant = p < differentiation.alpha
+                          return (
+                            <div
+                              key={columnPopulation.id}
+                              style={{
+                                height: "40px",
+                                display: "flex",
+                                alignItems: "center",
+                                justifyContent: "center",
+                                border: "1px solid #e5e7eb",
+                                fontWeight: significant ? "700" : "400",
+                                backgroundColor: row > column ? getDifferentiationColor(value) : "white",
+                                color: row > column && value > 0.5 ? "white" : "#1f2937",
+                              }}
+                              title={
+                                `${formatPopulation(rowPopulation)} vs ${formatPopulation(columnPopulation)}: ` +
+                                `FST = ${pair.fst.toFixed(4)} (p = ${pair.pFst.toFixed(3)}), ` +
+                                `ΦST = ${pair.phiST.toFixed(4)} (p = ${pair.pPhiST.toFixed(3)}), ` +
+                                `mean differences within ${pair.withinDifferences.toFixed(2)}, between ${pair.betweenDifferences.toFixed(2)}` +
+                                (pair.minimumP >= differentiation.alpha
+                                  ? `; too few samples to reach p < ${differentiation.alpha} (smallest possible p ${pair.minimumP.toFixed(3)})`
+                                  : "")
+                              }
+                            >
+                              {row > column ? value.toFixed(3) : p.toFixed(3)}
+                            </div>
+                          )
+                        })}
+                      </React.Fragment>
+                    ))}
+                  </div>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 lg:grid-cols-2">
+                {/* AMOVA */}
+                <div className="card">
+                  <div className="card-header">
+                    <h3 style={{ fontSize: "18px", fontWeight: "600", margin: 0 }}>AMOVA</h3>
+                    <p style={{ fontSize: "14px", color: "#6b7280", margin: "4px 0 0 0" }}>
+                      {differentiation.amova.hierarchical
+                        ? "Species as groups, populations nested within species"
+                        : "Populations and individuals"}
+                    </p>
+                  </div>
+                  <div className="card-content">
+                    <table style={{ width: "100%", fontSize: "13px", borderCollapse: "collapse" }}>
+                      <thead>
+                        <tr style={{ textAlign: "right", color: "#6b7280", borderBottom: "1px solid #e5e7eb" }}>
+                          <th style={{ padding: "6px", textAlign: "left" }}>Source of variation</th>
+                          <th style={{ padding: "6px" }}>df</th>
+                          <th style={{ padding: "6px" }}>SSD</th>
+                          <th style={{ padding: "6px" }}>σ²</th>
+                          <th style={{ padding: "6px" }}>% variation</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {differentiation.amova.sources.map((source) => (
+                          <tr key={source.source} style={{ textAlign: "right", borderBottom: "1px solid #f3f4f6" }}>
+                            <td style={{ padding: "6px", textAlign: "left" }}>{source.source}</td>
+                            <td style={{ padding: "6px" }}>{source.df}</td>
+                            <td style={{ padding: "6px" }}>{source.ssd.toFixed(2)}</td>
+                            <td style={{ padding: "6px" }}>{source.sigma.toFixed(3)}</td>
+                            <td style={{ padding: "6px" }}>{source.percentage.toFixed(1)}</td>
+                          </tr>
+                        ))}
+                        <tr style={{ textAlign: "right", fontWeight: "600" }}>
+                          <td style={{ padding: "6px", textAlign: "left" }}>Total</td>
+                          <td style={{ padding: "6px" }}>{differentiation.amova.total.df}</td>
+                          <td style={{ padding: "6px" }}>{differentiation.amova.total.ssd.toFixed(2)}</td>
+                          <td style={{ padding: "6px" }}>{differentiation.amova.total.sigma.toFixed(3)}</td>
+                          <td style={{ padding: "6px" }}>100.0</td>
+                        </tr>
+                      </tbody>
+                    </table>
+                    <div style={{ display: "flex", flexWrap: "wrap", gap: "16px", marginTop: "12px", fontSize: "14px" }}>
+                      {Object.entries(differentiation.amova.pValues).map(([statistic, p]) => (
+                        <span key={statistic}>
+                          <strong>{statistic.replace("phi", "Φ")}</strong> = {differentiation.amova[statistic].toFixed(4)}{" "}
+                          <span style={{ color: p < differentiation.alpha ? "#dc2626" : "#6b7280" }}>(p = {p.toFixed(3)})</span>
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                </div>
+
+                {/* Management units */}
+                <div className="card">
+                  <div className="card-header">
+                    <h3 style={{ fontSize: "18px", fontWeight: "600", margin: 0 }}>Candidate Management Units</h3>
+                    <p style={{ fontSize: "14px", color: "#6b7280", margin: "4px 0 0 0" }}>
+                      Populations of the same species joined when their ΦST is not significant (p ≥{" "}
+                      {differentiation.alpha}) in a pair large enough to have been significant
+                    </p>
+                  </div>
+                  <div className="card-content" style={{ display: "flex", flexDirection: "column", gap: "8px" }}>
+                    {differentiation.managementUnits.map((unit, index) => (
+                      <div
+                        key={index}
+                        style={{ padding: "10px", border: "1px solid #e5e7eb", borderRadius: "8px", fontSize: "14px" }}
+                      >
+                        <strong>Unit {index + 1}</strong>:{" "}
+                        {unit.map((populationIndex) => formatPopulation(differentiation.populations[populationIndex])).join(", ")}
+                      </div>
+                    ))}
+                    {differentiation.unresolvedPairs.length > 0 && (
+                      <div style={{ fontSize: "13px", color: "#6b7280" }}>
+                        Unresolved (too few samples to test, kept apart):{" "}
+                        {differentiation.unresolvedPairs
+                          .map((pair) => pair.map((populationIndex) => formatPopulation(differentiation.populations[populationIndex])).join(" vs "))
+                          .join("; ")}
+                      </div>
+                    )}
+                  </div>
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
       {activeTab === "viability" && (
         <div style={{ display: "flex", flexDirection: "column", gap: "24px" }}>
           {/* Viability Explanation */}
@@ -1009,17 +1947,23 @@ const DiversityAnalysis = () => {
             </div>
             <div className="card-content">
               <p style={{ fontSize: "14px", color: "#6b7280", margin: "0 0 16px 0" }}>
-                Stochastic demographic modeling based on the Vortex simulation framework, integrating genetic diversity
-                metrics to predict population trajectories and extinction risks over 50 years.
+                Individual-based, age- and sex-structured simulation in the style of Vortex. Each orangutan is followed
+                through birth, breeding and death; {viabilityData[0]?.iterations || 100} iterations of{" "}
+                {viabilityData[0]?.years || 100} years give the probability and timing of extinction (only one sex left),
+                the spread of population sizes and the heterozygosity retained at neutral loci.
               </p>
               <div className="grid grid-cols-1 md:grid-cols-2">
                 <div>
                   <h4 style={{ fontWeight: "600", color: "#3b82f6", margin: "0 0 8px 0" }}>Model Parameters</h4>
                   <ul style={{ fontSize: "14px", color: "#6b7280", margin: 0, paddingLeft: "20px" }}>
-                    <li>Environmental stochasticity: ±10% annual variation</li>
-                    <li>Genetic diversity factor: Shannon Index normalized</li>
-                    <li>Inbreeding depression: Based on diversity loss</li>
-                    <li>Carrying capacity: Adjusted by genetic health</li>
+                    <li>Age classes: infant, juvenile (to 8 years), subadult, adult; first breeding at 15 (♀) and 20 (♂)</li>
+                    <li>Breeding: annual probability after a 6–7 year minimum inter-birth interval (7.5–8.5 years on average)</li>
+                    <li>Mate limitation: each adult male sires offspring with up to 4 females a year</li>
+                    <li>Mortality schedules by sex and age class; demographic stochasticity from individual draws</li>
+                    <li>Environmental stochasticity: good and bad years shift breeding (SD 0.1) and mortality (CV 20%) together</li>
+                    <li>Carrying capacity: random removal of individuals above K</li>
+                    <li>Inbreeding depression: first-year survival × exp(−B·F), B = {viabilityData[0]?.lethalEquivalents ?? 6.29} lethal equivalents, F from the pedigree</li>
+                    <li>Starting heterozygosity: founders drawn from the haplotype frequencies of each species' sequences</li>
                   </ul>
                 </div>
                 <div>
@@ -1029,12 +1973,23 @@ const DiversityAnalysis = () => {
                     <li>Medium risk: 20-50% extinction probability</li>
                     <li>Low risk: {"<"} 20% extinction probability</li>
                     <li>Viability score: 100% - extinction risk</li>
+                    <li>Heterozygosity retained: H/H₀ at neutral loci, surviving iterations</li>
+                    <li>Inbreeding F: mean pedigree inbreeding relative to the founders</li>
                   </ul>
                 </div>
               </div>
             </div>
           </div>
 
+          {viabilityLoading && (
+            <p style={{ fontSize: "14px", color: "#6b7280", margin: 0 }}>
+              Simulating {viabilityProgress ? `${viabilityProgress.species} (${viabilityProgress.completed}/${viabilityProgress.total} iterations)` : "populations"}…
+            </p>
+          )}
+          {viabilityError && (
+            <p style={{ fontSize: "14px", color: "#dc2626", margin: 0 }}>Viability analysis failed: {viabilityError}</p>
+          )}
+
           {/* Viability Scores */}
           <div className="grid grid-cols-1 md:grid-cols-3">
             {viabilityData.map((species) => (
@@ -1075,6 +2030,50 @@ const DiversityAnalysis = () => {
                     </div>
                   </div>
 
+                  <div style={{ fontSize: "13px", color: "#374151", display: "flex", flexDirection: "column", gap: "4px" }}>
+                    <div style={{ display: "flex", justifyContent: "space-between" }}>
+                      <span>Mean time to extinction</span>
+                      <span style={{ fontWeight: "600" }}>
+                        {species.extinctionTime ? `${species.extinctionTime.mean.toFixed(0)} years` : "No extinctions"}
+                      </span>
+                    </div>
+                    <div style={{ display: "flex", justifyContent: "space-between" }}>
+                      <span>Mean N at year {species.years} (surviving)</span>
+                      <span style={{ fontWeight: "600" }}>
+                        {species.finalSize !== null ? Math.round(species.finalSize) : "—"}
+                      </span>
+                    </div>
+                    <div style={{ display: "flex", justifyContent: "space-between" }}>
+                      <span>Heterozygosity retained</span>
+                      <span style={{ fontWeight: "600" }}>
+                        {species.heterozygosityRetained !== null ? `${(species.heterozygosityRetained * 100).toFixed(1)}%` : "—"}
+                      </span>
+                    </div>
+                    <div style={{ display: "flex", justifyContent: "space-between" }}>
+                      <span>Starting heterozygosity H₀</span>
+                      <span style={{ fontWeight: "600" }}>
+                        {species.measuredDiversity
+                          ? `${species.initialHeterozygosity.toFixed(3)} (${species.measuredDiversity.haplotypes} haplotypes, n = ${species.measuredDiversity.sampleSize})`
+                          : "Unique founder alleles"}
+                      </span>
+                    </div>
+                    <div style={{ display: "flex", justifyContent: "space-between" }}>
+                      <span>Mean inbreeding F at year {species.years}</span>
+                      <span style={{ fontWeight: "600" }}>
+                        {species.finalInbreeding !== null ? species.finalInbreeding.toFixed(4) : "—"}
+                      </span>
+                    </div>
+                    <div style={{ display: "flex", justifyContent: "space-between" }}>
+                      <span>Stochastic growth rate r</span>
+                      <span style={{ fontWeight: "600" }}>
+                        {species.stochasticGrowthRate !== null ? species.stochasticGrowthRate.toFixed(4) : "—"}
+                      </span>
+                    </div>
+                    <div style={{ fontSize: "12px", color: "#6b7280" }}>
+                      N₀ = {species.initialSize}, K = {species.carryingCapacity}
+                    </div>
+                  </div>
+
                   <div
                     style={{
                       padding: "12px",
@@ -1107,41 +2106,718 @@ const DiversityAnalysis = () => {
           {/* Population Projections */}
           <div className="card">
             <div className="card-header">
-              <h3 style={{ fontSize: "18px", fontWeight: "600", margin: 0 }}>50-Year Population Projections</h3>
+              <h3 style={{ fontSize: "18px", fontWeight: "600", margin: 0 }}>
+                {viabilityData[0]?.years || 100}-Year Population Projections
+              </h3>
               <p style={{ fontSize: "14px", color: "#6b7280", margin: "4px 0 0 0" }}>
-                Stochastic population trajectories incorporating genetic diversity effects
+                Mean population size over all iterations (extinct runs count as zero); shaded bands hold the central
+                95% of simulated trajectories
               </p>
             </div>
             <div className="card-content">
               <ResponsiveContainer width="100%" height={400}>
-                <LineChart>
+                <ComposedChart>
                   <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis
-                    dataKey="year"
-                    type="number"
-                    domain={[0, 50]}
-                    tick={[0, 5, 10, 15, 20, 25, 30, 35, 40, 45, 50]}
-                  />
-
+                  <XAxis dataKey="year" type="number" domain={[0, viabilityData[0]?.years || 100]} />
                   <YAxis />
-                  <Tooltip />
+                  <Tooltip
+                    formatter={(value, name) =>
+                      Array.isArray(value) ? [`${Math.round(value[0])}–${Math.round(value[1])}`, name] : [value, name]
+                    }
+                  />
                   <Legend />
-                  {viabilityData.map((species, index) => (
+                  {viabilityData.map((species) => (
+                    <Area
+                      key={`${species.species}-band`}
+                      type="monotone"
+                      dataKey="range"
+                      data={species.projections}
+                      stroke="none"
+                      fill={speciesColors[species.species] || "#8884d8"}
+                      fillOpacity={0.15}
+                      name={`${species.species} 95% range`}
+                      legendType="none"
+                    />
+                  ))}
+                  {viabilityData.map((species) => (
                     <Line
                       key={species.species}
                       type="monotone"
                       dataKey="population"
                       data={species.projections}
-                      stroke={Object.values(speciesColors)[index]}
+                      stroke={speciesColors[species.species] || "#8884d8"}
                       strokeWidth={2}
+                      dot={false}
                       name={species.species}
                     />
                   ))}
-                </LineChart>
+                </ComposedChart>
               </ResponsiveContainer>
             </div>
           </div>
 
+          {/* Genetic Erosion */}
+          <div className="card">
+            <div className="card-header">
+              <h3 style={{ fontSize: "18px", fontWeight: "600", margin: 0 }}>Genetic Drift and Inbreeding</h3>
+              <p style={{ fontSize: "14px", color: "#6b7280", margin: "4px 0 0 0" }}>
+                Heterozygosity retained (H/H₀) and mean inbreeding coefficient F of surviving iterations
+              </p>
+            </div>
+            <div className="card-content">
+              <div className="grid grid-cols-1 md:grid-cols-2">
+                {[
+                  { key: "heterozygosity", label: "H/H₀", domain: ["auto", 1], format: (value) => value.toFixed(3) },
+                  { key: "inbreeding", label: "F", domain: [0, "auto"], format: (value) => value.toFixed(4) },
+                ].map((measure) => (
+                  <div key={measure.key}>
+                    <h4 style={{ fontSize: "14px", fontWeight: "600", margin: "0 0 8px 0" }}>{measure.label}</h4>
+                    <ResponsiveContainer width="100%" height={260}>
+                      <LineChart>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="year" type="number" domain={[0, viabilityData[0]?.years || 100]} />
+                        <YAxis domain={measure.domain} tickFormatter={measure.format} />
+                        <Tooltip formatter={(value, name) => [value === null ? "—" : measure.format(value), name]} />
+                        <Legend />
+                        {viabilityData.map((species) => (
+                          <Line
+                            key={species.species}
+                            type="monotone"
+                            dataKey={measure.key}
+                            data={species.genetics}
+                            stroke={speciesColors[species.species] || "#8884d8"}
+                            strokeWidth={2}
+                            dot={false}
+                            name={species.species}
+                          />
+                        ))}
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          {/* Threat Scenarios */}
+          <div className="card">
+            <div className="card-header">
+              <h3 style={{ fontSize: "18px", fontWeight: "600", margin: 0 }}>Threat Scenarios</h3>
+              <p style={{ fontSize: "14px", color: "#6b7280", margin: "4px 0 0 0" }}>
+                Catastrophes, habitat loss and offtake preset from the threats listed for each conservation area, compared
+                with the undisturbed baseline of the same species
+              </p>
+            </div>
+            <div className="card-content" style={{ display: "flex", flexDirection: "column", gap: "16px" }}>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: "12px", alignItems: "flex-end", fontSize: "14px" }}>
+                <label style={{ display: "flex", flexDirection: "column", gap: "4px" }}>
+                  Site preset
+                  <select
+                    value={scenarioDraft.id}
+                    onChange={(event) => setScenarioDraft(scenarioPresets.find((preset) => preset.id === event.target.value))}
+                    style={{ padding: "6px 10px", border: "1px solid #d1d5db", borderRadius: "6px" }}
+                  >
+                    {scenarioPresets.map((preset) => (
+                      <option key={preset.id} value={preset.id}>
+                        {preset.name}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label style={{ display: "flex", flexDirection: "column", gap: "4px" }}>
+                  Species
+                  <select
+                    value={scenarioDraft.species}
+                    onChange={(event) => setScenarioDraft((draft) => ({ ...draft, species: event.target.value }))}
+                    style={{ padding: "6px 10px", border: "1px solid #d1d5db", borderRadius: "6px" }}
+                  >
+                    {viabilityData.map((species) => (
+                      <option key={species.species} value={species.species}>
+                        {species.species}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label style={{ display: "flex", flexDirection: "column", gap: "4px" }}>
+                  K loss (%/year)
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    step="0.1"
+                    value={+(scenarioDraft.carryingCapacityLoss * 100).toFixed(2)}
+                    onChange={(event) =>
+                      setScenarioDraft((draft) => ({ ...draft, carryingCapacityLoss: Number(event.target.value) / 100 }))
+                    }
+                    style={{ width: "90px", padding: "6px 10px", border: "1px solid #d1d5db", borderRadius: "6px" }}
+                  />
+                </label>
+                <label style={{ display: "flex", flexDirection: "column", gap: "4px" }}>
+                  Offtake (%/year)
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    step="0.1"
+                    value={+(scenarioDraft.offtakeRate * 100).toFixed(2)}
+                    onChange={(event) => setScenarioDraft((draft) => ({ ...draft, offtakeRate: Number(event.target.value) / 100 }))}
+                    style={{ width: "90px", padding: "6px 10px", border: "1px solid #d1d5db", borderRadius: "6px" }}
+                  />
+                </label>
+                <button
+                  className="tab-button active"
+                  onClick={() => setAppliedScenario({ ...scenarioDraft })}
+                  disabled={scenarioLoading}
+                >
+                  Run scenario
+                </button>
+              </div>
+
+              {scenarioDraft.threats.length > 0 && (
+                <p style={{ fontSize: "12px", color: "#6b7280", margin: 0 }}>
+                  Listed threats: {scenarioDraft.threats.join(", ")}
+                  {scenarioDraft.unmodelledThreats.length > 0 && ` (not modelled: ${scenarioDraft.unmodelledThreats.join(", ")})`}
+                </p>
+              )}
+
+              <table style={{ width: "100%", fontSize: "13px", borderCollapse: "collapse" }}>
+                <thead>
+                  <tr style={{ textAlign: "left", borderBottom: "1px solid #e5e7eb" }}>
+                    <th style={{ padding: "6px" }}>Catastrophe</th>
+                    <th style={{ padding: "6px" }}>Frequency (%/year)</th>
+                    <th style={{ padding: "6px" }}>Breeding in event years (% of normal)</th>
+                    <th style={{ padding: "6px" }}>Survival in event years (% of normal)</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {scenarioDraft.catastrophes.map((catastrophe, index) => (
+                    <tr key={catastrophe.name} style={{ borderBottom: "1px solid #f3f4f6" }}>
+                      <td style={{ padding: "6px" }}>{catastrophe.name}</td>
+                      {["frequency", "reproduction", "survival"].map((field) => (
+                        <td key={field} style={{ padding: "6px" }}>
+                          <input
+                            type="number"
+                            min="0"
+                            max="100"
+                            step="1"
+                            value={+(catastrophe[field] * 100).toFixed(1)}
+                            onChange={(event) => updateScenarioCatastrophe(index, field, Number(event.target.value) / 100)}
+                            style={{ width: "80px", padding: "4px 8px", border: "1px solid #d1d5db", borderRadius: "4px" }}
+                          />
+                        </td>
+                      ))}
+                      <td style={{ padding: "6px" }}>
+                        <button
+                          onClick={() =>
+                            setScenarioDraft((draft) => ({
+                              ...draft,
+                              catastrophes: draft.catastrophes.filter((_, i) => i !== index),
+                            }))
+                          }
+                          style={{ border: "none", background: "none", color: "#dc2626", cursor: "pointer" }}
+                        >
+                          Remove
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                  <tr>
+                    <td colSpan={5} style={{ padding: "6px" }}>
+                      <select
+                        value=""
+                        onChange={(event) => {
+                          const catastrophe = catastropheCatalog.find((entry) => entry.name === event.target.value)
+                          if (catastrophe) {
+                            setScenarioDraft((draft) => ({ ...draft, catastrophes: [...draft.catastrophes, { ...catastrophe }] }))
+                          }
+                        }}
+                        style={{ padding: "4px 8px", border: "1px solid #d1d5db", borderRadius: "4px" }}
+                      >
+                        <option value="">Add catastrophe…</option>
+                        {catastropheCatalog
+                          .filter((entry) => !scenarioDraft.catastrophes.some((catastrophe) => catastrophe.name === entry.name))
+                          .map((entry) => (
+                            <option key={entry.name} value={entry.name}>
+                              {entry.name}
+                            </option>
+                          ))}
+                      </select>
+                    </td>
+                  </tr>
+                </tbody>
+              </table>
+
+              {scenarioLoading && (
+                <p style={{ fontSize: "14px", color: "#6b7280", margin: 0 }}>
+                  Simulating {appliedScenario.name}
+                  {scenarioProgress ? ` (${scenarioProgress.completed}/${scenarioProgress.total} iterations)` : ""}…
+                </p>
+              )}
+              {scenarioError && (
+                <p style={{ fontSize: "14px", color: "#dc2626", margin: 0 }}>Scenario failed: {scenarioError}</p>
+              )}
+
+              {scenarioComparison && !scenarioLoading && (
+                <>
+                  <h4 style={{ fontWeight: "600", margin: 0 }}>
+                    {scenarioResult.scenario.name}: {scenarioResult.species}
+                  </h4>
+                  <table style={{ width: "100%", fontSize: "13px", borderCollapse: "collapse" }}>
+                    <thead>
+                      <tr style={{ textAlign: "left", borderBottom: "1px solid #e5e7eb" }}>
+                        <th style={{ padding: "6px" }}>Measure</th>
+                        <th style={{ padding: "6px" }}>Baseline</th>
+                        <th style={{ padding: "6px" }}>Scenario</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {scenarioComparison.rows.map((row) => (
+                        <tr key={row.label} style={{ borderBottom: "1px solid #f3f4f6" }}>
+                          <td style={{ padding: "6px" }}>{row.label}</td>
+                          <td style={{ padding: "6px" }}>{row.baseline === null ? "—" : row.format(row.baseline)}</td>
+                          <td style={{ padding: "6px", fontWeight: "600" }}>
+                            {row.scenario === null ? "—" : row.format(row.scenario)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <ResponsiveContainer width="100%" height={320}>
+                    <ComposedChart data={scenarioComparison.projections}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="year" type="number" domain={[0, scenarioResult.result.years]} />
+                      <YAxis />
+                      <Tooltip
+                        formatter={(value, name) =>
+                          Array.isArray(value) ? [`${Math.round(value[0])}–${Math.round(value[1])}`, name] : [value, name]
+                        }
+                      />
+                      <Legend />
+                      <Area dataKey="baselineRange" stroke="none" fill="#6b7280" fillOpacity={0.12} name="Baseline 95% range" legendType="none" />
+                      <Area dataKey="scenarioRange" stroke="none" fill="#dc2626" fillOpacity={0.12} name="Scenario 95% range" legendType="none" />
+                      <Line dataKey="baseline" stroke="#6b7280" strokeWidth={2} dot={false} name="Baseline mean N" />
+                      <Line dataKey="scenario" stroke="#dc2626" strokeWidth={2} dot={false} name="Scenario mean N" />
+                      <Line
+                        dataKey="carryingCapacity"
+                        stroke="#92400e"
+                        strokeDasharray="5 5"
+                        dot={false}
+                        name="Scenario K"
+                      />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </>
+              )}
+            </div>
+          </div>
+
+          {/* Metapopulation Viability */}
+          <div className="card">
+            <div className="card-header">
+              <h3 style={{ fontSize: "18px", fontWeight: "600", margin: 0 }}>Metapopulation Viability</h3>
+              <p style={{ fontSize: "14px", color: "#6b7280", margin: "4px 0 0 0" }}>
+                The species' conservation areas as subpopulations with their own K, linked by subadult dispersal that
+                decays with distance and reaches much further along forest corridors
+              </p>
+            </div>
+            <div className="card-content" style={{ display: "flex", flexDirection: "column", gap: "16px" }}>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: "12px", alignItems: "flex-end", fontSize: "14px" }}>
+                <label style={{ display: "flex", flexDirection: "column", gap: "4px" }}>
+                  Species
+                  <select
+                    value={metapopulationDraft.species}
+                    onChange={(event) => setMetapopulationDraft((draft) => ({ ...draft, species: event.target.value }))}
+                    style={{ padding: "6px 10px", border: "1px solid #d1d5db", borderRadius: "6px" }}
+                  >
+                    {viabilityData.map((species) => (
+                      <option key={species.species} value={species.species}>
+                        {species.species}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label style={{ display: "flex", flexDirection: "column", gap: "4px" }}>
+                  Areas
+                  <select
+                    value={metapopulationDraft.source}
+                    onChange={(event) => setMetapopulationDraft((draft) => ({ ...draft, source: event.target.value }))}
+                    style={{ padding: "6px 10px", border: "1px solid #d1d5db", borderRadius: "6px" }}
+                  >
+                    <option value="configured">Configured conservation areas</option>
+                    <option value="density">Density-based areas (GBIF)</option>
+                  </select>
+                </label>
+                <label style={{ display: "flex", flexDirection: "column", gap: "4px" }}>
+                  Environmental correlation
+                  <input
+                    type="number"
+                    min="0"
+                    max="1"
+                    step="0.1"
+                    value={metapopulationDraft.environmentalCorrelation}
+                    onChange={(event) =>
+                      setMetapopulationDraft((draft) => ({ ...draft, environmentalCorrelation: Number(event.target.value) }))
+                    }
+                    style={{ width: "90px", padding: "6px 10px", border: "1px solid #d1d5db", borderRadius: "6px" }}
+                  />
+                </label>
+                <label style={{ display: "flex", alignItems: "center", gap: "6px" }}>
+                  <input
+                    type="checkbox"
+                    checked={metapopulationDraft.applyThreats}
+                    onChange={(event) => setMetapopulationDraft((draft) => ({ ...draft, applyThreats: event.target.checked }))}
+                  />
+                  Apply each area's threats
+                </label>
+                <button
+                  className="tab-button active"
+                  onClick={() => setAppliedMetapopulation({ ...metapopulationDraft })}
+                  disabled={metapopulationLoading}
+                >
+                  Run metapopulation
+                </button>
+              </div>
+
+              {metapopulationLoading && (
+                <p style={{ fontSize: "14px", color: "#6b7280", margin: 0 }}>
+                  Simulating corridor landscapes
+                  {metapopulationProgress?.scenarios
+                    ? ` (landscape ${metapopulationProgress.scenario + 1}/${metapopulationProgress.scenarios}, ${metapopulationProgress.completed}/${metapopulationProgress.total} iterations)`
+                    : ""}
+                  …
+                </p>
+              )}
+              {metapopulationError && (
+                <p style={{ fontSize: "14px", color: "#dc2626", margin: 0 }}>Metapopulation run failed: {metapopulationError}</p>
+              )}
+
+              {metapopulationSummary && !metapopulationLoading && (
+                <>
+                  <p style={{ fontSize: "14px", margin: 0 }}>
+                    <strong>{metapopulationResult.species}</strong>: metapopulation extinction probability{" "}
+                    <strong>{(metapopulationResult.current.extinctionProbability * 100).toFixed(0)}%</strong> over{" "}
+                    {metapopulationResult.current.years} years; {metapopulationResult.current.occupiedAreas.toFixed(1)} of{" "}
+                    {metapopulationSummary.areaCount} areas occupied at the end
+                    {metapopulationResult.current.heterozygosityRetained !== null &&
+                      `; ${(metapopulationResult.current.heterozygosityRetained * 100).toFixed(1)}% of H₀ retained`}
+                    {metapopulationResult.current.finalInbreeding !== null &&
+                      `; mean F ${metapopulationResult.current.finalInbreeding.toFixed(4)}`}
+                  </p>
+                  <table style={{ width: "100%", fontSize: "13px", borderCollapse: "collapse" }}>
+                    <thead>
+                      <tr style={{ textAlign: "left", borderBottom: "1px solid #e5e7eb" }}>
+                        <th style={{ padding: "6px" }}>Area</th>
+                        <th style={{ padding: "6px" }}>N₀ / K</th>
+                        <th style={{ padding: "6px" }}>Local extinction</th>
+                        <th style={{ padding: "6px" }}>Mean N (occupied)</th>
+                        <th style={{ padding: "6px" }}>Immigrants per iteration</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {metapopulationSummary.areas.map((area) => (
+                        <tr key={area.id} style={{ borderBottom: "1px solid #f3f4f6" }}>
+                          <td style={{ padding: "6px" }}>{area.name}</td>
+                          <td style={{ padding: "6px" }}>
+                            {area.initialSize} / {area.carryingCapacity}
+                          </td>
+                          <td style={{ padding: "6px" }}>{(area.extinctionProbability * 100).toFixed(0)}%</td>
+                          <td style={{ padding: "6px" }}>{area.finalSize === null ? "—" : Math.round(area.finalSize)}</td>
+                          <td style={{ padding: "6px" }}>{area.immigrantsPerIteration.toFixed(1)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+
+                  <h4 style={{ fontWeight: "600", margin: 0 }}>Corridors</h4>
+                  <p style={{ fontSize: "12px", color: "#6b7280", margin: 0 }}>
+                    Candidates link each area to its nearest neighbours. Each row is the landscape with that corridor added
+                    or removed; tick or untick a corridor to make it part of the current landscape.
+                  </p>
+                  <table style={{ width: "100%", fontSize: "13px", borderCollapse: "collapse" }}>
+                    <thead>
+                      <tr style={{ textAlign: "left", borderBottom: "1px solid #e5e7eb" }}>
+                        <th style={{ padding: "6px" }}>In place</th>
+                        <th style={{ padding: "6px" }}>Corridor</th>
+                        <th style={{ padding: "6px" }}>Distance</th>
+                        <th style={{ padding: "6px" }}>If</th>
+                        <th style={{ padding: "6px" }}>Extinction probability</th>
+                        <th style={{ padding: "6px" }}>Occupied areas</th>
+                        <th style={{ padding: "6px" }}>H retained</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {metapopulationSummary.corridors.map((corridor) => (
+                        <tr key={corridor.label} style={{ borderBottom: "1px solid #f3f4f6" }}>
+                          <td style={{ padding: "6px" }}>
+                            <input type="checkbox" checked={corridor.inPlace} onChange={() => toggleCorridor(corridor)} />
+                          </td>
+                          <td style={{ padding: "6px" }}>{corridor.label}</td>
+                          <td style={{ padding: "6px" }}>{corridor.distance.toFixed(0)} km</td>
+                          <td style={{ padding: "6px" }}>{corridor.action === "add" ? "Added" : "Removed"}</td>
+                          <td style={{ padding: "6px" }}>
+                            {(metapopulationResult.current.extinctionProbability * 100).toFixed(0)}% →{" "}
+                            <strong>{(corridor.extinctionProbability * 100).toFixed(0)}%</strong>
+                          </td>
+                          <td style={{ padding: "6px" }}>
+                            {metapopulationResult.current.occupiedAreas.toFixed(1)} →{" "}
+                            <strong>{corridor.occupiedAreas.toFixed(1)}</strong>
+                          </td>
+                          <td style={{ padding: "6px" }}>
+                            {corridor.heterozygosityRetained === null
+                              ? "—"
+                              : `${(corridor.heterozygosityRetained * 100).toFixed(1)}%`}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+
+                  <ResponsiveContainer width="100%" height={300}>
+                    <LineChart data={metapopulationSummary.projections}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="year" type="number" domain={[0, metapopulationResult.current.years]} />
+                      <YAxis label={{ value: "Mean N", angle: -90, position: "insideLeft" }} />
+                      <Tooltip />
+                      <Legend />
+                      {metapopulationSummary.areas.map((area, index) => (
+                        <Line
+                          key={area.id}
+                          dataKey={area.name}
+                          stroke={areaColors[index % areaColors.length]}
+                          strokeWidth={2}
+                          dot={false}
+                        />
+                      ))}
+                    </LineChart>
+                  </ResponsiveContainer>
+                </>
+              )}
+            </div>
+          </div>
+
+          {/* Sensitivity Analysis */}
+          <div className="card">
+            <div className="card-header">
+              <h3 style={{ fontSize: "18px", fontWeight: "600", margin: 0 }}>Sensitivity Analysis</h3>
+              <p style={{ fontSize: "14px", color: "#6b7280", margin: "4px 0 0 0" }}>
+                Which parameters matter most: each one varied alone across its range (tornado, elasticity) and all of
+                them together in a Latin hypercube (partial rank correlation, PRCC). Growth rate is not a model input and
+                cannot be varied; it results from breeding and mortality and is shown as the stochastic r response
+              </p>
+            </div>
+            <div className="card-content" style={{ display: "flex", flexDirection: "column", gap: "16px" }}>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: "12px", alignItems: "flex-end", fontSize: "14px" }}>
+                <label style={{ display: "flex", flexDirection: "column", gap: "4px" }}>
+                  Species
+                  <select
+                    value={sensitivityDraft.species}
+                    onChange={(event) => setSensitivityDraft((draft) => ({ ...draft, species: event.target.value }))}
+                    style={{ padding: "6px 10px", border: "1px solid #d1d5db", borderRadius: "6px" }}
+                  >
+                    {viabilityData.map((species) => (
+                      <option key={species.species} value={species.species}>
+                        {species.species}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label style={{ display: "flex", flexDirection: "column", gap: "4px" }}>
+                  Threats
+                  <select
+                    value={sensitivityDraft.scenarioId}
+                    onChange={(event) => setSensitivityDraft((draft) => ({ ...draft, scenarioId: event.target.value }))}
+                    style={{ padding: "6px 10px", border: "1px solid #d1d5db", borderRadius: "6px" }}
+                  >
+                    <option value={BASELINE_SCENARIO.id}>{BASELINE_SCENARIO.name}</option>
+                    {scenarioPresets.map((preset) => (
+                      <option key={preset.id} value={preset.id}>
+                        {preset.name}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                {[
+                  ["initialSize", "N₀"],
+                  ["carryingCapacity", "K"],
+                ].map(([field, label]) => (
+                  <label key={field} style={{ display: "flex", flexDirection: "column", gap: "4px" }}>
+                    {label}
+                    <input
+                      type="number"
+                      min="2"
+                      placeholder={String(viabilityData.find((species) => species.species === sensitivityDraft.species)?.[field] ?? "")}
+                      value={sensitivityDraft[field]}
+                      onChange={(event) => setSensitivityDraft((draft) => ({ ...draft, [field]: event.target.value }))}
+                      style={{ width: "90px", padding: "6px 10px", border: "1px solid #d1d5db", borderRadius: "6px" }}
+                    />
+                  </label>
+                ))}
+                <label style={{ display: "flex", flexDirection: "column", gap: "4px" }}>
+                  Hypercube runs
+                  <input
+                    type="number"
+                    min="10"
+                    max="200"
+                    value={sensitivityDraft.samples}
+                    onChange={(event) => setSensitivityDraft((draft) => ({ ...draft, samples: Number(event.target.value) }))}
+                    style={{ width: "90px", padding: "6px 10px", border: "1px solid #d1d5db", borderRadius: "6px" }}
+                  />
+                </label>
+                <label style={{ display: "flex", flexDirection: "column", gap: "4px" }}>
+                  Iterations per run
+                  <input
+                    type="number"
+                    min="10"
+                    max="500"
+                    value={sensitivityDraft.numSimulations}
+                    onChange={(event) =>
+                      setSensitivityDraft((draft) => ({ ...draft, numSimulations: Number(event.target.value) }))
+                    }
+                    style={{ width: "90px", padding: "6px 10px", border: "1px solid #d1d5db", borderRadius: "6px" }}
+                  />
+                </label>
+                <button
+                  className="tab-button active"
+                  onClick={() => setAppliedSensitivity({ ...sensitivityDraft })}
+                  disabled={sensitivityLoading}
+                >
+                  Run sensitivity
+                </button>
+              </div>
+
+              {sensitivityLoading && (
+                <p style={{ fontSize: "14px", color: "#6b7280", margin: 0 }}>
+                  Running parameter sweeps
+                  {sensitivityProgress ? ` (${sensitivityProgress.completed}/${sensitivityProgress.total} runs)` : ""}…
+                </p>
+              )}
+              {sensitivityError && (
+                <p style={{ fontSize: "14px", color: "#dc2626", margin: 0 }}>Sensitivity analysis failed: {sensitivityError}</p>
+              )}
+
+              {sensitivityResult && !sensitivityLoading && (
+                <>
+                  <div style={{ display: "flex", flexWrap: "wrap", gap: "12px", alignItems: "center", fontSize: "14px" }}>
+                    <label style={{ display: "flex", alignItems: "center", gap: "6px" }}>
+                      Response
+                      <select
+                        value={sensitivityResponse}
+                        onChange={(event) => setSensitivityResponse(event.target.value)}
+                        style={{ padding: "6px 10px", border: "1px solid #d1d5db", borderRadius: "6px" }}
+                      >
+                        {Object.entries(SENSITIVITY_RESPONSES).map(([key, response]) => (
+                          <option key={key} value={key}>
+                            {response.label}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                    <span style={{ color: "#6b7280" }}>
+                      {sensitivityResult.species}
+                      {sensitivityResult.scenario ? `, ${sensitivityResult.scenario.name}` : ""}:{" "}
+                      {sensitivityResult.runs.length} runs of {sensitivityResult.numSimulations} iterations over{" "}
+                      {sensitivityResult.years} years; unchanged population{" "}
+                      {formatResponse(sensitivityResult.baseline.responses[sensitivityResponse])}
+                    </span>
+                    <button className="tab-button" onClick={downloadSensitivityRuns}>
+                      Export runs (CSV)
+                    </button>
+                  </div>
+                  {sensitivityResult.skipped.length > 0 && (
+                    <p style={{ fontSize: "12px", color: "#6b7280", margin: 0 }}>
+                      Catastrophe frequency is not varied: this population has no catastrophes (choose a site's threats to
+                      include them).
+                    </p>
+                  )}
+
+                  <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(360px, 1fr))", gap: "16px" }}>
+                    <div>
+                      <h4 style={{ fontWeight: "600", margin: "0 0 8px 0" }}>One at a time (tornado)</h4>
+                      <ResponsiveContainer width="100%" height={60 + tornadoData.length * 50}>
+                        <BarChart data={tornadoData} layout="vertical" margin={{ left: 40 }}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis type="number" domain={["auto", "auto"]} />
+                          <YAxis type="category" dataKey="label" width={170} />
+                          <Tooltip formatter={(value, name) => [formatResponse(value[1]), name]} />
+                          <Legend />
+                          <ReferenceLine x={sensitivityResult.baseline.responses[sensitivityResponse]} stroke="#374151" />
+                          <Bar dataKey="low" name="Low end of range" fill="#60a5fa" />
+                          <Bar dataKey="high" name="High end of range" fill="#f87171" />
+                        </BarChart>
+                      </ResponsiveContainer>
+                      <table style={{ width: "100%", fontSize: "13px", borderCollapse: "collapse" }}>
+                        <thead>
+                          <tr style={{ textAlign: "left", borderBottom: "1px solid #e5e7eb" }}>
+                            <th style={{ padding: "6px" }}>Parameter</th>
+                            <th style={{ padding: "6px" }}>Range</th>
+                            <th style={{ padding: "6px" }}>Low</th>
+                            <th style={{ padding: "6px" }}>High</th>
+                            <th style={{ padding: "6px" }}>Elasticity</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {sensitivityResult.tornado[sensitivityResponse].map((entry) => (
+                            <tr key={entry.factor} style={{ borderBottom: "1px solid #f3f4f6" }}>
+                              <td style={{ padding: "6px" }}>{entry.label}</td>
+                              <td style={{ padding: "6px" }}>
+                                ×{entry.range[0]}–×{entry.range[1]}
+                              </td>
+                              <td style={{ padding: "6px" }}>{formatResponse(entry.low)}</td>
+                              <td style={{ padding: "6px" }}>{formatResponse(entry.high)}</td>
+                              <td style={{ padding: "6px" }}>{entry.elasticity === null ? "—" : entry.elasticity.toFixed(2)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                    <div>
+                      <h4 style={{ fontWeight: "600", margin: "0 0 8px 0" }}>Latin hypercube (PRCC)</h4>
+                      <table style={{ width: "100%", fontSize: "13px", borderCollapse: "collapse" }}>
+                        <thead>
+                          <tr style={{ textAlign: "left", borderBottom: "1px solid #e5e7eb" }}>
+                            <th style={{ padding: "6px" }}>Rank</th>
+                            <th style={{ padding: "6px" }}>Parameter</th>
+                            <th style={{ padding: "6px" }}>PRCC</th>
+                            <th style={{ padding: "6px", width: "40%" }} />
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {sensitivityResult.prcc[sensitivityResponse].map((entry, index) => (
+                            <tr key={entry.factor} style={{ borderBottom: "1px solid #f3f4f6" }}>
+                              <td style={{ padding: "6px" }}>{entry.prcc === null ? "—" : index + 1}</td>
+                              <td style={{ padding: "6px" }}>{entry.label}</td>
+                              <td style={{ padding: "6px" }}>{entry.prcc === null ? "—" : entry.prcc.toFixed(2)}</td>
+                              <td style={{ padding: "6px" }}>
+                                {entry.prcc !== null && (
+                                  <div style={{ display: "flex", height: "10px" }}>
+                                    <div style={{ width: "50%", display: "flex", justifyContent: "flex-end" }}>
+                                      {entry.prcc < 0 && (
+                                        <div style={{ width: `${-entry.prcc * 100}%`, height: "100%", background: "#60a5fa" }} />
+                                      )}
+                                    </div>
+                                    <div style={{ width: "50%", borderLeft: "1px solid #374151" }}>
+                                      {entry.prcc > 0 && <div style={{ width: `${entry.prcc * 100}%`, height: "100%", background: "#f87171" }} />}
+                                    </div>
+                                  </div>
+                                )}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      <p style={{ fontSize: "12px", color: "#6b7280", margin: "8px 0 0 0" }}>
+                        PRCC is the rank correlation of a parameter with the response once the other parameters are
+                        accounted for (−1 to 1). It is missing where the response did not vary, for example when no run
+                        went extinct.
+                      </p>
+                    </div>
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+
           {/* Viability vs Diversity Correlation */}
           <div className="card">
             <div className="card-header">
@@ -1158,10 +2834,10 @@ const DiversityAnalysis = () => {
                     dataKey="metrics.nucleotideDiversity"
                     type="number"
                     name="Nucleotide Diversity"
-                    domain={[0, 1.4]}
+                    domain={[0, "auto"]}
                   />
                   <YAxis
-                    dataKey="viabilityAnalysis.viabilityScore"
+                    dataKey="viabilityScore"
                     type="number"
                     name="Viability Score"
                     domain={[0, 100]}
@@ -1169,7 +2845,7 @@ const DiversityAnalysis = () => {
                   <Tooltip
                     formatter={(value, name) => {
                       if (name.includes("nucleotideDiversity")) {
-                        return [value.toFixed(3), "Nucleotide Diversity"]
+                        return [value.toFixed(4), "Nucleotide Diversity"]
                       }
                       if (name.includes("viabilityScore")) {
                         return [`${value.toFixed(2)}%`, "Viability Score"]
@@ -1178,8 +2854,8 @@ const DiversityAnalysis = () => {
                     }}
                     labelFormatter={() => ""}
                   />
-                  <Scatter data={processedData} fill="#8884d8">
-                    {processedData.map((entry, index) => (
+                  <Scatter data={diversityViability} fill="#8884d8">
+                    {diversityViability.map((entry, index) => (
                       <Cell key={`cell-${index}`} fill={speciesColors[entry.species]} />
                     ))}
                   </Scatter>
@@ -1250,10 +2926,11 @@ const DiversityAnalysis = () => {
                       <div
                         style={{ fontSize: "14px", color: "#6b7280", display: "flex", flexWrap: "wrap", gap: "16px" }}
                       >
-                        <span>Diversity: {species.metrics.nucleotideDiversity.toFixed(4)}</span>
-                        <span>dN/dS: {selection?.dnds.toFixed(3) || "N/A"}</span>
+                        <span>π: {formatStatistic(species.metrics.nucleotideDiversity)}</span>
+                        <span>Hd: {formatStatistic(species.metrics.haplotypeDiversity, 3)}</span>
+                        <span>dN/dS: {selection?.dnds != null ? selection.dnds.toFixed(3) : "N/A"}</span>
                         <span>Viability: {viability ? Math.round(viability.viabilityScore) : "N/A"}%</span>
-                        <span>Polymorphic sites: {species.metrics.polymorphicSites}</span>
+                        <span>Segregating sites: {species.metrics.segregatingSites ?? "—"}</span>
                       </div>
                     </div>
                     <div style={{ display: "flex", alignItems: "center", gap: "8px" }}>
@@ -1264,7 +2941,7 @@ const DiversityAnalysis = () => {
                           color: getRiskColor(species.riskLevel),
                         }}
                       >
-                        {species.riskLevel} Priority
+                        {species.riskLevel ? `${species.riskLevel} Priority` : "Not assessed"}
                       </span>
                       {species.riskLevel === "High" && <span style={{ color: "#dc2626" }}>🚨</span>}
                       {species.riskLevel === "Medium" && <span style={{ color: "#ea580c" }}>⚠️</span>}
@@ -1306,7 +2983,8 @@ const DiversityAnalysis = () => {
                           <div>
                             <strong style={{ color: "#dc2626" }}>{species.species}</strong>: Critical genetic bottleneck
                             detected.
-                            <br />• Low diversity (Nucleotide Diversity: {species.metrics.nucleotideDiversity.toFixed(4)})
+                            <br />• Low diversity (π = {species.metrics.nucleotideDiversity.toFixed(4)}, Hd ={" "}
+                            {species.metrics.haplotypeDiversity.toFixed(3)})
                             <br />• Extinction risk: {viability ? Math.round(viability.extinctionRisk) : "High"}%
                             <br />• Selection pressure: {selection?.selectionType || "Unknown"}
                             <br />
@@ -1347,11 +3025,11 @@ const DiversityAnalysis = () => {
                       >
                         <h4 style={{ fontWeight: "600", color: "#16a34a", margin: "0 0 4px 0" }}>{species.species}</h4>
                         <p style={{ fontSize: "14px", color: "#15803d", margin: 0 }}>
-                          Stable population with healthy genetic diversity (Nucleotide Diversity:{" "}
-                          {species.metrics.nucleotideDiversity.toFixed(4)}).
+                          Stable population with healthy genetic diversity (π ={" "}
+                          {species.metrics.nucleotideDiversity.toFixed(4)}, Hd = {species.metrics.haplotypeDiversity.toFixed(3)}).
                           <br />
                           Viability score: {viability ? Math.round(viability.viabilityScore) : "Good"}% |
-                          {species.metrics.polymorphicSites} polymorphic sites detected.
+                          {species.metrics.segregatingSites} segregating sites detected.
                           <br />
                           <strong>Maintain:</strong> Current protection measures and monitoring protocols.
                         </p>
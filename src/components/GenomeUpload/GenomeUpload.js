@@ -0,0 +1,80 @@
+import React, { useRef } from 'react';
+import { Upload, RotateCcw, AlertTriangle } from 'lucide-react';
+import useGenomeSource from '../../hooks/useGenomeSource';
+
+const SEQUENCE_FILE_TYPES = '.fa,.fasta,.fas,.fna,.ffn,.gb,.gbk,.genbank,.txt';
+
+const GenomeUpload = () => {
+  const fileInputRef = useRef();
+  const { source, isUploaded, uploading, error, uploadFiles, resetToBundled } = useGenomeSource();
+
+  const handleFileChange = async (event) => {
+    const files = event.target.files;
+    if (files && files.length > 0) {
+      await uploadFiles(files);
+    }
+    event.target.value = '';
+  };
+
+  const speciesCount = Object.keys(source.data).length;
+  const sequenceCount = Object.values(source.data).reduce((sum, records) => sum + records.length, 0);
+  const rejectedSummary = source.rejected
+    .slice(0, 10)
+    .map(entry => `${entry.id} (${entry.file}): ${entry.reason}`)
+    .join('\n');
+
+  return (
+    <div className="flex items-center space-x-3 text-sm">
+      <div className="hidden md:block text-right">
+        <div className="font-medium text-gray-700 truncate max-w-xs" title={source.name}>
+          {isUploaded ? source.name : 'Bundled Pongo genomes'}
+        </div>
+        <div className="text-xs text-gray-500">
+          {sequenceCount} sequences · {speciesCount} species
+        </div>
+      </div>
+
+      {source.rejected.length > 0 && (
+        <span className="flex items-center text-amber-600" title={rejectedSummary}>
+          <AlertTriangle className="w-4 h-4 mr-1" />
+          {source.rejected.length} skipped
+        </span>
+      )}
+      {error && (
+        <span className="flex items-center text-red-600 max-w-xs truncate" title={error}>
+          <AlertTriangle className="w-4 h-4 mr-1 flex-shrink-0" />
+          {error}
+        </span>
+      )}
+
+      {isUploaded && (
+        <button
+          onClick={resetToBundled}
+          className="p-2 text-gray-500 rounded hover:bg-gray-100 hover:text-gray-700"
+          title="Use bundled Pongo genome data"
+        >
+          <RotateCcw className="w-4 h-4" />
+        </button>
+      )}
+      <button
+        onClick={() => fileInputRef.current?.click()}
+        disabled={uploading}
+        className="flex items-center px-3 py-2 bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50"
+        title="Upload multi-FASTA or GenBank sequence files"
+      >
+        <Upload className="w-4 h-4 md:mr-2" />
+        <span className="hidden md:inline">{uploading ? 'Reading…' : 'Upload sequences'}</span>
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        multiple
+        accept={SEQUENCE_FILE_TYPES}
+        onChange={handleFileChange}
+        className="hidden"
+      />
+    </div>
+  );
+};
+
+export default GenomeUpload;
@@ -0,0 +1,51 @@
+import React from 'react';
+import { Dna } from 'lucide-react';
+import useGenomeSource from '../../hooks/useGenomeSource';
+import { ALL_LOCI } from '../../utils/locusGrouping';
+
+const formatSpeciesCounts = (speciesCounts) =>
+  Object.entries(speciesCounts)
+    .map(([species, count]) => `${species.replace(/^(\w)\w* /, '$1. ')} ${count}`)
+    .join(' · ');
+
+/**
+ * Picks the homologous locus analyzed by the sequence-based views
+ */
+const LocusPicker = () => {
+  const { loci, selectedLocusId, genomicData, setSelectedLocus } = useGenomeSource();
+
+  const selectedLocus = loci.find(locus => locus.id === selectedLocusId);
+  const totalSamples = Object.values(genomicData).reduce((sum, records) => sum + records.length, 0);
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 px-4 py-3 flex flex-wrap items-center gap-3 text-sm">
+      <Dna className="w-4 h-4 text-green-600" />
+      <label htmlFor="locus-picker" className="font-medium text-gray-700">Locus</label>
+      <select
+        id="locus-picker"
+        value={selectedLocusId}
+        onChange={(event) => setSelectedLocus(event.target.value)}
+        className="border border-gray-300 rounded px-2 py-1 max-w-md"
+      >
+        {loci.map(locus => (
+          <option key={locus.id} value={locus.id}>
+            {locus.label} — {locus.sampleCount} sample{locus.sampleCount === 1 ? '' : 's'}, {Object.keys(locus.speciesCounts).length} species
+          </option>
+        ))}
+        <option value={ALL_LOCI}>All sequences, loci mixed — {totalSamples} samples</option>
+      </select>
+      <span className="text-gray-500">
+        {selectedLocus
+          ? formatSpeciesCounts(selectedLocus.speciesCounts)
+          : `${loci.length} loci; sequences of different genes are compared directly`}
+      </span>
+      {selectedLocus && (
+        <span className="text-xs text-gray-400">
+          grouped by {selectedLocus.basis === 'gene' ? 'gene annotation' : 'k-mer similarity'}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default LocusPicker;
@@ -1,6 +1,10 @@
 import React, { useState, useEffect, useRef } from 'react';
 import * as d3 from 'd3';
-import pongoGenomeData from '../../services/pongo_genome_sequence.json';
+import dataService from '../../services/dataService';
+import useGenomeSource from '../../hooks/useGenomeSource';
+import LocusPicker from '../LocusPicker/LocusPicker';
+import { parseTreeFile, treeToNewick, treeToNexus, rerootTree, countTips } from '../../utils/treeFormats';
+import { SUBSTITUTION_MODELS, GAP_HANDLING, DEFAULT_DISTANCE_OPTIONS } from '../../utils/substitutionModels';
 import { 
   ZoomIn, 
   ZoomOut, 
@@ -14,11 +18,21 @@ import {
   X,
   Play,
   Settings,
-  RefreshCw
+  RefreshCw,
+  Upload
 } from 'lucide-react';
 
+const mlStageLabels = {
+  start: 'optimizing branch lengths',
+  model: 'model parameters fitted',
+  search: 'NNI/SPR topology search'
+};
+
 const PhylogeneticTree = () => {
   const svgRef = useRef();
+  // Transform of the tree group before any zooming or panning, restored for export
+  const baseTransformRef = useRef("");
+  const treeFileInputRef = useRef();
   const [selectedNode, setSelectedNode] = useState(null);
   const [zoomLevel, setZoomLevel] = useState(1);
   const [showBootstrap, setShowBootstrap] = useState(true);
@@ -27,6 +41,16 @@ const PhylogeneticTree = () => {
   const [treeLayout, setTreeLayout] = useState('rectangular');
   const [showDiversityMetrics, setShowDiversityMetrics] = useState(false);
   const [genomicData, setGenomicData] = useState(null);
+  const { locusData: sourceGenomicData } = useGenomeSource();
+  const [phylogeny, setPhylogeny] = useState(null);
+  const [treeProgress, setTreeProgress] = useState(null);
+  const [treeError, setTreeError] = useState(null);
+  const [treeMethod, setTreeMethod] = useState('nj');
+  const [distanceModel, setDistanceModel] = useState(DEFAULT_DISTANCE_OPTIONS.model);
+  const [gapHandling, setGapHandling] = useState(DEFAULT_DISTANCE_OPTIONS.gapHandling);
+  const [importedTree, setImportedTree] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const [displayTree, setDisplayTree] = useState(null);
   const [loading, setLoading] = useState(true);
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const [isMobile, setIsMobile] = useState(false);
@@ -45,7 +69,7 @@ const PhylogeneticTree = () => {
     const loadData = () => {
       try {
         setLoading(true);
-        const processedData = processGenomicSequences(pongoGenomeData);
+        const processedData = processGenomicSequences(sourceGenomicData);
         setGenomicData(processedData);
         console.log("Berhasil Yeay");
       } catch (error) {
@@ -57,7 +81,37 @@ const PhylogeneticTree = () => {
     };
 
     loadData();
-  }, []); 
+  }, [sourceGenomicData]); 
+
+  useEffect(() => {
+    if (!genomicData) return undefined;
+
+    const controller = new AbortController();
+    const buildTree = async () => {
+      try {
+        setPhylogeny(null);
+        setTreeError(null);
+        setTreeProgress({ stage: 'alignment', completed: 0, total: Object.values(genomicData).flat().length - 1 });
+        const result = await dataService.analyzePhylogeny(genomicData, {
+          method: treeMethod,
+          bootstrapReplicates: 100,
+          distance: { model: distanceModel, gapHandling },
+          signal: controller.signal,
+          onProgress: setTreeProgress
+        });
+        setPhylogeny(result);
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error('Error constructing phylogenetic tree:', error);
+        setTreeError(error.message);
+      } finally {
+        if (!controller.signal.aborted) setTreeProgress(null);
+      }
+    };
+
+    buildTree();
+    return () => controller.abort();
+  }, [genomicData, treeMethod, distanceModel, gapHandling]);
 
   const processMockData = () => {
     return {
@@ -97,7 +151,9 @@ const PhylogeneticTree = () => {
         return {
           ...sample,
           geneticDiversity: diversity,
-          ...populationData
+          ...populationData,
+          // Uploaded records carry their own collection locality
+          location: sample.location || populationData.location
         };
       });
     });
@@ -132,137 +188,42 @@ const PhylogeneticTree = () => {
     return populationMap[species] || {};
   };
 
-  const generatePhylogeneticData = (genomicData) => {
-    if (!genomicData) return null;
+  const generatePhylogeneticData = (phylogeny, genomicData) => {
+    const tree = phylogeny?.tree?.tree;
+    if (!tree || !genomicData) return null;
 
-    const speciesStats = {};
-    Object.keys(genomicData).forEach(species => {
-      const samples = genomicData[species];
-      const avgDiversity = samples.reduce((sum, sample) => sum + sample.geneticDiversity, 0) / samples.length;
-      const totalPop = samples[0]?.populationSize || 0;
-      
-      speciesStats[species] = {
-        avgDiversity,
-        populationSize: totalPop,
-        sampleCount: samples.length,
-        location: samples[0]?.location || "",
-        threatLevel: samples[0]?.threatLevel || ""
-      };
-    });
+    const alignedSamples = phylogeny.alignment.alignedSequences;
 
-    return {
-      name: "Root",
-      branchLength: 0,
-      bootstrap: 100,
-      children: [
-        {
-          name: "Outgroup",
-          branchLength: 0.15,
-          bootstrap: 95,
-          species: "outgroup",
-          geneticDiversity: 0.65,
-          populationSize: null
-        },
-        {
-          name: "Pongo Clade",
-          branchLength: 0.05,
-          bootstrap: 98,
-          children: [
-            {
-              name: "Pongo abelii Clade",
-              branchLength: 0.08,
-              bootstrap: 92,
-              children: [
-                {
-                  name: "P. abelii North",
-                  branchLength: 0.03,
-                  bootstrap: 87,
-                  species: "Pongo abelii",
-                  geneticDiversity: speciesStats["Pongo abelii"]?.avgDiversity || 0.72,
-                  populationSize: Math.floor(speciesStats["Pongo abelii"]?.populationSize * 0.6) || 8000,
-                  location: "Northern Sumatra",
-                  threatLevel: "Critical"
-                },
-                {
-                  name: "P. abelii South", 
-                  branchLength: 0.04,
-                  bootstrap: 84,
-                  species: "Pongo abelii",
-                  geneticDiversity: speciesStats["Pongo abelii"]?.avgDiversity * 0.95 || 0.68,
-                  populationSize: Math.floor(speciesStats["Pongo abelii"]?.populationSize * 0.4) || 6000,
-                  location: "Southern Sumatra",
-                  threatLevel: "Critical"
-                }
-              ]
-            },
-            {
-              name: "Bornean-Tapanuli Clade",
-              branchLength: 0.06,
-              bootstrap: 89,
-              children: [
-                {
-                  name: "Pongo tapanuliensis",
-                  branchLength: 0.12,
-                  bootstrap: 91,
-                  species: "Pongo tapanuliensis",
-                  geneticDiversity: speciesStats["Pongo tapanuliensis"]?.avgDiversity || 0.58,
-                  populationSize: speciesStats["Pongo tapanuliensis"]?.populationSize || 800,
-                  location: "Batang Toru, North Sumatra",
-                  threatLevel: "Critically Endangered"
-                },
-                {
-                  name: "Pongo pygmaeus Clade",
-                  branchLength: 0.07,
-                  bootstrap: 94,
-                  children: [
-                    {
-                      name: "P. p. pygmaeus",
-                      branchLength: 0.05,
-                      bootstrap: 88,
-                      species: "Pongo pygmaeus",
-                      subspecies: "pygmaeus",
-                      geneticDiversity: speciesStats["Pongo pygmaeus"]?.avgDiversity || 0.74,
-                      populationSize: Math.floor(speciesStats["Pongo pygmaeus"]?.populationSize * 0.35) || 35000,
-                      location: "Northwest Borneo",
-                      threatLevel: "Endangered"
-                    },
-                    {
-                      name: "Central Bornean Clade",
-                      branchLength: 0.03,
-                      bootstrap: 86,
-                      children: [
-                        {
-                          name: "P. p. wurmbii",
-                          branchLength: 0.04,
-                          bootstrap: 82,
-                          species: "Pongo pygmaeus",
-                          subspecies: "wurmbii", 
-                          geneticDiversity: speciesStats["Pongo pygmaeus"]?.avgDiversity * 0.96 || 0.71,
-                          populationSize: Math.floor(speciesStats["Pongo pygmaeus"]?.populationSize * 0.45) || 45000,
-                          location: "Central Borneo",
-                          threatLevel: "Endangered"
-                        },
-                        {
-                          name: "P. p. morio",
-                          branchLength: 0.06,
-                          bootstrap: 79,
-                          species: "Pongo pygmaeus",
-                          subspecies: "morio",
-                          geneticDiversity: speciesStats["Pongo pygmaeus"]?.avgDiversity * 0.93 || 0.69,
-                          populationSize: Math.floor(speciesStats["Pongo pygmaeus"]?.populationSize * 0.20) || 25000,
-                          location: "East Borneo",
-                          threatLevel: "Endangered"
-                        }
-                      ]
-                    }
-                  ]
-                }
-              ]
-            }
-          ]
-        }
-      ]
+    // Convert the computed tree into the hierarchy drawn by d3, taking leaf metadata from the samples
+    const toDisplayNode = (node) => {
+      if (node.isLeaf) {
+        const sample = alignedSamples[node.sequenceIndex] || {};
+        return {
+          name: node.name,
+          branchLength: node.distance,
+          species: sample.species || node.species,
+          sampleId: sample.id,
+          geneticDiversity: sample.geneticDiversity,
+          populationSize: sample.populationSize,
+          location: sample.location,
+          threatLevel: sample.threatLevel
+        };
+      }
+
+      const children = node.children.map(toDisplayNode);
+      const childSpecies = new Set(children.map(child => child.species));
+      const species = childSpecies.size === 1 ? children[0].species : undefined;
+
+      return {
+        name: species ? `${species} clade` : node.name,
+        branchLength: node.distance,
+        bootstrap: node.bootstrap,
+        species,
+        children
+      };
     };
+
+    return toDisplayNode(tree);
   };
 
   const speciesColors = {
@@ -272,6 +233,64 @@ const PhylogeneticTree = () => {
     'outgroup': '#95a5a6'    
   };
 
+  // Map external taxon labels (e.g. "Pongo_abelii_KX123") onto the species used for coloring
+  const inferSpecies = (label) => {
+    const text = (label || '').toLowerCase();
+    if (text.includes('tapanuli')) return 'Pongo tapanuliensis';
+    if (text.includes('abelii')) return 'Pongo abelii';
+    if (/pygmaeus|wurmbii|morio/.test(text)) return 'Pongo pygmaeus';
+    return undefined;
+  };
+
+  const annotateImportedTree = (node) => {
+    if (node.children) {
+      const children = node.children.map(annotateImportedTree);
+      const childSpecies = new Set(children.map(child => child.species));
+      return {
+        ...node,
+        species: childSpecies.size === 1 ? children[0].species : undefined,
+        children
+      };
+    }
+
+    const species = inferSpecies(node.species) || inferSpecies(node.name);
+    return {
+      ...node,
+      species,
+      threatLevel: species ? getPopulationData(species, 0).threatLevel : undefined
+    };
+  };
+
+  const handleTreeUpload = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      const parsed = parseTreeFile(text, file.name);
+      const [first] = parsed.trees;
+      setImportedTree({
+        fileName: file.name,
+        format: parsed.format,
+        name: first.name,
+        treeCount: parsed.trees.length,
+        tree: annotateImportedTree(first.tree)
+      });
+      setImportError(null);
+      setSelectedNode(null);
+    } catch (error) {
+      console.error('Error importing tree file:', error);
+      setImportError(error.message);
+    }
+  };
+
+  const clearImportedTree = () => {
+    setImportedTree(null);
+    setImportError(null);
+    setSelectedNode(null);
+  };
+
   const getThreatColor = (threatLevel) => {
     switch(threatLevel) {
       case 'Critically Endangered': return '#c0392b';
@@ -281,23 +300,29 @@ const PhylogeneticTree = () => {
     }
   };
 
+  // Rerooting and collapsing edit a working copy; a new source tree discards those edits
+  useEffect(() => {
+    setDisplayTree(importedTree ? importedTree.tree : generatePhylogeneticData(phylogeny, genomicData));
+    setSelectedNode(null);
+  }, [phylogeny, importedTree]);
+
   useEffect(() => {
-    if (genomicData) {
+    if (displayTree) {
       drawTree();
     }
-  }, [genomicData, zoomLevel, showBootstrap, showBranchLength, highlightSpecies, treeLayout]);
+  }, [displayTree, zoomLevel, showBootstrap, showBranchLength, highlightSpecies, treeLayout]);
 
   const drawTree = () => {
-    if (!genomicData) return;
-    
-    const phylogeneticData = generatePhylogeneticData(genomicData);
+    const phylogeneticData = displayTree;
     if (!phylogeneticData) return;
 
     const svg = d3.select(svgRef.current);
     svg.selectAll("*").remove();
 
+    const root = d3.hierarchy(phylogeneticData, d => d.collapsed ? null : d.children);
+    const leafSpacing = isMobile ? 12 : 14;
     const containerWidth = isMobile ? window.innerWidth - 40 : 800;
-    const containerHeight = isMobile ? 400 : 600;
+    const containerHeight = Math.max(isMobile ? 400 : 600, root.leaves().length * leafSpacing);
     const margin = isMobile 
       ? { top: 20, right: 80, bottom: 20, left: 20 }
       : { top: 20, right: 150, bottom: 20, left: 20 };
@@ -305,25 +330,29 @@ const PhylogeneticTree = () => {
     const width = containerWidth;
     const height = containerHeight;
 
-    svg.attr("width", width).attr("height", height);
+    svg.attr("width", width).attr("height", height).style("height", `${height}px`);
 
+    baseTransformRef.current = `translate(${margin.left},${margin.top})`;
     const g = svg.append("g")
-      .attr("transform", `translate(${margin.left},${margin.top})`);
+      .attr("transform", baseTransformRef.current);
 
     const tree = d3.tree()
       .size([height - margin.top - margin.bottom, width - margin.left - margin.right]);
 
-    const root = d3.hierarchy(phylogeneticData);
     tree(root);
 
     if (treeLayout === 'phylogram') {
-      const maxDistance = d3.max(root.descendants(), d => d.data.branchLength || 0);
+      // Scale by root-to-tip distance so branch lengths accumulate along each path
+      root.eachBefore(d => {
+        d.depthLength = d.parent ? d.parent.depthLength + (d.data.branchLength || 0) : 0;
+      });
+      const maxDistance = d3.max(root.descendants(), d => d.depthLength) || 1;
       const xScale = d3.scaleLinear()
         .domain([0, maxDistance])
         .range([0, width - margin.left - margin.right]);
       
       root.descendants().forEach(d => {
-        d.y = d.parent ? d.parent.y + xScale(d.data.branchLength || 0) : 0;
+        d.y = xScale(d.depthLength);
       });
     }
 
@@ -411,7 +440,7 @@ const PhylogeneticTree = () => {
       });
 
     if (showBootstrap && !isMobile) {
-      nodes.filter(d => d.data.bootstrap && d.children)
+      nodes.filter(d => d.data.bootstrap !== undefined && d.children)
         .append("text")
         .attr("dx", -15)
         .attr("dy", -10)
@@ -421,18 +450,21 @@ const PhylogeneticTree = () => {
         .text(d => d.data.bootstrap);
     }
 
-    nodes.append("text")
-      .attr("dx", d => d.children ? -8 : 8)
+    nodes.filter(d => !d.children).append("text")
+      .attr("dx", 8)
       .attr("dy", ".35em")
-      .style("text-anchor", d => d.children ? "end" : "start")
-      .style("font-size", isMobile ? "10px" : "12px")
+      .style("text-anchor", "start")
+      .style("font-size", isMobile ? "10px" : "11px")
       .style("font-weight", d => d.data.species ? "bold" : "normal")
       .style("fill", d => d.data.species ? speciesColors[d.data.species] : "#333")
       .text(d => {
-        if (isMobile && d.data.name.length > 12) {
-          return d.data.name.substring(0, 10) + "...";
+        const label = d.data.collapsed
+          ? `${d.data.name || 'Clade'} (${countTips(d.data)} taxa)`
+          : d.data.name;
+        if (isMobile && label.length > 12) {
+          return label.substring(0, 10) + "...";
         }
-        return d.data.name;
+        return label;
       });
 
     if (showDiversityMetrics && !isMobile) {
@@ -456,18 +488,94 @@ const PhylogeneticTree = () => {
     setZoomLevel(1);
   };
 
-  const exportSVG = () => {
-    const svgElement = svgRef.current;
-    const serializer = new XMLSerializer();
-    const svgString = serializer.serializeToString(svgElement);
-    const blob = new Blob([svgString], { type: 'image/svg+xml' });
+  const rerootAtSelected = () => {
+    if (!selectedNode || selectedNode === displayTree) return;
+    setDisplayTree(rerootTree(displayTree, selectedNode));
+    setSelectedNode(null);
+  };
+
+  const toggleCollapseSelected = () => {
+    if (!selectedNode?.children) return;
+    const toggle = (node) => {
+      if (node === selectedNode) return { ...node, collapsed: !node.collapsed };
+      return node.children ? { ...node, children: node.children.map(toggle) } : node;
+    };
+    setDisplayTree(toggle(displayTree));
+    setSelectedNode(null);
+  };
+
+  const resetTreeEdits = () => {
+    setDisplayTree(importedTree ? importedTree.tree : generatePhylogeneticData(phylogeny, genomicData));
+    setSelectedNode(null);
+  };
+
+  const downloadBlob = (blob, fileName) => {
     const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.href = url;
-    link.download = 'orangutan_phylogeny.svg';
+    link.download = fileName;
     link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
   };
 
+  // The whole tree is exported whatever the current zoom and pan: the clone's group gets the base transform back
+  const serializeSVG = () => {
+    const svgElement = svgRef.current.cloneNode(true);
+    const group = svgElement.querySelector(':scope > g');
+    if (group) group.setAttribute('transform', baseTransformRef.current);
+    const serializer = new XMLSerializer();
+    return serializer.serializeToString(svgElement);
+  };
+
+  const exportSVG = () => {
+    const blob = new Blob([serializeSVG()], { type: 'image/svg+xml' });
+    downloadBlob(blob, 'orangutan_phylogeny.svg');
+  };
+
+  const exportPNG = (scale = 4) => {
+    const svgElement = svgRef.current;
+    const width = Number(svgElement.getAttribute('width'));
+    const height = Number(svgElement.getAttribute('height'));
+    const svgUrl = URL.createObjectURL(new Blob([serializeSVG()], { type: 'image/svg+xml' }));
+    const image = new Image();
+
+    // Rasterize at 4x the screen size (~384 DPI) for print figures
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const context = canvas.getContext('2d');
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(svgUrl);
+      canvas.toBlob(blob => downloadBlob(blob, 'orangutan_phylogeny.png'), 'image/png');
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(svgUrl);
+      console.error('Failed to rasterize tree SVG for PNG export');
+    };
+    image.src = svgUrl;
+  };
+
+  const exportNewick = () => {
+    const blob = new Blob([`${treeToNewick(displayTree)}\n`], { type: 'text/plain' });
+    downloadBlob(blob, 'orangutan_phylogeny.nwk');
+  };
+
+  const exportNexus = () => {
+    const blob = new Blob([treeToNexus(displayTree, 'orangutan_phylogeny')], { type: 'text/plain' });
+    downloadBlob(blob, 'orangutan_phylogeny.nex');
+  };
+
+  const exportFormats = [
+    { label: 'SVG', action: exportSVG },
+    { label: 'PNG', action: () => exportPNG() },
+    { label: 'Newick', action: exportNewick },
+    { label: 'NEXUS', action: exportNexus }
+  ];
+
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-96 bg-white rounded-lg shadow-lg">
@@ -481,6 +589,9 @@ const PhylogeneticTree = () => {
 
   return (
     <div className="w-full bg-white rounded-lg shadow-lg overflow-hidden">
+      <div className="p-3 border-b bg-gray-50">
+        <LocusPicker />
+      </div>
       <div className="flex items-center justify-between p-4 border-b bg-gradient-to-r from-green-50 to-blue-50">
         <h2 className="text-lg md:text-xl font-bold text-gray-800 flex items-center gap-2">
           <TreePine className="w-5 h-5 text-green-600" />
@@ -545,6 +656,50 @@ const PhylogeneticTree = () => {
               </select>
             </div>
 
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Tree Method
+              </label>
+              <select
+                value={treeMethod}
+                onChange={(e) => setTreeMethod(e.target.value)}
+                className="w-full px-3 py-2 border rounded"
+              >
+                <option value="nj">Neighbor-Joining</option>
+                <option value="ml">Maximum Likelihood (GTR+Γ)</option>
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {treeMethod === 'ml' ? 'Starting Tree Distance' : 'Distance Model'}
+              </label>
+              <select
+                value={distanceModel}
+                onChange={(e) => setDistanceModel(e.target.value)}
+                className="w-full px-3 py-2 border rounded"
+              >
+                {Object.entries(SUBSTITUTION_MODELS).map(([key, model]) => (
+                  <option key={key} value={key}>{model.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Gaps &amp; Missing Data
+              </label>
+              <select
+                value={gapHandling}
+                onChange={(e) => setGapHandling(e.target.value)}
+                className="w-full px-3 py-2 border rounded"
+              >
+                {Object.entries(GAP_HANDLING).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+
             <div className="space-y-2">
               <label className="flex items-center gap-2">
                 <input
@@ -586,12 +741,26 @@ const PhylogeneticTree = () => {
             </div>
 
             <button
-              onClick={exportSVG}
-              className="w-full p-2 bg-green-500 text-white rounded hover:bg-green-600"
+              onClick={() => treeFileInputRef.current?.click()}
+              className="w-full p-2 bg-purple-500 text-white rounded hover:bg-purple-600"
             >
-              <Download className="w-4 h-4 inline mr-2" />
-              Export Tree
+              <Upload className="w-4 h-4 inline mr-2" />
+              Import Tree
             </button>
+
+            <div className="grid grid-cols-2 gap-2">
+              {exportFormats.map(format => (
+                <button
+                  key={format.label}
+                  onClick={format.action}
+                  disabled={!displayTree}
+                  className="p-2 bg-green-500 text-white rounded hover:bg-green-600 disabled:opacity-50"
+                >
+                  <Download className="w-4 h-4 inline mr-2" />
+                  {format.label}
+                </button>
+              ))}
+            </div>
           </div>
         </div>
       )}
@@ -658,11 +827,79 @@ const PhylogeneticTree = () => {
             <option value="phylogram">Phylogram</option>
           </select>
 
+          <select
+            value={treeMethod}
+            onChange={(e) => setTreeMethod(e.target.value)}
+            className="px-3 py-1 border rounded"
+            title="Tree construction method"
+          >
+            <option value="nj">Neighbor-Joining</option>
+            <option value="ml">Maximum Likelihood (GTR+Γ)</option>
+          </select>
+
+          <select
+            value={distanceModel}
+            onChange={(e) => setDistanceModel(e.target.value)}
+            className="px-3 py-1 border rounded"
+            title={SUBSTITUTION_MODELS[distanceModel].description}
+          >
+            {Object.entries(SUBSTITUTION_MODELS).map(([key, model]) => (
+              <option key={key} value={key}>{model.label}</option>
+            ))}
+          </select>
+
+          <select
+            value={gapHandling}
+            onChange={(e) => setGapHandling(e.target.value)}
+            className="px-3 py-1 border rounded"
+            title="Treatment of gaps and missing data"
+          >
+            {Object.entries(GAP_HANDLING).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+
           <button
-            onClick={exportSVG}
-            className="p-2 bg-green-500 text-white rounded hover:bg-green-600"
+            onClick={() => treeFileInputRef.current?.click()}
+            className="p-2 bg-purple-500 text-white rounded hover:bg-purple-600"
+            title="Import Newick, NEXUS or phyloXML tree"
           >
-            <Download className="w-4 h-4" />
+            <Upload className="w-4 h-4" />
+          </button>
+
+          <div className="flex items-center gap-1">
+            <Download className="w-4 h-4 text-green-600" />
+            {exportFormats.map(format => (
+              <button
+                key={format.label}
+                onClick={format.action}
+                disabled={!displayTree}
+                className="px-2 py-1 text-sm bg-green-500 text-white rounded hover:bg-green-600 disabled:opacity-50"
+              >
+                {format.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <input
+        ref={treeFileInputRef}
+        type="file"
+        accept=".nwk,.newick,.tre,.tree,.treefile,.nex,.nexus,.xml,.phyloxml"
+        onChange={handleTreeUpload}
+        className="hidden"
+      />
+
+      {(importedTree || importError) && (
+        <div className={`flex items-center justify-between px-4 py-2 text-sm border-b ${importError ? 'bg-red-50 text-red-700' : 'bg-purple-50 text-purple-800'}`}>
+          <span>
+            {importError
+              ? `Could not import tree: ${importError}`
+              : `Showing ${importedTree.name} from ${importedTree.fileName} (${importedTree.format}${importedTree.treeCount > 1 ? `, first of ${importedTree.treeCount} trees` : ''})`}
+          </span>
+          <button onClick={clearImportedTree} className="text-blue-600 hover:text-blue-800">
+            {importedTree ? 'Show computed tree' : 'Dismiss'}
           </button>
         </div>
       )}
@@ -682,6 +919,46 @@ const PhylogeneticTree = () => {
                 <div>P. abelii: {genomicData["Pongo abelii"]?.length || 0} samples</div>
                 <div>P. pygmaeus: {genomicData["Pongo pygmaeus"]?.length || 0} samples</div>
                 <div>P. tapanuliensis: {genomicData["Pongo tapanuliensis"]?.length || 0} samples</div>
+                {treeProgress?.stage === 'alignment' && (
+                  <div className="text-blue-600">
+                    Aligning: {treeProgress.completed}/{treeProgress.total} merges
+                  </div>
+                )}
+                {treeProgress?.stage === 'bootstrap' && (
+                  <div className="text-blue-600">
+                    Bootstrap: {treeProgress.completed}/{treeProgress.total} replicates
+                  </div>
+                )}
+                {mlStageLabels[treeProgress?.stage] && (
+                  <div className="text-blue-600">
+                    ML search: {mlStageLabels[treeProgress.stage]}
+                    {treeProgress.round ? ` (round ${treeProgress.round})` : ''}
+                    {Number.isFinite(treeProgress.logLikelihood) ? `, lnL ${treeProgress.logLikelihood.toFixed(2)}` : ''}
+                  </div>
+                )}
+                {phylogeny?.tree?.method === 'ml' && (
+                  <div>
+                    ML tree ({phylogeny.tree.substitutionModel.name}, α = {phylogeny.tree.substitutionModel.alpha.toFixed(2)}),
+                    lnL = {phylogeny.tree.logLikelihood.toFixed(2)}
+                  </div>
+                )}
+                {phylogeny?.tree?.bootstrapReplicates > 0 && (
+                  <div>NJ tree, {phylogeny.tree.bootstrapReplicates} bootstrap replicates</div>
+                )}
+                {phylogeny?.tree?.distanceModel && (
+                  <div>
+                    {phylogeny.tree.method === 'ml' ? 'Starting NJ distance' : 'Distance'}: {SUBSTITUTION_MODELS[phylogeny.tree.distanceModel.model]?.label || phylogeny.tree.distanceModel.model},{' '}
+                    {(GAP_HANDLING[phylogeny.tree.distanceModel.gapHandling] || '').toLowerCase()}
+                  </div>
+                )}
+                {phylogeny?.tree?.saturatedPairs?.length > 0 && (
+                  <div className="text-amber-600" title={phylogeny.tree.saturatedPairs.slice(0, 10).map(pair => pair.ids.join(' / ')).join('\n')}>
+                    {phylogeny.tree.saturatedPairs.length} saturated pair(s): distance undefined under this model
+                  </div>
+                )}
+                {treeError && (
+                  <div className="text-red-600">Tree construction failed: {treeError}</div>
+                )}
               </div>
             </div>
           )}
@@ -696,7 +973,7 @@ const PhylogeneticTree = () => {
           {selectedNode ? (
             <div className="space-y-3">
               <div>
-                <h4 className="font-medium text-lg">{selectedNode.name}</h4>
+                <h4 className="font-medium text-lg">{selectedNode.name || 'Internal node'}</h4>
                 {selectedNode.species && (
                   <div className="flex items-center gap-2 mt-1">
                     <div 
@@ -754,20 +1031,39 @@ const PhylogeneticTree = () => {
                 </div>
               )}
 
-              {selectedNode.bootstrap && (
+              {selectedNode.bootstrap !== undefined && (
                 <div>
                   <span className="font-medium">Bootstrap Support:</span>
                   <p className="text-sm text-gray-600">{selectedNode.bootstrap}%</p>
                 </div>
               )}
 
-              {selectedNode.branchLength && (
+              {selectedNode.branchLength > 0 && (
                 <div>
                   <span className="font-medium">Branch Length:</span>
-                  <p className="text-sm text-gray-600">{selectedNode.branchLength}</p>
+                  <p className="text-sm text-gray-600">{selectedNode.branchLength.toFixed(4)}</p>
                 </div>
               )}
 
+              <div className="flex flex-wrap gap-2 pt-2">
+                {selectedNode !== displayTree && (
+                  <button
+                    onClick={rerootAtSelected}
+                    className="px-2 py-1 text-sm bg-blue-500 text-white rounded hover:bg-blue-600"
+                  >
+                    Reroot here
+                  </button>
+                )}
+                {selectedNode.children && (
+                  <button
+                    onClick={toggleCollapseSelected}
+                    className="px-2 py-1 text-sm bg-gray-500 text-white rounded hover:bg-gray-600"
+                  >
+                    {selectedNode.collapsed ? 'Expand clade' : 'Collapse clade'}
+                  </button>
+                )}
+              </div>
+
               <button
                 onClick={() => setSelectedNode(null)}
                 className="mt-3 text-sm text-blue-600 hover:text-blue-800"
@@ -781,6 +1077,16 @@ const PhylogeneticTree = () => {
             </div>
           )}
 
+          {displayTree && (
+            <button
+              onClick={resetTreeEdits}
+              className="mt-3 text-sm text-blue-600 hover:text-blue-800 flex items-center gap-1"
+            >
+              <RefreshCw className="w-3 h-3" />
+              Reset rerooting and collapsed clades
+            </button>
+          )}
+
           <div className="mt-6">
             <h4 className="font-medium mb-2">Species Legend</h4>
             <div className="space-y-2">
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { ShieldCheck, AlertTriangle, X } from 'lucide-react';
+import useGenomeSource from '../../hooks/useGenomeSource';
+import { SEQUENCE_QC_FLAGS } from '../../utils/sequenceQuality';
+
+const SequenceQC = () => {
+  const [open, setOpen] = useState(false);
+  const [showAll, setShowAll] = useState(false);
+  const { qcReport, qcCriteria, droppedSamples, setQcCriteria } = useGenomeSource();
+
+  const dropFlags = new Set(qcCriteria.dropFlags);
+  const toggleFlag = (flag) => {
+    const next = new Set(dropFlags);
+    if (next.has(flag)) {
+      next.delete(flag);
+    } else {
+      next.add(flag);
+    }
+    setQcCriteria({ dropFlags: [...next] });
+  };
+
+  const rows = showAll ? qcReport.samples : qcReport.samples.filter(sample => sample.flags.length > 0);
+  const hasErrors = qcReport.invalidRecords > 0;
+
+  return (
+    <div className="relative text-sm">
+      <button
+        onClick={() => setOpen(!open)}
+        className={`flex items-center px-3 py-2 rounded border ${
+          qcReport.flaggedRecords > 0 ? 'border-amber-300 text-amber-700 bg-amber-50' : 'border-gray-200 text-gray-600'
+        } hover:bg-gray-50`}
+        title="Sequence quality control"
+      >
+        {qcReport.flaggedRecords > 0
+          ? <AlertTriangle className={`w-4 h-4 md:mr-2 ${hasErrors ? 'text-red-600' : ''}`} />
+          : <ShieldCheck className="w-4 h-4 md:mr-2 text-green-600" />}
+        <span className="hidden md:inline">
+          QC: {qcReport.flaggedRecords} flagged · {droppedSamples.length} dropped
+        </span>
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-[36rem] max-w-[90vw] bg-white border border-gray-200 rounded-lg shadow-lg z-50">
+          <div className="flex items-center justify-between px-4 py-3 border-b">
+            <h3 className="font-semibold text-gray-900">Sequence Quality Control</h3>
+            <button onClick={() => setOpen(false)} className="p-1 text-gray-400 hover:text-gray-600">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+
+          <div className="px-4 py-3 border-b">
+            <div className="grid grid-cols-3 gap-2 mb-3 text-center">
+              <div>
+                <div className="text-lg font-semibold text-gray-900">{qcReport.totalRecords}</div>
+                <div className="text-xs text-gray-500">Sequences</div>
+              </div>
+              <div>
+                <div className="text-lg font-semibold text-amber-600">{qcReport.flaggedRecords}</div>
+                <div className="text-xs text-gray-500">Flagged</div>
+              </div>
+              <div>
+                <div className="text-lg font-semibold text-red-600">{droppedSamples.length}</div>
+                <div className="text-xs text-gray-500">Excluded from analysis</div>
+              </div>
+            </div>
+
+            <div className="text-xs font-medium text-gray-700 mb-1">Exclude sequences flagged as:</div>
+            <div className="grid grid-cols-2 gap-1">
+              {Object.entries(SEQUENCE_QC_FLAGS).map(([flag, { label, severity }]) => (
+                <label key={flag} className="flex items-center space-x-2 text-xs text-gray-700">
+                  <input type="checkbox" checked={dropFlags.has(flag)} onChange={() => toggleFlag(flag)} />
+                  <span className={severity === 'error' ? 'text-red-700' : ''}>{label}</span>
+                  <span className="text-gray-400">({qcReport.flagCounts[flag]})</span>
+                </label>
+              ))}
+            </div>
+
+            {qcReport.recommendations.length > 0 && (
+              <ul className="mt-3 space-y-1 text-xs text-gray-600">
+                {qcReport.recommendations.map((recommendation, index) => (
+                  <li key={index}>• {recommendation.message}. {recommendation.action}.</li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="px-4 py-2 flex items-center justify-between text-xs text-gray-500">
+            <span>{showAll ? 'All sequences' : 'Flagged sequences'}</span>
+            <label className="flex items-center space-x-1">
+              <input type="checkbox" checked={showAll} onChange={() => setShowAll(!showAll)} />
+              <span>Show all</span>
+            </label>
+          </div>
+          <div className="max-h-72 overflow-auto">
+            {rows.length === 0 ? (
+              <p className="px-4 pb-4 text-xs text-gray-500">No sequences were flagged.</p>
+            ) : (
+              <table className="w-full text-xs">
+                <thead className="bg-gray-50 text-gray-600 sticky top-0">
+                  <tr>
+                    <th className="px-3 py-1 text-left">Sample</th>
+                    <th className="px-3 py-1 text-left">Species</th>
+                    <th className="px-3 py-1 text-right">Length</th>
+                    <th className="px-3 py-1 text-right">N %</th>
+                    <th className="px-3 py-1 text-left">Issues</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(sample => (
+                    <tr key={sample.key} className={`border-t ${sample.dropped ? 'bg-red-50 text-gray-400' : ''}`}>
+                      <td className="px-3 py-1 font-mono">{sample.accession || sample.id}</td>
+                      <td className="px-3 py-1 italic">{sample.species}</td>
+                      <td className="px-3 py-1 text-right">{sample.metrics.length}</td>
+                      <td className="px-3 py-1 text-right">{(sample.metrics.nFraction * 100).toFixed(1)}</td>
+                      <td className="px-3 py-1" title={[...sample.errors, ...sample.warnings].join('\n')}>
+                        {sample.flags.map(flag => SEQUENCE_QC_FLAGS[flag].label).join(', ') || '—'}
+                        {sample.suggestedSpecies && (
+                          <span className="text-amber-700"> → {sample.suggestedSpecies}</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SequenceQC;
@@ -20,7 +20,18 @@ export const GBIF_CONFIG = {
       estimatedPopulation: 14000,
       primaryHabitat: 'Tropical rainforest',
       countries: ['ID'], // Indonesia
-      conservationPriority: 'critical'
+      conservationPriority: 'critical',
+      // Representative population unit for the individual-based viability model.
+      // Sumatran females breed at ~15 years with inter-birth intervals near 8.5 years.
+      viabilityModel: {
+        initialSize: 1000,
+        carryingCapacity: 1200,
+        minInterbirthInterval: 7,
+        mortality: {
+          female: { infant: 0.05, juvenile: 0.02, subadult: 0.015, adult: 0.015 },
+          male: { infant: 0.05, juvenile: 0.02, subadult: 0.025, adult: 0.025 }
+        }
+      }
     },
     'Pongo pygmaeus': {
       taxonKey: 5219532,
@@ -29,7 +40,13 @@ export const GBIF_CONFIG = {
       estimatedPopulation: 104000,
       primaryHabitat: 'Tropical rainforest',
       countries: ['ID', 'MY'], // Indonesia, Malaysia
-      conservationPriority: 'critical'
+      conservationPriority: 'critical',
+      // Bornean inter-birth intervals are shorter (~7.5 years) but mortality is higher
+      viabilityModel: {
+        initialSize: 1000,
+        carryingCapacity: 1200,
+        minInterbirthInterval: 6
+      }
     },
     'Pongo tapanuliensis': {
       taxonKey: 9311132,
@@ -38,7 +55,17 @@ export const GBIF_CONFIG = {
       estimatedPopulation: 800,
       primaryHabitat: 'Montane forest',
       countries: ['ID'], // Indonesia
-      conservationPriority: 'critical'
+      conservationPriority: 'critical',
+      // The whole species is simulated; life history follows the Sumatran orangutan
+      viabilityModel: {
+        initialSize: 760,
+        carryingCapacity: 800,
+        minInterbirthInterval: 7,
+        mortality: {
+          female: { infant: 0.05, juvenile: 0.02, subadult: 0.015, adult: 0.015 },
+          male: { infant: 0.05, juvenile: 0.02, subadult: 0.025, adult: 0.025 }
+        }
+      }
     }
   },
 
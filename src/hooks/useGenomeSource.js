@@ -0,0 +1,81 @@
+// src/hooks/useGenomeSource.js
+// Custom React hook exposing the active genome sequence source
+
+import { useState, useEffect, useCallback } from 'react';
+import dataService from '../services/dataService';
+
+/**
+ * Custom hook for the genome sequences analyzed by the sequence-based views.
+ * `genomicData` holds only the sequences that pass sequence QC and `locusData` the
+ * subset of them from the selected homologous locus; it re-renders whenever a file
+ * is uploaded, the bundled data is restored, or the QC filter or locus changes.
+ */
+export const useGenomeSource = () => {
+  const [source, setSource] = useState(() => dataService.getGenomeSource());
+  const [qc, setQc] = useState(() => dataService.getSequenceQc());
+  const [locusSelection, setLocusSelection] = useState(() => dataService.getLocusSelection());
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const refresh = () => {
+      setSource(dataService.getGenomeSource());
+      setQc(dataService.getSequenceQc());
+      setLocusSelection(dataService.getLocusSelection());
+    };
+    // Catch a change made between the first render and subscribing
+    refresh();
+    return dataService.subscribeGenomeSource(refresh);
+  }, []);
+
+  /**
+   * Upload FASTA/GenBank files as the new genome source
+   */
+  const uploadFiles = useCallback(async (files) => {
+    setUploading(true);
+    setError(null);
+    try {
+      return await dataService.loadSequenceFiles(Array.from(files));
+    } catch (err) {
+      console.error('Error loading sequence files:', err);
+      setError(err.message);
+      return null;
+    } finally {
+      setUploading(false);
+    }
+  }, []);
+
+  const resetToBundled = useCallback(() => {
+    setError(null);
+    dataService.resetGenomeSource();
+  }, []);
+
+  const setQcCriteria = useCallback((criteria) => {
+    dataService.setSequenceQcCriteria(criteria);
+  }, []);
+
+  const setSelectedLocus = useCallback((locusId) => {
+    dataService.setSelectedLocus(locusId);
+  }, []);
+
+  return {
+    source,
+    genomicData: qc.genomicData,
+    rawGenomicData: source.data,
+    qcReport: qc.summary,
+    qcCriteria: qc.criteria,
+    droppedSamples: qc.dropped,
+    loci: locusSelection.loci,
+    selectedLocusId: locusSelection.selectedLocusId,
+    locusData: locusSelection.genomicData,
+    isUploaded: source.type === 'upload',
+    uploading,
+    error,
+    uploadFiles,
+    resetToBundled,
+    setQcCriteria,
+    setSelectedLocus
+  };
+};
+
+export default useGenomeSource;
@@ -1,101 +1,700 @@
 #!/usr/bin/env node
-const axios = require('axios');
-const { XMLParser } = require('fast-xml-parser');
-const fs = require('fs').promises; 
+// src/services/FetchDataNCBI.js
+// Command-line fetcher for orangutan sequences from NCBI Entrez
+//
+// Usage: npm run fetch -- [options]
+//   --species <name>     Organism to search (repeatable or comma-separated)
+//   --gene <marker>      Gene/marker to target, e.g. cytb, COI, D-loop, ND5 (repeatable or comma-separated)
+//   --max <n>            Maximum records per query (default 20)
+//   --min-length <bp>    Minimum sequence length
+//   --max-length <bp>    Maximum sequence length
+//   --db <database>      Entrez database (default nucleotide)
+//   --query <term>       Raw Entrez query, ANDed with the generated terms
+//   --out <file>         Output JSON file (default ./src/services/pongo_genome_sequence.json)
+//   --batch-size <n>     Records per efetch request (default 100)
+//   --retries <n>        Retries per request on transient errors (default 5)
+//   --restart            Ignore an existing checkpoint instead of resuming from it
+//   --allow-partial      Write the output even when some queries or batches failed
+//   --update             Only fetch records that are new or have a new version compared with --out,
+//                        and log added/updated/removed accessions to <out>.changelog.json
+//   --help               Show this message
+//
+// Environment: NCBI_API_KEY raises the rate limit from 3 to 10 requests/second,
+// NCBI_EMAIL identifies the user to NCBI, NCBI_EUTILS_URL overrides the E-utilities base URL.
 
-const NCBI_EUTILS = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils';
-const OUTPUT_FILE = './src/services/pongo_genome_sequence.json'; 
+const fs = require('fs').promises;
+const path = require('path');
+const { parseArgs } = require('util');
+const { parseGenBankFlatFile, genbankEntryToSample } = require('../utils/genbankParser');
+const { EntrezClient } = require('./entrezClient');
 
-const speciesToFetch = [
-  { name: 'Pongo abelii', count: 20 },
-  { name: 'Pongo pygmaeus', count: 25 },
-  { name: 'Pongo tapanuliensis', count: 8 }
-];
+const CHECKPOINT_VERSION = 1;
 
-async function fetchPongoData() {
-  const allResults = {}; 
-  let globalRecordIdCounter = 1;
+// Records per efetch rettype=acc request when listing accession.versions
+const ACCESSION_BATCH_SIZE = 500;
 
-  for (const speciesInfo of speciesToFetch) {
-    const { name, count } = speciesInfo;
-    console.log(`\n--- Fetching data for: ${name} (count: ${count}) ---`);
+const DEFAULT_OPTIONS = {
+  species: ['Pongo abelii', 'Pongo pygmaeus', 'Pongo tapanuliensis'],
+  genes: [],
+  max: 20,
+  minLength: null,
+  maxLength: null,
+  db: 'nucleotide',
+  query: null,
+  out: './src/services/pongo_genome_sequence.json',
+  batchSize: 100,
+  retries: 5,
+  restart: false,
+  allowPartial: false,
+  update: false
+};
 
-    try {
-      const searchUrl = `${NCBI_EUTILS}/esearch.fcgi?db=nucleotide&term=${encodeURIComponent(name)}[Organism]&retmax=${count}`;
-      console.log(`Accessing: ${searchUrl}`);
-      
-      const searchRes = await axios.get(searchUrl, {
-        headers: { 'Accept': 'application/xml' } 
+// Entrez terms for common mitochondrial markers; names are matched case-insensitively.
+// Titles are searched as well because many submissions omit the /gene qualifier.
+const GENE_QUERIES = {
+  cytb: '(CYTB[Gene Name] OR "cytochrome b"[Title])',
+  coi: '(COI[Gene Name] OR COX1[Gene Name] OR "cytochrome c oxidase subunit I"[Title] OR "cytochrome oxidase subunit 1"[Title])',
+  'd-loop': '("D-loop"[Title] OR "control region"[Title] OR "displacement loop"[Title])',
+  nd5: '(ND5[Gene Name] OR "NADH dehydrogenase subunit 5"[Title])',
+  nd4: '(ND4[Gene Name] OR "NADH dehydrogenase subunit 4"[Title])',
+  '12s': '("12S ribosomal RNA"[Title] OR "12S rRNA"[Title])',
+  '16s': '("16S ribosomal RNA"[Title] OR "16S rRNA"[Title])'
+};
+const GENE_ALIASES = { cox1: 'coi', dloop: 'd-loop', 'control-region': 'd-loop', mtcyb: 'cytb', cytochrome_b: 'cytb' };
+
+const USAGE = `Usage: npm run fetch -- [options]
+
+  --species <name>     Organism to search (repeatable or comma-separated)
+  --gene <marker>      Gene/marker, e.g. cytb, COI, D-loop, ND5 (repeatable or comma-separated)
+  --max <n>            Maximum records per query (default ${DEFAULT_OPTIONS.max})
+  --min-length <bp>    Minimum sequence length
+  --max-length <bp>    Maximum sequence length
+  --db <database>      Entrez database (default ${DEFAULT_OPTIONS.db})
+  --query <term>       Raw Entrez query, ANDed with the generated terms
+  --out <file>         Output JSON file (default ${DEFAULT_OPTIONS.out})
+  --batch-size <n>     Records per efetch request (default ${DEFAULT_OPTIONS.batchSize})
+  --retries <n>        Retries per request on transient errors (default ${DEFAULT_OPTIONS.retries})
+  --restart            Ignore an existing checkpoint instead of resuming from it
+  --allow-partial      Write the output even when some queries or batches failed
+  --update             Only fetch records that are new or have a new version compared with --out,
+                       and log added/updated/removed accessions to <out>.changelog.json
+  --help               Show this message
+
+Environment:
+  NCBI_API_KEY         API key (raises the rate limit from 3 to 10 requests/second)
+  NCBI_EMAIL           Contact e-mail sent with every request
+  NCBI_EUTILS_URL      E-utilities base URL (mirror or local mock server)
+
+Exit status: 0 on success, 1 when any query or batch failed, 2 on invalid arguments.
+
+Example:
+  npm run fetch -- --species "Pongo abelii" --gene cytb --min-length 300 --out data/abelii_cytb.json`;
+
+/**
+ * Parse command-line arguments into fetch options
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} Fetch options (see DEFAULT_OPTIONS), or {help: true}
+ */
+function parseCliOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      species: { type: 'string', multiple: true },
+      gene: { type: 'string', multiple: true },
+      max: { type: 'string' },
+      'min-length': { type: 'string' },
+      'max-length': { type: 'string' },
+      db: { type: 'string' },
+      query: { type: 'string' },
+      out: { type: 'string' },
+      'batch-size': { type: 'string' },
+      retries: { type: 'string' },
+      restart: { type: 'boolean' },
+      'allow-partial': { type: 'boolean' },
+      update: { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help) return { help: true };
+
+  const splitList = (list) => (list || [])
+    .flatMap(value => value.split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+
+  const options = {
+    ...DEFAULT_OPTIONS,
+    genes: splitList(values.gene),
+    max: parseCount(values.max, '--max', DEFAULT_OPTIONS.max),
+    minLength: parseCount(values['min-length'], '--min-length', null),
+    maxLength: parseCount(values['max-length'], '--max-length', null),
+    db: values.db || DEFAULT_OPTIONS.db,
+    query: values.query || null,
+    out: values.out || DEFAULT_OPTIONS.out,
+    batchSize: parseCount(values['batch-size'], '--batch-size', DEFAULT_OPTIONS.batchSize),
+    retries: parseCount(values.retries, '--retries', DEFAULT_OPTIONS.retries),
+    restart: Boolean(values.restart),
+    allowPartial: Boolean(values['allow-partial']),
+    update: Boolean(values.update)
+  };
+
+  const species = splitList(values.species);
+  if (species.length > 0) {
+    options.species = species;
+  } else if (options.query) {
+    // A raw query on its own decides which organisms are fetched
+    options.species = [];
+  }
+
+  if (options.batchSize === 0) {
+    throw new Error('--batch-size must be at least 1');
+  }
+  if (options.minLength !== null && options.maxLength !== null && options.minLength > options.maxLength) {
+    throw new Error('--min-length must not be greater than --max-length');
+  }
+  return options;
+}
+
+/**
+ * Parse a non-negative integer option
+ * @param {String} value - Raw option value
+ * @param {String} flag - Flag name for error messages
+ * @param {Number|null} fallback - Value when the option is absent
+ * @returns {Number|null} Parsed value
+ */
+function parseCount(value, flag, fallback) {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`${flag} expects a non-negative integer, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Entrez term for a gene/marker name
+ * @param {String} gene - Marker name as given on the command line
+ * @returns {String} Entrez query fragment
+ */
+function geneTerm(gene) {
+  const key = gene.toLowerCase();
+  return GENE_QUERIES[GENE_ALIASES[key] || key] || `${gene}[Gene Name]`;
+}
+
+/**
+ * Build one Entrez search per species × gene combination
+ * @param {Object} options - Fetch options
+ * @returns {Array} Queries [{species, gene, term}]
+ */
+function buildQueries(options) {
+  const filters = [];
+  if (options.minLength !== null || options.maxLength !== null) {
+    filters.push(`${options.minLength ?? 1}:${options.maxLength ?? 1000000000}[SLEN]`);
+  }
+  if (options.query) filters.push(`(${options.query})`);
+
+  const speciesList = options.species.length > 0 ? options.species : [null];
+  const geneList = options.genes.length > 0 ? options.genes : [null];
+
+  return speciesList.flatMap(species => geneList.map(gene => {
+    const parts = [];
+    if (species) parts.push(`"${species}"[Organism]`);
+    if (gene) parts.push(geneTerm(gene));
+    return { species, gene, term: [...parts, ...filters].join(' AND ') };
+  }));
+}
+
+/**
+ * Run one query: esearch onto the history server, then efetch the GenBank
+ * records in batches. Progress is stored in the query's checkpoint state after
+ * every batch, and batches already present there are skipped. In update mode
+ * only UIDs whose accession.version is not in the existing dataset are fetched.
+ * @param {EntrezClient} client - E-utilities client
+ * @param {Object} query - {species, gene, term}
+ * @param {Object} state - Checkpoint state for this query (mutated)
+ * @param {Object} options - Fetch options
+ * @param {Function} saveState - Persists the checkpoint
+ * @param {Map} existingIndex - Update mode: accession -> {version} of the existing dataset
+ * @returns {Promise<Array>} Failed batches [{retstart, error}]
+ */
+async function runQuery(client, query, state, options, saveState, existingIndex = null) {
+  if (!state.search) {
+    const search = await client.search(options.db, query.term, options.max);
+    state.search = {
+      count: search.count,
+      ids: search.ids,
+      retrievedAt: new Date().toISOString(),
+      history: { webEnv: search.webEnv, queryKey: search.queryKey }
+    };
+    state.batches = {};
+    await saveState();
+  }
+
+  const { ids, count } = state.search;
+  if (ids.length === 0) return [];
+  console.log(`Found ${ids.length} of ${count} IDs.`);
+
+  let fetchIds = ids;
+  // The history set covers every UID; changed-only batches are posted individually
+  let batchSource = state.search;
+  if (existingIndex) {
+    if (!state.search.fetchIds) {
+      state.search.accessionVersions = await listAccessionVersions(client, state.search, options);
+      state.search.fetchIds = ids.filter((id, i) => {
+        const { accession, version } = splitAccessionVersion(state.search.accessionVersions[i]);
+        const existing = existingIndex.get(accession);
+        return !existing || existing.version !== version;
       });
+      await saveState();
+    }
+    fetchIds = state.search.fetchIds;
+    batchSource = { history: null };
+    console.log(`${fetchIds.length} of ${ids.length} records are new or revised.`);
+  }
 
-      const parser = new XMLParser();
-      const searchData = parser.parse(searchRes.data);
+  const failures = [];
+  for (let retstart = 0; retstart < fetchIds.length; retstart += options.batchSize) {
+    if (state.batches[retstart]) continue;
 
-      let idList = searchData?.eSearchResult?.IdList?.Id || [];
-      if (!Array.isArray(idList) && idList) { 
-        idList = [idList];
-      } else if (!idList) {
-        idList = [];
+    const batchIds = fetchIds.slice(retstart, retstart + options.batchSize);
+    try {
+      const text = await fetchBatch(client, batchSource, retstart, batchIds, options);
+      state.batches[retstart] = parseGenBankFlatFile(text).map(entry => {
+        const sample = genbankEntryToSample(entry);
+        return {
+          ...sample,
+          species: sample.species || query.species,
+          ...(query.gene && { marker: query.gene })
+        };
+      });
+      if (state.batches[retstart].length < batchIds.length) {
+        console.warn(`Batch at ${retstart}: received ${state.batches[retstart].length} of ${batchIds.length} records`);
       }
+      console.log(`Fetched records ${retstart + 1}-${retstart + batchIds.length} of ${fetchIds.length}`);
+      await saveState();
+    } catch (error) {
+      console.error(`Batch at ${retstart} failed: ${error.message}`);
+      failures.push({ retstart, size: batchIds.length, error: error.message });
+    }
+  }
+  return failures;
+}
+
+/**
+ * Fetch one batch through the search's history set. When that WebEnv is no
+ * longer usable (it expires after a few hours, e.g. when resuming), the batch
+ * UIDs are re-posted with epost and fetched from the new history set.
+ * @param {EntrezClient} client - E-utilities client
+ * @param {Object} search - Checkpointed search {ids, history}; history null forces epost
+ * @param {Number} retstart - Batch offset
+ * @param {Array} batchIds - UIDs in this batch
+ * @param {Object} options - Fetch options
+ * @param {String} method - EntrezClient history fetch method ('fetchGenBank' or 'fetchAccessions')
+ * @returns {Promise<String|Array>} The fetch method's result
+ */
+async function fetchBatch(client, search, retstart, batchIds, options, method = 'fetchGenBank') {
+  if (search.history && search.history.webEnv) {
+    try {
+      return await client[method](options.db, search.history, retstart, batchIds.length);
+    } catch (error) {
+      if (error.retryable) throw error;
+      console.warn(`History set unavailable (${error.message}); re-posting UIDs for the remaining batches`);
+      search.history = null;
+    }
+  }
+  const posted = await client.post(options.db, batchIds);
+  return client[method](options.db, posted, 0, batchIds.length);
+}
+
+/**
+ * List the accession.version of every UID of a search, in UID order
+ * @param {EntrezClient} client - E-utilities client
+ * @param {Object} search - Checkpointed search {ids, history}
+ * @param {Object} options - Fetch options
+ * @returns {Promise<Array>} Accession.version per UID
+ */
+async function listAccessionVersions(client, search, options) {
+  const accessionVersions = [];
+  for (let retstart = 0; retstart < search.ids.length; retstart += ACCESSION_BATCH_SIZE) {
+    const batchIds = search.ids.slice(retstart, retstart + ACCESSION_BATCH_SIZE);
+    const batch = await fetchBatch(client, search, retstart, batchIds, options, 'fetchAccessions');
+    if (batch.length !== batchIds.length) {
+      throw new Error(`Expected ${batchIds.length} accessions for UIDs ${retstart + 1}-${retstart + batchIds.length}, received ${batch.length}`);
+    }
+    accessionVersions.push(...batch);
+  }
+  return accessionVersions;
+}
+
+/**
+ * Split "ACCESSION.VERSION"
+ * @param {String} value - Accession with optional version suffix
+ * @returns {Object} {accession, version}
+ */
+function splitAccessionVersion(value) {
+  const match = (value || '').match(/^(.+?)\.(\d+)$/);
+  return match
+    ? { accession: match[1], version: Number(match[2]) }
+    : { accession: value || null, version: null };
+}
+
+/**
+ * Sibling file path for an output file (data.json -> data.<suffix>.json)
+ * @param {String} outFile - Output JSON path
+ * @param {String} suffix - e.g. 'manifest' or 'checkpoint'
+ * @returns {String} Path
+ */
+function siblingPath(outFile, suffix) {
+  const parsed = path.parse(outFile);
+  return path.join(parsed.dir, `${parsed.name}.${suffix}.json`);
+}
 
-      if (idList.length === 0) {
-        console.log(`No data found for ${name}.`);
-        continue;
+/**
+ * Identifies the queries a checkpoint belongs to; a checkpoint is only
+ * resumed when the same searches would be run again
+ * @param {Array} queries - Built queries
+ * @param {Object} options - Fetch options
+ * @returns {String} Signature
+ */
+function checkpointSignature(queries, options) {
+  return JSON.stringify({
+    db: options.db,
+    max: options.max,
+    batchSize: options.batchSize,
+    update: options.update,
+    terms: queries.map(query => query.term)
+  });
+}
+
+/**
+ * Load the checkpoint for this run, or start a new one
+ * @param {String} file - Checkpoint path
+ * @param {String} signature - Expected signature
+ * @param {Boolean} restart - Discard any existing checkpoint
+ * @returns {Promise<Object>} Checkpoint {version, signature, startedAt, queries: {term: state}}
+ */
+async function loadCheckpoint(file, signature, restart) {
+  const fresh = { version: CHECKPOINT_VERSION, signature, startedAt: new Date().toISOString(), queries: {} };
+  if (restart) return fresh;
+
+  let saved;
+  try {
+    saved = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`Ignoring unreadable checkpoint ${file}: ${error.message}`);
+    return fresh;
+  }
+
+  if (saved.version !== CHECKPOINT_VERSION || saved.signature !== signature) {
+    console.warn(`Checkpoint ${file} was made with different options; starting over`);
+    return fresh;
+  }
+  console.log(`Resuming from checkpoint ${file} (started ${saved.startedAt})`);
+  return saved;
+}
+
+/**
+ * Write JSON via a temporary file so an interrupted write never leaves a truncated file
+ * @param {String} file - Destination
+ * @param {Object} data - JSON-serializable data
+ */
+async function writeJsonAtomic(file, data) {
+  const temporary = `${file}.tmp`;
+  await fs.writeFile(temporary, JSON.stringify(data, null, 2));
+  await fs.rename(temporary, file);
+}
+
+/**
+ * Load the dataset an update run is compared against
+ * @param {String} file - Existing output file
+ * @returns {Promise<Object>} {data, index: Map accession -> {version, key}, legacyCount}
+ */
+async function loadExistingDataset(file) {
+  let data = {};
+  try {
+    data = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw new Error(`Cannot read existing dataset ${file}: ${error.message}`);
+    console.log(`No existing dataset at ${file}; every record will be added.`);
+  }
+
+  const index = new Map();
+  let legacyCount = 0;
+  Object.entries(data).forEach(([key, records]) => {
+    records.forEach(record => {
+      // Datasets written before records were keyed by accession cannot be diffed
+      if (!record.accession) {
+        legacyCount++;
+        return;
       }
-      console.log(`Found ${idList.length} IDs for ${name}.`);
-
-      const idsToFetch = idList.join(',');
-      const fetchUrl = `${NCBI_EUTILS}/efetch.fcgi?db=nucleotide&id=${idsToFetch}&rettype=gb&retmode=text`;
-      console.log(`Fetching data: ${fetchUrl}`);
-      
-      const fetchRes = await axios.get(fetchUrl);
-
-      const records = fetchRes.data.split('//\n').filter(entry => entry.trim() !== '');
-      
-      if (!allResults[name]) {
-        allResults[name] = [];
+      index.set(record.accession, { version: record.version ?? null, key });
+    });
+  });
+  if (legacyCount > 0) {
+    console.warn(`${legacyCount} existing record(s) have no accession number; those covered by this run's searches will be replaced.`);
+  }
+  return { data, index, legacyCount };
+}
+
+/**
+ * Apply fetched records to the existing dataset and work out what changed
+ * @param {Object} existing - From loadExistingDataset
+ * @param {Array} fetched - [{key, record}] new or revised records
+ * @param {Object} scope - {keys: Set of dataset keys the queries cover (null = all), accessions: Set of
+ *   accessions currently returned by the searches, complete: whether removals can be detected}
+ * @returns {Object} {results, changes: {added, updated, removed, unchanged}}
+ */
+function mergeUpdate(existing, fetched, scope) {
+  const results = {};
+  Object.entries(existing.data).forEach(([key, records]) => { results[key] = [...records]; });
+
+  const changes = { added: [], updated: [], removed: [], unchanged: 0 };
+  const summary = (record, key) => ({ accession: record.accession || null, version: record.version ?? null, species: key, id: record.id });
+
+  fetched.forEach(({ key, record }) => {
+    const previous = existing.index.get(record.accession);
+    if (previous) {
+      const records = results[previous.key];
+      const position = records.findIndex(item => item.accession === record.accession);
+      records[position] = record;
+      changes.updated.push({ ...summary(record, previous.key), previousVersion: previous.version });
+    } else {
+      if (!results[key]) results[key] = [];
+      results[key].push(record);
+      changes.added.push(summary(record, key));
+    }
+  });
+
+  const fetchedAccessions = new Set(fetched.map(({ record }) => record.accession));
+  Object.keys(results).forEach(key => {
+    if (scope.keys && !scope.keys.has(key)) return;
+    results[key] = results[key].filter(record => {
+      if (fetchedAccessions.has(record.accession)) return true;
+      const withdrawn = !record.accession || scope.accessions.has(record.accession) === false;
+      if (withdrawn && (scope.complete || !record.accession)) {
+        changes.removed.push(summary(record, key));
+        return false;
       }
+      changes.unchanged++;
+      return true;
+    });
+    if (results[key].length === 0) delete results[key];
+  });
+
+  return { results, changes };
+}
+
+/**
+ * Append an update run to the changelog file
+ * @param {String} file - Changelog path
+ * @param {Object} entry - Changelog entry
+ */
+async function appendChangelog(file, entry) {
+  let changelog = { entries: [] };
+  try {
+    changelog = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`Starting a new changelog; ${file} is unreadable: ${error.message}`);
+  }
+  changelog.entries.push(entry);
+  await writeJsonAtomic(file, changelog);
+}
 
-      records.forEach((record) => {
-        const organismMatch = record.match(/ORGANISM\s+(.+)/);
-        const parsedSpecies = organismMatch ? organismMatch[1].split('\n')[0].trim() : name; 
+/**
+ * Fetch all queries and write the dataset plus its manifest
+ * @param {Object} options - Fetch options
+ * @param {EntrezClient} client - Optional E-utilities client
+ * @returns {Promise<Object>} {results, manifest, failures, written}
+ */
+async function fetchSequences(options, client = new EntrezClient({ maxRetries: options.retries })) {
+  const queries = buildQueries(options);
+  const checkpointFile = siblingPath(options.out, 'checkpoint');
+  const checkpoint = await loadCheckpoint(checkpointFile, checkpointSignature(queries, options), options.restart);
+  const saveCheckpoint = () => writeJsonAtomic(checkpointFile, checkpoint);
 
-        const sequenceMatch = record.match(/ORIGIN\s+([\s\S]+)/);
-        const sequence = sequenceMatch ? sequenceMatch[1].replace(/[\d\s]/g, '').trim() : '';
+  await fs.mkdir(path.dirname(options.out), { recursive: true });
+  if (client.apiKey) console.log('Using NCBI_API_KEY (10 requests/second)');
+  const existing = options.update ? await loadExistingDataset(options.out) : null;
 
-        allResults[name].push({
-          id: globalRecordIdCounter++, 
-          species: parsedSpecies,
-          sequence: sequence
-        });
-      });
-      console.log(`Successfully processed ${allResults[name].length} records for ${name}.`);
+  const allResults = {};
+  const fetched = [];
+  const queryManifests = [];
+  const failures = [];
+  const seenAccessions = new Set();
+  const currentAccessions = new Set();
+  let searchesComplete = true;
+
+  for (const query of queries) {
+    const label = [query.species, query.gene].filter(Boolean).join(' / ') || query.term;
+    console.log(`\n--- Fetching data for: ${label} (max: ${options.max}) ---`);
 
+    if (!checkpoint.queries[query.term]) checkpoint.queries[query.term] = {};
+    const state = checkpoint.queries[query.term];
+    let queryFailures;
+
+    try {
+      queryFailures = await runQuery(client, query, state, options, saveCheckpoint, existing && existing.index);
     } catch (error) {
-      console.error(`An error occurred while fetching or processing data for ${name}:`);
-      if (error.response) {
-        console.error('HTTP Status:', error.response.status);
-        console.error('Response Data:', error.response.data);
-      } else if (error.request) {
-        console.error('No response received:', error.request);
-      } else {
-        console.error('Error Message:', error.message);
-      }
+      console.error(`An error occurred while searching for ${label}: ${error.message}`);
+      queryFailures = [{ retstart: null, error: error.message }];
     }
+    failures.push(...queryFailures.map(failure => ({ query: label, term: query.term, ...failure })));
+
+    const records = Object.keys(state.batches || {})
+      .sort((a, b) => Number(a) - Number(b))
+      .flatMap(retstart => state.batches[retstart]);
+
+    // Removals can only be inferred when every search returned all of its hits
+    const searchAccessions = state.search && state.search.accessionVersions;
+    if (!searchAccessions || state.search.count > state.search.ids.length) searchesComplete = false;
+    (searchAccessions || []).forEach(value => currentAccessions.add(splitAccessionVersion(value).accession));
+
+    queryManifests.push({
+      species: query.species,
+      gene: query.gene,
+      db: options.db,
+      term: query.term,
+      retmax: options.max,
+      retrievedAt: state.search ? state.search.retrievedAt : null,
+      totalCount: state.search ? state.search.count : null,
+      ids: state.search ? state.search.ids : [],
+      recordCount: records.length,
+      accessions: searchAccessions || records.map(record => record.accessionVersion),
+      ...(options.update && { fetchedAccessions: records.map(record => record.accessionVersion) }),
+      complete: queryFailures.length === 0,
+      ...(queryFailures.length > 0 && { errors: queryFailures.map(failure => failure.error) })
+    });
+
+    if (records.length === 0) {
+      if (queryFailures.length === 0) console.log(`No data found for ${label}.`);
+      continue;
+    }
+
+    // Group by the requested species, or by the record's organism for raw queries
+    // Overlapping queries (e.g. two markers on one mitogenome) can return the same record
+    records.forEach(record => {
+      if (seenAccessions.has(record.accession)) return;
+      seenAccessions.add(record.accession);
+
+      const key = query.species || record.species || 'Unknown species';
+      if (!allResults[key]) allResults[key] = [];
+      allResults[key].push(record);
+      fetched.push({ key, record });
+    });
+    console.log(`Successfully processed ${records.length} records for ${label}.`);
   }
 
   console.log('\n--- Data Fetching Process Complete ---');
+  console.log(`E-utilities requests: ${client.requestCount}`);
   console.log('Summary of Collected Data:');
   for (const speciesName in allResults) {
     console.log(`- ${speciesName}: ${allResults[speciesName].length} records`);
   }
 
+  const manifest = {
+    generatedAt: new Date().toISOString(),
+    output: options.out,
+    complete: failures.length === 0,
+    mode: options.update ? 'update' : 'full',
+    options: {
+      species: options.species,
+      genes: options.genes,
+      max: options.max,
+      minLength: options.minLength,
+      maxLength: options.maxLength,
+      db: options.db,
+      query: options.query
+    },
+    queries: queryManifests
+  };
+
+  if (failures.length > 0) {
+    console.error(`\n${failures.length} request(s) failed:`);
+    failures.forEach(failure => {
+      const where = failure.retstart === null ? 'search' : `records ${failure.retstart + 1}-${failure.retstart + failure.size}`;
+      console.error(`- ${failure.query} (${where}): ${failure.error}`);
+    });
+    console.error(`Progress is kept in ${checkpointFile}; re-run the same command to retry the failed requests.`);
+
+    if (!options.allowPartial) {
+      console.error(`${options.out} was not modified (use --allow-partial to write incomplete data).`);
+      return { results: allResults, manifest, failures, written: false };
+    }
+  }
+
+  let results = allResults;
+  if (existing) {
+    const scope = {
+      keys: queries.every(query => query.species) ? new Set(queries.map(query => query.species)) : null,
+      accessions: currentAccessions,
+      complete: searchesComplete && failures.length === 0
+    };
+    if (!scope.complete) {
+      console.warn('Some searches were truncated by --max or failed; withdrawn records are not detected in this run.');
+    }
+
+    const merged = mergeUpdate(existing, fetched, scope);
+    results = merged.results;
+    const { added, updated, removed, unchanged } = merged.changes;
+    console.log(`\nChanges: ${added.length} added, ${updated.length} updated, ${removed.length} removed, ${unchanged} unchanged`);
+
+    await appendChangelog(siblingPath(options.out, 'changelog'), {
+      date: manifest.generatedAt,
+      output: options.out,
+      terms: queries.map(query => query.term),
+      complete: manifest.complete,
+      removalsChecked: scope.complete,
+      added,
+      updated,
+      removed,
+      unchanged
+    });
+    manifest.changes = { added: added.length, updated: updated.length, removed: removed.length, unchanged };
+  }
+
+  await writeJsonAtomic(options.out, results);
+  await writeJsonAtomic(siblingPath(options.out, 'manifest'), manifest);
+  if (failures.length === 0) {
+    await fs.rm(checkpointFile, { force: true });
+  }
+  console.log(`All data successfully saved to ${options.out} (manifest: ${siblingPath(options.out, 'manifest')})`);
+
+  return { results, manifest, failures, written: true };
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseCliOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(`\n${USAGE}`);
+    process.exit(2);
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
   try {
-    await fs.writeFile(OUTPUT_FILE, JSON.stringify(allResults, null, 2));
-    console.log(`All data successfully saved to ${OUTPUT_FILE}`);
-  } catch (fileError) {
-    console.error('An error occurred while writing the JSON file:', fileError.message);
+    const { failures } = await fetchSequences(options);
+    if (failures.length > 0) process.exitCode = 1;
+  } catch (error) {
+    console.error('An error occurred while writing the output files:', error.message);
+    process.exitCode = 1;
   }
 }
 
-fetchPongoData();
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  parseCliOptions,
+  buildQueries,
+  geneTerm,
+  fetchSequences
+};
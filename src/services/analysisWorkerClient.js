@@ -0,0 +1,82 @@
+// src/services/analysisWorkerClient.js
+// Promise-based client for the analysis Web Worker
+
+import { ANALYSIS_TASKS } from '../workers/analysisTasks';
+
+let nextTaskId = 1;
+
+const abortError = () => new DOMException('Analysis cancelled', 'AbortError');
+
+/**
+ * Run an analysis task in a dedicated Web Worker.
+ * Falls back to running on the main thread where Web Workers are unavailable.
+ * @param {String} task - Task name registered in analysisTasks.js
+ * @param {Object} payload - Structured-cloneable task input
+ * @param {Object} options - {signal, onProgress, transfer: ArrayBuffers to move into the worker}
+ * @returns {Promise<Object>} Task result; rejects with an AbortError when cancelled
+ */
+export function runAnalysisTask(task, payload, options = {}) {
+  const { signal, onProgress, transfer = [] } = options;
+
+  if (signal && signal.aborted) {
+    return Promise.reject(abortError());
+  }
+  if (typeof Worker === 'undefined') {
+    return runInline(task, payload, options);
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = nextTaskId++;
+    const worker = new Worker(new URL('../workers/analysisWorker.js', import.meta.url));
+
+    const finish = () => {
+      worker.terminate();
+      if (signal) signal.removeEventListener('abort', handleAbort);
+    };
+    // Terminating the worker is the only way to interrupt a synchronous computation
+    const handleAbort = () => {
+      finish();
+      reject(abortError());
+    };
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+      if (message.id !== id) return;
+
+      if (message.type === 'progress') {
+        if (onProgress) onProgress(message.progress);
+      } else if (message.type === 'result') {
+        finish();
+        resolve(message.result);
+      } else if (message.type === 'error') {
+        finish();
+        reject(new Error(message.error));
+      }
+    };
+    worker.onerror = (event) => {
+      finish();
+      reject(new Error(event.message || `Analysis worker failed while running ${task}`));
+    };
+
+    if (signal) signal.addEventListener('abort', handleAbort);
+    worker.postMessage({ id, task, payload }, transfer);
+  });
+}
+
+/**
+ * Run a task on the main thread (no worker support)
+ * @param {String} task - Task name
+ * @param {Object} payload - Task input
+ * @param {Object} options - {signal, onProgress}
+ * @returns {Promise<Object>} Task result
+ */
+async function runInline(task, payload, options) {
+  const { signal, onProgress } = options;
+  if (!ANALYSIS_TASKS[task]) {
+    throw new Error(`Unknown analysis task: ${task}`);
+  }
+
+  const result = await ANALYSIS_TASKS[task](payload, { reportProgress: onProgress, signal });
+  if (signal && signal.aborted) throw abortError();
+  return result;
+}
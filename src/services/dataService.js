@@ -2,16 +2,38 @@
 // Updated main data service to handle individual GBIF points integration
 
 import { 
-  performMSA, 
-  constructPhylogeneticTree, 
   calculateShannonIndex, 
   calculateSimpsonIndex,
   analyzeSelectionPressure,
-  performPopulationViabilityAnalysis,
   processGeographicData
 } from '../utils/dataProcessing';
 
+import { treeToNewick } from '../utils/treeFormats';
+import { DEFAULT_DISTANCE_OPTIONS } from '../utils/substitutionModels';
+import { parseSequenceFile, groupRecordsBySpecies } from '../utils/sequenceFormats';
+import { generateSequenceQualityReport, DEFAULT_SEQUENCE_FILTER } from '../utils/sequenceQuality';
+import { groupByLocus, defaultLocusId, selectLocusData, ALL_LOCI } from '../utils/locusGrouping';
+import { DEFAULT_DIFFERENTIATION_OPTIONS } from '../utils/populationDifferentiation';
+import { nearestClusterId } from '../utils/spatialAnalysis';
+import { DEFAULT_VIABILITY_OPTIONS, resolveViabilityParameters } from '../utils/viabilityModel';
+import { scenarioParameters, scenarioFromThreats } from '../utils/viabilityScenarios';
+import { subpopulationsFromAreas } from '../utils/metapopulationModel';
+import { DEFAULT_SENSITIVITY_OPTIONS } from '../utils/viabilitySensitivity';
+import { GBIF_CONFIG, getSpeciesConfig, getAllSpeciesKeys } from '../config/gbifConfig';
+import { runAnalysisTask } from './analysisWorkerClient';
 import gbifDataService from './gbifDataservice';
+import bundledGenomeData from './pongo_genome_sequence.json';
+
+// Same radius as the GBIF density clustering
+const SAMPLE_CLUSTER_RADIUS_KM = 15;
+
+const BUNDLED_GENOME_SOURCE = {
+  type: 'bundled',
+  name: 'pongo_genome_sequence.json',
+  data: bundledGenomeData,
+  files: [],
+  rejected: []
+};
 
 /**
  * Enhanced Data Service Class with Individual Points Integration
@@ -27,6 +49,15 @@ class DataService {
     this.isLoading = false;
     this.lastUpdated = null;
     this.hasIndividualPoints = false;
+    this.genomeSource = BUNDLED_GENOME_SOURCE;
+    this.genomeSourceListeners = new Set();
+    this.sequenceQcCriteria = DEFAULT_SEQUENCE_FILTER;
+    this.sequenceQc = null;
+    this.locusGrouping = null;
+    this.selectedLocusId = null;
+    this.differentiationGroupBy = DEFAULT_DIFFERENTIATION_OPTIONS.groupBy;
+    this.differentiation = null;
+    this.viability = null;
   }
 
   /**
@@ -595,10 +626,12 @@ class DataService {
   
   /**
    * Get processed phylogenetic data with GBIF integration
+   * @param {Object} options - Analysis options {method, bootstrapReplicates, distance, signal, onProgress}
    * @returns {Promise<Object>} Phylogenetic analysis results
    */
-  async getPhylogeneticData() {
-    const cacheKey = 'phylogenetic_analysis';
+  async getPhylogeneticData(options = {}) {
+    const { model, gapHandling, ambiguity } = { ...DEFAULT_DISTANCE_OPTIONS, ...options.distance };
+    const cacheKey = `phylogenetic_analysis_${options.method || 'nj'}_${model}_${gapHandling}_${ambiguity}`;
     
     if (this.analysisCache.has(cacheKey)) {
       return this.analysisCache.get(cacheKey);
@@ -606,46 +639,12 @@ class DataService {
 
     try {
       const genomicData = await this.getGenomicData();
-      
-      const allSequences = [];
-      Object.keys(genomicData).forEach(species => {
-        genomicData[species].forEach(sample => {
-          allSequences.push(sample);
-        });
-      });
-
-      if (allSequences.length === 0) {
-        throw new Error('No sequences available for analysis');
-      }
-
-      const alignmentResult = performMSA(allSequences);
-      
-      let treeResult;
-      try {
-        treeResult = constructPhylogeneticTree(allSequences);
-      } catch (treeError) {
-        console.warn('Tree construction failed, using simplified tree:', treeError);
-        treeResult = {
-          tree: this.createSimpleTree(allSequences),
-          distanceMatrix: [],
-          bootstrapValues: Array(10).fill(75)
-        };
-      }
-
-      const result = {
-        alignment: alignmentResult,
-        tree: treeResult,
-        species: Object.keys(genomicData),
-        totalSamples: allSequences.length,
-        dataSource: this.lastUpdated ? 'GBIF + Analysis' : 'Mock Data',
-        lastUpdated: this.lastUpdated || new Date().toISOString(),
-        gbifIntegrated: Boolean(this.lastUpdated),
-        hasIndividualPoints: this.hasIndividualPoints
-      };
+      const result = await this.analyzePhylogeny(genomicData, options);
 
       this.analysisCache.set(cacheKey, result);
       return result;
     } catch (error) {
+      if (error.name === 'AbortError') throw error;
       console.error('Error in phylogenetic analysis:', error);
       return {
         alignment: { alignedSequences: [], alignmentScore: 0, consensusSequence: '' },
@@ -658,6 +657,387 @@ class DataService {
     }
   }
 
+  /**
+   * Align a genomic dataset and build its tree: a bootstrapped Neighbor-Joining tree,
+   * or a maximum-likelihood tree searched from the NJ tree. Each step runs in the analysis worker.
+   * @param {Object} genomicData - Samples grouped by species
+   * @param {Object} options - Analysis options {method: 'nj' | 'ml', bootstrapReplicates, distance: {model, gapHandling, ambiguity}, mlOptions, signal, onProgress}
+   * @returns {Promise<Object>} Phylogenetic analysis results
+   */
+  async analyzePhylogeny(genomicData, options = {}) {
+    const { method = 'nj', bootstrapReplicates = 100, distance = {}, mlOptions = {}, signal, onProgress } = options;
+    const treeOptions = { distance: { ...DEFAULT_DISTANCE_OPTIONS, ...distance } };
+
+    const allSequences = [];
+    Object.keys(genomicData).forEach(species => {
+      genomicData[species].forEach(sample => {
+        allSequences.push(sample);
+      });
+    });
+
+    if (allSequences.length === 0) {
+      throw new Error('No sequences available for analysis');
+    }
+    if (allSequences.length < 3) {
+      throw new Error(`A tree needs at least 3 sequences; the selected locus has ${allSequences.length}`);
+    }
+
+    const alignmentResult = await runAnalysisTask('performMSA', { sequences: allSequences }, { signal, onProgress });
+    
+    let treeResult;
+    try {
+      // Distances are computed on the aligned sequences so the NJ topology reflects homologous sites
+      treeResult = await runAnalysisTask(
+        'constructPhylogeneticTree',
+        { sequences: alignmentResult.alignedSequences, options: treeOptions },
+        { signal }
+      );
+
+      if (method === 'ml') {
+        treeResult = await this.searchMaximumLikelihoodTree(alignmentResult.alignedSequences, treeResult, {
+          mlOptions,
+          signal,
+          onProgress
+        });
+      } else {
+        const bootstrap = await runAnalysisTask(
+          'calculateBootstrap',
+          {
+            sequences: alignmentResult.alignedSequences,
+            iterations: bootstrapReplicates,
+            options: { referenceTree: treeResult.tree, treeOptions }
+          },
+          {
+            signal,
+            onProgress: onProgress && (progress => onProgress({ stage: 'bootstrap', ...progress }))
+          }
+        );
+        treeResult = {
+          ...treeResult,
+          method: 'nj',
+          tree: bootstrap.tree,
+          newick: treeToNewick(bootstrap.tree),
+          bootstrapValues: bootstrap.bootstrapValues,
+          bootstrapReplicates: bootstrap.replicates
+        };
+      }
+    } catch (treeError) {
+      // A cancelled bootstrap or ML run must not be cached as a fallback tree
+      if (treeError.name === 'AbortError') throw treeError;
+      console.warn('Tree construction failed, using simplified tree:', treeError);
+      treeResult = {
+        method: 'simple',
+        tree: this.createSimpleTree(allSequences),
+        distanceMatrix: [],
+        distanceModel: treeOptions.distance,
+        saturatedPairs: [],
+        bootstrapValues: []
+      };
+    }
+
+    return this.phylogenyResult(genomicData, alignmentResult, allSequences, treeResult);
+  }
+
+  /**
+   * Run the maximum-likelihood search from an NJ tree in the analysis worker
+   * @param {Array} alignedSequences - Aligned sequence records
+   * @param {Object} njResult - Result of constructPhylogeneticTree
+   * @param {Object} options - {mlOptions, signal, onProgress}
+   * @returns {Promise<Object>} Tree result with log-likelihood and fitted model
+   */
+  async searchMaximumLikelihoodTree(alignedSequences, njResult, options = {}) {
+    const { mlOptions = {}, signal, onProgress } = options;
+    const sequences = alignedSequences.map(({ id, species, aligned }) => ({ id, species, aligned }));
+
+    const ml = await runAnalysisTask(
+      'maximumLikelihoodTree',
+      { sequences, startTree: njResult.tree, options: mlOptions },
+      { signal, onProgress }
+    );
+
+    return {
+      ...njResult,
+      method: 'ml',
+      startingTree: njResult.newick,
+      tree: ml.tree,
+      newick: treeToNewick(ml.tree),
+      logLikelihood: ml.logLikelihood,
+      substitutionModel: ml.model,
+      search: { nniMoves: ml.nniMoves, sprMoves: ml.sprMoves, rounds: ml.rounds, patterns: ml.patterns, sites: ml.sites },
+      bootstrapValues: [],
+      bootstrapReplicates: 0
+    };
+  }
+
+  /**
+   * Assemble the phylogenetic analysis result object
+   * @param {Object} genomicData - Samples grouped by species
+   * @param {Object} alignmentResult - Result of performMSA
+   * @param {Array} allSequences - Input samples
+   * @param {Object} treeResult - Tree construction result
+   * @returns {Object} Phylogenetic analysis results
+   */
+  phylogenyResult(genomicData, alignmentResult, allSequences, treeResult) {
+    return {
+      alignment: alignmentResult,
+      tree: treeResult,
+      species: Object.keys(genomicData),
+      totalSamples: allSequences.length,
+      dataSource: this.lastUpdated ? 'GBIF + Analysis' : 'Mock Data',
+      lastUpdated: this.lastUpdated || new Date().toISOString(),
+      gbifIntegrated: Boolean(this.lastUpdated),
+      hasIndividualPoints: this.hasIndividualPoints
+    };
+  }
+
+  /**
+   * Codon-based dN/dS (Nei–Gojobori) for the sequences of one locus, in the analysis worker
+   * @param {Object} genomicData - {species: [{id, sequence, cds, organelle}]}
+   * @param {Object} options - {geneticCode: NCBI table id or 'auto', gene: CDS to use in multi-gene records, signal, onProgress}
+   * @returns {Promise<Object>} {geneticCode, pairs, bySpecies, betweenSpecies, overall, frames, scan}
+   */
+  async analyzeSelection(genomicData, options = {}) {
+    const { geneticCode, gene, signal, onProgress } = options;
+    const records = Object.entries(genomicData).flatMap(([species, samples]) =>
+      samples.map(({ id, sequence, cds, organelle }) => ({ id, species, sequence, cds, organelle }))
+    );
+
+    if (records.length < 2) {
+      throw new Error('dN/dS needs at least 2 sequences of the selected locus');
+    }
+
+    return runAnalysisTask('codonSelection', { records, options: { geneticCode, gene } }, { signal, onProgress });
+  }
+
+  /**
+   * Population-genetic summary statistics per species for the sequences of one locus, in the analysis worker
+   * @param {Object} genomicData - {species: [{id, sequence}]}
+   * @param {Object} options - {simulations: coalescent replicates for the neutrality tests, signal, onProgress}
+   * @returns {Promise<Object>} {alignmentLength, species: {name: statistics}}
+   */
+  async analyzePopulationGenetics(genomicData, options = {}) {
+    const { simulations, signal, onProgress } = options;
+    const records = Object.entries(genomicData).flatMap(([species, samples]) =>
+      samples.map(({ id, sequence }) => ({ id, species, sequence }))
+    );
+
+    if (records.length < 2) {
+      throw new Error('Population statistics need at least 2 sequences of the selected locus');
+    }
+
+    const taskOptions = simulations === undefined ? {} : { simulations };
+    return runAnalysisTask('populationGenetics', { records, options: taskOptions }, { signal, onProgress });
+  }
+
+  /**
+   * Pairwise FST/ΦST and AMOVA between populations of one locus, in the analysis worker.
+   * Samples with coordinates but no density cluster are placed in the nearest GBIF cluster.
+   * The last result is kept so other views can reuse it.
+   * @param {Object} genomicData - {species: [{id, sequence, location, coordinates, clusterAssignment}]}
+   * @param {Object} options - {groupBy: 'species' | 'location' | 'clusterAssignment', permutations, signal, onProgress}
+   * @returns {Promise<Object>} {groupBy, populations, excluded, pairwise, amova, managementUnits, unresolvedPairs}
+   */
+  async analyzeDifferentiation(genomicData, options = {}) {
+    const { groupBy = this.differentiationGroupBy, permutations, signal, onProgress } = options;
+    this.differentiationGroupBy = groupBy;
+
+    const cached = this.differentiation;
+    if (cached && cached.genomicData === genomicData && cached.groupBy === groupBy && cached.permutations === permutations &&
+        cached.clusters === this.densityAnalysisData?.clusters) {
+      return cached.result;
+    }
+
+    const clusters = this.densityAnalysisData?.clusters;
+    const records = Object.entries(genomicData).flatMap(([species, samples]) =>
+      samples.map(({ id, sequence, location, coordinates, clusterAssignment }) => ({
+        id,
+        species,
+        sequence,
+        location: location || null,
+        clusterAssignment: clusterAssignment || nearestClusterId(coordinates, clusters, SAMPLE_CLUSTER_RADIUS_KM)
+      }))
+    );
+
+    const taskOptions = permutations === undefined ? { groupBy } : { groupBy, permutations };
+    const result = await runAnalysisTask('populationDifferentiation', { records, options: taskOptions }, { signal, onProgress });
+    this.differentiation = { genomicData, groupBy, permutations, clusters, result };
+    return result;
+  }
+
+  /**
+   * Population differentiation of the selected locus with the grouping last used
+   * @returns {Promise<Object>} See analyzeDifferentiation
+   */
+  getPopulationDifferentiation() {
+    return this.analyzeDifferentiation(this.getLocusSelection().genomicData);
+  }
+
+  /**
+   * Run the individual-based population viability analysis in the analysis worker
+   * @param {Object} populationData - Model parameters (see DEFAULT_VIABILITY_PARAMETERS) and optional geneticDiversity
+   * @param {Object} options - {years, numSimulations, signal, onProgress}
+   * @returns {Promise<Object>} Viability analysis results
+   */
+  async runViabilityAnalysis(populationData, options = {}) {
+    const { years = DEFAULT_VIABILITY_OPTIONS.years, numSimulations, signal, onProgress } = options;
+    return runAnalysisTask(
+      'performPopulationViabilityAnalysis',
+      { populationData, years, options: numSimulations ? { numSimulations } : {} },
+      { signal, onProgress }
+    );
+  }
+
+  /**
+   * Viability of each species' representative population, with model parameters from the
+   * species configuration. Founders' neutral alleles are drawn from the haplotype frequencies
+   * of the species' sequences at the locus, so the simulation starts from the measured heterozygosity.
+   * The last result is kept so other views can reuse it.
+   * @param {Object} genomicData - {species: [{id, sequence}]} of one locus
+   * @param {Object} options - {years, numSimulations, signal, onProgress}
+   * @returns {Promise<Object>} {species: {name: viability results with measuredDiversity}}
+   */
+  async analyzeViability(genomicData, options = {}) {
+    const {
+      years = DEFAULT_VIABILITY_OPTIONS.years,
+      numSimulations = DEFAULT_VIABILITY_OPTIONS.iterations,
+      signal,
+      onProgress
+    } = options;
+    const cached = this.viability;
+    if (cached && cached.genomicData === genomicData && cached.years === years && cached.numSimulations === numSimulations) {
+      return cached.result;
+    }
+
+    const records = Object.entries(genomicData).flatMap(([species, samples]) =>
+      samples.map(({ id, sequence }) => ({ id, species, sequence }))
+    );
+    // Configured species are always simulated; those without sequences start from unique founder alleles
+    const speciesNames = [...new Set([...getAllSpeciesKeys(), ...Object.keys(genomicData)])];
+    const populations = Object.fromEntries(
+      speciesNames.map(species => [species, { ...getSpeciesConfig(species)?.viabilityModel }])
+    );
+    const result = await runAnalysisTask(
+      'speciesViability',
+      { records, populations, years, options: { numSimulations } },
+      { signal, onProgress }
+    );
+    this.viability = { genomicData, years, numSimulations, result };
+    return result;
+  }
+
+  /**
+   * Run one species under a threat scenario and compare it with the undisturbed baseline
+   * of analyzeViability. Both start from the same founders' haplotype frequencies.
+   * @param {Object} genomicData - {species: [{id, sequence}]} of one locus
+   * @param {String} species - Species name
+   * @param {Object} scenario - See scenarioFromThreats
+   * @param {Object} options - {years, numSimulations, signal, onProgress}
+   * @returns {Promise<Object>} {species, scenario, baseline, result}
+   */
+  async analyzeViabilityScenario(genomicData, species, scenario, options = {}) {
+    const { signal, onProgress, ...runOptions } = options;
+    const baseline = (await this.analyzeViability(genomicData, { ...runOptions, signal })).species[species];
+    if (!baseline) {
+      throw new Error(`No viability baseline for ${species}`);
+    }
+
+    const populationData = {
+      ...getSpeciesConfig(species)?.viabilityModel,
+      founderAlleleFrequencies: baseline.measuredDiversity?.founderAlleleFrequencies || null,
+      ...scenarioParameters(scenario)
+    };
+    const result = await this.runViabilityAnalysis(populationData, {
+      years: baseline.years,
+      numSimulations: baseline.iterations,
+      signal,
+      onProgress
+    });
+    return { species, scenario, baseline, result };
+  }
+
+  /**
+   * Metapopulation viability of one species over its conservation areas, with the species'
+   * representative population shared out among them, and the change in risk from adding or
+   * removing each candidate corridor. Runs as many years and iterations as analyzeViability.
+   * @param {Object} genomicData - {species: [{id, sequence}]} of one locus
+   * @param {String} species - Species name
+   * @param {Object} options - {source: 'configured' | 'density', corridors, parameters (see
+   *   DEFAULT_METAPOPULATION_PARAMETERS), applyThreats, years, numSimulations, signal, onProgress}
+   * @returns {Promise<Object>} {species, source, applyThreats, subpopulations, corridors, candidates, current, alternatives}
+   */
+  async analyzeMetapopulation(genomicData, species, options = {}) {
+    const { source = 'configured', corridors, parameters = {}, applyThreats = false, signal, onProgress, ...runOptions } = options;
+    const baseline = (await this.analyzeViability(genomicData, { ...runOptions, signal })).species[species];
+    if (!baseline) {
+      throw new Error(`No viability baseline for ${species}`);
+    }
+
+    const population = resolveViabilityParameters({
+      ...getSpeciesConfig(species)?.viabilityModel,
+      founderAlleleFrequencies: baseline.measuredDiversity?.founderAlleleFrequencies || null
+    });
+    // Density-based areas exist once GBIF occurrences have been clustered
+    const areas = source === 'density' ? this.geographicData : GBIF_CONFIG.CONSERVATION_AREAS;
+    const subpopulations = subpopulationsFromAreas(areas, species, population, parameters).map(subpopulation =>
+      applyThreats
+        ? { ...subpopulation, parameters: { ...subpopulation.parameters, ...scenarioParameters(scenarioFromThreats(subpopulation.threats)) } }
+        : subpopulation
+    );
+    if (subpopulations.length < 2) {
+      throw new Error(`${species} has fewer than two ${source === 'density' ? 'density-based' : 'configured'} conservation areas`);
+    }
+
+    const result = await runAnalysisTask(
+      'metapopulationViability',
+      {
+        population,
+        subpopulations,
+        options: { corridors, parameters, years: baseline.years, iterations: baseline.iterations }
+      },
+      { signal, onProgress }
+    );
+    return { species, source, applyThreats, ...result };
+  }
+
+  /**
+   * Sensitivity of one species' viability to growth, K, mortality, catastrophe frequency and
+   * lethal equivalents, optionally under a threat scenario and at another population size.
+   * Founders start from the locus's haplotype frequencies, as in analyzeViability.
+   * @param {Object} genomicData - {species: [{id, sequence}]} of one locus
+   * @param {String} species - Species name
+   * @param {Object} options - {scenario, initialSize, carryingCapacity, samples, numSimulations, signal, onProgress}
+   * @returns {Promise<Object>} {species, scenario, ...runSensitivityAnalysis results}
+   */
+  async analyzeSensitivity(genomicData, species, options = {}) {
+    const {
+      scenario = null,
+      initialSize,
+      carryingCapacity,
+      samples = DEFAULT_SENSITIVITY_OPTIONS.samples,
+      numSimulations = DEFAULT_SENSITIVITY_OPTIONS.numSimulations,
+      signal,
+      onProgress
+    } = options;
+    const baseline = (await this.analyzeViability(genomicData, { signal })).species[species];
+    if (!baseline) {
+      throw new Error(`No viability baseline for ${species}`);
+    }
+
+    const populationData = {
+      ...getSpeciesConfig(species)?.viabilityModel,
+      founderAlleleFrequencies: baseline.measuredDiversity?.founderAlleleFrequencies || null,
+      ...(scenario && scenarioParameters(scenario)),
+      ...(initialSize > 0 && { initialSize }),
+      ...(carryingCapacity > 0 && { carryingCapacity })
+    };
+    const result = await runAnalysisTask(
+      'viabilitySensitivity',
+      { populationData, years: baseline.years, options: { samples, numSimulations } },
+      { signal, onProgress }
+    );
+    return { species, scenario, ...result };
+  }
+
   /**
    * Enhanced diversity analysis with individual points data
    * @returns {Promise<Object>} Diversity analysis results
@@ -703,7 +1083,7 @@ class DataService {
         simpsonIndex: calculateSimpsonIndex(diversityValues),
         nucleotideFrequencies: nucleotideFreqs,
         averageGeneticDiversity: diversityValues.reduce((sum, val) => sum + val, 0) / diversityValues.length,
-        selectionAnalysis: analyzeSelectionPressure(sequences[0]),
+        selectionAnalysis: analyzeSelectionPressure(sequences),
         conservationStatus: getConservationStatus(species),
         populationTrend: getPopulationTrend(species),
         spatialDistribution: calculateSpatialDistribution(speciesData),
@@ -931,6 +1311,139 @@ class DataService {
     return root;
   }
 
+  /**
+   * Genome sequences the sequence-based views analyze: the bundled Pongo
+   * data set unless the user has uploaded FASTA/GenBank files
+   * @returns {Object} {type: 'bundled'|'upload', name, data: {species: [{id, sequence, ...}]}, files, rejected}
+   */
+  getGenomeSource() {
+    return this.genomeSource;
+  }
+
+  /**
+   * Parse uploaded FASTA/GenBank files and make them the active genome source
+   * @param {Array<File>} files - Files selected by the user
+   * @returns {Promise<Object>} The new genome source
+   */
+  async loadSequenceFiles(files) {
+    const records = [];
+    const rejected = [];
+    const fileSummaries = [];
+
+    for (const file of files) {
+      const text = await file.text();
+      const parsed = parseSequenceFile(text, { fileName: file.name });
+      records.push(...parsed.records);
+      rejected.push(...parsed.rejected.map(entry => ({ ...entry, file: file.name })));
+      fileSummaries.push({ name: file.name, format: parsed.format, records: parsed.records.length });
+    }
+
+    if (records.length === 0) {
+      throw new Error(`No valid nucleotide sequences found in ${files.map(file => file.name).join(', ')}`);
+    }
+    if (rejected.length > 0) {
+      console.warn(`Skipped ${rejected.length} uploaded sequence(s) that failed validation`, rejected);
+    }
+
+    this.setGenomeSource({
+      type: 'upload',
+      name: files.length === 1 ? files[0].name : `${files.length} files`,
+      data: groupRecordsBySpecies(records),
+      files: fileSummaries,
+      rejected
+    });
+    return this.genomeSource;
+  }
+
+  /**
+   * Replace the active genome source and notify subscribers
+   * @param {Object} source - Genome source (see getGenomeSource)
+   */
+  setGenomeSource(source) {
+    this.genomeSource = source;
+    this.clearCache();
+    this.genomeSourceListeners.forEach(listener => listener(source));
+  }
+
+  /**
+   * Switch back to the bundled Pongo genome data
+   */
+  resetGenomeSource() {
+    this.setGenomeSource(BUNDLED_GENOME_SOURCE);
+  }
+
+  /**
+   * Sequence QC report for the active genome source and the sequences that pass
+   * the current filter. Every sequence-based analysis should use the filtered data.
+   * @returns {Object} {summary, genomicData: filtered data, dropped, criteria}
+   */
+  getSequenceQc() {
+    const cached = this.sequenceQc;
+    if (cached && cached.source === this.genomeSource && cached.criteria === this.sequenceQcCriteria) {
+      return cached.result;
+    }
+
+    const result = {
+      ...generateSequenceQualityReport(this.genomeSource.data, this.sequenceQcCriteria),
+      criteria: this.sequenceQcCriteria
+    };
+    this.sequenceQc = { source: this.genomeSource, criteria: this.sequenceQcCriteria, result };
+    return result;
+  }
+
+  /**
+   * Change which QC flags remove a sequence from analysis
+   * @param {Object} criteria - {dropFlags: flag codes (see SEQUENCE_QC_FLAGS)}
+   */
+  setSequenceQcCriteria(criteria) {
+    this.sequenceQcCriteria = { ...this.sequenceQcCriteria, ...criteria };
+    this.clearCache();
+    this.genomeSourceListeners.forEach(listener => listener(this.genomeSource));
+  }
+
+  /**
+   * Homologous loci of the QC-filtered sequences and the locus the sequence views analyze
+   * @returns {Object} {loci, selectedLocusId, genomicData: sequences of the selected locus}
+   */
+  getLocusSelection() {
+    const qc = this.getSequenceQc();
+    if (!this.locusGrouping || this.locusGrouping.qc !== qc) {
+      this.locusGrouping = { qc, loci: groupByLocus(qc.genomicData) };
+    }
+
+    const { loci } = this.locusGrouping;
+    // A locus picked for an earlier source or filter may no longer exist
+    const selectedLocusId = this.selectedLocusId === ALL_LOCI || loci.some(locus => locus.id === this.selectedLocusId)
+      ? this.selectedLocusId
+      : defaultLocusId(loci);
+
+    return {
+      loci,
+      selectedLocusId,
+      genomicData: selectLocusData(qc.genomicData, loci, selectedLocusId)
+    };
+  }
+
+  /**
+   * Choose the locus analyzed by the diversity, selection and tree views
+   * @param {String} locusId - Locus id from getLocusSelection, or ALL_LOCI to mix every locus
+   */
+  setSelectedLocus(locusId) {
+    this.selectedLocusId = locusId;
+    this.clearCache();
+    this.genomeSourceListeners.forEach(listener => listener(this.genomeSource));
+  }
+
+  /**
+   * Subscribe to genome source, sequence QC and locus selection changes
+   * @param {Function} listener - Called with the new source
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeGenomeSource(listener) {
+    this.genomeSourceListeners.add(listener);
+    return () => this.genomeSourceListeners.delete(listener);
+  }
+
   clearCache() {
     this.analysisCache.clear();
   }
@@ -0,0 +1,207 @@
+// src/services/entrezClient.js
+// Rate-limited NCBI E-utilities client with retries, used by the NCBI fetcher (Node, CommonJS)
+
+const axios = require('axios');
+const { XMLParser } = require('fast-xml-parser');
+
+const DEFAULT_BASE_URL = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils';
+const TOOL_NAME = 'phylogeovis';
+
+// NCBI allows 3 requests/second without an API key and 10 with one
+const REQUESTS_PER_SECOND = 3;
+const REQUESTS_PER_SECOND_WITH_KEY = 10;
+
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+/**
+ * Error raised for an E-utilities failure; `retryable` marks transient ones
+ */
+class EntrezError extends Error {
+  constructor(message, { status = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'EntrezError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Spaces requests so that no more than `requestsPerSecond` start in any second
+ */
+class RateLimiter {
+  constructor(requestsPerSecond) {
+    this.interval = 1000 / requestsPerSecond;
+    this.nextSlot = 0;
+  }
+
+  async wait() {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot);
+    this.nextSlot = slot + this.interval;
+    if (slot > now) await sleep(slot - now);
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class EntrezClient {
+  /**
+   * @param {Object} options - {baseUrl, apiKey, email, maxRetries, retryDelay (ms, doubled per attempt), timeout (ms)}
+   */
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || process.env.NCBI_EUTILS_URL || DEFAULT_BASE_URL;
+    this.apiKey = options.apiKey !== undefined ? options.apiKey : process.env.NCBI_API_KEY || null;
+    this.email = options.email !== undefined ? options.email : process.env.NCBI_EMAIL || null;
+    this.maxRetries = options.maxRetries ?? 5;
+    this.retryDelay = options.retryDelay ?? 1000;
+    this.timeout = options.timeout ?? 60000;
+    this.rateLimiter = new RateLimiter(this.apiKey ? REQUESTS_PER_SECOND_WITH_KEY : REQUESTS_PER_SECOND);
+    this.xmlParser = new XMLParser();
+    this.requestCount = 0;
+  }
+
+  /**
+   * Search a database and store the result set on the history server
+   * @param {String} db - Entrez database
+   * @param {String} term - Entrez query
+   * @param {Number} retmax - Maximum UIDs to return
+   * @returns {Promise<Object>} {count, ids, webEnv, queryKey}
+   */
+  async search(db, term, retmax) {
+    const xml = await this.request('esearch.fcgi', { db, term, retmax, usehistory: 'y' });
+    const result = this.xmlParser.parse(xml)?.eSearchResult;
+    if (!result || result.ERROR) {
+      throw new EntrezError(`esearch failed: ${result?.ERROR || 'unexpected response'}`);
+    }
+
+    let ids = result.IdList?.Id || [];
+    if (!Array.isArray(ids)) ids = [ids];
+
+    return {
+      count: Number(result.Count) || 0,
+      ids: ids.map(String),
+      webEnv: result.WebEnv || null,
+      queryKey: result.QueryKey !== undefined ? String(result.QueryKey) : null
+    };
+  }
+
+  /**
+   * Upload UIDs to the history server
+   * @param {String} db - Entrez database
+   * @param {Array} ids - UIDs
+   * @returns {Promise<Object>} {webEnv, queryKey}
+   */
+  async post(db, ids) {
+    const xml = await this.request('epost.fcgi', { db, id: ids.join(',') }, 'post');
+    const result = this.xmlParser.parse(xml)?.ePostResult;
+    if (!result || !result.WebEnv || result.ERROR) {
+      throw new EntrezError(`epost failed: ${result?.ERROR || 'unexpected response'}`);
+    }
+    return { webEnv: result.WebEnv, queryKey: String(result.QueryKey) };
+  }
+
+  /**
+   * Fetch one batch of a history-server result set as GenBank flat file text
+   * @param {String} db - Entrez database
+   * @param {Object} history - {webEnv, queryKey}
+   * @param {Number} retstart - Offset into the result set
+   * @param {Number} retmax - Batch size
+   * @returns {Promise<String>} GenBank text
+   */
+  async fetchGenBank(db, history, retstart, retmax) {
+    return this.fetchFromHistory(db, history, retstart, retmax, 'gb', text => /^\s*LOCUS/m.test(text));
+  }
+
+  /**
+   * Fetch the accession.version of each record in one batch of a history-server result set
+   * @param {String} db - Entrez database
+   * @param {Object} history - {webEnv, queryKey}
+   * @param {Number} retstart - Offset into the result set
+   * @param {Number} retmax - Batch size
+   * @returns {Promise<Array>} Accession.version strings in result-set order
+   */
+  async fetchAccessions(db, history, retstart, retmax) {
+    const text = await this.fetchFromHistory(db, history, retstart, retmax, 'acc', body => !/<ERROR>/.test(body));
+    return text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  }
+
+  /**
+   * efetch from a history set
+   * @param {String} db - Entrez database
+   * @param {Object} history - {webEnv, queryKey}
+   * @param {Number} retstart - Offset into the result set
+   * @param {Number} retmax - Batch size
+   * @param {String} rettype - efetch rettype
+   * @param {Function} isValid - Checks the response body
+   * @returns {Promise<String>} Response text
+   */
+  async fetchFromHistory(db, history, retstart, retmax, rettype, isValid) {
+    const text = await this.request('efetch.fcgi', {
+      db,
+      WebEnv: history.webEnv,
+      query_key: history.queryKey,
+      retstart,
+      retmax,
+      rettype,
+      retmode: 'text'
+    });
+
+    // NCBI reports some failures (e.g. an expired WebEnv) as an error document with status 200
+    if (!isValid(text)) {
+      const message = (text.match(/<ERROR>([\s\S]*?)<\/ERROR>/) || [])[1] || `response contains no ${rettype} records`;
+      throw new EntrezError(`efetch failed: ${message.trim()}`, { retryable: false });
+    }
+    return text;
+  }
+
+  /**
+   * Send a rate-limited request, retrying transient failures with exponential backoff
+   * @param {String} endpoint - E-utility script name
+   * @param {Object} params - Query parameters
+   * @param {String} method - 'get' or 'post' (form-encoded body, for long id lists)
+   * @returns {Promise<String>} Response body
+   */
+  async request(endpoint, params, method = 'get') {
+    const allParams = { ...params, tool: TOOL_NAME };
+    if (this.email) allParams.email = this.email;
+    if (this.apiKey) allParams.api_key = this.apiKey;
+
+    const url = `${this.baseUrl}/${endpoint}`;
+    for (let attempt = 0; ; attempt++) {
+      await this.rateLimiter.wait();
+      this.requestCount++;
+
+      try {
+        const response = method === 'post'
+          ? await axios.post(url, new URLSearchParams(allParams).toString(), {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            timeout: this.timeout,
+            responseType: 'text'
+          })
+          : await axios.get(url, { params: allParams, timeout: this.timeout, responseType: 'text' });
+        return response.data;
+      } catch (error) {
+        const status = error.response ? error.response.status : null;
+        // Network errors and timeouts have no response and are always retried
+        const retryable = status === null || RETRYABLE_STATUS.has(status);
+        if (!retryable || attempt >= this.maxRetries) {
+          throw new EntrezError(
+            `${endpoint} failed${status ? ` with HTTP ${status}` : ''}: ${error.message}`,
+            { status, retryable }
+          );
+        }
+
+        const retryAfter = Number(error.response?.headers?.['retry-after']);
+        const delay = retryAfter > 0 ? retryAfter * 1000 : this.retryDelay * 2 ** attempt;
+        console.warn(`${endpoint} ${status ? `HTTP ${status}` : error.code || error.message}; retrying in ${delay} ms (attempt ${attempt + 1}/${this.maxRetries})`);
+        await sleep(delay);
+      }
+    }
+  }
+}
+
+module.exports = {
+  EntrezClient,
+  EntrezError,
+  RateLimiter
+};
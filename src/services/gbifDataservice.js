@@ -1,6 +1,8 @@
 // src/services/gbifDataService.js
 // Enhanced GBIF service with individual occurrence point mapping and density analysis
 
+import { runAnalysisTask } from './analysisWorkerClient';
+
 const GBIF_BASE_URL = 'https://api.gbif.org/v1';
 
 // Orangutan species taxon keys from GBIF
@@ -27,6 +29,7 @@ const CONFIG = {
   MEDIUM_DENSITY_THRESHOLD: 10,    // 10-19 points = medium density
   LOW_DENSITY_THRESHOLD: 3,        // 3-9 points = low density
   SINGLE_OCCURRENCE_RADIUS: 5,     // 5km radius for single occurrences
+  CLUSTER_RADIUS: 15,              // 15km radius for density clustering
   
   // Priority calculation based on density
   DENSITY_WEIGHTS: {
@@ -82,7 +85,7 @@ class GBIFDataService {
       }
 
       // Perform density analysis on all points
-      const densityAnalysis = this.performDensityAnalysis(allIndividualPoints);
+      const densityAnalysis = await this.performDensityAnalysis(allIndividualPoints);
       
       // Generate conservation areas based on density clusters
       const conservationAreas = this.generateDensityBasedAreas(densityAnalysis);
@@ -370,11 +373,14 @@ class GBIFDataService {
   }
 
   /**
-   * Perform density analysis on all individual points
+   * Perform density analysis on all individual points.
+   * Neighbor search and clustering run in the analysis worker on packed coordinates;
+   * the results are mapped back onto the point objects here.
    * @param {Array} allPoints - All individual occurrence points
-   * @returns {Object} Density analysis results
+   * @param {Object} options - {signal, onProgress}
+   * @returns {Promise<Object>} Density analysis results
    */
-  performDensityAnalysis(allPoints) {
+  async performDensityAnalysis(allPoints, options = {}) {
     console.log('🧮 Performing density analysis on individual points...');
     
     const densityData = {
@@ -391,9 +397,26 @@ class GBIFDataService {
       speciesDistribution: {}
     };
 
-    // Calculate density for each point
+    const coordinates = new Float64Array(allPoints.length * 2);
+    allPoints.forEach((point, index) => {
+      coordinates[index * 2] = point.coordinates.lat;
+      coordinates[index * 2 + 1] = point.coordinates.lng;
+    });
+
+    const { offsets, neighbors, clusterAssignments, clusterCenters } = await runAnalysisTask(
+      'densityAnalysis',
+      {
+        coordinates,
+        radiusKm: CONFIG.DENSITY_ANALYSIS_RADIUS,
+        clusterRadiusKm: CONFIG.CLUSTER_RADIUS,
+        minClusterDensity: CONFIG.LOW_DENSITY_THRESHOLD
+      },
+      { ...options, transfer: [coordinates.buffer] }
+    );
+
+    // Apply density information to each point
     allPoints.forEach((point, index) => {
-      const nearbyPoints = this.findNearbyPoints(point, allPoints, CONFIG.DENSITY_ANALYSIS_RADIUS);
+      const nearbyPoints = Array.from(neighbors.subarray(offsets[index], offsets[index + 1]), i => allPoints[i]);
       const densityCount = nearbyPoints.length;
       
       // Update point with density information
@@ -410,14 +433,10 @@ class GBIFDataService {
         density: densityCount,
         nearbyPoints
       });
-
-      if (index % 100 === 0) {
-        console.log(`   Processed ${index + 1}/${allPoints.length} points for density analysis`);
-      }
     });
 
-    // Generate density clusters
-    densityData.clusters = this.generateDensityClusters(allPoints);
+    // Build density clusters from the worker's assignments
+    densityData.clusters = this.buildDensityClusters(allPoints, clusterAssignments, clusterCenters);
 
     // Calculate species distribution
     Object.keys(ORANGUTAN_SPECIES).forEach(species => {
@@ -444,26 +463,6 @@ class GBIFDataService {
     return densityData;
   }
 
-  /**
-   * Find nearby points within specified radius
-   * @param {Object} centerPoint - Center point for search
-   * @param {Array} allPoints - All points to search through
-   * @param {number} radiusKm - Search radius in kilometers
-   * @returns {Array} Array of nearby points
-   */
-  findNearbyPoints(centerPoint, allPoints, radiusKm) {
-    return allPoints.filter(point => {
-      if (point.id === centerPoint.id) return false; // Exclude self
-      
-      const distance = this.calculateDistance(
-        centerPoint.coordinates.lat, centerPoint.coordinates.lng,
-        point.coordinates.lat, point.coordinates.lng
-      );
-      
-      return distance <= radiusKm;
-    });
-  }
-
   /**
    * Categorize point by density
    * @param {number} nearbyCount - Number of nearby points
@@ -478,28 +477,19 @@ class GBIFDataService {
   }
 
   /**
-   * Generate density clusters from points
-   * @param {Array} allPoints - All individual points
+   * Build density cluster objects from cluster assignments
+   * @param {Array} allPoints - All individual points (with density information)
+   * @param {Int32Array} assignments - Cluster index per point (-1 = unclustered)
+   * @param {Int32Array} centers - Index of the seeding (densest) point per cluster
    * @returns {Array} Array of density clusters
    */
-  generateDensityClusters(allPoints) {
+  buildDensityClusters(allPoints, assignments, centers) {
     console.log('🔗 Generating density clusters...');
     
-    const clusters = [];
-    const processed = new Set();
-    const clusterRadius = 15; // 15km radius for clustering
-    
-    // Sort points by density (highest first)
-    const sortedPoints = [...allPoints].sort((a, b) => b.nearbyPointsCount - a.nearbyPointsCount);
-    
-    sortedPoints.forEach((point, index) => {
-      if (processed.has(point.id)) return;
-      
-      // Only create clusters for medium+ density points
-      if (point.nearbyPointsCount < CONFIG.LOW_DENSITY_THRESHOLD) return;
-      
-      const cluster = {
-        id: `density_cluster_${clusters.length + 1}`,
+    const clusters = Array.from(centers, (centerIndex, clusterIndex) => {
+      const point = allPoints[centerIndex];
+      return {
+        id: `density_cluster_${clusterIndex + 1}`,
         centerPoint: point,
         points: [point],
         species: [point.species],
@@ -512,38 +502,31 @@ class GBIFDataService {
         densityLevel: point.densityCategory,
         totalDensity: point.nearbyPointsCount
       };
+    });
+
+    allPoints.forEach((otherPoint, index) => {
+      const clusterIndex = assignments[index];
+      if (clusterIndex < 0 || centers[clusterIndex] === index) return;
+      const cluster = clusters[clusterIndex];
+
+      cluster.points.push(otherPoint);
       
-      processed.add(point.id);
+      // Update cluster species list
+      if (!cluster.species.includes(otherPoint.species)) {
+        cluster.species.push(otherPoint.species);
+      }
       
-      // Find all points within cluster radius
-      allPoints.forEach(otherPoint => {
-        if (processed.has(otherPoint.id)) return;
-        
-        const distance = this.calculateDistance(
-          point.coordinates.lat, point.coordinates.lng,
-          otherPoint.coordinates.lat, otherPoint.coordinates.lng
-        );
-        
-        if (distance <= clusterRadius) {
-          cluster.points.push(otherPoint);
-          processed.add(otherPoint.id);
-          
-          // Update cluster species list
-          if (!cluster.species.includes(otherPoint.species)) {
-            cluster.species.push(otherPoint.species);
-          }
-          
-          // Update bounds
-          cluster.bounds.north = Math.max(cluster.bounds.north, otherPoint.coordinates.lat);
-          cluster.bounds.south = Math.min(cluster.bounds.south, otherPoint.coordinates.lat);
-          cluster.bounds.east = Math.max(cluster.bounds.east, otherPoint.coordinates.lng);
-          cluster.bounds.west = Math.min(cluster.bounds.west, otherPoint.coordinates.lng);
-          
-          // Update total density
-          cluster.totalDensity += otherPoint.nearbyPointsCount;
-        }
-      });
+      // Update bounds
+      cluster.bounds.north = Math.max(cluster.bounds.north, otherPoint.coordinates.lat);
+      cluster.bounds.south = Math.min(cluster.bounds.south, otherPoint.coordinates.lat);
+      cluster.bounds.east = Math.max(cluster.bounds.east, otherPoint.coordinates.lng);
+      cluster.bounds.west = Math.min(cluster.bounds.west, otherPoint.coordinates.lng);
       
+      // Update total density
+      cluster.totalDensity += otherPoint.nearbyPointsCount;
+    });
+
+    clusters.forEach(cluster => {
       // Calculate cluster center from all points
       const centerLat = cluster.points.reduce((sum, p) => sum + p.coordinates.lat, 0) / cluster.points.length;
       const centerLng = cluster.points.reduce((sum, p) => sum + p.coordinates.lng, 0) / cluster.points.length;
@@ -555,8 +538,6 @@ class GBIFDataService {
       cluster.points.forEach(p => {
         p.clusterAssignment = cluster.id;
       });
-      
-      clusters.push(cluster);
     });
     
     console.log(`   Generated ${clusters.length} density clusters`);
@@ -0,0 +1,555 @@
+// src/utils/codonSelection.js
+// Codon-based selection analysis: Nei–Gojobori dN/dS with Jukes–Cantor correction
+
+const BASES = ['T', 'C', 'A', 'G'];
+const COMPLEMENT = { A: 'T', C: 'G', G: 'C', T: 'A', U: 'A', N: 'N' };
+
+/**
+ * NCBI genetic codes; amino acids are listed for codons in TCAG order
+ * (TTT, TTC, TTA, TTG, TCT, ...), '*' marks stop codons
+ */
+export const GENETIC_CODES = {
+  1: { id: 1, name: 'Standard', aminoAcids: 'FFLLSSSSYY**CC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG' },
+  2: { id: 2, name: 'Vertebrate Mitochondrial', aminoAcids: 'FFLLSSSSYY**CC*WLLLLPPPPHHQQRRRRIIMMTTTTNNKKSS**VVVVAAAADDEEGGGG' }
+};
+
+export const AUTO_GENETIC_CODE = 'auto';
+
+export const DEFAULT_SELECTION_OPTIONS = {
+  geneticCode: AUTO_GENETIC_CODE,
+  bootstrapReplicates: 200,   // Resamples of sequences for group confidence intervals
+  confidenceLevel: 0.95
+};
+
+const codonTables = new Map();
+
+/**
+ * Codon -> amino acid lookup for a genetic code, with per-codon Nei–Gojobori site counts
+ * @param {Number} codeId - NCBI translation table id
+ * @returns {Object} {id, name, translate: Map, sites: Map codon -> {S, N}}
+ */
+export function getGeneticCode(codeId) {
+  const code = GENETIC_CODES[codeId];
+  if (!code) {
+    throw new Error(`Unsupported genetic code ${codeId}; available: ${Object.keys(GENETIC_CODES).join(', ')}`);
+  }
+  if (codonTables.has(code.id)) return codonTables.get(code.id);
+
+  const translate = new Map();
+  let index = 0;
+  BASES.forEach(first => BASES.forEach(second => BASES.forEach(third => {
+    translate.set(first + second + third, code.aminoAcids[index++]);
+  })));
+
+  // Synonymous sites of a codon: for each position, the fraction of non-stop point
+  // mutations that keep the amino acid (mutations to stop codons are not counted)
+  const sites = new Map();
+  translate.forEach((aminoAcid, codon) => {
+    if (aminoAcid === '*') return;
+    let synonymous = 0;
+    for (let position = 0; position < 3; position++) {
+      let same = 0;
+      let viable = 0;
+      BASES.forEach(base => {
+        if (base === codon[position]) return;
+        const mutant = translate.get(codon.slice(0, position) + base + codon.slice(position + 1));
+        if (mutant === '*') return;
+        viable++;
+        if (mutant === aminoAcid) same++;
+      });
+      if (viable > 0) synonymous += same / viable;
+    }
+    sites.set(codon, { S: synonymous, N: 3 - synonymous });
+  });
+
+  const table = { id: code.id, name: code.name, translate, sites, differences: new Map() };
+  codonTables.set(code.id, table);
+  return table;
+}
+
+/**
+ * Pick the genetic code for a set of records: an explicit choice, else the CDS
+ * transl_table, else vertebrate mitochondrial for mitochondrial records, else standard
+ * @param {Array} records - Sequence records
+ * @param {Number|String} requested - Translation table id or AUTO_GENETIC_CODE
+ * @returns {Number} Translation table id
+ */
+export function resolveGeneticCode(records, requested = AUTO_GENETIC_CODE) {
+  if (requested !== AUTO_GENETIC_CODE && requested !== undefined && requested !== null) {
+    return Number(requested);
+  }
+  for (const record of records) {
+    const table = (record.cds || []).map(cds => cds.translationTable).find(id => GENETIC_CODES[id]);
+    if (table) return table;
+  }
+  return records.some(record => record.organelle === 'mitochondrion') ? 2 : 1;
+}
+
+/**
+ * Reverse complement a nucleotide sequence
+ * @param {String} sequence - Nucleotide sequence
+ * @returns {String} Reverse complement
+ */
+function reverseComplement(sequence) {
+  let result = '';
+  for (let i = sequence.length - 1; i >= 0; i--) {
+    result += COMPLEMENT[sequence[i]] || 'N';
+  }
+  return result;
+}
+
+/**
+ * Count in-frame stop codons, ignoring a terminal one
+ * @param {String} coding - Coding sequence starting at a codon boundary
+ * @param {Object} code - Result of getGeneticCode
+ * @returns {Number} Internal stop codons
+ */
+function countInternalStops(coding, code) {
+  let stops = 0;
+  const lastCodon = Math.floor(coding.length / 3) - 1;
+  for (let i = 0; i < lastCodon; i++) {
+    if (code.translate.get(coding.slice(i * 3, i * 3 + 3)) === '*') stops++;
+  }
+  return stops;
+}
+
+/**
+ * The coding sequence of a record in its reading frame. The frame comes from the
+ * record's CDS feature (intervals, strand and /codon_start); records without CDS
+ * annotations are read in the forward frame with the fewest internal stop codons.
+ * @param {Object} record - Sequence record
+ * @param {Object} options - {geneticCode: table id, gene: preferred CDS gene}
+ * @returns {Object} {sequence, coordinates: 1-based record position of each coding base,
+ *   frameSource: 'cds'|'inferred', frame, gene, internalStops}
+ */
+export function extractCodingSequence(record, options = {}) {
+  const code = getGeneticCode(options.geneticCode || 1);
+  const sequence = (record.sequence || '').toUpperCase().replace(/U/g, 'T').replace(/[-.]/g, '');
+  const candidates = (record.cds || []).filter(cds => cds.intervals && cds.intervals.length > 0);
+
+  let coding;
+  let coordinates;
+  let frameSource;
+  let frame = 0;
+  let gene = null;
+
+  if (candidates.length > 0) {
+    const spliced = candidates.map(cds => ({
+      cds,
+      sequence: cds.intervals
+        .map(({ start, end, strand }) => {
+          const segment = sequence.slice(start - 1, end);
+          return strand === -1 ? reverseComplement(segment) : segment;
+        })
+        .join('')
+    }));
+    const normalize = (name) => (name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    const preferred = options.gene && spliced.find(entry => normalize(entry.cds.gene) === normalize(options.gene));
+    const chosen = preferred || spliced.reduce((longest, entry) => (entry.sequence.length > longest.sequence.length ? entry : longest));
+
+    frame = (chosen.cds.codonStart || 1) - 1;
+    coding = chosen.sequence.slice(frame);
+    coordinates = chosen.cds.intervals
+      .flatMap(({ start, end, strand }) => {
+        const positions = Array.from({ length: Math.max(0, end - start + 1) }, (_, offset) => start + offset);
+        return strand === -1 ? positions.reverse() : positions;
+      })
+      .slice(frame);
+    frameSource = 'cds';
+    gene = chosen.cds.gene || null;
+  } else {
+    let best = null;
+    for (let offset = 0; offset < 3; offset++) {
+      const candidate = sequence.slice(offset);
+      const stops = countInternalStops(candidate, code);
+      if (!best || stops < best.stops) best = { offset, stops };
+    }
+    frame = best.offset;
+    coding = sequence.slice(frame);
+    coordinates = Array.from({ length: coding.length }, (_, offset) => frame + offset + 1);
+    frameSource = 'inferred';
+  }
+
+  coding = coding.slice(0, coding.length - (coding.length % 3));
+  const internalStops = countInternalStops(coding, code);
+  if (coding.length >= 3 && code.translate.get(coding.slice(-3)) === '*') {
+    coding = coding.slice(0, -3);
+  }
+
+  return { sequence: coding, coordinates: coordinates.slice(0, coding.length), frameSource, frame, gene, internalStops };
+}
+
+/**
+ * Synonymous and nonsynonymous differences between two sense codons, averaged
+ * over the mutational pathways that avoid stop codons (Nei & Gojobori 1986)
+ * @param {String} codon1 - First codon
+ * @param {String} codon2 - Second codon
+ * @param {Object} code - Result of getGeneticCode
+ * @returns {Object|null} {sd, nd}, or null when every pathway passes through a stop codon
+ */
+export function codonDifferences(codon1, codon2, code) {
+  const key = codon1 + codon2;
+  if (code.differences.has(key)) return code.differences.get(key);
+
+  const positions = [0, 1, 2].filter(position => codon1[position] !== codon2[position]);
+  const orders = permutations(positions);
+  let sd = 0;
+  let nd = 0;
+  let pathways = 0;
+
+  orders.forEach(order => {
+    let current = codon1;
+    let synonymous = 0;
+    let nonsynonymous = 0;
+    for (const position of order) {
+      const next = current.slice(0, position) + codon2[position] + current.slice(position + 1);
+      const nextAminoAcid = code.translate.get(next);
+      if (nextAminoAcid === '*') return;
+      if (nextAminoAcid === code.translate.get(current)) synonymous++;
+      else nonsynonymous++;
+      current = next;
+    }
+    sd += synonymous;
+    nd += nonsynonymous;
+    pathways++;
+  });
+
+  const result = pathways > 0 ? { sd: sd / pathways, nd: nd / pathways } : null;
+  code.differences.set(key, result);
+  return result;
+}
+
+function permutations(items) {
+  if (items.length <= 1) return [items];
+  return items.flatMap((item, index) =>
+    permutations([...items.slice(0, index), ...items.slice(index + 1)]).map(rest => [item, ...rest])
+  );
+}
+
+/**
+ * Pair up homologous codons of two aligned coding sequences and count sites and
+ * differences. A codon is compared only when all three of its bases align to a
+ * complete, in-frame codon of the other sequence; codons with gaps, ambiguity codes
+ * or stops are skipped.
+ * @param {String} aligned1 - First coding sequence (gapped alignment row or ungapped)
+ * @param {String} aligned2 - Second coding sequence, same alignment as aligned1
+ * @param {Object} code - Result of getGeneticCode
+ * @returns {Object} {codons, S, N, Sd, Nd}
+ */
+export function compareCodingSequences(aligned1, aligned2, code) {
+  const columns1 = codonColumns(aligned1);
+  const columns2 = new Map(codonColumns(aligned2).map(entry => [entry.columns[0], entry]));
+  const counts = { codons: 0, S: 0, N: 0, Sd: 0, Nd: 0 };
+
+  columns1.forEach(entry1 => {
+    const entry2 = columns2.get(entry1.columns[0]);
+    if (!entry2 || entry2.columns[1] !== entry1.columns[1] || entry2.columns[2] !== entry1.columns[2]) return;
+
+    const sites1 = code.sites.get(entry1.codon);
+    const sites2 = code.sites.get(entry2.codon);
+    if (!sites1 || !sites2) return;
+
+    const differences = entry1.codon === entry2.codon ? { sd: 0, nd: 0 } : codonDifferences(entry1.codon, entry2.codon, code);
+    if (!differences) return;
+
+    counts.codons++;
+    counts.S += (sites1.S + sites2.S) / 2;
+    counts.N += (sites1.N + sites2.N) / 2;
+    counts.Sd += differences.sd;
+    counts.Nd += differences.nd;
+  });
+
+  return counts;
+}
+
+/**
+ * Codons of a (possibly gapped) coding sequence with the alignment columns of their bases
+ * @param {String} aligned - Alignment row of a coding sequence
+ * @returns {Array} [{codon, columns: [c1, c2, c3]}]
+ */
+export function codonColumns(aligned) {
+  const codons = [];
+  let bases = '';
+  let columns = [];
+  for (let column = 0; column < aligned.length; column++) {
+    const base = aligned[column].toUpperCase();
+    if (base === '-' || base === '.') continue;
+    bases += base === 'U' ? 'T' : base;
+    columns.push(column);
+    if (bases.length === 3) {
+      codons.push({ codon: bases, columns });
+      bases = '';
+      columns = [];
+    }
+  }
+  return codons;
+}
+
+/**
+ * Jukes–Cantor corrected distance and its large-sample variance
+ * @param {Number} differences - Observed differences
+ * @param {Number} sites - Number of sites
+ * @returns {Object|null} {p, d, variance}, or null when saturated (p ≥ 0.75) or no sites
+ */
+export function jukesCantor(differences, sites) {
+  if (!(sites > 0)) return null;
+  const p = differences / sites;
+  const w = 1 - (4 * p) / 3;
+  if (w <= 0) return null;
+  return { p, d: -0.75 * Math.log(w), variance: (p * (1 - p)) / (sites * w * w) };
+}
+
+/**
+ * dN, dS and ω = dN/dS from pooled counts, with a delta-method confidence interval for ω
+ * @param {Object} counts - {codons, S, N, Sd, Nd}
+ * @param {Number} confidenceLevel - e.g. 0.95
+ * @returns {Object} {codons, S, N, Sd, Nd, pS, pN, dS, dN, dSVariance, dNVariance, omega, ci, saturated}
+ */
+export function dnDsFromCounts(counts, confidenceLevel = DEFAULT_SELECTION_OPTIONS.confidenceLevel) {
+  const synonymous = jukesCantor(counts.Sd, counts.S);
+  const nonsynonymous = jukesCantor(counts.Nd, counts.N);
+  const result = {
+    ...counts,
+    pS: counts.S > 0 ? counts.Sd / counts.S : null,
+    pN: counts.N > 0 ? counts.Nd / counts.N : null,
+    dS: synonymous ? synonymous.d : null,
+    dN: nonsynonymous ? nonsynonymous.d : null,
+    dSVariance: synonymous ? synonymous.variance : null,
+    dNVariance: nonsynonymous ? nonsynonymous.variance : null,
+    omega: null,
+    ci: null,
+    saturated: counts.codons > 0 && (!synonymous || !nonsynonymous)
+  };
+
+  if (result.dS > 0 && result.dN !== null) {
+    result.omega = result.dN / result.dS;
+    if (result.dN > 0) {
+      // Delta method on log ω
+      const z = normalQuantile(0.5 + confidenceLevel / 2);
+      const se = Math.sqrt(result.dNVariance / result.dN ** 2 + result.dSVariance / result.dS ** 2);
+      result.ci = [result.omega * Math.exp(-z * se), result.omega * Math.exp(z * se)];
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Classify ω, requiring the confidence interval to exclude 1 for a non-neutral call
+ * @param {Number|null} omega - dN/dS
+ * @param {Array|null} ci - [lower, upper]
+ * @returns {String} 'Positive', 'Purifying', 'Neutral' or 'Insufficient data'
+ */
+export function classifySelection(omega, ci) {
+  if (omega === null || omega === undefined) return 'Insufficient data';
+  if (ci) {
+    if (ci[0] > 1) return 'Positive';
+    if (ci[1] < 1) return 'Purifying';
+    return 'Neutral';
+  }
+  if (omega === 0) return 'Purifying';
+  return 'Neutral';
+}
+
+/**
+ * Pairwise and per-species dN/dS for coding sequences of one locus
+ * @param {Array} records - [{id, species, coding}] where `coding` is an in-frame coding
+ *   sequence, either an alignment row or ungapped sequences in the same register
+ * @param {Object} options - {geneticCode: table id, bootstrapReplicates, confidenceLevel}
+ * @returns {Object} {geneticCode, pairs, bySpecies, betweenSpecies, overall}
+ */
+export function analyzeCodingSelection(records, options = {}) {
+  const config = { ...DEFAULT_SELECTION_OPTIONS, ...options };
+  const codeId = config.geneticCode === AUTO_GENETIC_CODE ? 1 : Number(config.geneticCode);
+  const code = getGeneticCode(codeId);
+  const n = records.length;
+
+  const pairCounts = Array.from({ length: n }, () => Array(n).fill(null));
+  const pairs = [];
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const counts = compareCodingSequences(records[i].coding, records[j].coding, code);
+      pairCounts[i][j] = counts;
+      pairCounts[j][i] = counts;
+      const estimate = dnDsFromCounts(counts, config.confidenceLevel);
+      pairs.push({
+        id1: records[i].id,
+        id2: records[j].id,
+        species1: records[i].species,
+        species2: records[j].species,
+        ...estimate,
+        selectionType: classifySelection(estimate.omega, estimate.ci)
+      });
+    }
+  }
+
+  const indicesBySpecies = {};
+  records.forEach((record, index) => {
+    if (!indicesBySpecies[record.species]) indicesBySpecies[record.species] = [];
+    indicesBySpecies[record.species].push(index);
+  });
+
+  const bySpecies = {};
+  Object.entries(indicesBySpecies).forEach(([species, indices]) => {
+    bySpecies[species] = summarizeGroup(indices, indices, pairCounts, config);
+  });
+
+  const speciesNames = Object.keys(indicesBySpecies);
+  const betweenSpecies = [];
+  for (let a = 0; a < speciesNames.length; a++) {
+    for (let b = a + 1; b < speciesNames.length; b++) {
+      betweenSpecies.push({
+        species1: speciesNames[a],
+        species2: speciesNames[b],
+        ...summarizeGroup(indicesBySpecies[speciesNames[a]], indicesBySpecies[speciesNames[b]], pairCounts, config)
+      });
+    }
+  }
+
+  const all = records.map((_, index) => index);
+  return {
+    geneticCode: { id: code.id, name: code.name },
+    pairs,
+    bySpecies,
+    betweenSpecies,
+    overall: summarizeGroup(all, all, pairCounts, config)
+  };
+}
+
+/**
+ * Pool the counts of all pairs between two index sets (the same set for within-group)
+ * and bootstrap over sequences for a percentile confidence interval of ω
+ * @param {Array} groupA - Record indices
+ * @param {Array} groupB - Record indices (=== groupA for within-group)
+ * @param {Array} pairCounts - Pairwise count matrix
+ * @param {Object} config - Selection options
+ * @returns {Object} Pooled estimate with sampleSize, pairCount, ci and selectionType
+ */
+function summarizeGroup(groupA, groupB, pairCounts, config) {
+  const within = groupA === groupB;
+  const pool = (indicesA, indicesB) => {
+    const total = { codons: 0, S: 0, N: 0, Sd: 0, Nd: 0 };
+    let pairCount = 0;
+    indicesA.forEach((i, a) => {
+      indicesB.forEach((j, b) => {
+        if (within ? b <= a : false) return;
+        const counts = pairCounts[i][j];
+        if (!counts || i === j) return;
+        total.codons += counts.codons;
+        total.S += counts.S;
+        total.N += counts.N;
+        total.Sd += counts.Sd;
+        total.Nd += counts.Nd;
+        pairCount++;
+      });
+    });
+    return { total, pairCount };
+  };
+
+  const { total, pairCount } = pool(groupA, groupB);
+  const estimate = dnDsFromCounts(total, config.confidenceLevel);
+  // Pooled codon counts over many pairs overstate precision; report a bootstrap interval instead
+  estimate.ci = null;
+
+  const sampleSize = within ? groupA.length : groupA.length + groupB.length;
+  if (estimate.omega !== null && config.bootstrapReplicates > 0 && groupA.length > 1 && (within || groupB.length > 1)) {
+    const resample = (indices) => indices.map(() => indices[Math.floor(Math.random() * indices.length)]);
+    const omegas = [];
+    for (let replicate = 0; replicate < config.bootstrapReplicates; replicate++) {
+      const sampleA = resample(groupA);
+      const { total: replicateTotal, pairCount: replicatePairs } = within
+        ? pool(sampleA, sampleA)
+        : pool(sampleA, resample(groupB));
+      if (replicatePairs === 0) continue;
+      const replicateEstimate = dnDsFromCounts(replicateTotal, config.confidenceLevel);
+      if (replicateEstimate.omega !== null) omegas.push(replicateEstimate.omega);
+    }
+    if (omegas.length >= config.bootstrapReplicates / 2) {
+      omegas.sort((a, b) => a - b);
+      const tail = (1 - config.confidenceLevel) / 2;
+      estimate.ci = [
+        omegas[Math.floor(tail * (omegas.length - 1))],
+        omegas[Math.ceil((1 - tail) * (omegas.length - 1))]
+      ];
+    }
+  }
+
+  return {
+    ...estimate,
+    sampleSize,
+    pairCount,
+    selectionType: classifySelection(estimate.omega, estimate.ci)
+  };
+}
+
+/**
+ * Standard normal quantile (Acklam's rational approximation)
+ * @param {Number} p - Probability in (0, 1)
+ * @returns {Number} z such that Φ(z) = p
+ */
+export function normalQuantile(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Read each record in its reading frame and optionally align the coding sequences
+ * @param {Array} records - Sequence records ({id, species, sequence, cds}) or plain sequence strings
+ * @param {Object} options - {geneticCode, gene}
+ * @param {Function} align - Optional (sequences: [{id, species, sequence}]) => gapped rows in the same order
+ * @returns {Object} {geneticCode: table id, coding: [{id, species, coding, coordinates}], frames}
+ */
+export function prepareCodingSequences(records, options = {}, align = null) {
+  const normalized = records.map((record, index) =>
+    typeof record === 'string' ? { id: index, species: 'all', sequence: record } : record
+  );
+  const geneticCode = resolveGeneticCode(normalized, options.geneticCode);
+  const frames = [];
+  const extracted = normalized.map(record => {
+    const { sequence, coordinates, ...frame } = extractCodingSequence(record, { geneticCode, gene: options.gene });
+    frames.push({ id: record.id, species: record.species, ...frame });
+    return { id: record.id, species: record.species, sequence, coordinates };
+  });
+
+  const rows = align && extracted.length > 1 ? align(extracted) : extracted.map(entry => entry.sequence);
+  const coding = extracted.map((entry, index) => ({
+    id: entry.id,
+    species: entry.species,
+    coding: rows[index],
+    coordinates: entry.coordinates
+  }));
+
+  return { geneticCode, coding, frames };
+}
+
+/**
+ * dN/dS of a set of sequence records: each is read in its reading frame, the coding
+ * sequences are optionally aligned, and homologous codons are compared. Without an
+ * aligner codons are compared in register, which suits complete CDS of one gene.
+ * @param {Array} records - Sequence records ({id, species, sequence, cds}) or plain sequence strings
+ * @param {Object} options - {geneticCode, gene, bootstrapReplicates, confidenceLevel}
+ * @param {Function} align - Optional aligner, see prepareCodingSequences
+ * @returns {Object} Result of analyzeCodingSelection plus the reading frame of each record
+ */
+export function estimateDnDs(records, options = {}, align = null) {
+  const { geneticCode, coding, frames } = prepareCodingSequences(records, options, align);
+  return {
+    ...analyzeCodingSelection(coding, { ...options, geneticCode }),
+    frames
+  };
+}
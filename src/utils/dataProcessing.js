@@ -1,16 +1,53 @@
 // src/utils/dataProcessing.js
 // Implementation of bioinformatics algorithms for PhyloGeoVis
 
+import { treeToNewick } from './treeFormats';
+import {
+  SUBSTITUTION_MODELS,
+  DEFAULT_DISTANCE_OPTIONS,
+  encodeSequence,
+  isInformativeMask,
+  countSitePairs,
+  modelDistance
+} from './substitutionModels';
+import { estimateDnDs } from './codonSelection';
+import { runViabilityModel, DEFAULT_VIABILITY_OPTIONS, DEFAULT_VIABILITY_PARAMETERS } from './viabilityModel';
+
+// Default nucleotide scoring (EDNAFULL-like match/mismatch with affine gaps)
+const DEFAULT_ALIGNMENT_SCORING = {
+  match: 5,
+  mismatch: -4,
+  gapOpen: 10,
+  gapExtend: 0.5,
+  kmerSize: 6
+};
+
+const NUCLEOTIDE_INDEX = { A: 0, C: 1, G: 2, T: 3, U: 3 };
+
 /**
- * Multiple Sequence Alignment using simplified MUSCLE algorithm
- * @param {Array} sequences - Array of DNA sequences in FASTA format
- * @returns {Object} Alignment result with aligned sequences and score
+ * Multiple Sequence Alignment using progressive profile alignment
+ * (k-mer guide tree, affine-gap Gotoh alignment, profile-profile merging)
+ * @param {Array} sequences - Array of sequence records with a `sequence` field
+ * @param {Object} options - Scoring options {match, mismatch, gapOpen, gapExtend, kmerSize} and onProgress
+ * @returns {Object} Alignment result with aligned sequences, score, consensus and conservation
  */
-export function performMSA(sequences) {
-  // Simplified MUSCLE implementation for demo purposes
-  const alignedSequences = sequences.map(seq => ({
+export function performMSA(sequences, options = {}) {
+  const { onProgress, ...scoringOptions } = options;
+  const scoring = { ...DEFAULT_ALIGNMENT_SCORING, ...scoringOptions };
+  const residues = sequences.map(seq => Array.from(seq.sequence || ''));
+
+  let rows = residues;
+  let guideTree = null;
+
+  if (residues.length > 1) {
+    const kmerDistances = calculateKmerDistanceMatrix(residues, scoring.kmerSize);
+    guideTree = buildGuideTree(kmerDistances);
+    rows = progressiveAlign(guideTree, residues, scoring, onProgress);
+  }
+
+  const alignedSequences = sequences.map((seq, index) => ({
     ...seq,
-    aligned: seq.sequence // In real implementation, this would be the aligned sequence
+    aligned: rows[index].join('')
   }));
 
   const alignmentScore = calculateAlignmentScore(alignedSequences);
@@ -18,8 +55,346 @@ export function performMSA(sequences) {
   return {
     alignedSequences,
     alignmentScore,
-    consensusSequence: generateConsensus(alignedSequences)
+    alignmentLength: alignedSequences.length > 0 ? alignedSequences[0].aligned.length : 0,
+    consensusSequence: generateConsensus(alignedSequences),
+    conservation: calculateColumnConservation(alignedSequences),
+    guideTree
+  };
+}
+
+/**
+ * Align two sequences globally with affine gap penalties
+ * @param {String} seq1 - First sequence
+ * @param {String} seq2 - Second sequence
+ * @param {Object} options - Scoring options {match, mismatch, gapOpen, gapExtend}
+ * @returns {Object} Gapped sequences and alignment score
+ */
+export function pairwiseAlign(seq1, seq2, options = {}) {
+  const scoring = { ...DEFAULT_ALIGNMENT_SCORING, ...options };
+  const result = alignProfiles([Array.from(seq1)], [Array.from(seq2)], scoring);
+
+  return {
+    aligned1: result.rows[0].join(''),
+    aligned2: result.rows[1].join(''),
+    score: result.score
+  };
+}
+
+/**
+ * Calculate k-mer distances used to build the guide tree
+ * @param {Array} residues - Array of residue arrays
+ * @param {Number} k - K-mer size
+ * @returns {Array} Distance matrix (1 - fractional common k-mers)
+ */
+function calculateKmerDistanceMatrix(residues, k) {
+  const profiles = residues.map(chars => countKmers(chars, k));
+  const n = residues.length;
+  const matrix = Array(n).fill().map(() => Array(n).fill(0));
+
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const a = profiles[i];
+      const b = profiles[j];
+      let shared = 0;
+      a.counts.forEach((count, kmer) => {
+        const other = b.counts.get(kmer);
+        if (other) shared += Math.min(count, other);
+      });
+      const denominator = Math.min(a.total, b.total);
+      const distance = denominator > 0 ? 1 - shared / denominator : 1;
+      matrix[i][j] = distance;
+      matrix[j][i] = distance;
+    }
+  }
+
+  return matrix;
+}
+
+/**
+ * Count k-mers over unambiguous nucleotides
+ * @param {Array} chars - Sequence residues
+ * @param {Number} k - K-mer size
+ * @returns {Object} K-mer counts and total
+ */
+function countKmers(chars, k) {
+  const counts = new Map();
+  let total = 0;
+
+  for (let i = 0; i + k <= chars.length; i++) {
+    const kmer = chars.slice(i, i + k).join('').toUpperCase();
+    if (/[^ACGTU]/.test(kmer)) continue;
+    counts.set(kmer, (counts.get(kmer) || 0) + 1);
+    total++;
+  }
+
+  return { counts, total };
+}
+
+/**
+ * Build a UPGMA guide tree from a distance matrix
+ * @param {Array} distanceMatrix - Pairwise distance matrix
+ * @returns {Object} Guide tree; leaves carry `index`, internal nodes carry `children`
+ */
+function buildGuideTree(distanceMatrix) {
+  let clusters = distanceMatrix.map((_, index) => ({ index, size: 1, height: 0 }));
+  let distances = distanceMatrix.map(row => row.slice());
+
+  while (clusters.length > 1) {
+    let minI = 0;
+    let minJ = 1;
+    for (let i = 0; i < clusters.length; i++) {
+      for (let j = i + 1; j < clusters.length; j++) {
+        if (distances[i][j] < distances[minI][minJ]) {
+          minI = i;
+          minJ = j;
+        }
+      }
+    }
+
+    const a = clusters[minI];
+    const b = clusters[minJ];
+    const merged = {
+      children: [a, b],
+      size: a.size + b.size,
+      height: distances[minI][minJ] / 2
+    };
+
+    const mergedRow = clusters.map((_, k) =>
+      (distances[minI][k] * a.size + distances[minJ][k] * b.size) / merged.size
+    );
+
+    const keep = clusters.map((_, k) => k).filter(k => k !== minI && k !== minJ);
+    distances = keep.map(r => [...keep.map(c => distances[r][c]), mergedRow[r]]);
+    distances.push([...keep.map(c => mergedRow[c]), 0]);
+    clusters = [...keep.map(k => clusters[k]), merged];
+  }
+
+  return clusters[0];
+}
+
+/**
+ * Progressively align sequences following the guide tree
+ * @param {Object} guideTree - Guide tree from buildGuideTree
+ * @param {Array} residues - Array of residue arrays
+ * @param {Object} scoring - Scoring parameters
+ * @param {Function} onProgress - Optional callback receiving {stage, completed, total} after each merge
+ * @returns {Array} Gapped residue rows in input order
+ */
+function progressiveAlign(guideTree, residues, scoring, onProgress) {
+  const totalMerges = residues.length - 1;
+  let merges = 0;
+
+  const alignNode = (node) => {
+    if (!node.children) {
+      return { members: [node.index], rows: [residues[node.index]] };
+    }
+
+    const left = alignNode(node.children[0]);
+    const right = alignNode(node.children[1]);
+    const merged = alignProfiles(left.rows, right.rows, scoring);
+    merges++;
+    if (onProgress) onProgress({ stage: 'alignment', completed: merges, total: totalMerges });
+
+    return {
+      members: [...left.members, ...right.members],
+      rows: merged.rows
+    };
   };
+
+  const root = alignNode(guideTree);
+  const ordered = Array(residues.length);
+  root.members.forEach((member, position) => {
+    ordered[member] = root.rows[position];
+  });
+
+  return ordered;
+}
+
+/**
+ * Summarize an alignment block as per-column nucleotide frequencies
+ * @param {Array} rows - Gapped residue rows of equal length
+ * @returns {Array} Column profiles {freqs, occupancy}
+ */
+function buildProfile(rows) {
+  const length = rows.length > 0 ? rows[0].length : 0;
+  const profile = [];
+
+  for (let col = 0; col < length; col++) {
+    const freqs = [0, 0, 0, 0];
+    let occupancy = 0;
+    rows.forEach(row => {
+      const base = NUCLEOTIDE_INDEX[row[col].toUpperCase()];
+      if (base !== undefined) {
+        freqs[base]++;
+        occupancy++;
+      }
+    });
+    profile.push({
+      freqs: freqs.map(count => count / rows.length),
+      occupancy: occupancy / rows.length
+    });
+  }
+
+  return profile;
+}
+
+/**
+ * Align two profiles with Gotoh's affine-gap dynamic programming.
+ * Scores are kept in linear space; traceback pointers are packed into one byte per cell.
+ * @param {Array} rowsA - Gapped residue rows of the first block
+ * @param {Array} rowsB - Gapped residue rows of the second block
+ * @param {Object} scoring - Scoring parameters
+ * @returns {Object} Merged rows (A rows first) and alignment score
+ */
+function alignProfiles(rowsA, rowsB, scoring) {
+  const profileA = buildProfile(rowsA);
+  const profileB = buildProfile(rowsB);
+  const n = profileA.length;
+  const m = profileB.length;
+  const { match, mismatch, gapOpen, gapExtend } = scoring;
+  const NEG = -Infinity;
+
+  // Pointer layout: bits 0-1 source of M, bits 2-3 source of X, bits 4-5 source of Y
+  // (0 = M, 1 = X gap in B, 2 = Y gap in A)
+  const trace = new Uint8Array((n + 1) * (m + 1));
+  let prevM = new Float64Array(m + 1);
+  let prevX = new Float64Array(m + 1);
+  let prevY = new Float64Array(m + 1);
+  let currM = new Float64Array(m + 1);
+  let currX = new Float64Array(m + 1);
+  let currY = new Float64Array(m + 1);
+
+  prevM[0] = 0;
+  prevX[0] = NEG;
+  prevY[0] = NEG;
+  for (let j = 1; j <= m; j++) {
+    prevM[j] = NEG;
+    prevX[j] = NEG;
+    prevY[j] = -gapOpen - (j - 1) * gapExtend;
+    trace[j] = (j === 1 ? 0 : 2) << 4;
+  }
+
+  for (let i = 1; i <= n; i++) {
+    const colA = profileA[i - 1];
+    const rowOffset = i * (m + 1);
+
+    currM[0] = NEG;
+    currY[0] = NEG;
+    currX[0] = -gapOpen - (i - 1) * gapExtend;
+    trace[rowOffset] = (i === 1 ? 0 : 1) << 2;
+
+    for (let j = 1; j <= m; j++) {
+      const colB = profileB[j - 1];
+      const fa = colA.freqs;
+      const fb = colB.freqs;
+      const identity = fa[0] * fb[0] + fa[1] * fb[1] + fa[2] * fb[2] + fa[3] * fb[3];
+      const columnScore = mismatch * colA.occupancy * colB.occupancy + (match - mismatch) * identity;
+
+      let pointer = 0;
+
+      // Match state
+      let best = prevM[j - 1];
+      let source = 0;
+      if (prevX[j - 1] > best) { best = prevX[j - 1]; source = 1; }
+      if (prevY[j - 1] > best) { best = prevY[j - 1]; source = 2; }
+      currM[j] = best + columnScore;
+      pointer |= source;
+
+      // Gap in B (consumes a column of A)
+      best = prevM[j] - gapOpen;
+      source = 0;
+      if (prevX[j] - gapExtend > best) { best = prevX[j] - gapExtend; source = 1; }
+      if (prevY[j] - gapOpen > best) { best = prevY[j] - gapOpen; source = 2; }
+      currX[j] = best;
+      pointer |= source << 2;
+
+      // Gap in A (consumes a column of B)
+      best = currM[j - 1] - gapOpen;
+      source = 0;
+      if (currY[j - 1] - gapExtend > best) { best = currY[j - 1] - gapExtend; source = 2; }
+      if (currX[j - 1] - gapOpen > best) { best = currX[j - 1] - gapOpen; source = 1; }
+      currY[j] = best;
+      pointer |= source << 4;
+
+      trace[rowOffset + j] = pointer;
+    }
+
+    [prevM, currM] = [currM, prevM];
+    [prevX, currX] = [currX, prevX];
+    [prevY, currY] = [currY, prevY];
+  }
+
+  let state = 0;
+  let score = prevM[m];
+  if (prevX[m] > score) { score = prevX[m]; state = 1; }
+  if (prevY[m] > score) { score = prevY[m]; state = 2; }
+  if (n === 0 || m === 0) {
+    state = n === 0 ? 2 : 1;
+    score = n === 0 && m === 0 ? 0 : -gapOpen - (Math.max(n, m) - 1) * gapExtend;
+  }
+
+  // Traceback into a list of column operations
+  const operations = [];
+  let i = n;
+  let j = m;
+  while (i > 0 || j > 0) {
+    const pointer = trace[i * (m + 1) + j];
+    if (state === 0) {
+      operations.push(0);
+      state = pointer & 3;
+      i--;
+      j--;
+    } else if (state === 1) {
+      operations.push(1);
+      state = (pointer >> 2) & 3;
+      i--;
+    } else {
+      operations.push(2);
+      state = (pointer >> 4) & 3;
+      j--;
+    }
+    if (i === 0 && j > 0) state = 2;
+    if (j === 0 && i > 0) state = 1;
+  }
+  operations.reverse();
+
+  const merged = [...rowsA, ...rowsB].map(() => []);
+  let colA = 0;
+  let colB = 0;
+  operations.forEach(operation => {
+    const takeA = operation !== 2;
+    const takeB = operation !== 1;
+    rowsA.forEach((row, r) => merged[r].push(takeA ? row[colA] : '-'));
+    rowsB.forEach((row, r) => merged[rowsA.length + r].push(takeB ? row[colB] : '-'));
+    if (takeA) colA++;
+    if (takeB) colB++;
+  });
+
+  return { rows: merged, score };
+}
+
+/**
+ * Calculate per-column conservation of an alignment
+ * @param {Array} alignedSequences - Aligned sequences
+ * @returns {Array} Fraction of sequences sharing the most common residue at each column
+ */
+function calculateColumnConservation(alignedSequences) {
+  if (alignedSequences.length === 0) return [];
+
+  const length = alignedSequences[0].aligned.length;
+  const conservation = [];
+
+  for (let pos = 0; pos < length; pos++) {
+    const bases = {};
+    alignedSequences.forEach(seq => {
+      const base = seq.aligned[pos].toUpperCase();
+      if (base !== '-') bases[base] = (bases[base] || 0) + 1;
+    });
+    const maxCount = Math.max(0, ...Object.values(bases));
+    conservation.push(maxCount / alignedSequences.length);
+  }
+
+  return conservation;
 }
 
 /**
@@ -52,12 +427,16 @@ function calculateAlignmentScore(alignedSequences) {
 function pairwiseScore(seq1, seq2) {
   const minLength = Math.min(seq1.length, seq2.length);
   let matches = 0;
+  let compared = 0;
   
   for (let i = 0; i < minLength; i++) {
-    if (seq1[i] === seq2[i]) matches++;
+    // Columns with a gap in either sequence are not scored
+    if (seq1[i] === '-' || seq2[i] === '-') continue;
+    compared++;
+    if (seq1[i].toUpperCase() === seq2[i].toUpperCase()) matches++;
   }
   
-  return matches / minLength;
+  return compared > 0 ? matches / compared : 0;
 }
 
 /**
@@ -90,140 +469,489 @@ function generateConsensus(alignedSequences) {
 
 /**
  * Construct phylogenetic tree using Neighbor-Joining method
- * @param {Array} sequences - Array of sequences
- * @returns {Object} Phylogenetic tree structure
+ * @param {Array} sequences - Array of sequences (aligned sequences are used when present)
+ * @param {Object} options - Tree options {rooting: 'none' | 'midpoint' | 'outgroup', outgroup, distance: {model, gapHandling, ambiguity}}
+ * @returns {Object} Phylogenetic tree structure with Newick string and distance model details
  */
-export function constructPhylogeneticTree(sequences) {
+export function constructPhylogeneticTree(sequences, options = {}) {
   // Calculate distance matrix
-  const distanceMatrix = calculateDistanceMatrix(sequences);
+  const distances = calculateDistanceMatrix(sequences, options.distance);
   
   // Apply Neighbor-Joining algorithm
-  const tree = neighborJoining(distanceMatrix, sequences);
+  const tree = neighborJoining(fillSaturatedDistances(distances.matrix), sequences, options);
   
   return {
     tree,
-    distanceMatrix,
-    bootstrapValues: calculateBootstrap(sequences, 100)
+    newick: treeToNewick(tree),
+    rooting: options.rooting || 'none',
+    distanceMatrix: distances.matrix,
+    distanceModel: {
+      model: distances.model,
+      gapHandling: distances.gapHandling,
+      ambiguity: distances.ambiguity,
+      sites: distances.sites
+    },
+    saturatedPairs: distances.saturatedPairs,
+    // Support values are attached separately by calculateBootstrap
+    bootstrapValues: []
   };
 }
 
 /**
- * Calculate distance matrix between sequences
+ * Calculate distance matrix between sequences under a substitution model
  * @param {Array} sequences - Array of sequences
- * @returns {Array} Distance matrix
+ * @param {Object} options - Distance options {model, gapHandling: 'pairwise' | 'complete', ambiguity: 'average' | 'missing'}
+ * @returns {Object} {matrix, saturatedPairs, model, gapHandling, ambiguity, sites}; saturated entries are NaN
  */
-function calculateDistanceMatrix(sequences) {
+export function calculateDistanceMatrix(sequences, options = {}) {
+  const { model, gapHandling, ambiguity } = { ...DEFAULT_DISTANCE_OPTIONS, ...options };
+  if (!SUBSTITUTION_MODELS[model]) {
+    throw new Error(`Unknown substitution model: ${model}`);
+  }
+
   const n = sequences.length;
   const matrix = Array(n).fill().map(() => Array(n).fill(0));
-  
+  const encoded = sequences.map(seq => encodeSequence(seq.aligned || seq.sequence));
+  const saturatedPairs = [];
+
+  // Complete deletion keeps only columns that are informative in every sequence
+  let columnMask = null;
+  if (gapHandling === 'complete' && n > 0) {
+    const length = Math.min(...encoded.map(masks => masks.length));
+    columnMask = new Uint8Array(length).fill(1);
+    encoded.forEach(masks => {
+      for (let col = 0; col < length; col++) {
+        if (!isInformativeMask(masks[col], ambiguity)) columnMask[col] = 0;
+      }
+    });
+  }
+
   for (let i = 0; i < n; i++) {
-    for (let j = 0; j < n; j++) {
-      if (i !== j) {
-        matrix[i][j] = calculateGeneticDistance(
-          sequences[i].sequence, 
-          sequences[j].sequence
-        );
+    for (let j = i + 1; j < n; j++) {
+      const counts = countSitePairs(encoded[i], encoded[j], { ambiguity, columnMask });
+      const result = modelDistance(counts, model);
+      matrix[i][j] = result.distance;
+      matrix[j][i] = result.distance;
+
+      if (result.saturated) {
+        saturatedPairs.push({
+          i,
+          j,
+          ids: [sequences[i].id, sequences[j].id],
+          reason: result.reason,
+          pDistance: result.p,
+          sites: result.sites
+        });
       }
     }
   }
-  
-  return matrix;
+
+  return {
+    matrix,
+    saturatedPairs,
+    model,
+    gapHandling,
+    ambiguity,
+    sites: columnMask ? columnMask.reduce((sum, keep) => sum + keep, 0) : null
+  };
 }
 
 /**
  * Calculate genetic distance between two sequences
  * @param {String} seq1 - First sequence
  * @param {String} seq2 - Second sequence
- * @returns {Number} Genetic distance
+ * @param {Object} options - Distance options {model, ambiguity}
+ * @returns {Object} {distance, saturated, reason, sites, p}; distance is NaN when saturated
  */
-function calculateGeneticDistance(seq1, seq2) {
-  const minLength = Math.min(seq1.length, seq2.length);
-  let differences = 0;
-  
-  for (let i = 0; i < minLength; i++) {
-    if (seq1[i] !== seq2[i]) differences++;
-  }
-  
-  // Jukes-Cantor distance formula
-  const p = differences / minLength;
-  return p < 0.75 ? -0.75 * Math.log(1 - (4/3) * p) : 1.0;
+export function calculateGeneticDistance(seq1, seq2, options = {}) {
+  const { model, ambiguity } = { ...DEFAULT_DISTANCE_OPTIONS, ...options };
+  const counts = countSitePairs(encodeSequence(seq1), encodeSequence(seq2), { ambiguity });
+  return modelDistance(counts, model);
 }
 
 /**
- * Neighbor-Joining algorithm implementation
+ * Replace saturated (undefined) distances so Neighbor-Joining can run
+ * @param {Array} matrix - Distance matrix possibly containing NaN entries
+ * @returns {Array} Copy with NaN entries set to twice the largest finite distance
+ */
+function fillSaturatedDistances(matrix) {
+  let maxFinite = 0;
+  matrix.forEach(row => row.forEach(value => {
+    if (Number.isFinite(value) && value > maxFinite) maxFinite = value;
+  }));
+  // Saturated pairs are at least as divergent as anything measurable
+  const fill = maxFinite > 0 ? maxFinite * 2 : 1;
+  return matrix.map(row => row.map(value => (Number.isFinite(value) ? value : fill)));
+}
+
+/**
+ * Neighbor-Joining algorithm implementation (Saitou & Nei 1987)
  * @param {Array} distanceMatrix - Distance matrix
  * @param {Array} sequences - Original sequences
- * @returns {Object} Tree structure
+ * @param {Object} options - Rooting options {rooting: 'none' | 'midpoint' | 'outgroup', outgroup}
+ * @returns {Object} Tree structure; unrooted trees have a basal trifurcation
  */
-function neighborJoining(distanceMatrix, sequences) {
+function neighborJoining(distanceMatrix, sequences, options = {}) {
   const n = sequences.length;
   if (n < 2) return null;
   
-  // Simplified NJ implementation for demo
-  const nodes = sequences.map((seq, index) => ({
-    id: index,
-    name: seq.species,
+  let nodes = sequences.map((seq, index) => ({
+    id: seq.id !== undefined ? seq.id : index,
+    sequenceIndex: index,
+    name: seq.id !== undefined ? `${seq.species} (${seq.id})` : seq.species,
+    species: seq.species,
     isLeaf: true,
     children: [],
     distance: 0
   }));
-  
-  // Create a simple hierarchical structure based on distance
-  // In real implementation, this would follow the full NJ algorithm
-  const root = {
+  let distances = distanceMatrix.map(row => row.slice());
+  let internalCount = 0;
+
+  while (nodes.length > 2) {
+    const r = nodes.length;
+    const rowSums = distances.map(row => row.reduce((sum, d) => sum + d, 0));
+
+    // Pick the pair minimizing Q(i,j) = (r - 2) d(i,j) - R(i) - R(j)
+    let minQ = Infinity;
+    let minI = 0;
+    let minJ = 1;
+    for (let i = 0; i < r; i++) {
+      for (let j = i + 1; j < r; j++) {
+        const q = (r - 2) * distances[i][j] - rowSums[i] - rowSums[j];
+        if (q < minQ) {
+          minQ = q;
+          minI = i;
+          minJ = j;
+        }
+      }
+    }
+
+    const dij = distances[minI][minJ];
+    let branchI = dij / 2 + (rowSums[minI] - rowSums[minJ]) / (2 * (r - 2));
+    let branchJ = dij - branchI;
+
+    // Negative estimates are set to zero and the difference moved to the sister branch
+    if (branchI < 0) {
+      branchJ = dij;
+      branchI = 0;
+    } else if (branchJ < 0) {
+      branchI = dij;
+      branchJ = 0;
+    }
+
+    nodes[minI].distance = branchI;
+    nodes[minJ].distance = branchJ;
+
+    const joined = {
+      id: `node_${internalCount}`,
+      name: `Node ${internalCount + 1}`,
+      isLeaf: false,
+      children: [nodes[minI], nodes[minJ]],
+      distance: 0
+    };
+    internalCount++;
+
+    const joinedRow = distances.map(row => (row[minI] + row[minJ] - dij) / 2);
+
+    const keep = nodes.map((_, k) => k).filter(k => k !== minI && k !== minJ);
+    distances = keep.map(row => [...keep.map(col => distances[row][col]), Math.max(0, joinedRow[row])]);
+    distances.push([...keep.map(col => Math.max(0, joinedRow[col])), 0]);
+    nodes = [...keep.map(k => nodes[k]), joined];
+  }
+
+  // Connect the last two nodes; attaching to the internal one yields the unrooted trifurcation
+  const [a, b] = nodes;
+  const finalDistance = distances[0][1];
+  let root;
+  if (!b.isLeaf) {
+    a.distance = finalDistance;
+    root = { ...b, id: 'root', name: 'Root', children: [...b.children, a], distance: 0 };
+  } else if (!a.isLeaf) {
+    b.distance = finalDistance;
+    root = { ...a, id: 'root', name: 'Root', children: [...a.children, b], distance: 0 };
+  } else {
+    a.distance = finalDistance / 2;
+    b.distance = finalDistance / 2;
+    root = { id: 'root', name: 'Root', isLeaf: false, children: [a, b], distance: 0 };
+  }
+
+  const rooting = options.rooting || 'none';
+  if (rooting === 'midpoint') return midpointRoot(root);
+  if (rooting === 'outgroup') return outgroupRoot(root, options.outgroup);
+  return root;
+}
+
+/**
+ * Convert a tree into an undirected adjacency map
+ * @param {Object} tree - Tree with children/distance fields
+ * @returns {Map} Node -> [{node, length}]
+ */
+function treeToGraph(tree) {
+  const graph = new Map();
+  const visit = (node) => {
+    if (!graph.has(node)) graph.set(node, []);
+    (node.children || []).forEach(child => {
+      graph.get(node).push({ node: child, length: child.distance || 0 });
+      graph.set(child, [{ node, length: child.distance || 0 }]);
+      visit(child);
+    });
+  };
+  visit(tree);
+  return graph;
+}
+
+/**
+ * Re-root a tree on the edge between two adjacent nodes
+ * @param {Map} graph - Adjacency map from treeToGraph
+ * @param {Object} u - Node on one end of the edge
+ * @param {Object} v - Node on the other end of the edge
+ * @param {Number} offset - Distance of the new root from u along the edge
+ * @returns {Object} Rooted tree
+ */
+function rootOnEdge(graph, u, v, offset) {
+  const edgeLength = graph.get(u).find(edge => edge.node === v).length;
+
+  const build = (node, parent, distance) => {
+    const children = graph.get(node)
+      .filter(edge => edge.node !== parent)
+      .map(edge => build(edge.node, node, edge.length));
+    return { ...node, children, distance };
+  };
+
+  // A degree-two node left behind by the old root is collapsed into a single branch
+  const collapse = (node) => {
+    node.children = node.children.map(child => {
+      let current = child;
+      while (!current.isLeaf && current.children.length === 1) {
+        const only = current.children[0];
+        current = { ...only, distance: current.distance + only.distance };
+      }
+      return collapse(current);
+    });
+    return node;
+  };
+
+  const clampedOffset = Math.min(Math.max(offset, 0), edgeLength);
+  return collapse({
     id: 'root',
     name: 'Root',
     isLeaf: false,
-    children: [],
+    children: [
+      build(u, v, clampedOffset),
+      build(v, u, edgeLength - clampedOffset)
+    ],
     distance: 0
+  });
+}
+
+/**
+ * Root a tree at the midpoint of its longest leaf-to-leaf path
+ * @param {Object} tree - Unrooted tree
+ * @returns {Object} Midpoint-rooted tree
+ */
+function midpointRoot(tree) {
+  const graph = treeToGraph(tree);
+  const leaves = [...graph.keys()].filter(node => node.isLeaf);
+  if (leaves.length < 2) return tree;
+
+  const farthestFrom = (start) => {
+    const stack = [{ node: start, parent: null, dist: 0, path: [start] }];
+    let best = { node: start, dist: 0, path: [start] };
+    while (stack.length > 0) {
+      const { node, parent, dist, path } = stack.pop();
+      if (node.isLeaf && dist > best.dist) best = { node, dist, path };
+      graph.get(node).forEach(edge => {
+        if (edge.node !== parent) {
+          stack.push({ node: edge.node, parent: node, dist: dist + edge.length, path: [...path, edge.node] });
+        }
+      });
+    }
+    return best;
   };
-  
-  // Group by species for demo visualization
-  const speciesGroups = {};
-  nodes.forEach(node => {
-    if (!speciesGroups[node.name]) {
-      speciesGroups[node.name] = [];
+
+  // The farthest leaf from any leaf is one end of the tree diameter
+  const end = farthestFrom(leaves[0]).node;
+  const { dist: diameter, path } = farthestFrom(end);
+  if (diameter === 0) return rootOnEdge(graph, path[0], path[1], 0);
+
+  let travelled = 0;
+  for (let k = 0; k < path.length - 1; k++) {
+    const length = graph.get(path[k]).find(edge => edge.node === path[k + 1]).length;
+    if (travelled + length >= diameter / 2) {
+      return rootOnEdge(graph, path[k], path[k + 1], diameter / 2 - travelled);
     }
-    speciesGroups[node.name].push(node);
-  });
-  
-  Object.keys(speciesGroups).forEach((species, index) => {
-    const speciesNode = {
-      id: `species_${index}`,
-      name: species,
-      isLeaf: false,
-      children: speciesGroups[species],
-      distance: 0.1 * (index + 1)
-    };
-    root.children.push(speciesNode);
-  });
-  
-  return root;
+    travelled += length;
+  }
+
+  return tree;
 }
 
 /**
- * Calculate bootstrap values for tree confidence
- * @param {Array} sequences - Original sequences
- * @param {Number} iterations - Number of bootstrap iterations
- * @returns {Array} Bootstrap values
+ * Root a tree on the branch leading to the outgroup
+ * @param {Object} tree - Unrooted tree
+ * @param {Array|String} outgroup - Leaf id(s) or name(s) forming the outgroup
+ * @returns {Object} Outgroup-rooted tree
  */
-function calculateBootstrap(sequences, iterations) {
-  const bootstrapValues = [];
-  
-  for (let i = 0; i < Math.min(iterations, 10); i++) { // Limit iterations to prevent infinite recursion
-    // Create bootstrap sample
-    const sample = [];
-    for (let j = 0; j < sequences.length; j++) {
-      const randomIndex = Math.floor(Math.random() * sequences.length);
-      sample.push(sequences[randomIndex]);
+function outgroupRoot(tree, outgroup) {
+  const targets = (Array.isArray(outgroup) ? outgroup : [outgroup]).filter(t => t !== undefined);
+  const graph = treeToGraph(tree);
+  const leaves = [...graph.keys()].filter(node => node.isLeaf);
+  const outgroupLeaves = leaves.filter(leaf =>
+    targets.some(t => t === leaf.id || t === leaf.name || t === leaf.species)
+  );
+
+  if (outgroupLeaves.length === 0 || outgroupLeaves.length === leaves.length) {
+    console.warn('Outgroup not found in tree, falling back to midpoint rooting:', outgroup);
+    return midpointRoot(tree);
+  }
+
+  const outgroupSet = new Set(outgroupLeaves);
+  const leavesBelow = (node, parent) => {
+    if (node.isLeaf) return [node];
+    return graph.get(node)
+      .filter(edge => edge.node !== parent)
+      .flatMap(edge => leavesBelow(edge.node, node));
+  };
+
+  // Find the edge that splits the outgroup from the ingroup
+  for (const [node, edges] of graph) {
+    for (const edge of edges) {
+      const side = leavesBelow(edge.node, node);
+      if (side.length === outgroupSet.size && side.every(leaf => outgroupSet.has(leaf))) {
+        return rootOnEdge(graph, node, edge.node, edge.length / 2);
+      }
     }
-    
-    // Calculate simple bootstrap value instead of full tree to avoid recursion
-    const bootstrapValue = Math.random() * 100; // Simplified for demo
-    bootstrapValues.push(bootstrapValue);
   }
-  
-  return bootstrapValues;
+
+  console.warn('Outgroup is not monophyletic, rooting on its first member');
+  const first = outgroupLeaves[0];
+  const edge = graph.get(first)[0];
+  return rootOnEdge(graph, edge.node, first, edge.length / 2);
+}
+
+/**
+ * Calculate nonparametric bootstrap support by resampling alignment columns
+ * @param {Array} sequences - Aligned sequences (records with `aligned` or `sequence`)
+ * @param {Number} iterations - Number of bootstrap replicates
+ * @param {Object} options - {referenceTree, treeOptions (incl. distance model), signal, onProgress}
+ * @returns {Promise<Object>} Reference tree annotated with `bootstrap` percentages and the support values
+ */
+export async function calculateBootstrap(sequences, iterations = 100, options = {}) {
+  const { signal, onProgress, treeOptions = {} } = options;
+  const buildTree = (records, njOptions) => neighborJoining(
+    fillSaturatedDistances(calculateDistanceMatrix(records, treeOptions.distance).matrix),
+    records,
+    njOptions
+  );
+  const referenceTree = options.referenceTree || buildTree(sequences, treeOptions);
+
+  // Support is undefined without replicates, so the tree is returned unannotated
+  if (!referenceTree || sequences.length < 4 || !(iterations >= 1)) {
+    return { tree: referenceTree, bootstrapValues: [], replicates: 0 };
+  }
+
+  const rows = sequences.map(seq => seq.aligned || seq.sequence);
+  const length = Math.min(...rows.map(row => row.length));
+  const splitCounts = new Map();
+  let lastYield = Date.now();
+
+  for (let replicate = 0; replicate < iterations; replicate++) {
+    if (signal && signal.aborted) {
+      throw new DOMException('Bootstrap analysis cancelled', 'AbortError');
+    }
+
+    // Resample alignment columns with replacement
+    const columns = Array.from({ length }, () => Math.floor(Math.random() * length));
+    const sample = sequences.map((seq, index) => ({
+      ...seq,
+      aligned: columns.map(col => rows[index][col]).join('')
+    }));
+
+    const replicateTree = buildTree(sample);
+    collectSplits(replicateTree, sequences.length).forEach(key => {
+      splitCounts.set(key, (splitCounts.get(key) || 0) + 1);
+    });
+
+    if (onProgress) onProgress({ completed: replicate + 1, total: iterations });
+
+    // Hand control back to the event loop so long runs stay responsive
+    if (Date.now() - lastYield > 30) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      lastYield = Date.now();
+    }
+  }
+
+  const tree = annotateSupport(referenceTree, splitCounts, iterations, sequences.length);
+  const bootstrapValues = [];
+  const visit = (node) => {
+    if (node.bootstrap !== undefined) bootstrapValues.push(node.bootstrap);
+    (node.children || []).forEach(visit);
+  };
+  visit(tree);
+
+  return { tree, bootstrapValues, replicates: iterations };
+}
+
+/**
+ * Collect the nontrivial bipartitions of a tree
+ * @param {Object} tree - Tree whose leaves carry `sequenceIndex`
+ * @param {Number} taxonCount - Number of taxa
+ * @returns {Set} Normalized split keys
+ */
+function collectSplits(tree, taxonCount) {
+  const splits = new Set();
+
+  const visit = (node, isRoot) => {
+    if (node.isLeaf) return [node.sequenceIndex];
+    const leaves = node.children.flatMap(child => visit(child, false));
+    const key = splitKey(leaves, taxonCount);
+    if (!isRoot && key) splits.add(key);
+    return leaves;
+  };
+
+  visit(tree, true);
+  return splits;
+}
+
+/**
+ * Encode one side of a bipartition, normalized so taxon 0 is always on the '0' side
+ * @param {Array} leaves - Sequence indices on one side
+ * @param {Number} taxonCount - Number of taxa
+ * @returns {String|null} Split key, or null for trivial splits
+ */
+function splitKey(leaves, taxonCount) {
+  if (leaves.length < 2 || leaves.length > taxonCount - 2) return null;
+
+  const bits = Array(taxonCount).fill('0');
+  leaves.forEach(index => { bits[index] = '1'; });
+  const flip = bits[0] === '1';
+  return bits.map(bit => (flip ? (bit === '1' ? '0' : '1') : bit)).join('');
+}
+
+/**
+ * Copy a tree and attach bootstrap percentages to its internal nodes
+ * @param {Object} tree - Reference tree
+ * @param {Map} splitCounts - Replicate counts per split key
+ * @param {Number} iterations - Number of replicates
+ * @param {Number} taxonCount - Number of taxa
+ * @returns {Object} Annotated copy of the tree
+ */
+function annotateSupport(tree, splitCounts, iterations, taxonCount) {
+  const annotate = (node, isRoot) => {
+    if (node.isLeaf) return { node: { ...node }, leaves: [node.sequenceIndex] };
+
+    const annotatedChildren = node.children.map(child => annotate(child, false));
+    const leaves = annotatedChildren.flatMap(child => child.leaves);
+    const copy = { ...node, children: annotatedChildren.map(child => child.node) };
+    const key = isRoot ? null : splitKey(leaves, taxonCount);
+
+    if (key) {
+      copy.bootstrap = Math.round(((splitCounts.get(key) || 0) / iterations) * 100);
+    }
+    return { node: copy, leaves };
+  };
+
+  return annotate(tree, true).node;
 }
 
 /**
@@ -263,92 +991,66 @@ export function calculateSimpsonIndex(frequencies) {
 }
 
 /**
- * Analyze selection pressure using dN/dS ratio
- * @param {String} sequence - DNA sequence
+ * Analyze selection pressure using the Nei–Gojobori dN/dS ratio
+ * @param {Array} sequences - Coding sequences of one gene (strings or records with CDS features), in register
+ * @param {Object} options - {geneticCode: NCBI table id or 'auto'}
  * @returns {Object} Selection analysis results
  */
-export function analyzeSelectionPressure(sequence) {
-  // Simplified implementation for demo
-  const codons = [];
-  for (let i = 0; i < sequence.length - 2; i += 3) {
-    codons.push(sequence.substring(i, i + 3));
+export function analyzeSelectionPressure(sequences, options = {}) {
+  const list = (Array.isArray(sequences) ? sequences : [sequences]).filter(Boolean);
+  if (list.length < 2) {
+    return { dNdS: null, dN: null, dS: null, ci: null, selectionType: 'insufficient', codons: 0 };
   }
-  
-  // Mock dN/dS calculation
-  const dNdS = Math.random() * 2; // Random value for demo
-  
+
+  const { overall, geneticCode } = estimateDnDs(list, { geneticCode: options.geneticCode, bootstrapReplicates: 100 });
+  const selectionType = {
+    Positive: 'positive',
+    Purifying: 'negative',
+    Neutral: 'neutral'
+  }[overall.selectionType] || 'insufficient';
+
   return {
-    dNdS,
-    selectionType: dNdS > 1 ? 'positive' : dNdS < 1 ? 'negative' : 'neutral',
-    codons: codons.length,
-    significantSites: Math.floor(codons.length * 0.1) // 10% of sites
+    dNdS: overall.omega,
+    dN: overall.dN,
+    dS: overall.dS,
+    ci: overall.ci,
+    selectionType,
+    codons: overall.codons,
+    geneticCode
   };
 }
 
 /**
- * Perform population viability analysis
- * @param {Object} populationData - Population demographic data
+ * Perform population viability analysis with the individual-based model.
+ * The former {initialSize, growthRate, carryingCapacity, geneticDiversity} input is no longer
+ * accepted as is: growth now emerges from breedingProbability and the mortality schedules, so a
+ * growthRate (or any other key the model does not know) throws instead of being ignored.
+ * @param {Object} populationData - Model parameters (see DEFAULT_VIABILITY_PARAMETERS) plus an
+ *   optional geneticDiversity used for the recommendations
  * @param {Number} years - Number of years to simulate
- * @returns {Object} Viability analysis results
+ * @param {Object} options - {numSimulations, random, onProgress}
+ * @returns {Object} Viability analysis results (see runViabilityModel) with meanTrajectory and recommendedActions
  */
-export function performPopulationViabilityAnalysis(populationData, years = 100) {
-  const { initialSize, growthRate, carryingCapacity, geneticDiversity } = populationData;
-  
-  const simulations = [];
-  const numSimulations = 1000;
-  
-  for (let sim = 0; sim < numSimulations; sim++) {
-    const trajectory = [];
-    let currentSize = initialSize;
-    
-    for (let year = 0; year < years; year++) {
-      // Environmental stochasticity
-      const environmentalVariation = 1 + (Math.random() - 0.5) * 0.2;
-      
-      // Genetic effects
-      const geneticEffect = geneticDiversity > 0.5 ? 1 : 0.9;
-      
-      // Population growth with stochasticity
-      const effectiveGrowthRate = growthRate * environmentalVariation * geneticEffect;
-      currentSize = Math.min(currentSize * effectiveGrowthRate, carryingCapacity);
-      
-      // Demographic stochasticity for small populations
-      if (currentSize < 50) {
-        currentSize += (Math.random() - 0.5) * Math.sqrt(currentSize);
-      }
-      
-      currentSize = Math.max(0, currentSize);
-      trajectory.push(currentSize);
-      
-      if (currentSize < 1) break; // Extinction
-    }
-    
-    simulations.push(trajectory);
+export function performPopulationViabilityAnalysis(populationData, years = DEFAULT_VIABILITY_OPTIONS.years, options = {}) {
+  const { geneticDiversity, ...parameters } = populationData;
+  const unknown = Object.keys(parameters).filter(key => !(key in DEFAULT_VIABILITY_PARAMETERS));
+  if (unknown.includes('growthRate')) {
+    throw new Error('growthRate is not a viability model parameter; set breedingProbability and mortality instead');
   }
-  
-  // Calculate extinction probability
-  const extinctions = simulations.filter(sim => 
-    sim[sim.length - 1] < 1 || sim.length < years
-  ).length;
-  
-  const extinctionProbability = extinctions / numSimulations;
-  
-  // Calculate mean trajectory
-  const meanTrajectory = [];
-  for (let year = 0; year < years; year++) {
-    const yearValues = simulations
-      .filter(sim => sim.length > year)
-      .map(sim => sim[year]);
-    meanTrajectory.push(
-      yearValues.reduce((sum, val) => sum + val, 0) / yearValues.length
-    );
+  if (unknown.length > 0) {
+    throw new Error(`Unknown viability model parameter(s): ${unknown.join(', ')}`);
   }
-  
+  const { numSimulations = DEFAULT_VIABILITY_OPTIONS.iterations, random, onProgress } = options;
+
+  const result = runViabilityModel(parameters, { years, iterations: numSimulations, random, onProgress });
+
   return {
-    extinctionProbability,
-    meanTrajectory,
-    simulations: simulations.slice(0, 10), // Return first 10 for visualization
-    recommendedActions: generateConservationRecommendations(extinctionProbability, geneticDiversity)
+    ...result,
+    meanTrajectory: result.trajectory.slice(1).map(point => point.mean),
+    recommendedActions: generateConservationRecommendations(
+      result.extinctionProbability,
+      geneticDiversity ?? result.heterozygosityRetained ?? 0
+    )
   };
 }
 
@@ -0,0 +1,359 @@
+// src/utils/genbankParser.js
+// GenBank flat-file parser shared by the NCBI fetcher (Node) and file uploads (browser).
+// Written as CommonJS so the fetcher can require() it without a build step.
+
+/**
+ * Parse GenBank flat-file text into structured entries
+ * @param {String} text - One or more LOCUS ... // entries
+ * @returns {Array} Entries {locus, accession, version, accessionVersion, definition, keywords,
+ *   organism, taxonomy, features: [{type, location, intervals, strand, partial, qualifiers}], sequence}
+ */
+function parseGenBankFlatFile(text) {
+  return text
+    .split(/^\/\/[ \t]*$/m)
+    .filter(entry => /^\s*LOCUS/m.test(entry))
+    .map(parseEntry);
+}
+
+/**
+ * Parse a single GenBank entry
+ * @param {String} entryText - Text from LOCUS up to (excluding) the // terminator
+ * @returns {Object} Structured entry
+ */
+function parseEntry(entryText) {
+  const lines = entryText.replace(/^\s*\n/, '').split(/\r?\n/);
+  const fields = {};
+  const featureLines = [];
+  const sequenceChunks = [];
+  const taxonomyLines = [];
+  let section = null;
+
+  lines.forEach(line => {
+    if (/^[A-Z]/.test(line)) {
+      section = line.split(/\s+/)[0];
+      if (section !== 'FEATURES' && section !== 'ORIGIN') {
+        fields[section] = line.slice(12).trim();
+      }
+    } else if (section === 'FEATURES') {
+      featureLines.push(line);
+    } else if (section === 'ORIGIN') {
+      sequenceChunks.push(line.replace(/[\s\d]/g, ''));
+    } else if (/^ {2}ORGANISM/.test(line)) {
+      fields.ORGANISM = line.slice(12).trim();
+      section = 'ORGANISM';
+    } else if (/^ {12}\S/.test(line) && section === 'ORGANISM') {
+      taxonomyLines.push(line.trim());
+    } else if (/^ {12}\S/.test(line) && section && fields[section] !== undefined) {
+      // Continuation of a header field (DEFINITION, KEYWORDS, ...)
+      fields[section] = `${fields[section]} ${line.trim()}`;
+    } else if (/^ {2}\S/.test(line)) {
+      // Sub-keywords of REFERENCE (AUTHORS, TITLE, ...) are not used
+      section = null;
+    }
+  });
+
+  const locus = parseLocusLine(fields.LOCUS || '');
+  const accession = (fields.ACCESSION || '').split(/\s+/)[0] || locus.name;
+  const accessionVersion = (fields.VERSION || '').split(/\s+/)[0] || null;
+  const versionMatch = accessionVersion && accessionVersion.match(/\.(\d+)$/);
+
+  return {
+    locus,
+    accession,
+    version: versionMatch ? Number(versionMatch[1]) : null,
+    accessionVersion: accessionVersion || accession,
+    definition: fields.DEFINITION ? fields.DEFINITION.replace(/\.$/, '') : null,
+    keywords: fields.KEYWORDS && fields.KEYWORDS !== '.'
+      ? fields.KEYWORDS.replace(/\.$/, '').split(/;\s*/).filter(Boolean)
+      : [],
+    organism: fields.ORGANISM || null,
+    taxonomy: taxonomyLines.join(' ').replace(/\.$/, '').split(/;\s*/).filter(Boolean),
+    features: parseFeatureTable(featureLines),
+    sequence: sequenceChunks.join('')
+  };
+}
+
+/**
+ * Parse the LOCUS line ("LOCUS  MN123456  1140 bp  DNA  linear  PRI 01-JAN-2020")
+ * @param {String} value - LOCUS field without the keyword
+ * @returns {Object} {name, length, moleculeType, topology, division, date}
+ */
+function parseLocusLine(value) {
+  const tokens = value.split(/\s+/).filter(Boolean);
+  const date = tokens.length > 0 && /^\d{2}-[A-Z]{3}-\d{4}$/.test(tokens[tokens.length - 1])
+    ? tokens[tokens.length - 1]
+    : null;
+  const topology = tokens.find(token => token === 'linear' || token === 'circular') || null;
+
+  return {
+    name: tokens[0] || null,
+    length: tokens[1] !== undefined && /^\d+$/.test(tokens[1]) ? Number(tokens[1]) : null,
+    moleculeType: tokens[2] === 'bp' || tokens[2] === 'aa' ? tokens[3] || null : null,
+    topology,
+    division: date ? tokens[tokens.length - 2] || null : null,
+    date
+  };
+}
+
+/**
+ * Parse the FEATURES table
+ * @param {Array} lines - Lines between FEATURES and ORIGIN
+ * @returns {Array} Features {type, location, intervals, strand, partial, qualifiers}
+ */
+function parseFeatureTable(lines) {
+  const features = [];
+  let current = null;
+  let qualifier = null;
+
+  const closeQualifier = () => {
+    if (!current || !qualifier) return;
+    addQualifier(current.qualifiers, qualifier.key, qualifier.value);
+    qualifier = null;
+  };
+
+  lines.forEach(line => {
+    const featureKey = line.match(/^ {5}(\S+)\s+(.*)$/);
+    if (featureKey) {
+      closeQualifier();
+      current = { type: featureKey[1], location: featureKey[2].trim(), qualifiers: {} };
+      features.push(current);
+      return;
+    }
+    if (!current) return;
+
+    const content = line.trim();
+    if (!content) return;
+
+    const startsQualifier = content.startsWith('/') && (!qualifier || quotesBalanced(qualifier.value));
+    if (startsQualifier) {
+      closeQualifier();
+      const match = content.match(/^\/([^=]+)(?:=(.*))?$/);
+      qualifier = { key: match[1], value: match[2] !== undefined ? match[2] : null };
+    } else if (qualifier) {
+      // Translations wrap without spaces; free text wraps at word boundaries
+      qualifier.value += qualifier.key === 'translation' ? content : ` ${content}`;
+    } else {
+      current.location += content;
+    }
+  });
+  closeQualifier();
+
+  return features.map(feature => ({ ...feature, ...parseFeatureLocation(feature.location) }));
+}
+
+/**
+ * Whether a qualifier value has all its quotes closed ("" is an escaped quote)
+ * @param {String|null} value - Raw qualifier value
+ * @returns {Boolean} True when no quoted string is still open
+ */
+function quotesBalanced(value) {
+  return value === null || (value.match(/"/g) || []).length % 2 === 0;
+}
+
+/**
+ * Store a qualifier value; repeated qualifiers (e.g. /db_xref) become arrays
+ * @param {Object} qualifiers - Qualifier map
+ * @param {String} key - Qualifier name
+ * @param {String|null} rawValue - Raw value including quotes
+ */
+function addQualifier(qualifiers, key, rawValue) {
+  let value = true;
+  if (rawValue !== null) {
+    value = rawValue.startsWith('"')
+      ? rawValue.replace(/^"|"$/g, '').replace(/""/g, '"')
+      : rawValue;
+  }
+  if (key in qualifiers) {
+    qualifiers[key] = [].concat(qualifiers[key], value);
+  } else {
+    qualifiers[key] = value;
+  }
+}
+
+/**
+ * Parse an INSDC feature location such as "complement(join(<1..120,200..>340))".
+ * Intervals are returned in biological (5'->3') order with 1-based inclusive
+ * coordinates; partialStart/partialEnd flag "<" and ">" on the lower and upper
+ * coordinate respectively.
+ * @param {String} location - Location string
+ * @returns {Object} {intervals: [{start, end, strand, partialStart, partialEnd, remote}], strand, partial}
+ */
+function parseFeatureLocation(location) {
+  const intervals = parseLocationExpression(location.replace(/\s+/g, ''));
+  const strands = new Set(intervals.map(interval => interval.strand));
+
+  return {
+    intervals,
+    strand: strands.size === 1 ? [...strands][0] : 0,
+    partial: intervals.some(interval => interval.partialStart || interval.partialEnd)
+  };
+}
+
+/**
+ * Recursive location expression parser
+ * @param {String} expression - Location without whitespace
+ * @returns {Array} Intervals
+ */
+function parseLocationExpression(expression) {
+  const operator = expression.match(/^(complement|join|order)\((.*)\)$/);
+  if (operator) {
+    const [, name, inner] = operator;
+    if (name === 'complement') {
+      return parseLocationExpression(inner)
+        .reverse()
+        .map(interval => ({ ...interval, strand: -interval.strand }));
+    }
+    return splitTopLevel(inner).flatMap(parseLocationExpression);
+  }
+
+  const remoteMatch = expression.match(/^([^:]+):(.+)$/);
+  const remote = remoteMatch ? remoteMatch[1] : null;
+  const range = remoteMatch ? remoteMatch[2] : expression;
+
+  // "a..b", single base "a", site between bases "a^b", or uncertain "a.b"
+  const bounds = range.split(/\.\.|\^|\./);
+  const start = parseInt(bounds[0].replace(/[<>]/g, ''), 10);
+  const end = parseInt((bounds[1] || bounds[0]).replace(/[<>]/g, ''), 10);
+  if (!Number.isFinite(start) || !Number.isFinite(end)) return [];
+
+  return [{
+    start: Math.min(start, end),
+    end: Math.max(start, end),
+    strand: 1,
+    partialStart: bounds[0].includes('<'),
+    partialEnd: (bounds[1] || bounds[0]).includes('>'),
+    remote
+  }];
+}
+
+/**
+ * Split a comma-separated list, ignoring commas nested in parentheses
+ * @param {String} text - List text
+ * @returns {Array} Items
+ */
+function splitTopLevel(text) {
+  const items = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    else if (text[i] === ')') depth--;
+    else if (text[i] === ',' && depth === 0) {
+      items.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  items.push(text.slice(start));
+  return items.filter(Boolean);
+}
+
+/**
+ * Split an INSDC country qualifier ("Indonesia: North Sumatra, Batang Toru")
+ * @param {String} value - Country qualifier
+ * @returns {Object} {country, locality}
+ */
+function splitCountry(value) {
+  if (!value) return { country: null, locality: null };
+  const [country, ...locality] = value.split(':');
+  return { country: country.trim(), locality: locality.join(':').trim() || null };
+}
+
+/**
+ * Parse an INSDC lat_lon qualifier ("1.55 N 99.25 E") or a decimal pair ("1.55, 99.25")
+ * @param {String} value - lat_lon text
+ * @returns {Object|null} {lat, lng} or null when missing or malformed
+ */
+function parseLatLon(value) {
+  if (!value) return null;
+
+  const hemispheric = value.match(/^\s*([\d.]+)\s*([NS])\s+([\d.]+)\s*([EW])\s*$/i);
+  let lat;
+  let lng;
+  if (hemispheric) {
+    lat = parseFloat(hemispheric[1]) * (hemispheric[2].toUpperCase() === 'S' ? -1 : 1);
+    lng = parseFloat(hemispheric[3]) * (hemispheric[4].toUpperCase() === 'W' ? -1 : 1);
+  } else {
+    const decimal = value.match(/^\s*(-?[\d.]+)\s*[,\s]\s*(-?[\d.]+)\s*$/);
+    if (!decimal) return null;
+    lat = parseFloat(decimal[1]);
+    lng = parseFloat(decimal[2]);
+  }
+
+  if (!isFinite(lat) || !isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { lat, lng };
+}
+
+/**
+ * First value of a qualifier that may be repeated
+ * @param {Object} qualifiers - Qualifier map
+ * @param {String} key - Qualifier name
+ * @returns {String|null} Value
+ */
+function firstQualifier(qualifiers, key) {
+  const value = qualifiers[key];
+  if (value === undefined || value === true) return null;
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Coding sequences of an entry with the fields codon-aware analyses need
+ * @param {Object} entry - Parsed entry
+ * @returns {Array} CDS [{gene, product, proteinId, codonStart, translationTable, intervals, strand, partial, location}]
+ */
+function codingSequences(entry) {
+  return entry.features
+    .filter(feature => feature.type === 'CDS' && feature.intervals.length > 0)
+    .filter(feature => feature.intervals.every(interval => !interval.remote))
+    .map(feature => ({
+      gene: firstQualifier(feature.qualifiers, 'gene'),
+      product: firstQualifier(feature.qualifiers, 'product'),
+      proteinId: firstQualifier(feature.qualifiers, 'protein_id'),
+      codonStart: Number(firstQualifier(feature.qualifiers, 'codon_start')) || 1,
+      translationTable: Number(firstQualifier(feature.qualifiers, 'transl_table')) || 1,
+      intervals: feature.intervals.map(({ start, end, strand }) => ({ start, end, strand })),
+      strand: feature.strand,
+      partial: feature.partial,
+      location: feature.location
+    }));
+}
+
+/**
+ * Convert a parsed entry into the sample shape of the genome data
+ * ({id, species, sequence, ...}); the id is the accession number
+ * @param {Object} entry - Parsed entry
+ * @returns {Object} Sample record
+ */
+function genbankEntryToSample(entry) {
+  const source = (entry.features.find(feature => feature.type === 'source') || { qualifiers: {} }).qualifiers;
+  const { country, locality } = splitCountry(firstQualifier(source, 'country') || firstQualifier(source, 'geo_loc_name'));
+
+  return {
+    id: entry.accession,
+    accession: entry.accession,
+    version: entry.version,
+    accessionVersion: entry.accessionVersion,
+    species: firstQualifier(source, 'organism') || entry.organism,
+    definition: entry.definition,
+    country,
+    locality,
+    location: locality || country,
+    coordinates: parseLatLon(firstQualifier(source, 'lat_lon')),
+    collectionDate: firstQualifier(source, 'collection_date'),
+    isolate: firstQualifier(source, 'isolate'),
+    organelle: firstQualifier(source, 'organelle'),
+    moleculeType: entry.locus.moleculeType,
+    length: entry.sequence.length,
+    cds: codingSequences(entry),
+    features: entry.features,
+    sequence: entry.sequence
+  };
+}
+
+module.exports = {
+  parseGenBankFlatFile,
+  parseFeatureLocation,
+  codingSequences,
+  genbankEntryToSample,
+  splitCountry,
+  parseLatLon
+};
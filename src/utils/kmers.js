@@ -0,0 +1,81 @@
+// src/utils/kmers.js
+// k-mer profiles for alignment-free sequence similarity
+
+const BASE_CODES = { A: 0, C: 1, G: 2, T: 3, U: 3 };
+
+export const DEFAULT_KMER_SIZE = 10;
+
+/**
+ * Distinct k-mers of a sequence, 2-bit packed and sorted.
+ * Windows containing gaps, N or other ambiguity codes are skipped.
+ * @param {String} sequence - Nucleotide sequence
+ * @param {Number} k - k-mer length (at most 15 so codes fit in 30 bits)
+ * @returns {Int32Array} Sorted unique k-mer codes
+ */
+export function kmerProfile(sequence, k = DEFAULT_KMER_SIZE) {
+  if (k < 1 || k > 15) {
+    throw new Error(`k-mer length must be between 1 and 15, got ${k}`);
+  }
+
+  const mask = (1 << (2 * k)) - 1;
+  const codes = [];
+  let code = 0;
+  let valid = 0;
+
+  for (let i = 0; i < sequence.length; i++) {
+    const base = BASE_CODES[sequence[i].toUpperCase()];
+    if (base === undefined) {
+      valid = 0;
+      code = 0;
+      continue;
+    }
+    code = ((code << 2) | base) & mask;
+    valid++;
+    if (valid >= k) codes.push(code);
+  }
+
+  codes.sort((a, b) => a - b);
+  const unique = [];
+  for (let i = 0; i < codes.length; i++) {
+    if (i === 0 || codes[i] !== codes[i - 1]) unique.push(codes[i]);
+  }
+  return Int32Array.from(unique);
+}
+
+/**
+ * Number of k-mers two sorted profiles share
+ * @param {Int32Array} a - Sorted profile
+ * @param {Int32Array} b - Sorted profile
+ * @returns {Number} Shared k-mer count
+ */
+export function sharedKmerCount(a, b) {
+  let i = 0;
+  let j = 0;
+  let shared = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      shared++;
+      i++;
+      j++;
+    } else if (a[i] < b[j]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return shared;
+}
+
+/**
+ * Containment similarity: the fraction of the smaller profile found in the larger one.
+ * Unlike Jaccard similarity it stays high when a short fragment lies within a longer
+ * sequence of the same locus.
+ * @param {Int32Array} a - Sorted profile
+ * @param {Int32Array} b - Sorted profile
+ * @returns {Number} Similarity in [0, 1]
+ */
+export function kmerContainment(a, b) {
+  const smaller = Math.min(a.length, b.length);
+  if (smaller === 0) return 0;
+  return sharedKmerCount(a, b) / smaller;
+}
@@ -0,0 +1,192 @@
+// src/utils/locusGrouping.js
+// Splits a genomic dataset into homologous loci so only sequences of the same gene are compared
+
+import { kmerProfile, kmerContainment, DEFAULT_KMER_SIZE } from './kmers';
+
+export const ALL_LOCI = 'all';
+
+export const DEFAULT_LOCUS_OPTIONS = {
+  kmerSize: DEFAULT_KMER_SIZE,
+  minSimilarity: 0.2,   // k-mer containment needed to join a locus
+  minLengthRatio: 0.5   // Shorter/longer length ratio needed to join by k-mers, keeps single genes out of mitogenome loci
+};
+
+// Common synonyms of the markers fetched from NCBI (see GENE_QUERIES in FetchDataNCBI.js)
+const GENE_ALIASES = {
+  cob: 'cytb',
+  mtcyb: 'cytb',
+  cytochromeb: 'cytb',
+  cox1: 'coi',
+  co1: 'coi',
+  coxi: 'coi',
+  mtco1: 'coi',
+  dloop: 'd-loop',
+  controlregion: 'd-loop',
+  nad4: 'nd4',
+  nad5: 'nd5',
+  rrns: '12s',
+  '12srrna': '12s',
+  '12sribosomalrna': '12s',
+  rrnl: '16s',
+  '16srrna': '16s',
+  '16sribosomalrna': '16s'
+};
+
+/**
+ * Canonical key for a gene name ("COX1", "CO1" and "coi" all become "coi")
+ * @param {String} name - Gene name or rRNA product
+ * @returns {String|null} Gene key
+ */
+export function normalizeGeneName(name) {
+  if (!name) return null;
+  const compact = String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+  if (!compact) return null;
+  return GENE_ALIASES[compact] || compact;
+}
+
+/**
+ * Genes annotated on a sample: GenBank gene/CDS/rRNA features, a FASTA [gene=...]
+ * modifier, or an NCBI-style definition such as "cytochrome b (cytb) gene, partial cds"
+ * @param {Object} sample - Sequence record
+ * @returns {Array} Distinct gene keys
+ */
+export function sampleGenes(sample) {
+  const genes = new Set();
+  const add = (name) => {
+    const key = normalizeGeneName(name);
+    if (key) genes.add(key);
+  };
+
+  (sample.features || []).forEach(feature => {
+    if (!['gene', 'CDS', 'rRNA', 'D-loop'].includes(feature.type)) return;
+    if (feature.type === 'D-loop') {
+      add('d-loop');
+      return;
+    }
+    const gene = [].concat(feature.qualifiers?.gene || [])[0];
+    const product = [].concat(feature.qualifiers?.product || [])[0];
+    add(gene || (feature.type === 'rRNA' ? product : null));
+  });
+  (sample.cds || []).forEach(cds => add(cds.gene));
+  add(sample.gene);
+
+  if (genes.size === 0 && sample.definition) {
+    const match = sample.definition.match(/\(([A-Za-z0-9-]+)\) gene/);
+    if (match) add(match[1]);
+    else if (/\bD-loop\b|control region/i.test(sample.definition)) add('d-loop');
+  }
+
+  return [...genes];
+}
+
+/**
+ * Group sequences into homologous loci. Samples annotated with exactly one gene are
+ * grouped by that gene; the rest join the locus whose representative (longest member)
+ * they resemble by k-mer containment, or start a new locus.
+ * @param {Object} genomicData - {species: [{id, sequence, ...}]}
+ * @param {Object} options - See DEFAULT_LOCUS_OPTIONS
+ * @returns {Array} Loci [{id, label, gene, basis, sampleCount, speciesCounts, lengthRange, data}], largest first
+ */
+export function groupByLocus(genomicData, options = {}) {
+  const config = { ...DEFAULT_LOCUS_OPTIONS, ...options };
+  const samples = Object.entries(genomicData).flatMap(([species, records]) =>
+    records.map(record => ({ species, record, genes: sampleGenes(record), length: record.sequence.length }))
+  );
+
+  const loci = [];
+  const geneLoci = new Map();
+  const profileOf = (sample) => {
+    if (!sample.profile) sample.profile = kmerProfile(sample.record.sequence, config.kmerSize);
+    return sample.profile;
+  };
+
+  samples.filter(sample => sample.genes.length === 1).forEach(sample => {
+    const gene = sample.genes[0];
+    if (!geneLoci.has(gene)) {
+      const locus = { id: `gene:${gene}`, gene, basis: 'gene', members: [] };
+      geneLoci.set(gene, locus);
+      loci.push(locus);
+    }
+    geneLoci.get(gene).members.push(sample);
+  });
+  loci.forEach(locus => {
+    locus.representative = locus.members.reduce((longest, sample) => (sample.length > longest.length ? sample : longest));
+  });
+
+  samples
+    .filter(sample => sample.genes.length !== 1)
+    .sort((a, b) => b.length - a.length)
+    .forEach(sample => {
+      let best = null;
+      loci.forEach(locus => {
+        const representative = locus.representative;
+        const lengthRatio = Math.min(sample.length, representative.length) / Math.max(sample.length, representative.length);
+        if (lengthRatio < config.minLengthRatio) return;
+        const similarity = kmerContainment(profileOf(sample), profileOf(representative));
+        if (similarity >= config.minSimilarity && (!best || similarity > best.similarity)) {
+          best = { locus, similarity };
+        }
+      });
+
+      if (best) {
+        best.locus.members.push(sample);
+      } else {
+        const record = sample.record;
+        loci.push({ id: `locus:${record.accession || record.id}`, gene: null, basis: 'kmer', members: [sample], representative: sample });
+      }
+    });
+
+  const grouped = loci.map(locus => {
+    const data = {};
+    locus.members.forEach(({ species, record }) => {
+      if (!data[species]) data[species] = [];
+      data[species].push(record);
+    });
+    const lengths = locus.members.map(sample => sample.length);
+    return {
+      id: locus.id,
+      gene: locus.gene,
+      basis: locus.basis,
+      sampleCount: locus.members.length,
+      speciesCounts: Object.fromEntries(Object.entries(data).map(([species, records]) => [species, records.length])),
+      lengthRange: [Math.min(...lengths), Math.max(...lengths)],
+      data
+    };
+  });
+
+  grouped.sort((a, b) =>
+    b.sampleCount - a.sampleCount ||
+    Object.keys(b.speciesCounts).length - Object.keys(a.speciesCounts).length
+  );
+
+  let unnamed = 0;
+  grouped.forEach(locus => {
+    const [minLength, maxLength] = locus.lengthRange;
+    const span = minLength === maxLength ? `${minLength} bp` : `${minLength}–${maxLength} bp`;
+    locus.label = locus.gene ? `${locus.gene} (${span})` : `Locus ${++unnamed} (${span})`;
+  });
+
+  return grouped;
+}
+
+/**
+ * Locus analyzed when the user has not picked one: the one with the most samples
+ * @param {Array} loci - Result of groupByLocus
+ * @returns {String} Locus id
+ */
+export function defaultLocusId(loci) {
+  return loci.length > 0 ? loci[0].id : ALL_LOCI;
+}
+
+/**
+ * Genomic data of one locus
+ * @param {Object} genomicData - Full dataset
+ * @param {Array} loci - Result of groupByLocus
+ * @param {String} locusId - Locus id or ALL_LOCI
+ * @returns {Object} {species: [records]}
+ */
+export function selectLocusData(genomicData, loci, locusId) {
+  if (locusId === ALL_LOCI) return genomicData;
+  const locus = loci.find(entry => entry.id === locusId);
+  return locus ? locus.data : genomicData;
+}
@@ -0,0 +1,1028 @@
+// src/utils/maximumLikelihood.js
+// Maximum-likelihood tree search under GTR+Gamma (Felsenstein pruning, NNI/SPR moves)
+
+import { encodeSequence, goldenSectionMax } from './substitutionModels';
+
+export const DEFAULT_ML_OPTIONS = {
+  gammaCategories: 4,
+  optimizeModel: true,
+  sprRadius: 3,
+  maxRounds: 10,
+  epsilon: 0.01
+};
+
+const GTR_RATE_LABELS = ['AC', 'AG', 'AT', 'CG', 'CT', 'GT'];
+const MIN_BRANCH_LENGTH = 1e-8;
+const MAX_BRANCH_LENGTH = 5;
+const SCALE_THRESHOLD = 1e-32;
+// Minimum log-likelihood gain for another pass of model optimization
+const MODEL_TOLERANCE = 0.5;
+
+/**
+ * Search for the maximum-likelihood tree starting from a Neighbor-Joining tree
+ * @param {Array} sequences - Aligned sequence records (`aligned` or `sequence`)
+ * @param {Object} startTree - Unrooted NJ tree whose leaves carry `sequenceIndex`
+ * @param {Object} options - {gammaCategories, optimizeModel, sprRadius, maxRounds, epsilon, onProgress}
+ * @returns {Object} {tree, logLikelihood, model, nniMoves, sprMoves, rounds, patterns, sites}
+ */
+export function maximumLikelihoodTree(sequences, startTree, options = {}) {
+  const settings = { ...DEFAULT_ML_OPTIONS, ...options };
+  const { onProgress } = settings;
+
+  if (!startTree || sequences.length < 3) {
+    throw new Error('Maximum-likelihood search needs a starting tree with at least 3 sequences');
+  }
+
+  const engine = new LikelihoodEngine(sequences, startTree, settings);
+  const report = (stage, details = {}) => {
+    if (onProgress) onProgress({ stage, logLikelihood: engine.logLikelihood, ...details });
+  };
+
+  report('start');
+  engine.optimizeBranchLengths();
+  if (settings.optimizeModel) engine.optimizeModel();
+  report('model');
+
+  let nniMoves = 0;
+  let sprMoves = 0;
+  let rounds = 0;
+
+  while (rounds < settings.maxRounds) {
+    rounds++;
+    const before = engine.logLikelihood;
+
+    // SPR is only attempted once NNI has converged, since it is much more expensive
+    const nni = engine.nniRound();
+    const spr = nni === 0 && settings.sprRadius > 0 ? engine.sprRound(settings.sprRadius) : 0;
+    nniMoves += nni;
+    sprMoves += spr;
+
+    engine.optimizeBranchLengths();
+    report('search', { round: rounds, nniMoves, sprMoves });
+
+    if (nni + spr === 0 || engine.logLikelihood - before < settings.epsilon) break;
+  }
+
+  // Refit the model on the final topology
+  if (settings.optimizeModel && nniMoves + sprMoves > 0) {
+    engine.optimizeModel();
+    report('model');
+  }
+
+  return {
+    tree: engine.toTree(),
+    logLikelihood: engine.logLikelihood,
+    model: engine.describeModel(),
+    nniMoves,
+    sprMoves,
+    rounds,
+    patterns: engine.patternCount,
+    sites: engine.siteCount
+  };
+}
+
+/**
+ * Likelihood engine holding partial likelihoods for a mutable unrooted tree.
+ * The tree is stored rooted at an internal node; "down" partials cover a node's
+ * subtree, "up" partials (stored on a node, located at its parent) cover the rest.
+ */
+class LikelihoodEngine {
+  constructor(sequences, startTree, settings) {
+    this.K = Math.max(1, settings.gammaCategories);
+    this.epsilon = settings.epsilon;
+
+    this.compressPatterns(sequences);
+    this.nodes = [];
+    this.root = this.buildNode(startTree, null);
+    this.normalizeRoot();
+
+    this.rates = [1, 1, 1, 1, 1, 1];
+    this.alpha = 0.5;
+    this.freqs = this.empiricalFrequencies();
+    this.updateModel();
+    this.logLikelihood = this.evaluate();
+  }
+
+  /**
+   * Collapse alignment columns into unique site patterns with weights
+   * @param {Array} sequences - Aligned sequence records
+   */
+  compressPatterns(sequences) {
+    const rows = sequences.map(seq => encodeSequence(seq.aligned || seq.sequence));
+    const length = Math.min(...rows.map(row => row.length));
+    const patternIndex = new Map();
+    const columns = [];
+    const weights = [];
+
+    for (let col = 0; col < length; col++) {
+      // Gaps and unknown characters carry no information: all four states allowed
+      const column = rows.map(row => row[col] || 15);
+      if (column.every(mask => mask === 15)) continue;
+
+      const key = String.fromCharCode(...column);
+      if (patternIndex.has(key)) {
+        weights[patternIndex.get(key)]++;
+      } else {
+        patternIndex.set(key, columns.length);
+        columns.push(column);
+        weights.push(1);
+      }
+    }
+
+    if (columns.length === 0) {
+      throw new Error('Alignment has no informative columns');
+    }
+
+    this.patternCount = columns.length;
+    this.siteCount = weights.reduce((sum, w) => sum + w, 0);
+    this.weights = Float64Array.from(weights);
+    this.tips = rows.map((_, seqIndex) => {
+      const tip = new Float64Array(this.patternCount * 4);
+      columns.forEach((column, p) => {
+        for (let b = 0; b < 4; b++) tip[p * 4 + b] = (column[seqIndex] >> b) & 1;
+      });
+      return tip;
+    });
+  }
+
+  /**
+   * Convert a display/NJ tree node into an engine node
+   * @param {Object} source - Tree node with `children` and `distance`
+   * @param {Object} parent - Parent engine node
+   * @returns {Object} Engine node
+   */
+  buildNode(source, parent) {
+    const isLeaf = !source.children || source.children.length === 0;
+    if (isLeaf && (source.sequenceIndex === undefined || !this.tips[source.sequenceIndex])) {
+      throw new Error(`Leaf ${source.name || source.id} has no matching sequence`);
+    }
+
+    const node = {
+      parent,
+      children: [],
+      length: Math.max(source.distance || 0, MIN_BRANCH_LENGTH),
+      seq: isLeaf ? source.sequenceIndex : -1,
+      source: isLeaf ? source : null,
+      dirty: true
+    };
+    this.nodes.push(node);
+
+    if (!isLeaf) {
+      node.children = source.children.map(child => this.buildNode(child, node));
+    }
+    return node;
+  }
+
+  /**
+   * Dissolve a bifurcating root so the tree is stored with a basal trifurcation
+   */
+  normalizeRoot() {
+    const root = this.root;
+    if (root.children.length !== 2) return;
+
+    const inner = root.children.find(child => child.seq < 0);
+    if (!inner) throw new Error('Maximum-likelihood search needs at least 3 sequences');
+
+    const other = root.children.find(child => child !== inner);
+    other.length += inner.length;
+    inner.children.forEach(child => { child.parent = root; });
+    root.children = [other, ...inner.children];
+    this.nodes = this.nodes.filter(node => node !== inner);
+    root.dirty = true;
+  }
+
+  /**
+   * Base frequencies observed in the alignment (ambiguities split evenly)
+   * @returns {Array} Frequencies [A, C, G, T]
+   */
+  empiricalFrequencies() {
+    const counts = [0, 0, 0, 0];
+    this.tips.forEach(tip => {
+      for (let p = 0; p < this.patternCount; p++) {
+        const states = tip[p * 4] + tip[p * 4 + 1] + tip[p * 4 + 2] + tip[p * 4 + 3];
+        if (states === 4) continue;
+        for (let b = 0; b < 4; b++) counts[b] += (tip[p * 4 + b] * this.weights[p]) / states;
+      }
+    });
+    const total = counts.reduce((sum, c) => sum + c, 0) || 1;
+    const floored = counts.map(c => Math.max(c / total, 1e-3));
+    const norm = floored.reduce((sum, f) => sum + f, 0);
+    return floored.map(f => f / norm);
+  }
+
+  /**
+   * Rebuild the GTR eigensystem and gamma category rates from the current parameters
+   */
+  updateModel() {
+    const pi = this.freqs;
+    const Q = Array.from({ length: 4 }, () => new Array(4).fill(0));
+    const pairs = [[0, 1], [0, 2], [0, 3], [1, 2], [1, 3], [2, 3]];
+    pairs.forEach(([i, j], r) => {
+      Q[i][j] = this.rates[r] * pi[j];
+      Q[j][i] = this.rates[r] * pi[i];
+    });
+
+    // Normalize to one expected substitution per unit branch length
+    let mu = 0;
+    for (let i = 0; i < 4; i++) {
+      Q[i][i] = -Q[i].reduce((sum, q, j) => (j === i ? sum : sum + q), 0);
+      mu -= pi[i] * Q[i][i];
+    }
+
+    // Symmetrize (S = Π^1/2 Q Π^-1/2) so the eigenvectors are orthogonal
+    const sqrtPi = pi.map(Math.sqrt);
+    const S = Q.map((row, i) => row.map((q, j) => (sqrtPi[i] * q) / (sqrtPi[j] * mu)));
+    const { values, vectors } = jacobiEigen(S);
+
+    this.eigenValues = values;
+    this.leftVectors = Array.from({ length: 4 }, (_, i) => vectors.map(col => col[i] / sqrtPi[i]));
+    this.rightVectors = vectors.map(col => col.map((v, j) => v * sqrtPi[j]));
+    this.categoryRates = gammaCategoryRates(this.alpha, this.K);
+  }
+
+  /**
+   * Transition probability matrices for every rate category
+   * @param {Number} t - Branch length
+   * @returns {Float64Array} P[k * 16 + i * 4 + j]
+   */
+  transitionMatrices(t) {
+    const P = new Float64Array(this.K * 16);
+    const exps = new Float64Array(4);
+    for (let k = 0; k < this.K; k++) {
+      for (let m = 0; m < 4; m++) exps[m] = Math.exp(this.eigenValues[m] * t * this.categoryRates[k]);
+      for (let i = 0; i < 4; i++) {
+        for (let j = 0; j < 4; j++) {
+          let value = 0;
+          for (let m = 0; m < 4; m++) value += this.leftVectors[i][m] * exps[m] * this.rightVectors[m][j];
+          P[k * 16 + i * 4 + j] = value > 0 ? value : 0;
+        }
+      }
+    }
+    return P;
+  }
+
+  /**
+   * Multiply `out` by a node's partial vector propagated across a branch
+   * @param {Float64Array} out - Target partials (K x patterns x 4)
+   * @param {Float64Array} scale - Target log scalers per pattern
+   * @param {Float64Array} vec - Source partials (tip vectors have no category dimension)
+   * @param {Float64Array|null} vecScale - Source log scalers
+   * @param {Boolean} isTip - Whether `vec` is a tip vector
+   * @param {Float64Array} P - Transition matrices for the branch
+   */
+  multiplyPropagated(out, scale, vec, vecScale, isTip, P) {
+    const np = this.patternCount;
+    for (let k = 0; k < this.K; k++) {
+      const pk = k * 16;
+      for (let p = 0; p < np; p++) {
+        const base = (k * np + p) * 4;
+        const vb = isTip ? p * 4 : base;
+        const v0 = vec[vb];
+        const v1 = vec[vb + 1];
+        const v2 = vec[vb + 2];
+        const v3 = vec[vb + 3];
+        for (let i = 0; i < 4; i++) {
+          const row = pk + i * 4;
+          out[base + i] *= P[row] * v0 + P[row + 1] * v1 + P[row + 2] * v2 + P[row + 3] * v3;
+        }
+      }
+    }
+    if (vecScale) {
+      for (let p = 0; p < np; p++) scale[p] += vecScale[p];
+    }
+  }
+
+  /**
+   * Rescale tiny partials to avoid underflow, accumulating log scalers
+   * @param {Float64Array} out - Partials
+   * @param {Float64Array} scale - Log scalers per pattern
+   */
+  rescale(out, scale) {
+    const np = this.patternCount;
+    for (let p = 0; p < np; p++) {
+      let max = 0;
+      for (let k = 0; k < this.K; k++) {
+        const base = (k * np + p) * 4;
+        for (let i = 0; i < 4; i++) if (out[base + i] > max) max = out[base + i];
+      }
+      if (max > 0 && max < SCALE_THRESHOLD) {
+        for (let k = 0; k < this.K; k++) {
+          const base = (k * np + p) * 4;
+          for (let i = 0; i < 4; i++) out[base + i] /= max;
+        }
+        scale[p] += Math.log(max);
+      }
+    }
+  }
+
+  /**
+   * Partial vector and scalers of a node's subtree
+   * @param {Object} node - Engine node
+   * @returns {Object} {vec, scale, isTip}
+   */
+  subtreeVector(node) {
+    return node.seq >= 0
+      ? { vec: this.tips[node.seq], scale: null, isTip: true }
+      : { vec: node.down, scale: node.downScale, isTip: false };
+  }
+
+  newPartials() {
+    return {
+      vec: new Float64Array(this.K * this.patternCount * 4).fill(1),
+      scale: new Float64Array(this.patternCount)
+    };
+  }
+
+  /**
+   * Felsenstein pruning step: recompute a node's down partials from its children
+   * @param {Object} node - Internal engine node
+   */
+  computeDown(node) {
+    const { vec, scale } = this.newPartials();
+    node.children.forEach(child => {
+      const source = this.subtreeVector(child);
+      this.multiplyPropagated(vec, scale, source.vec, source.scale, source.isTip, this.transitionMatrices(child.length));
+    });
+    this.rescale(vec, scale);
+    node.down = vec;
+    node.downScale = scale;
+    node.dirty = false;
+  }
+
+  /**
+   * Compute the partials for everything outside a node's subtree, located at its parent
+   * @param {Object} node - Non-root engine node
+   */
+  computeUp(node) {
+    const parent = node.parent;
+    const { vec, scale } = this.newPartials();
+
+    if (parent !== this.root) {
+      this.multiplyPropagated(vec, scale, parent.up, parent.upScale, false, this.transitionMatrices(parent.length));
+    }
+    parent.children.forEach(sibling => {
+      if (sibling === node) return;
+      const source = this.subtreeVector(sibling);
+      this.multiplyPropagated(vec, scale, source.vec, source.scale, source.isTip, this.transitionMatrices(sibling.length));
+    });
+    this.rescale(vec, scale);
+    node.up = vec;
+    node.upScale = scale;
+  }
+
+  /**
+   * Mark a node and its ancestors as needing new down partials
+   * @param {Object} node - Engine node
+   */
+  markDirty(node) {
+    for (let current = node; current; current = current.parent) current.dirty = true;
+  }
+
+  markAllDirty() {
+    this.nodes.forEach(node => { node.dirty = node.seq < 0; });
+  }
+
+  /**
+   * Recompute stale partials and return the tree log-likelihood
+   * @returns {Number} Log-likelihood
+   */
+  evaluate() {
+    const refresh = (node) => {
+      if (node.seq >= 0 || !node.dirty) return;
+      node.children.forEach(refresh);
+      this.computeDown(node);
+    };
+    refresh(this.root);
+
+    const np = this.patternCount;
+    const { down, downScale } = this.root;
+    let logLikelihood = 0;
+    for (let p = 0; p < np; p++) {
+      let site = 0;
+      for (let k = 0; k < this.K; k++) {
+        const base = (k * np + p) * 4;
+        for (let i = 0; i < 4; i++) site += this.freqs[i] * down[base + i];
+      }
+      logLikelihood += this.weights[p] * (Math.log(site / this.K) + downScale[p]);
+    }
+
+    this.logLikelihood = logLikelihood;
+    return logLikelihood;
+  }
+
+  /**
+   * Build the log-likelihood of two partial vectors joined by a branch, as a function of its length.
+   * Both sides are projected onto the eigenbasis once, so each evaluation is O(patterns x categories x 4).
+   * @param {Object} left - {vec, scale, isTip}
+   * @param {Object} right - {vec, scale, isTip}
+   * @returns {Function} t => log-likelihood
+   */
+  branchLikelihood(left, right) {
+    const np = this.patternCount;
+    const K = this.K;
+    const coefficients = new Float64Array(K * np * 4);
+    const scaleSum = new Float64Array(np);
+
+    for (let k = 0; k < K; k++) {
+      for (let p = 0; p < np; p++) {
+        const base = (k * np + p) * 4;
+        const lb = left.isTip ? p * 4 : base;
+        const rb = right.isTip ? p * 4 : base;
+        for (let m = 0; m < 4; m++) {
+          let projectedLeft = 0;
+          let projectedRight = 0;
+          for (let i = 0; i < 4; i++) {
+            projectedLeft += this.freqs[i] * left.vec[lb + i] * this.leftVectors[i][m];
+            projectedRight += this.rightVectors[m][i] * right.vec[rb + i];
+          }
+          coefficients[base + m] = projectedLeft * projectedRight;
+        }
+      }
+    }
+    for (let p = 0; p < np; p++) {
+      scaleSum[p] = (left.scale ? left.scale[p] : 0) + (right.scale ? right.scale[p] : 0);
+    }
+
+    const exps = new Float64Array(K * 4);
+    return (t) => {
+      for (let k = 0; k < K; k++) {
+        for (let m = 0; m < 4; m++) exps[k * 4 + m] = Math.exp(this.eigenValues[m] * this.categoryRates[k] * t);
+      }
+      let logLikelihood = 0;
+      for (let p = 0; p < np; p++) {
+        let site = 0;
+        for (let k = 0; k < K; k++) {
+          const base = (k * np + p) * 4;
+          const e = k * 4;
+          site += coefficients[base] * exps[e] + coefficients[base + 1] * exps[e + 1] +
+            coefficients[base + 2] * exps[e + 2] + coefficients[base + 3] * exps[e + 3];
+        }
+        logLikelihood += this.weights[p] * (Math.log(Math.max(site / K, 1e-300)) + scaleSum[p]);
+      }
+      return logLikelihood;
+    };
+  }
+
+  /**
+   * Optimize one branch length given current up/down partials
+   * @param {Object} node - Non-root engine node
+   * @returns {Number} Optimal branch length
+   */
+  optimizeBranch(node) {
+    const up = { vec: node.up, scale: node.upScale, isTip: false };
+    const likelihood = this.branchLikelihood(up, this.subtreeVector(node));
+    return goldenSectionMax(likelihood, MIN_BRANCH_LENGTH, MAX_BRANCH_LENGTH, 1e-6);
+  }
+
+  /**
+   * Optimize all branch lengths by preorder sweeps until the likelihood stabilizes
+   * @param {Number} maxPasses - Maximum number of sweeps
+   * @returns {Number} Log-likelihood
+   */
+  optimizeBranchLengths(maxPasses = 3) {
+    let previous = this.evaluate();
+
+    for (let pass = 0; pass < maxPasses; pass++) {
+      const visit = (node) => {
+        this.computeUp(node);
+        node.length = this.optimizeBranch(node);
+        node.children.forEach(visit);
+        if (node.seq < 0) this.computeDown(node);
+      };
+      this.root.children.forEach(visit);
+      this.computeDown(this.root);
+
+      const current = this.evaluate();
+      if (current - previous < this.epsilon) break;
+      previous = current;
+    }
+
+    return this.logLikelihood;
+  }
+
+  /**
+   * Optimize GTR exchangeabilities (GT fixed to 1) and the gamma shape together with branch lengths,
+   * repeating coordinate passes because the rates are strongly correlated
+   * @param {Number} maxPasses - Maximum number of passes
+   * @returns {Number} Log-likelihood
+   */
+  optimizeModel(maxPasses = 4) {
+    const parameters = [
+      ...GTR_RATE_LABELS.slice(0, 5).map((_, r) => ({
+        get: () => this.rates[r],
+        set: (value) => { this.rates[r] = value; },
+        bounds: [0.01, 100]
+      })),
+      {
+        get: () => this.alpha,
+        set: (value) => { this.alpha = value; },
+        bounds: [0.02, 100]
+      }
+    ];
+
+    const likelihoodAt = (parameter, logValue) => {
+      parameter.set(Math.exp(logValue));
+      this.updateModel();
+      this.markAllDirty();
+      return this.evaluate();
+    };
+
+    for (let pass = 0; pass < maxPasses; pass++) {
+      const before = this.logLikelihood;
+
+      parameters.forEach(parameter => {
+        const original = parameter.get();
+        const baseline = this.logLikelihood;
+        const best = goldenSectionMax(
+          logValue => likelihoodAt(parameter, logValue),
+          Math.log(parameter.bounds[0]),
+          Math.log(parameter.bounds[1]),
+          0.02
+        );
+        // Keep the old value unless the search found a genuine improvement
+        if (likelihoodAt(parameter, best) < baseline) likelihoodAt(parameter, Math.log(original));
+      });
+
+      this.optimizeBranchLengths();
+      if (this.logLikelihood - before < MODEL_TOLERANCE) break;
+    }
+
+    return this.logLikelihood;
+  }
+
+  /**
+   * Compute up partials for every non-root node (preorder)
+   */
+  computeAllUp() {
+    this.evaluate();
+    const visit = (node) => {
+      this.computeUp(node);
+      node.children.forEach(visit);
+    };
+    this.root.children.forEach(visit);
+  }
+
+  /**
+   * Propagate a node's subtree partials across its branch
+   * @param {Object} node - Engine node
+   * @returns {Object} {vec, scale, isTip}
+   */
+  propagatedSubtree(node) {
+    const source = this.subtreeVector(node);
+    const { vec, scale } = this.newPartials();
+    this.multiplyPropagated(vec, scale, source.vec, source.scale, source.isTip, this.transitionMatrices(node.length));
+    return { vec, scale, isTip: false };
+  }
+
+  /**
+   * Propagate the partials above a non-root node across its branch (located at the node)
+   * @param {Object} node - Engine node
+   * @returns {Object} {vec, scale, isTip}
+   */
+  propagatedUp(node) {
+    const { vec, scale } = this.newPartials();
+    this.multiplyPropagated(vec, scale, node.up, node.upScale, false, this.transitionMatrices(node.length));
+    return { vec, scale, isTip: false };
+  }
+
+  /**
+   * Elementwise product of partial vectors
+   * @param {Object} a - {vec, scale}
+   * @param {Object} b - {vec, scale}
+   * @returns {Object} {vec, scale, isTip}
+   */
+  productPartials(a, b) {
+    const vec = new Float64Array(a.vec.length);
+    for (let i = 0; i < vec.length; i++) vec[i] = a.vec[i] * b.vec[i];
+    const scale = new Float64Array(this.patternCount);
+    for (let p = 0; p < scale.length; p++) scale[p] = a.scale[p] + b.scale[p];
+    this.rescale(vec, scale);
+    return { vec, scale, isTip: false };
+  }
+
+  /**
+   * One round of nearest-neighbor interchanges on all internal branches
+   * @returns {Number} Number of NNI moves applied
+   */
+  nniRound() {
+    const before = this.optimizeBranchLengths(1);
+    this.computeAllUp();
+
+    const candidates = [];
+    this.nodes.forEach(node => {
+      const parent = node.parent;
+      if (!parent || node.seq >= 0 || node.children.length !== 2) return;
+      if (parent !== this.root && parent.children.length !== 2) return;
+
+      const siblings = parent.children.filter(child => child !== node);
+      const swapped = siblings[0];
+      const fixed = parent === this.root ? this.propagatedSubtree(siblings[1]) : this.propagatedUp(parent);
+      const swappedVector = this.propagatedSubtree(swapped);
+      const childVectors = node.children.map(child => this.propagatedSubtree(child));
+
+      node.children.forEach((child, index) => {
+        const left = this.productPartials(childVectors[index], fixed);
+        const right = this.productPartials(swappedVector, childVectors[1 - index]);
+        const likelihood = this.branchLikelihood(left, right);
+        const length = goldenSectionMax(likelihood, MIN_BRANCH_LENGTH, MAX_BRANCH_LENGTH, 1e-5);
+        const gain = likelihood(length) - before;
+        if (gain > this.epsilon) candidates.push({ node, parent, swapped, child, length, gain });
+      });
+    });
+
+    if (candidates.length === 0) return 0;
+
+    candidates.sort((a, b) => b.gain - a.gain);
+    const snapshot = this.snapshot();
+    const used = new Set();
+    let applied = 0;
+    candidates.forEach(candidate => {
+      if (used.has(candidate.node) || used.has(candidate.parent)) return;
+      used.add(candidate.node);
+      used.add(candidate.parent);
+      this.applyNNI(candidate);
+      applied++;
+    });
+
+    // Simultaneous moves can interact badly; fall back to the single best move
+    if (this.optimizeBranchLengths() < before + this.epsilon && applied > 1) {
+      this.restore(snapshot);
+      this.applyNNI(candidates[0]);
+      applied = 1;
+      this.optimizeBranchLengths();
+    }
+
+    if (this.logLikelihood < before) {
+      this.restore(snapshot);
+      this.optimizeBranchLengths(1);
+      return 0;
+    }
+    return applied;
+  }
+
+  /**
+   * Swap a sibling of `node` with one of its children
+   * @param {Object} move - {node, parent, swapped, child, length}
+   */
+  applyNNI({ node, parent, swapped, child, length }) {
+    parent.children[parent.children.indexOf(swapped)] = child;
+    node.children[node.children.indexOf(child)] = swapped;
+    child.parent = parent;
+    swapped.parent = node;
+    node.length = length;
+    this.markDirty(node);
+  }
+
+  snapshot() {
+    return {
+      root: this.root,
+      nodes: this.nodes.map(node => ({ node, parent: node.parent, children: [...node.children], length: node.length }))
+    };
+  }
+
+  restore(snapshot) {
+    this.root = snapshot.root;
+    snapshot.nodes.forEach(({ node, parent, children, length }) => {
+      node.parent = parent;
+      node.children = children;
+      node.length = length;
+    });
+    this.markAllDirty();
+    this.evaluate();
+  }
+
+  /**
+   * Move the storage root to another internal node (the likelihood is unchanged)
+   * @param {Object} node - Internal engine node
+   */
+  reroot(node) {
+    const path = [];
+    for (let current = node; current; current = current.parent) path.push(current);
+
+    for (let i = path.length - 1; i > 0; i--) {
+      const upper = path[i];
+      const lower = path[i - 1];
+      upper.children = upper.children.filter(child => child !== lower);
+      lower.children.push(upper);
+      upper.parent = lower;
+      upper.length = lower.length;
+    }
+
+    node.parent = null;
+    node.length = 0;
+    this.root = node;
+    path.forEach(current => { current.dirty = true; });
+  }
+
+  /**
+   * One round of subtree pruning and regrafting within a limited radius
+   * @param {Number} radius - Maximum number of branches between the old and new position
+   * @returns {Number} Number of SPR moves applied
+   */
+  sprRound(radius) {
+    let current = this.evaluate();
+    let applied = 0;
+
+    [...this.nodes].forEach(subtree => {
+      if (!subtree.parent) return;
+
+      // Pruning needs a bifurcating parent; move the storage root out of the way
+      if (subtree.parent === this.root) {
+        const alternative = this.root.children.find(child => child !== subtree && child.seq < 0);
+        if (!alternative) return;
+        this.reroot(alternative);
+      }
+
+      const parent = subtree.parent;
+      if (parent.children.length !== 2) return;
+      const grandparent = parent.parent;
+      const sibling = parent.children.find(child => child !== subtree);
+      const siblingLength = sibling.length;
+      const parentLength = parent.length;
+
+      // Prune: the sibling takes the parent's place
+      grandparent.children[grandparent.children.indexOf(parent)] = sibling;
+      sibling.parent = grandparent;
+      sibling.length = siblingLength + parentLength;
+      this.markDirty(grandparent);
+
+      let best = null;
+      this.regraftTargets(sibling, radius).forEach(target => {
+        const targetLength = target.length;
+        this.insertOnBranch(parent, subtree, target, targetLength / 2, targetLength / 2);
+        const logLikelihood = this.evaluate();
+        if (logLikelihood > current + this.epsilon && (!best || logLikelihood > best.logLikelihood)) {
+          best = { target, logLikelihood };
+        }
+        this.removeFromBranch(parent, target, targetLength);
+      });
+
+      if (best) {
+        const targetLength = best.target.length;
+        this.insertOnBranch(parent, subtree, best.target, targetLength / 2, targetLength / 2);
+        current = this.evaluate();
+        applied++;
+      } else {
+        this.insertOnBranch(parent, subtree, sibling, parentLength, siblingLength);
+        current = this.evaluate();
+      }
+    });
+
+    return applied;
+  }
+
+  /**
+   * Insert a (pruned) node on the branch above `target`
+   * @param {Object} node - Pruned internal node
+   * @param {Object} subtree - Pruned subtree hanging below `node`
+   * @param {Object} target - Node whose parent branch is split
+   * @param {Number} upperLength - Length of the new branch above `node`
+   * @param {Number} lowerLength - Length of the branch between `node` and `target`
+   */
+  insertOnBranch(node, subtree, target, upperLength, lowerLength) {
+    const above = target.parent;
+    above.children[above.children.indexOf(target)] = node;
+    node.parent = above;
+    node.children = [target, subtree];
+    node.length = upperLength;
+    target.parent = node;
+    target.length = lowerLength;
+    this.markDirty(node);
+  }
+
+  /**
+   * Undo insertOnBranch, restoring the target's branch
+   * @param {Object} node - Inserted node
+   * @param {Object} target - Node below the inserted node
+   * @param {Number} targetLength - Original branch length of the target
+   */
+  removeFromBranch(node, target, targetLength) {
+    const above = node.parent;
+    above.children[above.children.indexOf(node)] = target;
+    target.parent = above;
+    target.length = targetLength;
+    node.parent = null;
+    this.markDirty(above);
+  }
+
+  /**
+   * Branches within `radius` steps of the branch above `start`
+   * @param {Object} start - Node whose parent branch is the origin
+   * @param {Number} radius - Maximum distance in branches
+   * @returns {Array} Nodes identifying candidate branches
+   */
+  regraftTargets(start, radius) {
+    const seen = new Set([start]);
+    const targets = [];
+    let frontier = [start];
+
+    for (let step = 0; step < radius; step++) {
+      const next = [];
+      frontier.forEach(node => {
+        const neighbors = [...node.children, ...node.parent.children];
+        if (node.parent !== this.root) neighbors.push(node.parent);
+        neighbors.forEach(neighbor => {
+          if (seen.has(neighbor) || !neighbor.parent) return;
+          seen.add(neighbor);
+          targets.push(neighbor);
+          next.push(neighbor);
+        });
+      });
+      frontier = next;
+    }
+
+    return targets;
+  }
+
+  /**
+   * Convert the engine tree back to the Neighbor-Joining tree structure
+   * @returns {Object} Unrooted tree with a basal trifurcation
+   */
+  toTree() {
+    let counter = 0;
+    const convert = (node) => {
+      if (node.seq >= 0) {
+        return { ...node.source, children: [], distance: node.length };
+      }
+      const children = node.children.map(convert);
+      if (node === this.root) {
+        return { id: 'root', name: 'Root', isLeaf: false, children, distance: 0 };
+      }
+      counter++;
+      return { id: `node_${counter}`, name: `Node ${counter}`, isLeaf: false, children, distance: node.length };
+    };
+    return convert(this.root);
+  }
+
+  /**
+   * Summarize the fitted substitution model
+   * @returns {Object} {name, rates, frequencies, alpha, categories}
+   */
+  describeModel() {
+    const rates = {};
+    GTR_RATE_LABELS.forEach((label, r) => { rates[label] = this.rates[r]; });
+    return {
+      name: `GTR+G${this.K}`,
+      rates,
+      frequencies: { A: this.freqs[0], C: this.freqs[1], G: this.freqs[2], T: this.freqs[3] },
+      alpha: this.alpha,
+      categories: this.K
+    };
+  }
+}
+
+/**
+ * Eigen-decomposition of a small symmetric matrix by cyclic Jacobi rotations
+ * @param {Array} matrix - Symmetric matrix
+ * @returns {Object} {values, vectors}; vectors[m] is the eigenvector for values[m]
+ */
+function jacobiEigen(matrix) {
+  const n = matrix.length;
+  const a = matrix.map(row => [...row]);
+  const v = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+
+  for (let sweep = 0; sweep < 50; sweep++) {
+    let offDiagonal = 0;
+    for (let i = 0; i < n; i++) for (let j = i + 1; j < n; j++) offDiagonal += a[i][j] * a[i][j];
+    if (offDiagonal < 1e-22) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-300) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  return {
+    values: a.map((row, i) => row[i]),
+    vectors: Array.from({ length: n }, (_, m) => v.map(row => row[m]))
+  };
+}
+
+/**
+ * Mean rates of equal-probability discrete gamma categories (Yang 1994)
+ * @param {Number} alpha - Gamma shape parameter
+ * @param {Number} categories - Number of categories
+ * @returns {Array} Category rates with mean 1
+ */
+export function gammaCategoryRates(alpha, categories) {
+  if (categories <= 1) return [1];
+
+  const cuts = [0];
+  for (let k = 1; k < categories; k++) cuts.push(gammaQuantile(k / categories, alpha));
+  cuts.push(Infinity);
+
+  const rates = [];
+  for (let k = 0; k < categories; k++) {
+    const upper = cuts[k + 1] === Infinity ? 1 : regularizedGammaP(alpha + 1, alpha * cuts[k + 1]);
+    const lower = regularizedGammaP(alpha + 1, alpha * cuts[k]);
+    rates.push(categories * (upper - lower));
+  }
+
+  const mean = rates.reduce((sum, r) => sum + r, 0) / categories;
+  return rates.map(r => r / mean);
+}
+
+/**
+ * Quantile of the Gamma(alpha, rate = alpha) distribution by bisection
+ * @param {Number} probability - Cumulative probability
+ * @param {Number} alpha - Shape parameter
+ * @returns {Number} Quantile
+ */
+function gammaQuantile(probability, alpha) {
+  let low = 0;
+  let high = 1;
+  while (regularizedGammaP(alpha, alpha * high) < probability) high *= 2;
+
+  for (let i = 0; i < 100 && high - low > 1e-12 * high; i++) {
+    const mid = (low + high) / 2;
+    if (regularizedGammaP(alpha, alpha * mid) < probability) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Regularized lower incomplete gamma function P(a, x)
+ * @param {Number} a - Shape
+ * @param {Number} x - Upper integration limit
+ * @returns {Number} P(a, x)
+ */
+function regularizedGammaP(a, x) {
+  if (x <= 0) return 0;
+  const logPrefactor = a * Math.log(x) - x - logGamma(a);
+
+  if (x < a + 1) {
+    // Series expansion
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < 500; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+    }
+    return Math.min(1, sum * Math.exp(logPrefactor));
+  }
+
+  // Continued fraction for Q(a, x) (modified Lentz)
+  let b = x + 1 - a;
+  let c = 1 / 1e-300;
+  let d = 1 / b;
+  let h = d;
+  for (let n = 1; n < 500; n++) {
+    const an = -n * (n - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-15) break;
+  }
+  return Math.max(0, 1 - Math.exp(logPrefactor) * h);
+}
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ * @param {Number} x - Positive argument
+ * @returns {Number} ln Γ(x)
+ */
+function logGamma(x) {
+  const coefficients = [
+    676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+    9.9843695780195716e-6, 1.5056327351493116e-7
+  ];
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+
+  const z = x - 1;
+  let sum = 0.99999999999980993;
+  coefficients.forEach((coefficient, i) => { sum += coefficient / (z + i + 1); });
+  const t = z + coefficients.length - 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+}
@@ -0,0 +1,414 @@
+// src/utils/metapopulationModel.js
+// Metapopulation viability: conservation areas as subpopulations linked by dispersal and corridors
+
+import {
+  DEFAULT_VIABILITY_OPTIONS,
+  resolveViabilityParameters,
+  mortalitySchedules,
+  normalDeviate,
+  createPopulation,
+  geneDiversity,
+  breed,
+  survive,
+  harvest,
+  drawCatastrophes,
+  carryingCapacityAt,
+  truncateToCapacity,
+  meanInbreeding,
+  isExtinct,
+  percentile
+} from './viabilityModel';
+import { haversineDistance } from './spatialAnalysis';
+
+export const DEFAULT_METAPOPULATION_PARAMETERS = {
+  dispersalRate: { female: 0.02, male: 0.2 }, // Annual probability a subadult sets off, before distance decay
+  dispersalDistance: 10,         // km: mean dispersal distance across unforested matrix
+  corridorDispersalDistance: 100, // km: mean dispersal distance along a forest corridor
+  environmentalCorrelation: 0.5, // Correlation of the annual environmental deviates between areas
+  corridorDistance: 50,          // km: areas this close start connected, as suggestCorridors proposes
+  maxSubpopulations: 8           // Largest areas kept as subpopulations
+};
+
+/**
+ * Resolve metapopulation parameters over the defaults (dispersal rates merge per sex)
+ * @param {Object} parameters - Partial parameters
+ * @returns {Object} Complete parameters
+ */
+export function resolveMetapopulationParameters(parameters = {}) {
+  return {
+    ...DEFAULT_METAPOPULATION_PARAMETERS,
+    ...parameters,
+    dispersalRate: { ...DEFAULT_METAPOPULATION_PARAMETERS.dispersalRate, ...parameters.dispersalRate }
+  };
+}
+
+/**
+ * Subpopulations of a species from conservation areas. Configured areas (keyed by name, with
+ * primarySpecies) are weighted by their extent; density-based areas (an array, with a species
+ * list) by their estimated population size. The species' initial size and K are shared out
+ * in proportion to the weights.
+ * @param {Object|Array} areas - CONSERVATION_AREAS or density-based conservation locations
+ * @param {String} species - Species name
+ * @param {Object} population - {initialSize, carryingCapacity} of the whole species
+ * @param {Object} parameters - Metapopulation parameters (maxSubpopulations)
+ * @returns {Array} Subpopulations {id, name, center: [lat, lng], threats, parameters: {initialSize, carryingCapacity}}
+ */
+export function subpopulationsFromAreas(areas, species, population, parameters = {}) {
+  const { maxSubpopulations } = resolveMetapopulationParameters(parameters);
+  const candidates = Array.isArray(areas)
+    ? areas
+        .filter(area => [].concat(area.species).includes(species))
+        .map(area => ({
+          id: String(area.id),
+          name: area.name,
+          center: area.coordinates || area.center,
+          threats: area.threats || [],
+          weight: area.populationSize || area.area || 0
+        }))
+    : Object.entries(areas)
+        .filter(([, area]) => area.primarySpecies === species)
+        .map(([name, area]) => ({ id: name, name, center: area.center, threats: area.threats || [], weight: area.area || 0 }));
+
+  const kept = candidates
+    .filter(area => area.center && area.weight > 0)
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, maxSubpopulations);
+  const totalWeight = kept.reduce((sum, area) => sum + area.weight, 0);
+
+  return kept.map(({ weight, ...area }) => ({
+    ...area,
+    parameters: {
+      initialSize: Math.max(2, Math.round(population.initialSize * weight / totalWeight)),
+      carryingCapacity: Math.max(2, Math.round(population.carryingCapacity * weight / totalWeight))
+    }
+  }));
+}
+
+/**
+ * Great-circle distances between subpopulation centres
+ * @param {Array} subpopulations - Subpopulations with center [lat, lng]
+ * @returns {Array} Symmetric matrix of distances in km
+ */
+export function subpopulationDistances(subpopulations) {
+  return subpopulations.map(a =>
+    subpopulations.map(b => haversineDistance(a.center[0], a.center[1], b.center[0], b.center[1]))
+  );
+}
+
+/**
+ * Corridors worth testing: the minimum spanning tree of the areas (each area's link to its
+ * nearest neighbours) plus any corridor already in place
+ * @param {Array} subpopulations - Subpopulations
+ * @param {Array} corridors - Existing corridors [{from, to}] by subpopulation id
+ * @returns {Array} Candidate corridors {from, to, distance}, shortest first
+ */
+export function candidateCorridors(subpopulations, corridors = []) {
+  const distances = subpopulationDistances(subpopulations);
+  const candidates = new Map();
+  const add = (i, j) => {
+    const [a, b] = i < j ? [i, j] : [j, i];
+    candidates.set(`${a}-${b}`, { from: subpopulations[a].id, to: subpopulations[b].id, distance: distances[a][b] });
+  };
+
+  // Prim's algorithm
+  const inTree = new Set(subpopulations.length > 0 ? [0] : []);
+  while (inTree.size < subpopulations.length) {
+    let best = null;
+    inTree.forEach(i => {
+      subpopulations.forEach((_, j) => {
+        if (!inTree.has(j) && (!best || distances[i][j] < distances[best[0]][best[1]])) best = [i, j];
+      });
+    });
+    add(best[0], best[1]);
+    inTree.add(best[1]);
+  }
+
+  const index = new Map(subpopulations.map((subpopulation, i) => [subpopulation.id, i]));
+  corridors.forEach(corridor => {
+    if (index.has(corridor.from) && index.has(corridor.to)) add(index.get(corridor.from), index.get(corridor.to));
+  });
+  return [...candidates.values()].sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Corridors present at the start: every pair of areas closer than corridorDistance
+ * @param {Array} subpopulations - Subpopulations
+ * @param {Object} parameters - Metapopulation parameters
+ * @returns {Array} Corridors {from, to, distance}
+ */
+export function defaultCorridors(subpopulations, parameters = {}) {
+  const { corridorDistance } = resolveMetapopulationParameters(parameters);
+  const distances = subpopulationDistances(subpopulations);
+  const corridors = [];
+  subpopulations.forEach((a, i) => {
+    for (let j = i + 1; j < subpopulations.length; j++) {
+      if (distances[i][j] < corridorDistance) {
+        corridors.push({ from: a.id, to: subpopulations[j].id, distance: distances[i][j] });
+      }
+    }
+  });
+  return corridors;
+}
+
+/**
+ * Connectivity between areas, exp(-d / D): D is the corridor dispersal distance for areas
+ * joined by a corridor and the matrix dispersal distance otherwise
+ * @param {Array} subpopulations - Subpopulations
+ * @param {Array} corridors - Corridors [{from, to}] by subpopulation id
+ * @param {Object} parameters - Resolved metapopulation parameters
+ * @returns {Array} Matrix of connectivities, 0 on the diagonal
+ */
+export function connectivityMatrix(subpopulations, corridors, parameters) {
+  const distances = subpopulationDistances(subpopulations);
+  const linked = new Set(corridors.flatMap(corridor => [`${corridor.from}|${corridor.to}`, `${corridor.to}|${corridor.from}`]));
+  return subpopulations.map((a, i) => subpopulations.map((b, j) => {
+    if (i === j) return 0;
+    const scale = linked.has(`${a.id}|${b.id}`) ? parameters.corridorDispersalDistance : parameters.dispersalDistance;
+    return Math.exp(-distances[i][j] / scale);
+  }));
+}
+
+/**
+ * Dispersal for one year: each subadult moves from area i to area j with probability
+ * dispersalRate[sex] × connectivity[i][j] (scaled down if the total exceeds 1)
+ * @param {Array} populations - Population state per subpopulation (modified)
+ * @param {Array} connectivity - Connectivity matrix
+ * @param {Object} config - Resolved viability parameters
+ * @param {Object} parameters - Resolved metapopulation parameters
+ * @param {Function} random - Uniform [0, 1) generator
+ * @returns {Array} Immigrants received by each subpopulation
+ */
+export function disperse(populations, connectivity, config, parameters, random = Math.random) {
+  const arrivals = populations.map(() => []);
+  populations.forEach((population, i) => {
+    const totals = {};
+    ['female', 'male'].forEach(sex => {
+      totals[sex] = connectivity[i].reduce((sum, value) => sum + value, 0) * parameters.dispersalRate[sex];
+    });
+
+    population.individuals = population.individuals.filter(individual => {
+      const firstBreeding = individual.sex === 'female' ? config.femaleFirstBreeding : config.maleFirstBreeding;
+      if (individual.age < config.subadultAge || individual.age >= firstBreeding) return true;
+
+      const scale = parameters.dispersalRate[individual.sex] / Math.max(1, totals[individual.sex]);
+      let target = random();
+      for (let j = 0; j < connectivity[i].length; j++) {
+        target -= connectivity[i][j] * scale;
+        if (target < 0) {
+          arrivals[j].push(individual);
+          return false;
+        }
+      }
+      return true;
+    });
+  });
+  arrivals.forEach((immigrants, j) => populations[j].individuals.push(...immigrants));
+  return arrivals.map(immigrants => immigrants.length);
+}
+
+/**
+ * Simulate one iteration of the metapopulation. Every area runs the single-population year
+ * (catastrophes, breeding, mortality, offtake) with its own catastrophes; the environmental
+ * deviate of each area is sqrt(ρ)·z + sqrt(1 − ρ)·zᵢ with a shared z. Subadults then disperse
+ * and each area is truncated to its own K. Individual ids are unique across areas so
+ * kinship and inbreeding follow migrants.
+ * @param {Array} configs - Resolved viability parameters per subpopulation
+ * @param {Array} connectivity - Connectivity matrix
+ * @param {Object} parameters - Resolved metapopulation parameters
+ * @param {Number} years - Years to simulate
+ * @param {Function} random - Uniform [0, 1) generator
+ * @returns {Object} {sizes and occupied (both sexes present) per area, totals, heterozygosity, inbreeding,
+ *   extinctionYear, migrants}
+ */
+export function simulateMetapopulation(configs, connectivity, parameters, years, random = Math.random) {
+  const shared = configs[0];
+  const schedules = mortalitySchedules(shared);
+  const loci = shared.geneticLoci;
+  const frequencies = shared.founderAlleleFrequencies;
+
+  // Founders are created per area, then renumbered so ids and unique founder alleles do not collide
+  let nextId = 0;
+  const populations = configs.map(config => {
+    const population = createPopulation(config, random);
+    population.individuals.forEach(individual => {
+      individual.id += nextId;
+      if (!frequencies) {
+        for (let copy = 0; copy < individual.alleles.length; copy++) individual.alleles[copy] += nextId * 2;
+      }
+    });
+    nextId += config.initialSize;
+    return population;
+  });
+  const counts = new Int32Array(frequencies ? frequencies.length : nextId * 2);
+  const everyone = () => populations.flatMap(population => population.individuals);
+
+  const sizes = configs.map(() => new Float64Array(years + 1));
+  const occupied = configs.map(() => new Uint8Array(years + 1));
+  const totals = new Float64Array(years + 1);
+  const heterozygosity = new Float64Array(years + 1);
+  const inbreeding = new Float64Array(years + 1);
+  const migrants = new Float64Array(configs.length);
+  const record = year => {
+    const individuals = everyone();
+    populations.forEach((population, k) => {
+      sizes[k][year] = population.individuals.length;
+      occupied[k][year] = isExtinct(population.individuals) ? 0 : 1;
+    });
+    totals[year] = individuals.length;
+    heterozygosity[year] = geneDiversity(individuals, loci, counts);
+    inbreeding[year] = meanInbreeding(individuals);
+  };
+  record(0);
+  let extinctionYear = isExtinct(everyone()) ? 0 : null;
+
+  const correlation = Math.min(1, Math.max(0, parameters.environmentalCorrelation));
+  for (let year = 1; year <= years && extinctionYear === null; year++) {
+    const common = normalDeviate(random);
+    populations.forEach((population, k) => {
+      const config = configs[k];
+      const environment = Math.sqrt(correlation) * common + Math.sqrt(1 - correlation) * normalDeviate(random);
+      const catastrophe = drawCatastrophes(config.catastrophes, random);
+      const breedingProbability = Math.min(1, Math.max(0, config.breedingProbability + config.breedingSD * environment)) *
+        catastrophe.reproduction;
+      population.nextId = nextId;
+      breed(population, config, year, breedingProbability, random);
+      nextId = population.nextId;
+      survive(population, schedules, Math.max(0, 1 - config.mortalityCV * environment), config, random, catastrophe.survival);
+      harvest(population, config.offtakeRate, config, random);
+    });
+
+    disperse(populations, connectivity, shared, parameters, random).forEach((count, k) => { migrants[k] += count; });
+    populations.forEach((population, k) => truncateToCapacity(population, carryingCapacityAt(configs[k], year), random));
+
+    if (isExtinct(everyone())) {
+      extinctionYear = year;
+      break;
+    }
+    record(year);
+  }
+
+  return { sizes, occupied, totals, heterozygosity, inbreeding, extinctionYear, migrants };
+}
+
+/**
+ * Run the metapopulation model over many iterations. The metapopulation is extinct once
+ * only one sex remains across all areas; an area counts as extinct in a year when only one
+ * sex remains in it, even if immigrants later recolonise it.
+ * @param {Object} population - Viability parameters shared by all areas (life history, genetics)
+ * @param {Array} subpopulations - Subpopulations with their own parameters (K, initial size, threats)
+ * @param {Array} corridors - Corridors [{from, to}] by subpopulation id
+ * @param {Object} parameters - Partial metapopulation parameters
+ * @param {Object} options - {years, iterations, random, onProgress}
+ * @returns {Object} Metapopulation extinction probability and times, yearly total N and
+ *   occupied areas, H/H0 and F, and per area K, N0, final extinction probability, mean N and immigrants
+ */
+export function runMetapopulationModel(population, subpopulations, corridors = [], parameters = {}, options = {}) {
+  const settings = resolveMetapopulationParameters(parameters);
+  const { years, iterations } = { ...DEFAULT_VIABILITY_OPTIONS, ...options };
+  const { random = Math.random, onProgress } = options;
+  if (subpopulations.length === 0) {
+    throw new Error('Metapopulation viability analysis needs at least one subpopulation');
+  }
+
+  const configs = subpopulations.map(subpopulation => resolveViabilityParameters({ ...population, ...subpopulation.parameters }));
+  const connectivity = connectivityMatrix(subpopulations, corridors, settings);
+  const runs = [];
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    if (onProgress && iteration % 10 === 0) {
+      onProgress({ stage: 'simulation', completed: iteration, total: iterations });
+    }
+    runs.push(simulateMetapopulation(configs, connectivity, settings, years, random));
+  }
+
+  const extinctionYears = runs
+    .map(run => run.extinctionYear)
+    .filter(year => year !== null)
+    .sort((a, b) => a - b);
+  const trajectory = [];
+  for (let year = 0; year <= years; year++) {
+    const totals = runs.map(run => run.totals[year]).sort((a, b) => a - b);
+    const extant = runs.filter(run => run.extinctionYear === null || run.extinctionYear > year);
+    const polymorphic = extant.filter(run => run.heterozygosity[0] > 0);
+    trajectory.push({
+      year,
+      mean: totals.reduce((sum, size) => sum + size, 0) / runs.length,
+      lower: percentile(totals, 0.025),
+      upper: percentile(totals, 0.975),
+      subpopulations: subpopulations.map((_, k) => runs.reduce((sum, run) => sum + run.sizes[k][year], 0) / runs.length),
+      occupied: runs.reduce((sum, run) => sum + run.occupied.reduce((count, area) => count + area[year], 0), 0) / runs.length,
+      heterozygosity: polymorphic.length > 0
+        ? polymorphic.reduce((sum, run) => sum + run.heterozygosity[year] / run.heterozygosity[0], 0) / polymorphic.length
+        : null,
+      inbreeding: extant.length > 0 ? extant.reduce((sum, run) => sum + run.inbreeding[year], 0) / extant.length : null,
+      extinctionProbability: (runs.length - extant.length) / runs.length
+    });
+  }
+
+  const final = trajectory[years];
+  return {
+    years,
+    iterations,
+    corridors,
+    extinctionProbability: extinctionYears.length / iterations,
+    extinctionTime: extinctionYears.length > 0
+      ? {
+          mean: extinctionYears.reduce((sum, year) => sum + year, 0) / extinctionYears.length,
+          median: percentile(extinctionYears, 0.5),
+          earliest: extinctionYears[0]
+        }
+      : null,
+    trajectory,
+    occupiedAreas: final.occupied,
+    heterozygosityRetained: final.heterozygosity,
+    finalInbreeding: final.inbreeding,
+    subpopulations: subpopulations.map((subpopulation, k) => {
+      const survivors = runs.filter(run => run.occupied[k][years] === 1);
+      return {
+        id: subpopulation.id,
+        name: subpopulation.name,
+        initialSize: configs[k].initialSize,
+        carryingCapacity: configs[k].carryingCapacity,
+        extinctionProbability: (runs.length - survivors.length) / runs.length,
+        finalSize: survivors.length > 0 ? survivors.reduce((sum, run) => sum + run.sizes[k][years], 0) / survivors.length : null,
+        immigrantsPerIteration: runs.reduce((sum, run) => sum + run.migrants[k], 0) / iterations
+      };
+    })
+  };
+}
+
+/**
+ * Effect of each candidate corridor on metapopulation viability: the current landscape is
+ * run once, then again with each candidate added (if absent) or removed (if present)
+ * @param {Object} population - Shared viability parameters
+ * @param {Array} subpopulations - Subpopulations
+ * @param {Object} options - {corridors, candidates, parameters, years, iterations, random, onProgress}
+ * @returns {Object} {subpopulations, corridors, current, alternatives: [{corridor, action, result}]}
+ */
+export function analyzeCorridors(population, subpopulations, options = {}) {
+  const { parameters = {}, corridors: existing, candidates: proposed, onProgress, ...runOptions } = options;
+  const corridors = existing || defaultCorridors(subpopulations, parameters);
+  const candidates = proposed || candidateCorridors(subpopulations, corridors);
+  const isCurrent = candidate => corridors.some(corridor =>
+    (corridor.from === candidate.from && corridor.to === candidate.to) ||
+    (corridor.from === candidate.to && corridor.to === candidate.from)
+  );
+  const total = candidates.length + 1;
+  const run = (landscape, index) => runMetapopulationModel(population, subpopulations, landscape, parameters, {
+    ...runOptions,
+    onProgress: onProgress && (progress => onProgress({ ...progress, scenario: index, scenarios: total }))
+  });
+
+  const current = run(corridors, 0);
+  const alternatives = candidates.map((candidate, index) => {
+    const present = isCurrent(candidate);
+    const landscape = present
+      ? corridors.filter(corridor => !(
+          (corridor.from === candidate.from && corridor.to === candidate.to) ||
+          (corridor.from === candidate.to && corridor.to === candidate.from)
+        ))
+      : [...corridors, candidate];
+    return { corridor: candidate, action: present ? 'remove' : 'add', result: run(landscape, index + 1) };
+  });
+
+  return { subpopulations, corridors, candidates, current, alternatives };
+}
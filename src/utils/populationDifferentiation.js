@@ -0,0 +1,455 @@
+// src/utils/populationDifferentiation.js
+// Differentiation between sampled populations: pairwise FST/ΦST with permutation tests and hierarchical AMOVA
+
+export const POPULATION_GROUPINGS = {
+  species: 'Species',
+  location: 'Sampling site',
+  clusterAssignment: 'Density cluster'
+};
+
+export const DEFAULT_DIFFERENTIATION_OPTIONS = {
+  groupBy: 'location',
+  permutations: 1000,
+  minPopulationSize: 4,   // Populations with fewer samples are left out; 4 + 4 is the smallest pair that can reach p < 0.05
+  alpha: 0.05             // Pairs differentiated at this level belong to different management units
+};
+
+const NUCLEOTIDES = new Set(['A', 'C', 'G', 'T']);
+
+/**
+ * Pairwise nucleotide differences between aligned sequences, counting only sites where
+ * both sequences have A, C, G or T (pairwise deletion)
+ * @param {Array} aligned - Aligned sequence strings
+ * @returns {Float64Array} n × n distance matrix
+ */
+export function pairwiseDifferenceMatrix(aligned) {
+  const n = aligned.length;
+  const rows = aligned.map(sequence => sequence.toUpperCase());
+  const distances = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const length = Math.min(rows[i].length, rows[j].length);
+      let differences = 0;
+      for (let k = 0; k < length; k++) {
+        const a = rows[i][k];
+        const b = rows[j][k];
+        if (a !== b && NUCLEOTIDES.has(a) && NUCLEOTIDES.has(b)) differences++;
+      }
+      distances[i * n + j] = differences;
+      distances[j * n + i] = differences;
+    }
+  }
+  return distances;
+}
+
+/**
+ * Split records into populations nested in species. Records missing the grouping value
+ * and populations below the minimum size are reported rather than analyzed.
+ * @param {Array} records - [{id, species, location, clusterAssignment}]
+ * @param {String} groupBy - Key of POPULATION_GROUPINGS
+ * @param {Number} minPopulationSize - Smallest population kept
+ * @returns {Object} {populations: [{id, name, species, members: record indices}], excluded: [{id, species, reason}]}
+ */
+export function assignPopulations(records, groupBy, minPopulationSize = DEFAULT_DIFFERENTIATION_OPTIONS.minPopulationSize) {
+  if (!POPULATION_GROUPINGS[groupBy]) {
+    throw new Error(`Unknown population grouping: ${groupBy}`);
+  }
+
+  const byKey = new Map();
+  const excluded = [];
+  records.forEach((record, index) => {
+    const value = groupBy === 'species' ? record.species : record[groupBy];
+    if (value === null || value === undefined || value === '') {
+      excluded.push({ id: record.id, species: record.species, reason: `no ${POPULATION_GROUPINGS[groupBy].toLowerCase()}` });
+      return;
+    }
+    const key = groupBy === 'species' ? record.species : `${record.species}|${value}`;
+    if (!byKey.has(key)) byKey.set(key, { id: key, name: String(value), species: record.species, members: [] });
+    byKey.get(key).members.push(index);
+  });
+
+  const populations = [];
+  byKey.forEach(population => {
+    if (population.members.length >= minPopulationSize) {
+      populations.push(population);
+    } else {
+      population.members.forEach(index => excluded.push({
+        id: records[index].id,
+        species: records[index].species,
+        reason: `population ${population.name} has fewer than ${minPopulationSize} samples`
+      }));
+    }
+  });
+
+  return { populations, excluded };
+}
+
+/**
+ * Sum of squared deviations within classes: Σ_class (1 / n_class) Σ_{i<j in class} δ²_ij.
+ * Pairwise differences are squared Euclidean distances between haplotype vectors (Excoffier et al. 1992).
+ * @param {Float64Array} distances - Distance matrix
+ * @param {Number} n - Individuals
+ * @param {Int32Array|Array} labels - Class per individual
+ * @param {Array} sizes - Individuals per class
+ * @returns {Number} SSD
+ */
+function ssdWithin(distances, n, labels, sizes) {
+  let ssd = 0;
+  for (let i = 0; i < n; i++) {
+    const label = labels[i];
+    for (let j = i + 1; j < n; j++) {
+      if (labels[j] === label) ssd += distances[i * n + j] / sizes[label];
+    }
+  }
+  return ssd;
+}
+
+function shuffle(values, random) {
+  for (let i = values.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    const swap = values[i];
+    values[i] = values[j];
+    values[j] = swap;
+  }
+  return values;
+}
+
+function countBy(labels, classes) {
+  const sizes = new Array(classes).fill(0);
+  for (let i = 0; i < labels.length; i++) sizes[labels[i]]++;
+  return sizes;
+}
+
+/**
+ * AMOVA variance components. With more than one group and more populations than groups
+ * the design is hierarchical (groups > populations > individuals), otherwise it is
+ * populations > individuals.
+ * @param {Float64Array} distances - Distance matrix
+ * @param {Int32Array} populationOf - Population per individual
+ * @param {Array} groupOfPopulation - Group per population
+ * @returns {Object} Sources of variation with df, SSD, σ² and percentages, plus Φ statistics
+ */
+function amovaComponents(distances, populationOf, groupOfPopulation) {
+  const n = populationOf.length;
+  const P = groupOfPopulation.length;
+  const G = Math.max(...groupOfPopulation) + 1;
+  const populationSizes = countBy(populationOf, P);
+  const groupOf = Int32Array.from(populationOf, population => groupOfPopulation[population]);
+  const groupSizes = countBy(groupOf, G);
+
+  const ssdTotal = ssdWithin(distances, n, new Int32Array(n), [n]);
+  const ssdWithinPopulations = ssdWithin(distances, n, populationOf, populationSizes);
+  const sumSquares = (sizes) => sizes.reduce((sum, size) => sum + size * size, 0);
+  const sigmaWithin = ssdWithinPopulations / (n - P);
+
+  if (G < 2 || P <= G) {
+    const ssdAmong = ssdTotal - ssdWithinPopulations;
+    const coefficient = (n - sumSquares(populationSizes) / n) / (P - 1);
+    const sigmaAmong = (ssdAmong / (P - 1) - sigmaWithin) / coefficient;
+    const total = sigmaAmong + sigmaWithin;
+    return {
+      hierarchical: false,
+      sources: [
+        { source: 'Among populations', df: P - 1, ssd: ssdAmong, sigma: sigmaAmong },
+        { source: 'Within populations', df: n - P, ssd: ssdWithinPopulations, sigma: sigmaWithin }
+      ],
+      total: { df: n - 1, ssd: ssdTotal, sigma: total },
+      phiST: total > 0 ? sigmaAmong / total : 0
+    };
+  }
+
+  const ssdWithinGroups = ssdWithin(distances, n, groupOf, groupSizes);
+  const ssdAmongGroups = ssdTotal - ssdWithinGroups;
+  const ssdAmongPopulations = ssdWithinGroups - ssdWithinPopulations;
+
+  // Σ_g Σ_{p in g} n_p² / N_g
+  let nestedSquares = 0;
+  populationSizes.forEach((size, population) => {
+    nestedSquares += (size * size) / groupSizes[groupOfPopulation[population]];
+  });
+  const nCoefficient = (n - nestedSquares) / (P - G);
+  const nPrime = (nestedSquares - sumSquares(populationSizes) / n) / (G - 1);
+  const nDoublePrime = (n - sumSquares(groupSizes) / n) / (G - 1);
+
+  const sigmaAmongPopulations = (ssdAmongPopulations / (P - G) - sigmaWithin) / nCoefficient;
+  const sigmaAmongGroups = (ssdAmongGroups / (G - 1) - sigmaWithin - nPrime * sigmaAmongPopulations) / nDoublePrime;
+  const total = sigmaAmongGroups + sigmaAmongPopulations + sigmaWithin;
+
+  return {
+    hierarchical: true,
+    sources: [
+      { source: 'Among groups', df: G - 1, ssd: ssdAmongGroups, sigma: sigmaAmongGroups },
+      { source: 'Among populations within groups', df: P - G, ssd: ssdAmongPopulations, sigma: sigmaAmongPopulations },
+      { source: 'Within populations', df: n - P, ssd: ssdWithinPopulations, sigma: sigmaWithin }
+    ],
+    total: { df: n - 1, ssd: ssdTotal, sigma: total },
+    phiST: total > 0 ? (sigmaAmongGroups + sigmaAmongPopulations) / total : 0,
+    phiSC: sigmaAmongPopulations + sigmaWithin > 0 ? sigmaAmongPopulations / (sigmaAmongPopulations + sigmaWithin) : 0,
+    phiCT: total > 0 ? sigmaAmongGroups / total : 0
+  };
+}
+
+/**
+ * Analysis of molecular variance (Excoffier, Smouse & Quattro 1992) with permutation tests:
+ * ΦST permutes individuals among all populations, ΦSC individuals among populations of the
+ * same group, and ΦCT whole populations among groups
+ * @param {Float64Array} distances - Distance matrix of the analyzed individuals
+ * @param {Int32Array} populationOf - Population index per individual
+ * @param {Array} groupOfPopulation - Group index per population
+ * @param {Object} options - {permutations, random, onProgress}
+ * @returns {Object} {hierarchical, sources: [{source, df, ssd, sigma, percentage}], total, phiST, phiSC, phiCT, pValues, permutations}
+ */
+export function amova(distances, populationOf, groupOfPopulation, options = {}) {
+  const { permutations = DEFAULT_DIFFERENTIATION_OPTIONS.permutations, random = Math.random, onProgress } = options;
+  const observed = amovaComponents(distances, populationOf, groupOfPopulation);
+  const statistics = observed.hierarchical ? ['phiST', 'phiSC', 'phiCT'] : ['phiST'];
+  const exceed = Object.fromEntries(statistics.map(name => [name, 0]));
+
+  // Individuals of each group, for permutations within groups
+  const groupMembers = new Map();
+  populationOf.forEach((population, individual) => {
+    const group = groupOfPopulation[population];
+    if (!groupMembers.has(group)) groupMembers.set(group, []);
+    groupMembers.get(group).push(individual);
+  });
+
+  for (let replicate = 0; replicate < permutations; replicate++) {
+    const acrossAll = amovaComponents(distances, shuffle(Int32Array.from(populationOf), random), groupOfPopulation);
+    if (acrossAll.phiST >= observed.phiST) exceed.phiST++;
+
+    if (observed.hierarchical) {
+      const withinGroups = Int32Array.from(populationOf);
+      groupMembers.forEach(members => {
+        const labels = shuffle(members.map(individual => populationOf[individual]), random);
+        members.forEach((individual, index) => {
+          withinGroups[individual] = labels[index];
+        });
+      });
+      if (amovaComponents(distances, withinGroups, groupOfPopulation).phiSC >= observed.phiSC) exceed.phiSC++;
+      if (amovaComponents(distances, populationOf, shuffle([...groupOfPopulation], random)).phiCT >= observed.phiCT) exceed.phiCT++;
+    }
+
+    if (onProgress && (replicate + 1) % 100 === 0) {
+      onProgress({ stage: 'amova', completed: replicate + 1, total: permutations });
+    }
+  }
+
+  return {
+    ...observed,
+    sources: observed.sources.map(source => ({
+      ...source,
+      percentage: observed.total.sigma > 0 ? (source.sigma / observed.total.sigma) * 100 : 0
+    })),
+    pValues: Object.fromEntries(statistics.map(name => [name, (exceed[name] + 1) / (permutations + 1)])),
+    permutations
+  };
+}
+
+/**
+ * Hudson's FST (Hudson, Slatkin & Maddison 1992) and ΦST of two populations
+ * @param {Float64Array} distances - Full distance matrix
+ * @param {Number} n - Individuals in the matrix
+ * @param {Array} first - Indices of the first population
+ * @param {Array} second - Indices of the second population
+ * @returns {Object} {fst, phiST, withinDifferences, betweenDifferences}
+ */
+function pairDifferentiation(distances, n, first, second) {
+  const meanWithin = (members) => {
+    let sum = 0;
+    let pairs = 0;
+    for (let a = 0; a < members.length; a++) {
+      for (let b = a + 1; b < members.length; b++) {
+        sum += distances[members[a] * n + members[b]];
+        pairs++;
+      }
+    }
+    return pairs > 0 ? sum / pairs : 0;
+  };
+
+  let between = 0;
+  first.forEach(i => second.forEach(j => {
+    between += distances[i * n + j];
+  }));
+  between /= first.length * second.length;
+  const within = (meanWithin(first) + meanWithin(second)) / 2;
+
+  // ΦST from the two-population AMOVA: among-population σ² over total σ²
+  const size = first.length + second.length;
+  const ssdWithinPopulations = meanWithin(first) * (first.length - 1) / 2 + meanWithin(second) * (second.length - 1) / 2;
+  let ssdTotal = 0;
+  const all = [...first, ...second];
+  for (let a = 0; a < all.length; a++) {
+    for (let b = a + 1; b < all.length; b++) ssdTotal += distances[all[a] * n + all[b]];
+  }
+  ssdTotal /= size;
+  const sigmaWithin = ssdWithinPopulations / (size - 2);
+  const coefficient = size - (first.length ** 2 + second.length ** 2) / size;
+  const sigmaAmong = (ssdTotal - ssdWithinPopulations - sigmaWithin) / coefficient;
+  const total = sigmaAmong + sigmaWithin;
+
+  return {
+    fst: between > 0 ? 1 - within / between : 0,
+    phiST: total > 0 ? sigmaAmong / total : 0,
+    withinDifferences: within,
+    betweenDifferences: between
+  };
+}
+
+/**
+ * Smallest p-value a permutation test of two populations can reach: one over the number of
+ * distinct splits of the pooled samples (halved for equal sizes, where swapping the populations
+ * gives the same statistic), and never below one over permutations + 1
+ * @param {Number} firstSize - Samples in the first population
+ * @param {Number} secondSize - Samples in the second population
+ * @param {Number} permutations - Permutations run
+ * @returns {Number} Minimum attainable p-value
+ */
+export function minimumPermutationP(firstSize, secondSize, permutations = DEFAULT_DIFFERENTIATION_OPTIONS.permutations) {
+  let splits = 1;
+  for (let i = 1; i <= Math.min(firstSize, secondSize); i++) {
+    splits = (splits * (firstSize + secondSize - i + 1)) / i;
+  }
+  if (firstSize === secondSize) splits /= 2;
+  return Math.max(1 / splits, 1 / (permutations + 1));
+}
+
+/**
+ * Pairwise FST and ΦST between populations with permutation p-values (individuals of the
+ * two populations are reassigned at random, keeping population sizes)
+ * @param {Float64Array} distances - Distance matrix
+ * @param {Number} n - Individuals in the matrix
+ * @param {Array} populations - [{members: indices into the matrix}]
+ * @param {Object} options - {permutations, random, onProgress}
+ * @returns {Array} [{first, second, fst, phiST, pFst, pPhiST, minimumP, withinDifferences, betweenDifferences}] by population index
+ */
+export function pairwiseDifferentiation(distances, n, populations, options = {}) {
+  const { permutations = DEFAULT_DIFFERENTIATION_OPTIONS.permutations, random = Math.random, onProgress } = options;
+  const pairs = [];
+  const totalPairs = (populations.length * (populations.length - 1)) / 2;
+
+  for (let a = 0; a < populations.length; a++) {
+    for (let b = a + 1; b < populations.length; b++) {
+      const first = populations[a].members;
+      const second = populations[b].members;
+      const observed = pairDifferentiation(distances, n, first, second);
+      const pooled = [...first, ...second];
+      let fstExceed = 0;
+      let phiExceed = 0;
+
+      for (let replicate = 0; replicate < permutations; replicate++) {
+        shuffle(pooled, random);
+        const permuted = pairDifferentiation(distances, n, pooled.slice(0, first.length), pooled.slice(first.length));
+        if (permuted.fst >= observed.fst) fstExceed++;
+        if (permuted.phiST >= observed.phiST) phiExceed++;
+      }
+
+      pairs.push({
+        first: a,
+        second: b,
+        ...observed,
+        pFst: (fstExceed + 1) / (permutations + 1),
+        pPhiST: (phiExceed + 1) / (permutations + 1),
+        minimumP: minimumPermutationP(first.length, second.length, permutations)
+      });
+      if (onProgress) onProgress({ stage: 'pairwise', completed: pairs.length, total: totalPairs });
+    }
+  }
+
+  return pairs;
+}
+
+/**
+ * Pairs of populations of the same species too small for their permutation test to reach alpha
+ * @param {Array} populations - Populations in analysis order
+ * @param {Array} pairs - Result of pairwiseDifferentiation
+ * @param {Number} alpha - Significance level for ΦST
+ * @returns {Array} Unresolved pairs as [first, second] population indices
+ */
+export function unresolvedPairs(populations, pairs, alpha = DEFAULT_DIFFERENTIATION_OPTIONS.alpha) {
+  return pairs
+    .filter(pair => populations[pair.first].species === populations[pair.second].species && pair.minimumP >= alpha)
+    .map(pair => [pair.first, pair.second]);
+}
+
+/**
+ * Management units: populations of the same species linked by pairs that are not significantly
+ * differentiated. A pair that could not have been significant (see unresolvedPairs) is no
+ * evidence of exchange and does not link its populations.
+ * @param {Array} populations - Populations in analysis order
+ * @param {Array} pairs - Result of pairwiseDifferentiation
+ * @param {Number} alpha - Significance level for ΦST
+ * @returns {Array} Units as arrays of population indices, largest first
+ */
+export function managementUnits(populations, pairs, alpha = DEFAULT_DIFFERENTIATION_OPTIONS.alpha) {
+  const parent = populations.map((_, index) => index);
+  const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  pairs.forEach(pair => {
+    const sameSpecies = populations[pair.first].species === populations[pair.second].species;
+    if (sameSpecies && pair.minimumP < alpha && pair.pPhiST >= alpha) parent[find(pair.first)] = find(pair.second);
+  });
+
+  const units = new Map();
+  populations.forEach((_, index) => {
+    const root = find(index);
+    if (!units.has(root)) units.set(root, []);
+    units.get(root).push(index);
+  });
+  return [...units.values()].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Population differentiation of one locus: populations are formed from the grouping field
+ * and nested in species; sequences are aligned together and compared by pairwise differences
+ * @param {Array} records - [{id, species, sequence, location, clusterAssignment}]
+ * @param {Object} options - See DEFAULT_DIFFERENTIATION_OPTIONS, plus onProgress
+ * @param {Function} align - (records) => aligned strings in the same order
+ * @returns {Object} {groupBy, populations, excluded, pairwise, amova, managementUnits, unresolvedPairs}
+ */
+export function analyzeDifferentiation(records, options = {}, align) {
+  const { onProgress, ...rest } = options;
+  const config = { ...DEFAULT_DIFFERENTIATION_OPTIONS, ...rest };
+  const { populations, excluded } = assignPopulations(records, config.groupBy, config.minPopulationSize);
+
+  const summary = {
+    groupBy: config.groupBy,
+    permutations: config.permutations,
+    alpha: config.alpha,
+    populations: populations.map(({ id, name, species, members }) => ({ id, name, species, size: members.length })),
+    excluded,
+    pairwise: [],
+    amova: null,
+    managementUnits: populations.map((_, index) => [index]),
+    unresolvedPairs: []
+  };
+  if (populations.length < 2) return summary;
+
+  // Only the grouped samples are aligned and compared
+  const analyzed = populations.flatMap(population => population.members);
+  const analyzedRecords = analyzed.map(index => records[index]);
+  const rows = align ? align(analyzedRecords) : analyzedRecords.map(record => record.sequence);
+  const n = rows.length;
+  const distances = pairwiseDifferenceMatrix(rows);
+
+  let offset = 0;
+  const local = populations.map(population => {
+    const members = population.members.map((_, index) => offset + index);
+    offset += members.length;
+    return { ...population, members };
+  });
+  const populationOf = new Int32Array(n);
+  local.forEach((population, index) => population.members.forEach(member => {
+    populationOf[member] = index;
+  }));
+  const speciesIndex = new Map();
+  const groupOfPopulation = local.map(population => {
+    if (!speciesIndex.has(population.species)) speciesIndex.set(population.species, speciesIndex.size);
+    return speciesIndex.get(population.species);
+  });
+
+  const progress = { onProgress, permutations: config.permutations };
+  summary.pairwise = pairwiseDifferentiation(distances, n, local, progress);
+  summary.amova = amova(distances, populationOf, groupOfPopulation, progress);
+  summary.managementUnits = managementUnits(local, summary.pairwise, config.alpha);
+  summary.unresolvedPairs = unresolvedPairs(local, summary.pairwise, config.alpha);
+  return summary;
+}
@@ -0,0 +1,439 @@
+// src/utils/populationGenetics.js
+// Population-genetic summary statistics of aligned sequences with coalescent significance tests
+
+export const DEFAULT_POPGEN_OPTIONS = {
+  simulations: 1000,      // Coalescent replicates for the Tajima's D and Fu's Fs tests
+  minTestSequences: 4     // Neutrality tests are not reported for smaller samples
+};
+
+const NUCLEOTIDES = new Set(['A', 'C', 'G', 'T']);
+
+/**
+ * Polymorphism of an alignment over complete sites (columns where every sequence has
+ * A, C, G or T; gaps and ambiguity codes remove the column, as with complete deletion)
+ * @param {Array} aligned - Aligned sequence strings of one sample
+ * @returns {Object} {sampleSize, sites, excludedSites, segregatingSites, mutations, pairwiseDifferences, haplotypes}
+ */
+export function polymorphismData(aligned) {
+  const n = aligned.length;
+  const rows = aligned.map(sequence => sequence.toUpperCase());
+  const length = n > 0 ? Math.min(...rows.map(row => row.length)) : 0;
+  const segregatingColumns = [];
+  let sites = 0;
+  let mutations = 0;
+
+  for (let column = 0; column < length; column++) {
+    const alleles = new Set();
+    let complete = true;
+    for (let i = 0; i < n; i++) {
+      const base = rows[i][column];
+      if (!NUCLEOTIDES.has(base)) {
+        complete = false;
+        break;
+      }
+      alleles.add(base);
+    }
+    if (!complete) continue;
+    sites++;
+    if (alleles.size > 1) {
+      segregatingColumns.push(column);
+      mutations += alleles.size - 1;
+    }
+  }
+
+  // Sequences only differ at segregating sites, so the rest of the comparison uses those
+  const haplotypeKeys = rows.map(row => segregatingColumns.map(column => row[column]).join(''));
+  const pairwiseDifferences = [];
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      let differences = 0;
+      for (let s = 0; s < segregatingColumns.length; s++) {
+        if (haplotypeKeys[i][s] !== haplotypeKeys[j][s]) differences++;
+      }
+      pairwiseDifferences.push(differences);
+    }
+  }
+
+  const haplotypeCounts = new Map();
+  haplotypeKeys.forEach(key => haplotypeCounts.set(key, (haplotypeCounts.get(key) || 0) + 1));
+
+  return {
+    sampleSize: n,
+    sites,
+    excludedSites: length - sites,
+    segregatingSites: segregatingColumns.length,
+    mutations,
+    pairwiseDifferences,
+    haplotypes: [...haplotypeCounts.values()].sort((a, b) => b - a)
+  };
+}
+
+/**
+ * Harmonic sums used by θW and Tajima's D
+ * @param {Number} n - Sample size
+ * @returns {Object} {a1: Σ 1/i, a2: Σ 1/i²} for i = 1..n-1
+ */
+export function harmonicNumbers(n) {
+  let a1 = 0;
+  let a2 = 0;
+  for (let i = 1; i < n; i++) {
+    a1 += 1 / i;
+    a2 += 1 / (i * i);
+  }
+  return { a1, a2 };
+}
+
+/**
+ * Watterson's estimator of θ from segregating sites
+ * @param {Number} segregatingSites - S
+ * @param {Number} n - Sample size
+ * @param {Number} sites - Sites compared, for the per-site value
+ * @returns {Object} {theta: per sequence, perSite}
+ */
+export function wattersonTheta(segregatingSites, n, sites) {
+  const { a1 } = harmonicNumbers(n);
+  const theta = a1 > 0 ? segregatingSites / a1 : 0;
+  return { theta, perSite: sites > 0 ? theta / sites : 0 };
+}
+
+/**
+ * Nucleotide diversity π with its sampling plus stochastic variance (Nei 1987, eq. 10.7)
+ * @param {Array} pairwiseDifferences - Differences of every sequence pair
+ * @param {Number} n - Sample size
+ * @param {Number} sites - Sites compared
+ * @returns {Object} {k: mean pairwise differences, pi: per site, variance, sd}
+ */
+export function nucleotideDiversity(pairwiseDifferences, n, sites) {
+  if (n < 2 || pairwiseDifferences.length === 0 || sites === 0) {
+    return { k: 0, pi: 0, variance: 0, sd: 0 };
+  }
+  const k = pairwiseDifferences.reduce((sum, value) => sum + value, 0) / pairwiseDifferences.length;
+  const pi = k / sites;
+  const variance = ((n + 1) * pi) / (3 * (n - 1) * sites) + (2 * (n * n + n + 3) * pi * pi) / (9 * n * (n - 1));
+  return { k, pi, variance, sd: Math.sqrt(variance) };
+}
+
+/**
+ * Nei's unbiased haplotype (gene) diversity and its sampling variance (Nei 1987, eq. 8.12)
+ * @param {Array} haplotypeCounts - Copies of each distinct haplotype
+ * @param {Number} n - Sample size
+ * @returns {Object} {count, Hd, variance, sd}
+ */
+export function haplotypeDiversity(haplotypeCounts, n) {
+  if (n < 2) return { count: haplotypeCounts.length, Hd: 0, variance: 0, sd: 0 };
+  const frequencies = haplotypeCounts.map(count => count / n);
+  const sum2 = frequencies.reduce((sum, p) => sum + p * p, 0);
+  const sum3 = frequencies.reduce((sum, p) => sum + p * p * p, 0);
+  const Hd = (n / (n - 1)) * (1 - sum2);
+  const variance = Math.max(0, (2 / (n * (n - 1))) * (2 * (n - 2) * (sum3 - sum2 * sum2) + sum2 - sum2 * sum2));
+  return { count: haplotypeCounts.length, Hd, variance, sd: Math.sqrt(variance) };
+}
+
+/**
+ * Tajima's D (Tajima 1989)
+ * @param {Number} n - Sample size
+ * @param {Number} segregatingSites - S
+ * @param {Number} k - Mean pairwise differences
+ * @returns {Number|null} D, or null when undefined (no segregating sites or n < 4)
+ */
+export function tajimasD(n, segregatingSites, k) {
+  if (n < 4 || segregatingSites === 0) return null;
+  const { a1, a2 } = harmonicNumbers(n);
+  const b1 = (n + 1) / (3 * (n - 1));
+  const b2 = (2 * (n * n + n + 3)) / (9 * n * (n - 1));
+  const c1 = b1 - 1 / a1;
+  const c2 = b2 - (n + 2) / (a1 * n) + a2 / (a1 * a1);
+  const e1 = c1 / a1;
+  const e2 = c2 / (a1 * a1 + a2);
+  const denominator = Math.sqrt(e1 * segregatingSites + e2 * segregatingSites * (segregatingSites - 1));
+  return denominator > 0 ? (k - segregatingSites / a1) / denominator : null;
+}
+
+// log |s(n, k)|, unsigned Stirling numbers of the first kind, cached per sample size
+const stirlingCache = new Map();
+
+function logStirlingRow(n) {
+  if (stirlingCache.has(n)) return stirlingCache.get(n);
+  let row = [0]; // s(0, 0) = 1
+  for (let m = 1; m <= n; m++) {
+    const next = new Array(m + 1).fill(-Infinity);
+    const logFactor = Math.log(m - 1);
+    for (let k = 1; k <= m; k++) {
+      const fromFewer = row[k - 1] !== undefined ? row[k - 1] : -Infinity;
+      const fromSame = k < m ? row[k] + logFactor : -Infinity;
+      next[k] = logAdd(fromFewer, fromSame);
+    }
+    row = next;
+  }
+  stirlingCache.set(n, row);
+  return row;
+}
+
+function logAdd(a, b) {
+  if (a === -Infinity) return b;
+  if (b === -Infinity) return a;
+  const high = Math.max(a, b);
+  return high + Math.log(Math.exp(a - high) + Math.exp(b - high));
+}
+
+/**
+ * Fu's Fs (Fu 1997): log odds of seeing at least the observed number of haplotypes under
+ * the Ewens sampling formula with θ set to the mean pairwise differences
+ * @param {Number} n - Sample size
+ * @param {Number} k - Mean pairwise differences (θπ)
+ * @param {Number} haplotypeCount - Distinct haplotypes
+ * @returns {Number|null} Fs, or null when undefined (θπ = 0 or a single haplotype)
+ */
+export function fusFs(n, k, haplotypeCount) {
+  if (n < 2 || k <= 0 || haplotypeCount <= 1) return null;
+  const stirling = logStirlingRow(n);
+  const logTheta = Math.log(k);
+  let logRising = 0;
+  for (let i = 0; i < n; i++) logRising += Math.log(k + i);
+
+  let logAtLeast = -Infinity;
+  let logFewer = -Infinity;
+  for (let haplotypes = 1; haplotypes <= n; haplotypes++) {
+    const logProbability = stirling[haplotypes] + haplotypes * logTheta - logRising;
+    if (haplotypes >= haplotypeCount) logAtLeast = logAdd(logAtLeast, logProbability);
+    else logFewer = logAdd(logFewer, logProbability);
+  }
+  return logAtLeast - logFewer;
+}
+
+/**
+ * Mismatch distribution with the constant-size expectation (Watterson 1975) and
+ * Harpending's raggedness index
+ * @param {Array} pairwiseDifferences - Differences of every sequence pair
+ * @param {Number} k - Mean pairwise differences
+ * @returns {Object} {distribution: [{differences, observed, expected}], mean, variance, raggedness}
+ */
+export function mismatchDistribution(pairwiseDifferences, k) {
+  const pairs = pairwiseDifferences.length;
+  if (pairs === 0) return { distribution: [], mean: 0, variance: 0, raggedness: 0 };
+
+  const maximum = Math.max(...pairwiseDifferences);
+  const counts = new Array(maximum + 1).fill(0);
+  pairwiseDifferences.forEach(value => counts[value]++);
+
+  const mean = pairwiseDifferences.reduce((sum, value) => sum + value, 0) / pairs;
+  const variance = pairwiseDifferences.reduce((sum, value) => sum + (value - mean) ** 2, 0) / pairs;
+  const distribution = counts.map((count, differences) => ({
+    differences,
+    observed: count / pairs,
+    expected: Math.pow(k, differences) / Math.pow(1 + k, differences + 1)
+  }));
+
+  let raggedness = 0;
+  for (let i = 1; i <= distribution.length; i++) {
+    const current = i < distribution.length ? distribution[i].observed : 0;
+    raggedness += (current - distribution[i - 1].observed) ** 2;
+  }
+
+  return { distribution, mean, variance, raggedness };
+}
+
+/**
+ * Simulate a neutral sample under the standard coalescent with a fixed number of
+ * segregating sites placed on the genealogy by branch length (infinite sites)
+ * @param {Number} n - Sample size
+ * @param {Number} segregatingSites - Mutations to place
+ * @param {Function} random - Uniform [0, 1) generator
+ * @returns {Object} {k: mean pairwise differences, haplotypeCount}
+ */
+export function simulateNeutralSample(n, segregatingSites, random = Math.random) {
+  const nodeCount = 2 * n - 1;
+  const parent = new Int32Array(nodeCount).fill(-1);
+  const time = new Float64Array(nodeCount);
+  const leaves = new Int32Array(nodeCount);
+  for (let i = 0; i < n; i++) leaves[i] = 1;
+
+  const lineages = Array.from({ length: n }, (_, i) => i);
+  let now = 0;
+  for (let node = n; node < nodeCount; node++) {
+    const count = lineages.length;
+    now += -Math.log(1 - random()) / ((count * (count - 1)) / 2);
+    const first = lineages.splice(Math.floor(random() * count), 1)[0];
+    const second = lineages.splice(Math.floor(random() * (count - 1)), 1)[0];
+    parent[first] = node;
+    parent[second] = node;
+    time[node] = now;
+    leaves[node] = leaves[first] + leaves[second];
+    lineages.push(node);
+  }
+
+  // Branch above each non-root node, chosen with probability proportional to its length
+  const cumulative = new Float64Array(nodeCount - 1);
+  let total = 0;
+  for (let node = 0; node < nodeCount - 1; node++) {
+    total += time[parent[node]] - time[node];
+    cumulative[node] = total;
+  }
+
+  const mutated = new Uint8Array(nodeCount);
+  const pairs = (n * (n - 1)) / 2;
+  let differences = 0;
+  for (let s = 0; s < segregatingSites; s++) {
+    const target = random() * total;
+    let low = 0;
+    let high = nodeCount - 2;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (cumulative[middle] < target) low = middle + 1;
+      else high = middle;
+    }
+    mutated[low] = 1;
+    differences += leaves[low] * (n - leaves[low]);
+  }
+
+  // Two leaves carry the same haplotype when their nearest mutated ancestral branch is the same
+  const nearest = new Int32Array(nodeCount);
+  nearest[nodeCount - 1] = nodeCount - 1;
+  for (let node = nodeCount - 2; node >= 0; node--) {
+    nearest[node] = mutated[node] ? node : nearest[parent[node]];
+  }
+  const haplotypes = new Set();
+  for (let leaf = 0; leaf < n; leaf++) haplotypes.add(nearest[leaf]);
+
+  return { k: differences / pairs, haplotypeCount: haplotypes.size };
+}
+
+/**
+ * Significance of Tajima's D and Fu's Fs from coalescent simulations conditioned on the
+ * observed number of segregating sites
+ * @param {Object} observed - {n, segregatingSites, tajimasD, fusFs}
+ * @param {Object} options - {simulations, random, onProgress}
+ * @returns {Object} {simulations, tajimasD: {pLower, pUpper, p}, fusFs: {pLower, pUpper, p}}
+ */
+export function coalescentTests(observed, options = {}) {
+  const { simulations = DEFAULT_POPGEN_OPTIONS.simulations, random = Math.random, onProgress } = options;
+  const { n, segregatingSites } = observed;
+  const tally = {
+    tajimasD: { lower: 0, upper: 0, valid: 0 },
+    fusFs: { lower: 0, upper: 0, valid: 0 }
+  };
+  const record = (entry, simulated, value) => {
+    if (simulated === null || value === null) return;
+    entry.valid++;
+    if (simulated <= value) entry.lower++;
+    if (simulated >= value) entry.upper++;
+  };
+
+  for (let replicate = 0; replicate < simulations; replicate++) {
+    const sample = simulateNeutralSample(n, segregatingSites, random);
+    record(tally.tajimasD, tajimasD(n, segregatingSites, sample.k), observed.tajimasD);
+    record(tally.fusFs, fusFs(n, sample.k, sample.haplotypeCount), observed.fusFs);
+    if (onProgress && (replicate + 1) % 100 === 0) {
+      onProgress({ stage: 'coalescent', completed: replicate + 1, total: simulations });
+    }
+  }
+
+  const summarize = ({ lower, upper, valid }) => {
+    if (valid === 0) return null;
+    const pLower = lower / valid;
+    const pUpper = upper / valid;
+    return { pLower, pUpper, p: Math.min(1, 2 * Math.min(pLower, pUpper)) };
+  };
+
+  return { simulations, tajimasD: summarize(tally.tajimasD), fusFs: summarize(tally.fusFs) };
+}
+
+/**
+ * Summary statistics of one sample of aligned sequences
+ * @param {Array} aligned - Aligned sequence strings
+ * @param {Object} options - See DEFAULT_POPGEN_OPTIONS, plus random and onProgress
+ * @returns {Object} Sample size, sites, S, η, θW, π, haplotypes, Hd, Tajima's D, Fu's Fs, mismatch distribution and tests
+ */
+export function populationStatistics(aligned, options = {}) {
+  const config = { ...DEFAULT_POPGEN_OPTIONS, ...options };
+  const data = polymorphismData(aligned);
+  const n = data.sampleSize;
+  const watterson = wattersonTheta(data.segregatingSites, n, data.sites);
+  const diversity = nucleotideDiversity(data.pairwiseDifferences, n, data.sites);
+  const haplotypes = haplotypeDiversity(data.haplotypes, n);
+  const D = tajimasD(n, data.segregatingSites, diversity.k);
+  const Fs = fusFs(n, diversity.k, haplotypes.count);
+
+  const testable = n >= config.minTestSequences && data.segregatingSites > 0 && config.simulations > 0;
+  const tests = testable
+    ? coalescentTests({ n, segregatingSites: data.segregatingSites, tajimasD: D, fusFs: Fs }, config)
+    : null;
+
+  return {
+    sampleSize: n,
+    sites: data.sites,
+    excludedSites: data.excludedSites,
+    segregatingSites: data.segregatingSites,
+    mutations: data.mutations,
+    thetaW: watterson.theta,
+    thetaWPerSite: watterson.perSite,
+    k: diversity.k,
+    pi: diversity.pi,
+    piVariance: diversity.variance,
+    piSd: diversity.sd,
+    haplotypeCount: haplotypes.count,
+    haplotypeFrequencies: data.haplotypes,
+    haplotypeDiversity: haplotypes.Hd,
+    haplotypeDiversitySd: haplotypes.sd,
+    tajimasD: n >= config.minTestSequences ? D : null,
+    tajimasDTest: tests?.tajimasD || null,
+    fusFs: n >= config.minTestSequences ? Fs : null,
+    fusFsTest: tests?.fusFs || null,
+    simulations: tests ? tests.simulations : 0,
+    mismatch: mismatchDistribution(data.pairwiseDifferences, diversity.k)
+  };
+}
+
+/**
+ * Statistics for each species of a locus. Sequences are aligned together once so every
+ * species is measured over the same columns.
+ * @param {Array} records - [{id, species, sequence}]
+ * @param {Object} options - See DEFAULT_POPGEN_OPTIONS, plus onProgress
+ * @param {Function} align - (records) => aligned strings in the same order
+ * @returns {Object} {alignmentLength, species: {name: statistics}}
+ */
+export function analyzePopulationGenetics(records, options = {}, align) {
+  const { onProgress, ...config } = options;
+  const rows = align && records.length > 1 ? align(records) : records.map(record => record.sequence);
+
+  const bySpecies = {};
+  records.forEach((record, index) => {
+    if (!bySpecies[record.species]) bySpecies[record.species] = [];
+    bySpecies[record.species].push(rows[index]);
+  });
+
+  const names = Object.keys(bySpecies);
+  const species = {};
+  names.forEach((name, index) => {
+    species[name] = populationStatistics(bySpecies[name], {
+      ...config,
+      onProgress: onProgress && (progress => onProgress({ ...progress, species: name, speciesIndex: index, speciesTotal: names.length }))
+    });
+  });
+
+  return {
+    alignmentLength: rows.length > 0 ? Math.max(...rows.map(row => row.length)) : 0,
+    species
+  };
+}
+
+// Screening thresholds for the aligned locus: a species with π per site or Nei's Hd
+// below either value of a level is assigned that risk level
+export const DIVERSITY_RISK_THRESHOLDS = {
+  high: { pi: 0.005, haplotypeDiversity: 0.5 },
+  medium: { pi: 0.01, haplotypeDiversity: 0.8 }
+};
+
+/**
+ * Conservation risk of a species from the diversity of its aligned locus
+ * @param {Object} stats - populationStatistics of the species
+ * @param {Object} thresholds - See DIVERSITY_RISK_THRESHOLDS
+ * @returns {String|null} 'High', 'Medium' or 'Low'; null when fewer than 2 sequences or no sites were compared
+ */
+export function assessDiversityRisk(stats, thresholds = DIVERSITY_RISK_THRESHOLDS) {
+  if (!stats || stats.sampleSize < 2 || stats.sites === 0) return null;
+  const below = level => stats.pi < level.pi || stats.haplotypeDiversity < level.haplotypeDiversity;
+  if (below(thresholds.high)) return 'High';
+  if (below(thresholds.medium)) return 'Medium';
+  return 'Low';
+}
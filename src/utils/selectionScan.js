@@ -0,0 +1,333 @@
+// src/utils/selectionScan.js
+// Per-codon and sliding-window selection scans: SLAC-style counting of substitutions on a tree
+
+import { getGeneticCode, codonColumns, codonDifferences } from './codonSelection';
+
+export const ALL_SEQUENCES_GROUP = 'All sequences';
+
+export const DEFAULT_SCAN_OPTIONS = {
+  significance: 0.1,    // SLAC's customary p-value threshold
+  windowSize: 20,       // Codons per sliding window
+  windowStep: 10,
+  minSequences: 3       // Smallest group that gets its own tree
+};
+
+/**
+ * Codon sites of a coding alignment, numbered along a reference sequence (the one with the
+ * most codons). A sequence contributes a codon to a site only when its three bases align
+ * exactly to the reference codon's columns and form a sense codon.
+ * @param {Array} coding - [{id, species, coding: alignment row, coordinates}]
+ * @param {Object} code - Result of getGeneticCode
+ * @returns {Object} {referenceIndex, sites: [{index, position: [start, end], codons}]}
+ */
+export function buildCodonSites(coding, code) {
+  const columnsBySequence = coding.map(entry => codonColumns(entry.coding));
+  let referenceIndex = 0;
+  columnsBySequence.forEach((columns, index) => {
+    if (columns.length > columnsBySequence[referenceIndex].length) referenceIndex = index;
+  });
+
+  const lookups = columnsBySequence.map(columns => new Map(columns.map(entry => [entry.columns[0], entry])));
+  const referenceCoordinates = coding[referenceIndex].coordinates || [];
+
+  const sites = columnsBySequence[referenceIndex].map((referenceCodon, codonIndex) => {
+    const codons = lookups.map(lookup => {
+      const entry = lookup.get(referenceCodon.columns[0]);
+      if (!entry || entry.columns[1] !== referenceCodon.columns[1] || entry.columns[2] !== referenceCodon.columns[2]) return null;
+      return code.sites.has(entry.codon) ? entry.codon : null;
+    });
+    const bases = [referenceCoordinates[codonIndex * 3], referenceCoordinates[codonIndex * 3 + 2]].filter(value => value !== undefined);
+    return {
+      index: codonIndex + 1,
+      position: bases.length === 2 ? [Math.min(...bases), Math.max(...bases)] : [codonIndex * 3 + 1, codonIndex * 3 + 3],
+      codons
+    };
+  });
+
+  return { referenceIndex, sites };
+}
+
+/**
+ * Flatten a tree into post-order nodes with child indices
+ * @param {Object} tree - Tree whose leaves carry sequenceIndex
+ * @returns {Array} [{children: [node indices], leaf: sequence index or null}], root last
+ */
+function postOrder(tree) {
+  const nodes = [];
+  const visit = (node) => {
+    const children = (node.children || []).map(visit);
+    nodes.push({ children, leaf: node.isLeaf ? node.sequenceIndex : null });
+    return nodes.length - 1;
+  };
+  visit(tree);
+  return nodes;
+}
+
+/**
+ * Reconstruct ancestral codons of one site by Fitch parsimony and count the synonymous and
+ * nonsynonymous changes along the branches (pathways through stop codons are excluded)
+ * @param {Array} nodes - Result of postOrder
+ * @param {Array} leafCodons - Codon (or null for missing) per tree leaf sequence index
+ * @param {Object} code - Result of getGeneticCode
+ * @returns {Object} {synonymous, nonsynonymous, S, N, states}
+ */
+function countSiteChanges(nodes, leafCodons, code) {
+  // Ties are resolved towards the most frequent observed codon so results are deterministic
+  const frequency = new Map();
+  leafCodons.forEach(codon => {
+    if (codon) frequency.set(codon, (frequency.get(codon) || 0) + 1);
+  });
+  const pick = (set) => [...set].sort((a, b) => (frequency.get(b) || 0) - (frequency.get(a) || 0) || (a < b ? -1 : 1))[0];
+
+  // Bottom-up pass; null means "no data below this node"
+  const sets = nodes.map(() => null);
+  nodes.forEach((node, index) => {
+    if (node.leaf !== null) {
+      const codon = leafCodons[node.leaf];
+      sets[index] = codon ? new Set([codon]) : null;
+      return;
+    }
+    const childSets = node.children.map(child => sets[child]).filter(Boolean);
+    if (childSets.length === 0) return;
+    let intersection = new Set(childSets[0]);
+    childSets.slice(1).forEach(set => {
+      intersection = new Set([...intersection].filter(codon => set.has(codon)));
+    });
+    sets[index] = intersection.size > 0 ? intersection : new Set(childSets.flatMap(set => [...set]));
+  });
+
+  // Top-down pass keeps the parent's codon whenever the child allows it
+  const states = nodes.map(() => null);
+  const root = nodes.length - 1;
+  states[root] = sets[root] ? pick(sets[root]) : null;
+  let synonymous = 0;
+  let nonsynonymous = 0;
+
+  for (let index = root; index >= 0; index--) {
+    const parentState = states[index];
+    nodes[index].children.forEach(child => {
+      const set = sets[child];
+      if (!set) {
+        states[child] = parentState;
+        return;
+      }
+      states[child] = parentState && set.has(parentState) ? parentState : pick(set);
+      if (parentState && states[child] !== parentState) {
+        const differences = codonDifferences(parentState, states[child], code);
+        if (differences) {
+          synonymous += differences.sd;
+          nonsynonymous += differences.nd;
+        }
+      }
+    });
+  }
+
+  let S = 0;
+  let N = 0;
+  let observed = 0;
+  states.forEach(state => {
+    const sites = state && code.sites.get(state);
+    if (!sites) return;
+    S += sites.S;
+    N += sites.N;
+    observed++;
+  });
+
+  return {
+    synonymous,
+    nonsynonymous,
+    S: observed > 0 ? S / observed : 0,
+    N: observed > 0 ? N / observed : 0,
+    states
+  };
+}
+
+/**
+ * Binomial tail probabilities for the nonsynonymous share of a site's substitutions.
+ * Fractional (pathway-averaged) counts are rounded, as in SLAC's counting test.
+ * @param {Number} nonsynonymous - Nonsynonymous changes
+ * @param {Number} total - All changes
+ * @param {Number} expectedShare - N / (S + N)
+ * @returns {Object} {pPositive: P(X >= observed), pNegative: P(X <= observed)}
+ */
+export function substitutionTest(nonsynonymous, total, expectedShare) {
+  const n = Math.round(total);
+  const k = Math.min(n, Math.round(nonsynonymous));
+  if (n === 0 || !(expectedShare > 0 && expectedShare < 1)) return { pPositive: 1, pNegative: 1 };
+
+  const logP = Math.log(expectedShare);
+  const logQ = Math.log(1 - expectedShare);
+  const probability = (x) => Math.exp(logChoose(n, x) + x * logP + (n - x) * logQ);
+
+  let upper = 0;
+  for (let x = k; x <= n; x++) upper += probability(x);
+  let lower = 0;
+  for (let x = 0; x <= k; x++) lower += probability(x);
+
+  return { pPositive: Math.min(1, upper), pNegative: Math.min(1, lower) };
+}
+
+function logChoose(n, k) {
+  return logGamma(n + 1) - logGamma(k + 1) - logGamma(n - k + 1);
+}
+
+// Lanczos approximation
+function logGamma(x) {
+  const g = 7;
+  const coefficients = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+  ];
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  const shifted = x - 1;
+  let sum = coefficients[0];
+  for (let i = 1; i < g + 2; i++) sum += coefficients[i] / (shifted + i);
+  const t = shifted + g + 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (shifted + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+/**
+ * Selection call for a site or window at a significance level
+ * @param {Object} result - {pPositive, pNegative}
+ * @param {Number} significance - p-value threshold
+ * @returns {String} 'positive', 'negative' or 'neutral'
+ */
+export function siteSelection(result, significance = DEFAULT_SCAN_OPTIONS.significance) {
+  if (result.pPositive < significance) return 'positive';
+  if (result.pNegative < significance) return 'negative';
+  return 'neutral';
+}
+
+/**
+ * SLAC-style scan of one group of sequences
+ * @param {Array} sites - Result of buildCodonSites
+ * @param {Array} indices - Indices of the group's sequences in the coding alignment
+ * @param {Object} tree - Tree of the group; leaf sequenceIndex refers to positions in `indices`
+ * @param {Object} code - Result of getGeneticCode
+ * @returns {Array} Per-site results
+ */
+function scanGroup(sites, indices, tree, code) {
+  const nodes = postOrder(tree);
+  return sites.map(site => {
+    const leafCodons = indices.map(index => site.codons[index]);
+    const counts = countSiteChanges(nodes, leafCodons, code);
+    const total = counts.synonymous + counts.nonsynonymous;
+    const test = substitutionTest(counts.nonsynonymous, total, counts.N / (counts.S + counts.N));
+    const dN = counts.N > 0 ? counts.nonsynonymous / counts.N : 0;
+    const dS = counts.S > 0 ? counts.synonymous / counts.S : 0;
+    const rootCodon = counts.states[nodes.length - 1];
+
+    return {
+      index: site.index,
+      position: site.position,
+      codon: rootCodon,
+      aminoAcid: rootCodon ? code.translate.get(rootCodon) : null,
+      sequences: leafCodons.filter(Boolean).length,
+      S: counts.S,
+      N: counts.N,
+      synonymous: counts.synonymous,
+      nonsynonymous: counts.nonsynonymous,
+      dN,
+      dS,
+      dNminusdS: dN - dS,
+      ...test
+    };
+  });
+}
+
+/**
+ * Per-codon selection scan of aligned coding sequences for all sequences together and for
+ * each species with enough sequences. Each group gets its own tree, ancestral codons are
+ * reconstructed by parsimony and substitutions are tested per site against the
+ * synonymous/nonsynonymous site ratio (Kosakovsky Pond & Frost 2005).
+ * @param {Object} prepared - Result of prepareCodingSequences with aligned coding rows
+ * @param {Object} options - See DEFAULT_SCAN_OPTIONS
+ * @param {Function} buildTree - (sequences: [{id, species, aligned}]) => tree root
+ * @returns {Object} {geneticCode, reference, groups: [{name, sequenceCount, sites}]}
+ */
+export function scanSelection(prepared, options = {}, buildTree) {
+  const config = { ...DEFAULT_SCAN_OPTIONS, ...options };
+  const code = getGeneticCode(prepared.geneticCode);
+  const { referenceIndex, sites } = buildCodonSites(prepared.coding, code);
+  const reference = prepared.coding[referenceIndex];
+
+  const groups = [{ name: ALL_SEQUENCES_GROUP, indices: prepared.coding.map((_, index) => index) }];
+  const bySpecies = {};
+  prepared.coding.forEach((entry, index) => {
+    if (!bySpecies[entry.species]) bySpecies[entry.species] = [];
+    bySpecies[entry.species].push(index);
+  });
+  const speciesNames = Object.keys(bySpecies);
+  if (speciesNames.length > 1) {
+    speciesNames.forEach(species => groups.push({ name: species, indices: bySpecies[species] }));
+  }
+
+  return {
+    geneticCode: { id: code.id, name: code.name },
+    reference: { id: reference.id, species: reference.species, codons: sites.length },
+    groups: groups
+      .filter(group => group.indices.length >= config.minSequences)
+      .map(group => {
+        const tree = buildTree(group.indices.map(index => ({
+          id: prepared.coding[index].id,
+          species: prepared.coding[index].species,
+          aligned: prepared.coding[index].coding
+        })));
+        return {
+          name: group.name,
+          sequenceCount: group.indices.length,
+          sites: scanGroup(sites, group.indices, tree, code)
+        };
+      })
+  };
+}
+
+/**
+ * Pool per-site counts into sliding windows along the reference
+ * @param {Array} sites - Per-site scan results
+ * @param {Number} windowSize - Codons per window
+ * @param {Number} step - Codons between window starts
+ * @returns {Array} [{startCodon, endCodon, position, omega, dN, dS, synonymous, nonsynonymous, pPositive, pNegative}]
+ */
+export function slidingWindows(sites, windowSize = DEFAULT_SCAN_OPTIONS.windowSize, step = DEFAULT_SCAN_OPTIONS.windowStep) {
+  const windows = [];
+  if (sites.length === 0) return windows;
+
+  const size = Math.min(windowSize, sites.length);
+  for (let start = 0; start + size <= sites.length; start += step) {
+    windows.push(summarizeWindow(sites.slice(start, start + size)));
+    // Make sure the last codons are covered
+    if (start + step + size > sites.length && start + size < sites.length) {
+      windows.push(summarizeWindow(sites.slice(sites.length - size)));
+    }
+  }
+  return windows;
+}
+
+// Counts summed over tree branches are not pairwise distances, so like SLAC the window
+// ratio is left uncorrected: (Nd / N) / (Sd / S)
+function summarizeWindow(windowSites) {
+  const counts = { S: 0, N: 0, Sd: 0, Nd: 0 };
+  windowSites.forEach(site => {
+    counts.S += site.S;
+    counts.N += site.N;
+    counts.Sd += site.synonymous;
+    counts.Nd += site.nonsynonymous;
+  });
+  const dN = counts.N > 0 ? counts.Nd / counts.N : 0;
+  const dS = counts.S > 0 ? counts.Sd / counts.S : 0;
+  const first = windowSites[0];
+  const last = windowSites[windowSites.length - 1];
+
+  return {
+    startCodon: first.index,
+    endCodon: last.index,
+    position: [Math.min(first.position[0], last.position[0]), Math.max(first.position[1], last.position[1])],
+    omega: dS > 0 ? dN / dS : null,
+    dN,
+    dS,
+    synonymous: counts.Sd,
+    nonsynonymous: counts.Nd,
+    ...substitutionTest(counts.Nd, counts.Sd + counts.Nd, counts.N / (counts.S + counts.N))
+  };
+}
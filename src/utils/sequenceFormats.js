@@ -0,0 +1,196 @@
+// src/utils/sequenceFormats.js
+// Multi-FASTA and GenBank flat file parsing into the app's genomic data shape
+
+import { parseGenBankFlatFile, genbankEntryToSample, splitCountry, parseLatLon } from './genbankParser';
+
+export { parseLatLon };
+
+// IUPAC nucleotide codes plus gap characters
+const NUCLEOTIDE_ALPHABET = /^[ACGTURYSWKMBDHVN.-]*$/i;
+const INVALID_NUCLEOTIDE = /[^ACGTURYSWKMBDHVN.-]/gi;
+
+export const UNKNOWN_SPECIES = 'Unknown species';
+
+/**
+ * Detect the format of a sequence file from its content
+ * @param {String} text - File contents
+ * @returns {String|null} 'genbank', 'fasta' or null when unrecognized
+ */
+export function detectSequenceFormat(text) {
+  const firstLine = text.replace(/^\uFEFF/, '').trimStart().split(/\r?\n/, 1)[0] || '';
+  if (firstLine.startsWith('LOCUS')) return 'genbank';
+  if (firstLine.startsWith('>')) return 'fasta';
+  return null;
+}
+
+/**
+ * Parse a FASTA or GenBank file into sequence records
+ * @param {String} text - File contents
+ * @param {Object} options - {fileName, format: force 'fasta' or 'genbank'}
+ * @returns {Object} {format, records, rejected: [{id, reason}]}
+ */
+export function parseSequenceFile(text, options = {}) {
+  const { fileName = null } = options;
+  const format = options.format || detectSequenceFormat(text);
+
+  let parsed;
+  if (format === 'genbank') {
+    parsed = parseGenBank(text);
+  } else if (format === 'fasta') {
+    parsed = parseFasta(text);
+  } else {
+    throw new Error(`Unrecognized sequence file format${fileName ? ` in ${fileName}` : ''}: expected FASTA (">") or GenBank ("LOCUS")`);
+  }
+
+  const records = [];
+  const rejected = [];
+  parsed.forEach(record => {
+    const validation = validateNucleotideSequence(record.sequence);
+    if (!validation.valid) {
+      rejected.push({ id: record.id, reason: validation.reason });
+      return;
+    }
+    records.push({ ...record, sequence: record.sequence.toLowerCase(), sourceFile: fileName });
+  });
+
+  return { format, records, rejected };
+}
+
+/**
+ * Parse multi-FASTA text. Metadata is read from NCBI-style bracketed
+ * modifiers in the header ([organism=...] [country=...] [lat_lon=...]
+ * [collection_date=...] [gene=...]); otherwise the species is taken from a binomial
+ * following the accession.
+ * @param {String} text - FASTA contents
+ * @returns {Array} Parsed records (not yet validated)
+ */
+export function parseFasta(text) {
+  const records = [];
+  let current = null;
+
+  text.split(/\r?\n/).forEach(line => {
+    if (line.startsWith('>')) {
+      current = { header: line.slice(1).trim(), chunks: [] };
+      records.push(current);
+    } else if (current && !line.startsWith(';')) {
+      current.chunks.push(line.replace(/[\s\d]/g, ''));
+    }
+  });
+
+  return records.map((entry, index) => {
+    const modifiers = {};
+    const description = entry.header
+      .replace(/\[\s*([\w-]+)\s*=\s*([^\]]*)\]/g, (_, key, value) => {
+        modifiers[key.toLowerCase()] = value.trim();
+        return '';
+      })
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    const [firstToken = `sequence_${index + 1}`, ...rest] = description.split(' ');
+    // NCBI legacy headers pack several ids ("gi|123|gb|AB123.1|"); the last one is the accession
+    const idToken = firstToken.split('|').filter(Boolean).pop() || firstToken;
+    const { accession, version } = splitAccessionVersion(idToken);
+    const binomial = rest.join(' ').match(/^([A-Z][a-z]+ [a-z][a-z-]+)/);
+
+    return buildRecord({
+      id: accession || idToken,
+      accession,
+      version,
+      definition: rest.join(' ') || null,
+      organism: modifiers.organism || (binomial ? binomial[1] : null),
+      country: modifiers.country || modifiers.geo_loc_name || null,
+      latLon: modifiers.lat_lon || null,
+      collectionDate: modifiers.collection_date || null,
+      isolate: modifiers.isolate || null,
+      gene: modifiers.gene || null,
+      sequence: entry.chunks.join('')
+    });
+  });
+}
+
+/**
+ * Parse GenBank flat file text (one or more LOCUS ... // entries)
+ * @param {String} text - GenBank contents
+ * @returns {Array} Parsed records (not yet validated)
+ */
+export function parseGenBank(text) {
+  return parseGenBankFlatFile(text).map(entry => {
+    const sample = genbankEntryToSample(entry);
+    return { ...sample, species: sample.species || UNKNOWN_SPECIES };
+  });
+}
+
+/**
+ * Normalize parsed FASTA fields into the record shape produced by genbankEntryToSample
+ * @param {Object} fields - Raw parsed fields
+ * @returns {Object} Sequence record
+ */
+function buildRecord(fields) {
+  const { country, locality } = splitCountry(fields.country);
+  return {
+    id: fields.id,
+    accession: fields.accession || null,
+    version: fields.version,
+    accessionVersion: fields.accession && fields.version ? `${fields.accession}.${fields.version}` : fields.accession || null,
+    species: fields.organism || UNKNOWN_SPECIES,
+    definition: fields.definition,
+    country,
+    locality,
+    location: locality || country,
+    coordinates: parseLatLon(fields.latLon),
+    collectionDate: fields.collectionDate,
+    isolate: fields.isolate,
+    gene: fields.gene,
+    cds: [],
+    sequence: fields.sequence
+  };
+}
+
+/**
+ * Split "ACCESSION.VERSION"
+ * @param {String} value - Accession with optional version suffix
+ * @returns {Object} {accession, version}
+ */
+function splitAccessionVersion(value) {
+  const match = (value || '').match(/^(.+?)\.(\d+)$/);
+  return match
+    ? { accession: match[1], version: Number(match[2]) }
+    : { accession: value || null, version: null };
+}
+
+/**
+ * Check that a sequence uses only IUPAC nucleotide codes and gaps
+ * @param {String} sequence - Sequence to check
+ * @returns {Object} {valid, reason, invalidCharacters}
+ */
+export function validateNucleotideSequence(sequence) {
+  if (!sequence) {
+    return { valid: false, reason: 'Empty sequence', invalidCharacters: [] };
+  }
+  if (NUCLEOTIDE_ALPHABET.test(sequence)) {
+    return { valid: true, reason: null, invalidCharacters: [] };
+  }
+
+  const invalidCharacters = [...new Set(sequence.match(INVALID_NUCLEOTIDE))];
+  return {
+    valid: false,
+    reason: `Invalid nucleotide characters: ${invalidCharacters.slice(0, 10).join(', ')}`,
+    invalidCharacters
+  };
+}
+
+/**
+ * Group sequence records by species into the {species: [{id, sequence, ...}]}
+ * shape of the bundled genome data
+ * @param {Array} records - Validated sequence records
+ * @returns {Object} Genomic data keyed by species
+ */
+export function groupRecordsBySpecies(records) {
+  const genomicData = {};
+  records.forEach(record => {
+    if (!genomicData[record.species]) genomicData[record.species] = [];
+    genomicData[record.species].push(record);
+  });
+  return genomicData;
+}
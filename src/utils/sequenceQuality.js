@@ -0,0 +1,385 @@
+// src/utils/sequenceQuality.js
+// Quality control for genomic sequences, the sequence counterpart of dataValidation.js
+
+import { kmerProfile, kmerContainment } from './kmers';
+
+export const DEFAULT_SEQUENCE_QC_CONFIG = {
+  minLength: 200,                 // Shorter sequences are flagged too_short
+  lengthOutlierThreshold: 3.5,    // Robust z-score (median/MAD) above which a length is an outlier
+  maxNFraction: 0.05,             // Fraction of N above which a sequence is high_n
+  maxAmbiguityFraction: 0.01,     // Fraction of other IUPAC ambiguity codes
+  kmerSize: 10,
+  homologySimilarity: 0.2,        // k-mer containment above which two sequences are treated as homologous
+  mislabelMargin: 0.05            // Required similarity advantage of another species over the labelled one
+};
+
+/**
+ * QC flags with their severity; errors make a sample invalid
+ */
+export const SEQUENCE_QC_FLAGS = {
+  empty_sequence: { severity: 'error', label: 'Empty sequence' },
+  invalid_characters: { severity: 'error', label: 'Non-nucleotide characters' },
+  duplicate_accession: { severity: 'error', label: 'Duplicate accession' },
+  too_short: { severity: 'warning', label: 'Too short' },
+  length_outlier: { severity: 'warning', label: 'Outlier length' },
+  high_n: { severity: 'warning', label: 'High N content' },
+  ambiguous_bases: { severity: 'warning', label: 'Ambiguity codes' },
+  possible_mislabel: { severity: 'warning', label: 'Possibly mislabeled' }
+};
+
+// By default only samples that cannot be analyzed meaningfully are removed
+export const DEFAULT_SEQUENCE_FILTER = {
+  dropFlags: ['empty_sequence', 'invalid_characters', 'duplicate_accession']
+};
+
+const AMBIGUITY_CODES = /[RYSWKMBDHV]/gi;
+const INVALID_CHARACTERS = /[^ACGTURYSWKMBDHVN.-]/gi;
+
+/**
+ * Sequence Quality Assessment Class
+ */
+export class SequenceQualityAssessment {
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_SEQUENCE_QC_CONFIG, ...config };
+  }
+
+  /**
+   * Composition metrics of a single sequence
+   * @param {String} sequence - Nucleotide sequence
+   * @returns {Object} {length, nFraction, ambiguousFraction, gapFraction, gcContent, invalidCharacters}
+   */
+  measureSequence(sequence = '') {
+    const upper = sequence.toUpperCase();
+    const gaps = (upper.match(/[-.]/g) || []).length;
+    const residues = upper.length - gaps;
+    const count = (pattern) => (upper.match(pattern) || []).length;
+    const gc = count(/[GC]/g);
+    const acgt = count(/[ACGTU]/g);
+
+    return {
+      length: residues,
+      nFraction: residues > 0 ? count(/N/g) / residues : 0,
+      ambiguousFraction: residues > 0 ? count(AMBIGUITY_CODES) / residues : 0,
+      gapFraction: upper.length > 0 ? gaps / upper.length : 0,
+      gcContent: acgt > 0 ? gc / acgt : 0,
+      invalidCharacters: [...new Set(upper.match(INVALID_CHARACTERS) || [])]
+    };
+  }
+
+  /**
+   * Validate a single sample on its own (group-level checks are added by validateDataset)
+   * @param {Object} sample - {id, sequence, ...}
+   * @returns {Object} Validation result {isValid, flags, errors, warnings, metrics}
+   */
+  validateSequence(sample) {
+    const metrics = this.measureSequence(sample.sequence);
+    const result = { isValid: true, flags: [], errors: [], warnings: [], metrics };
+
+    if (metrics.length === 0) {
+      this.addFlag(result, 'empty_sequence', 'Sequence is empty');
+      return result;
+    }
+    if (metrics.invalidCharacters.length > 0) {
+      this.addFlag(result, 'invalid_characters', `Invalid characters: ${metrics.invalidCharacters.slice(0, 10).join(', ')}`);
+    }
+    if (metrics.length < this.config.minLength) {
+      this.addFlag(result, 'too_short', `Length ${metrics.length} bp is below ${this.config.minLength} bp`);
+    }
+    if (metrics.nFraction > this.config.maxNFraction) {
+      this.addFlag(result, 'high_n', `${(metrics.nFraction * 100).toFixed(1)}% N`);
+    }
+    if (metrics.ambiguousFraction > this.config.maxAmbiguityFraction) {
+      this.addFlag(result, 'ambiguous_bases', `${(metrics.ambiguousFraction * 100).toFixed(1)}% ambiguity codes`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Record a flag on a validation result
+   * @param {Object} result - Validation result
+   * @param {String} flag - Flag code from SEQUENCE_QC_FLAGS
+   * @param {String} message - Human-readable detail
+   */
+  addFlag(result, flag, message) {
+    result.flags.push(flag);
+    if (SEQUENCE_QC_FLAGS[flag].severity === 'error') {
+      result.errors.push(message);
+      result.isValid = false;
+    } else {
+      result.warnings.push(message);
+    }
+  }
+
+  /**
+   * Validate a whole genomic dataset, including checks that compare samples:
+   * length outliers within a group, duplicate accessions and likely mislabels
+   * @param {Object} genomicData - {species: [{id, sequence, ...}]}
+   * @param {Object} options - {groupBy: sample => group key for length outliers (default: species)}
+   * @returns {Object} Dataset validation summary with per-sample reports
+   */
+  validateDataset(genomicData, options = {}) {
+    const { groupBy = null } = options;
+    const samples = [];
+
+    Object.entries(genomicData).forEach(([species, records]) => {
+      records.forEach((record, index) => {
+        const validation = this.validateSequence(record);
+        samples.push({
+          key: `${species}:${index}`,
+          id: record.id,
+          accession: record.accession || null,
+          species,
+          group: groupBy ? groupBy(record, species) : species,
+          ...validation,
+          suggestedSpecies: null
+        });
+      });
+    });
+
+    this.flagDuplicateAccessions(samples);
+    this.flagLengthOutliers(samples);
+    this.flagPossibleMislabels(samples, genomicData);
+
+    samples.forEach(sample => {
+      sample.quality = this.calculateSampleQuality(sample);
+    });
+
+    const summary = {
+      totalRecords: samples.length,
+      validRecords: samples.filter(sample => sample.isValid).length,
+      invalidRecords: samples.filter(sample => !sample.isValid).length,
+      flaggedRecords: samples.filter(sample => sample.flags.length > 0).length,
+      flagCounts: Object.fromEntries(Object.keys(SEQUENCE_QC_FLAGS).map(flag => [
+        flag,
+        samples.filter(sample => sample.flags.includes(flag)).length
+      ])),
+      qualityDistribution: { excellent: 0, good: 0, fair: 0, poor: 0, very_poor: 0 },
+      samples
+    };
+    samples.forEach(sample => { summary.qualityDistribution[sample.quality]++; });
+    summary.recommendations = this.generateRecommendations(summary);
+
+    return summary;
+  }
+
+  /**
+   * Flag every repeat of an accession (or of an id when accessions are missing)
+   * @param {Array} samples - Per-sample reports
+   */
+  flagDuplicateAccessions(samples) {
+    const seen = new Map();
+    samples.forEach(sample => {
+      const identifier = sample.accession || sample.id;
+      if (identifier === undefined || identifier === null) return;
+      if (seen.has(identifier)) {
+        this.addFlag(sample, 'duplicate_accession', `Duplicate of ${seen.get(identifier).species} sample ${identifier}`);
+      } else {
+        seen.set(identifier, sample);
+      }
+    });
+  }
+
+  /**
+   * Flag lengths far from their group's median using the robust (MAD-based) z-score
+   * @param {Array} samples - Per-sample reports
+   */
+  flagLengthOutliers(samples) {
+    const groups = new Map();
+    samples.forEach(sample => {
+      if (sample.metrics.length === 0) return;
+      if (!groups.has(sample.group)) groups.set(sample.group, []);
+      groups.get(sample.group).push(sample);
+    });
+
+    groups.forEach(members => {
+      if (members.length < 3) return;
+      const lengths = members.map(sample => sample.metrics.length);
+      const center = median(lengths);
+      const mad = median(lengths.map(length => Math.abs(length - center)));
+
+      members.forEach(sample => {
+        const deviation = sample.metrics.length - center;
+        // With MAD = 0 most lengths are identical; fall back to a relative difference
+        const outlier = mad > 0
+          ? Math.abs(0.6745 * deviation / mad) > this.config.lengthOutlierThreshold
+          : Math.abs(deviation) > center * 0.5;
+        if (outlier) {
+          this.addFlag(sample, 'length_outlier', `Length ${sample.metrics.length} bp vs group median ${center} bp`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Flag samples that resemble another species' sequences of the same locus more
+   * than their own. Only homologous pairs (k-mer containment above
+   * homologySimilarity) are compared, so samples of different genes never vote.
+   * @param {Array} samples - Per-sample reports (in genomicData order)
+   * @param {Object} genomicData - Dataset being validated
+   */
+  flagPossibleMislabels(samples, genomicData) {
+    const speciesNames = Object.keys(genomicData);
+    if (speciesNames.length < 2) return;
+
+    const records = speciesNames.flatMap(species => genomicData[species]);
+    const profiles = records.map(record => kmerProfile(record.sequence || '', this.config.kmerSize));
+
+    samples.forEach((sample, i) => {
+      if (!sample.isValid || profiles[i].length === 0) return;
+
+      const similarityBySpecies = {};
+      samples.forEach((other, j) => {
+        if (i === j || !other.isValid) return;
+        const similarity = kmerContainment(profiles[i], profiles[j]);
+        if (similarity < this.config.homologySimilarity) return;
+        if (!similarityBySpecies[other.species]) similarityBySpecies[other.species] = [];
+        similarityBySpecies[other.species].push(similarity);
+      });
+
+      const own = similarityBySpecies[sample.species];
+      if (!own) return;
+      const ownMean = mean(own);
+
+      let best = null;
+      Object.entries(similarityBySpecies).forEach(([species, values]) => {
+        if (species === sample.species) return;
+        const value = mean(values);
+        if (!best || value > best.value) best = { species, value };
+      });
+
+      if (best && best.value > ownMean + this.config.mislabelMargin) {
+        sample.suggestedSpecies = best.species;
+        this.addFlag(sample, 'possible_mislabel',
+          `Closer to ${best.species} (k-mer similarity ${best.value.toFixed(2)}) than to ${sample.species} (${ownMean.toFixed(2)})`);
+      }
+    });
+  }
+
+  /**
+   * Quality category of a sample, scored like DataQualityAssessment records
+   * @param {Object} sample - Per-sample report
+   * @returns {String} Quality assessment
+   */
+  calculateSampleQuality(sample) {
+    const score = 100 - sample.errors.length * 25 - sample.warnings.length * 10;
+    if (score >= 90) return 'excellent';
+    if (score >= 75) return 'good';
+    if (score >= 60) return 'fair';
+    if (score >= 40) return 'poor';
+    return 'very_poor';
+  }
+
+  /**
+   * Generate sequence quality recommendations
+   * @param {Object} summary - Dataset summary
+   * @returns {Array} Array of recommendations
+   */
+  generateRecommendations(summary) {
+    const recommendations = [];
+    const { flagCounts, totalRecords } = summary;
+
+    if (flagCounts.duplicate_accession > 0) {
+      recommendations.push({
+        type: 'error',
+        message: `${flagCounts.duplicate_accession} duplicate accession(s)`,
+        action: 'Remove duplicates so samples are not counted twice'
+      });
+    }
+    if (flagCounts.possible_mislabel > 0) {
+      recommendations.push({
+        type: 'warning',
+        message: `${flagCounts.possible_mislabel} sequence(s) may be assigned to the wrong species`,
+        action: 'Check the source records before using them in species comparisons'
+      });
+    }
+    if (flagCounts.high_n + flagCounts.ambiguous_bases > totalRecords * 0.2) {
+      recommendations.push({
+        type: 'quality',
+        message: 'Many sequences contain N or ambiguity codes',
+        action: 'Consider dropping them for site-based statistics such as nucleotide diversity'
+      });
+    }
+    if (flagCounts.length_outlier > 0) {
+      recommendations.push({
+        type: 'warning',
+        message: `${flagCounts.length_outlier} sequence(s) have unusual lengths for their group`,
+        action: 'They may be a different locus or a partial sequence'
+      });
+    }
+
+    return recommendations;
+  }
+
+  /**
+   * Drop samples carrying any of the given flags
+   * @param {Object} genomicData - {species: [{id, sequence, ...}]}
+   * @param {Object} summary - Result of validateDataset for the same data
+   * @param {Object} criteria - {dropFlags: flag codes to remove}
+   * @returns {Object} {genomicData: filtered data, dropped: [{key, id, species, flags}]}
+   */
+  filterByQuality(genomicData, summary, criteria = {}) {
+    const { dropFlags } = { ...DEFAULT_SEQUENCE_FILTER, ...criteria };
+    const drop = new Set(dropFlags);
+    const reports = new Map(summary.samples.map(sample => [sample.key, sample]));
+    const filtered = {};
+    const dropped = [];
+
+    Object.entries(genomicData).forEach(([species, records]) => {
+      const kept = records.filter((record, index) => {
+        const key = `${species}:${index}`;
+        const report = reports.get(key);
+        const reasons = report ? report.flags.filter(flag => drop.has(flag)) : [];
+        if (reasons.length > 0) {
+          dropped.push({ key, id: record.id, species, flags: reasons });
+          return false;
+        }
+        return true;
+      });
+      if (kept.length > 0) filtered[species] = kept;
+    });
+
+    return { genomicData: filtered, dropped };
+  }
+
+  /**
+   * Validate and filter a dataset in one step
+   * @param {Object} genomicData - {species: [{id, sequence, ...}]}
+   * @param {Object} criteria - {dropFlags, groupBy}
+   * @returns {Object} {summary, genomicData: filtered data, dropped}
+   */
+  generateQualityReport(genomicData, criteria = {}) {
+    const summary = this.validateDataset(genomicData, { groupBy: criteria.groupBy });
+    const { genomicData: filtered, dropped } = this.filterByQuality(genomicData, summary, criteria);
+    const droppedKeys = new Set(dropped.map(entry => entry.key));
+    summary.samples.forEach(sample => {
+      sample.dropped = droppedKeys.has(sample.key);
+    });
+
+    return { summary, genomicData: filtered, dropped };
+  }
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Create singleton instance
+export const sequenceQualityAssessment = new SequenceQualityAssessment();
+
+// Export utility functions
+export const validateSequenceDataset = (genomicData, options) => {
+  return sequenceQualityAssessment.validateDataset(genomicData, options);
+};
+
+export const generateSequenceQualityReport = (genomicData, criteria) => {
+  return sequenceQualityAssessment.generateQualityReport(genomicData, criteria);
+};
+
+export default SequenceQualityAssessment;
@@ -0,0 +1,164 @@
+// src/utils/spatialAnalysis.js
+// Point density and clustering computations on packed coordinate arrays
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LATITUDE = (Math.PI * EARTH_RADIUS_KM) / 180;
+
+/**
+ * Great-circle (haversine) distance between two coordinates
+ * @param {Number} lat1 - Latitude of the first point
+ * @param {Number} lng1 - Longitude of the first point
+ * @param {Number} lat2 - Latitude of the second point
+ * @param {Number} lng2 - Longitude of the second point
+ * @returns {Number} Distance in kilometers
+ */
+export function haversineDistance(lat1, lng1, lat2, lng2) {
+  const toRadians = Math.PI / 180;
+  const dLat = (lat2 - lat1) * toRadians;
+  const dLng = (lng2 - lng1) * toRadians;
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * toRadians) * Math.cos(lat2 * toRadians) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Find, for every point, the other points within a radius.
+ * Points are swept in latitude order so only a narrow latitude band is compared.
+ * @param {Float64Array} coordinates - Packed [lat0, lng0, lat1, lng1, ...]
+ * @param {Number} radiusKm - Search radius in kilometers
+ * @param {Function} onProgress - Optional callback receiving {stage, completed, total}
+ * @returns {Object} CSR neighbor lists {offsets: Int32Array, neighbors: Int32Array} in ascending index order
+ */
+export function computeDensityNeighborhoods(coordinates, radiusKm, onProgress) {
+  const n = coordinates.length / 2;
+  const order = latitudeOrder(coordinates);
+  const band = radiusKm / KM_PER_DEGREE_LATITUDE;
+  const lists = Array.from({ length: n }, () => []);
+
+  for (let a = 0; a < n; a++) {
+    const i = order[a];
+    const lat = coordinates[i * 2];
+    const lng = coordinates[i * 2 + 1];
+
+    // Pairs are symmetric, so only look ahead in the sweep
+    for (let b = a + 1; b < n; b++) {
+      const j = order[b];
+      if (coordinates[j * 2] - lat > band) break;
+      if (haversineDistance(lat, lng, coordinates[j * 2], coordinates[j * 2 + 1]) <= radiusKm) {
+        lists[i].push(j);
+        lists[j].push(i);
+      }
+    }
+
+    if (onProgress && a % 500 === 0) onProgress({ stage: 'density', completed: a, total: n });
+  }
+
+  const offsets = new Int32Array(n + 1);
+  lists.forEach((list, i) => { offsets[i + 1] = offsets[i] + list.length; });
+  const neighbors = new Int32Array(offsets[n]);
+  lists.forEach((list, i) => {
+    list.sort((x, y) => x - y);
+    neighbors.set(list, offsets[i]);
+  });
+
+  return { offsets, neighbors };
+}
+
+/**
+ * Greedy density clustering: the densest unassigned point absorbs every
+ * unassigned point within the cluster radius
+ * @param {Float64Array} coordinates - Packed [lat0, lng0, lat1, lng1, ...]
+ * @param {Int32Array} counts - Neighbor count per point
+ * @param {Object} options - {clusterRadiusKm, minDensity}
+ * @returns {Object} {assignments: Int32Array (-1 = unclustered), centers: Int32Array (point index per cluster)}
+ */
+export function assignDensityClusters(coordinates, counts, options = {}) {
+  const { clusterRadiusKm = 15, minDensity = 3 } = options;
+  const n = counts.length;
+  const assignments = new Int32Array(n).fill(-1);
+  const centers = [];
+  const byLatitude = latitudeOrder(coordinates);
+  const latitudes = Float64Array.from(byLatitude, i => coordinates[i * 2]);
+  const band = clusterRadiusKm / KM_PER_DEGREE_LATITUDE;
+
+  // Densest points first (stable for ties)
+  const byDensity = Array.from({ length: n }, (_, i) => i).sort((a, b) => counts[b] - counts[a]);
+
+  for (let r = 0; r < n; r++) {
+    const center = byDensity[r];
+    if (assignments[center] !== -1) continue;
+    if (counts[center] < minDensity) break;
+
+    const cluster = centers.length;
+    const lat = coordinates[center * 2];
+    const lng = coordinates[center * 2 + 1];
+    centers.push(center);
+    assignments[center] = cluster;
+
+    for (let b = lowerBound(latitudes, lat - band); b < n && latitudes[b] <= lat + band; b++) {
+      const j = byLatitude[b];
+      if (assignments[j] !== -1) continue;
+      if (haversineDistance(lat, lng, coordinates[j * 2], coordinates[j * 2 + 1]) <= clusterRadiusKm) {
+        assignments[j] = cluster;
+      }
+    }
+  }
+
+  return { assignments, centers: Int32Array.from(centers) };
+}
+
+/**
+ * Density cluster a sampling location belongs to: the cluster with the nearest member
+ * point, provided it lies within the clustering radius
+ * @param {Object} coordinates - {lat, lng}
+ * @param {Array} clusters - Density clusters [{id, points: [{coordinates}], center}]
+ * @param {Number} maxDistanceKm - Largest distance to a cluster point
+ * @returns {String|null} Cluster id
+ */
+export function nearestClusterId(coordinates, clusters, maxDistanceKm) {
+  if (!coordinates || !clusters) return null;
+  let nearest = null;
+  let nearestDistance = maxDistanceKm;
+  clusters.forEach(cluster => {
+    const points = cluster.points?.length ? cluster.points.map(point => point.coordinates) : [cluster.center];
+    points.forEach(point => {
+      if (!point) return;
+      const distance = haversineDistance(coordinates.lat, coordinates.lng, point.lat, point.lng);
+      if (distance <= nearestDistance) {
+        nearest = cluster.id;
+        nearestDistance = distance;
+      }
+    });
+  });
+  return nearest;
+}
+
+/**
+ * Point indices sorted by latitude
+ * @param {Float64Array} coordinates - Packed coordinates
+ * @returns {Int32Array} Sorted indices
+ */
+function latitudeOrder(coordinates) {
+  const n = coordinates.length / 2;
+  return Int32Array.from(
+    Array.from({ length: n }, (_, i) => i).sort((a, b) => coordinates[a * 2] - coordinates[b * 2])
+  );
+}
+
+/**
+ * First index whose value is >= target in a sorted array
+ * @param {Float64Array} sorted - Ascending values
+ * @param {Number} target - Value to search for
+ * @returns {Number} Insertion index
+ */
+function lowerBound(sorted, target) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sorted[mid] < target) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
@@ -0,0 +1,322 @@
+// src/utils/substitutionModels.js
+// Nucleotide substitution models for pairwise evolutionary distances
+
+/**
+ * Supported distance models
+ */
+export const SUBSTITUTION_MODELS = {
+  p: { label: 'p-distance', description: 'Proportion of differing sites' },
+  JC69: { label: 'Jukes-Cantor (JC69)', description: 'Equal base frequencies and rates' },
+  K2P: { label: 'Kimura 2-parameter (K2P)', description: 'Separate transition and transversion rates' },
+  F81: { label: 'Felsenstein 1981 (F81)', description: 'Unequal base frequencies, equal rates' },
+  HKY85: { label: 'Hasegawa-Kishino-Yano (HKY85)', description: 'Unequal base frequencies, transition/transversion ratio (ML estimate)' },
+  TN93: { label: 'Tamura-Nei (TN93)', description: 'Unequal base frequencies, two transition classes' }
+};
+
+export const GAP_HANDLING = {
+  pairwise: 'Pairwise deletion',
+  complete: 'Complete deletion'
+};
+
+export const DEFAULT_DISTANCE_OPTIONS = {
+  model: 'JC69',
+  gapHandling: 'pairwise',
+  ambiguity: 'average'
+};
+
+// Bit masks: A=1, C=2, G=4, T=8; 0 marks gaps and unknown characters
+const IUPAC_MASKS = {
+  A: 1, C: 2, G: 4, T: 8, U: 8,
+  R: 5, Y: 10, S: 6, W: 9, K: 12, M: 3,
+  B: 14, D: 13, H: 11, V: 7,
+  N: 15, X: 15, '?': 15
+};
+
+const A = 0;
+const C = 1;
+const G = 2;
+const T = 3;
+
+// Per mask pair: list of [cellIndex, weight] spreading one site over the 4x4 pair matrix
+const PAIR_CONTRIBUTIONS = buildPairContributions();
+
+/**
+ * Encode a sequence as IUPAC bit masks
+ * @param {String} sequence - Nucleotide sequence (aligned or raw)
+ * @returns {Uint8Array} Mask per position
+ */
+export function encodeSequence(sequence) {
+  const masks = new Uint8Array(sequence.length);
+  for (let i = 0; i < sequence.length; i++) {
+    masks[i] = IUPAC_MASKS[sequence[i].toUpperCase()] || 0;
+  }
+  return masks;
+}
+
+/**
+ * Check whether a site mask can be used for a distance
+ * @param {Number} mask - IUPAC bit mask
+ * @param {String} ambiguity - 'average' or 'missing'
+ * @returns {Boolean} True if the site carries information
+ */
+export function isInformativeMask(mask, ambiguity) {
+  // Gaps and fully unknown bases (N) are always missing data
+  if (mask === 0 || mask === 15) return false;
+  if (ambiguity === 'missing') return (mask & (mask - 1)) === 0;
+  return true;
+}
+
+/**
+ * Count site pairs between two encoded sequences into a 4x4 matrix
+ * @param {Uint8Array} masks1 - First encoded sequence
+ * @param {Uint8Array} masks2 - Second encoded sequence
+ * @param {Object} options - {ambiguity, columnMask}
+ * @returns {Float64Array} Row-major 4x4 counts (row = base in seq1)
+ */
+export function countSitePairs(masks1, masks2, options = {}) {
+  const { ambiguity = 'average', columnMask = null } = options;
+  const counts = new Float64Array(16);
+  const length = Math.min(masks1.length, masks2.length);
+
+  for (let i = 0; i < length; i++) {
+    if (columnMask && !columnMask[i]) continue;
+    const a = masks1[i];
+    const b = masks2[i];
+    if (!isInformativeMask(a, ambiguity) || !isInformativeMask(b, ambiguity)) continue;
+    const contributions = PAIR_CONTRIBUTIONS[a * 16 + b];
+    for (let k = 0; k < contributions.length; k++) {
+      counts[contributions[k][0]] += contributions[k][1];
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Estimate an evolutionary distance from pair counts
+ * @param {Float64Array} counts - 4x4 site pair counts from countSitePairs
+ * @param {String} model - Model key from SUBSTITUTION_MODELS
+ * @returns {Object} {distance, saturated, sites, p}; distance is NaN when saturated
+ */
+export function modelDistance(counts, model = 'JC69') {
+  const sites = counts.reduce((sum, value) => sum + value, 0);
+  if (sites === 0) {
+    return { distance: NaN, saturated: true, reason: 'no_sites', sites: 0, p: NaN };
+  }
+
+  // Transitions A<->G (P1) and C<->T (P2); everything else off-diagonal is a transversion
+  const P1 = (counts[A * 4 + G] + counts[G * 4 + A]) / sites;
+  const P2 = (counts[C * 4 + T] + counts[T * 4 + C]) / sites;
+  const identical = (counts[0] + counts[5] + counts[10] + counts[15]) / sites;
+  const p = 1 - identical;
+  const Q = p - P1 - P2;
+  const pi = baseFrequencies(counts, sites);
+
+  let distance;
+  switch (model) {
+    case 'p':
+      distance = p;
+      break;
+    case 'JC69':
+      distance = -0.75 * safeLog(1 - (4 / 3) * p);
+      break;
+    case 'K2P':
+      distance = -0.5 * safeLog(1 - 2 * (P1 + P2) - Q) - 0.25 * safeLog(1 - 2 * Q);
+      break;
+    case 'F81': {
+      const B = 1 - pi.reduce((sum, f) => sum + f * f, 0);
+      distance = -B * safeLog(1 - p / B);
+      break;
+    }
+    case 'TN93':
+      distance = tamuraNeiDistance(P1, P2, Q, pi);
+      break;
+    case 'HKY85':
+      distance = hkyDistance(counts, pi);
+      break;
+    default:
+      throw new Error(`Unknown substitution model: ${model}`);
+  }
+
+  const saturated = !Number.isFinite(distance);
+  return {
+    distance: saturated ? NaN : Math.max(0, distance),
+    saturated,
+    reason: saturated ? 'saturated' : null,
+    sites,
+    p
+  };
+}
+
+/**
+ * Tamura-Nei (1993) distance
+ * @param {Number} P1 - Purine transition proportion
+ * @param {Number} P2 - Pyrimidine transition proportion
+ * @param {Number} Q - Transversion proportion
+ * @param {Array} pi - Base frequencies [A, C, G, T]
+ * @returns {Number} Distance (Infinity when saturated)
+ */
+function tamuraNeiDistance(P1, P2, Q, pi) {
+  const piR = pi[A] + pi[G];
+  const piY = pi[C] + pi[T];
+  const piAG = pi[A] * pi[G];
+  const piCT = pi[C] * pi[T];
+
+  // Degenerate compositions fall back to the F81-style terms to avoid dividing by zero
+  if (piAG === 0 || piCT === 0 || piR === 0 || piY === 0) {
+    const B = 1 - pi.reduce((sum, f) => sum + f * f, 0);
+    return -B * safeLog(1 - (P1 + P2 + Q) / B);
+  }
+
+  return -(2 * piAG / piR) * safeLog(1 - (piR * P1) / (2 * piAG) - Q / (2 * piR))
+    - (2 * piCT / piY) * safeLog(1 - (piY * P2) / (2 * piCT) - Q / (2 * piY))
+    - 2 * (piR * piY - (piAG * piY) / piR - (piCT * piR) / piY) * safeLog(1 - Q / (2 * piR * piY));
+}
+
+/**
+ * Maximum-likelihood HKY85 distance, jointly estimating the transition/transversion ratio
+ * @param {Float64Array} counts - 4x4 site pair counts
+ * @param {Array} pi - Base frequencies [A, C, G, T]
+ * @returns {Number} Distance (Infinity when the optimum reaches the upper bound)
+ */
+function hkyDistance(counts, pi) {
+  const MAX_DISTANCE = 10;
+  const identical = counts[0] + counts[5] + counts[10] + counts[15];
+  if (identical === counts.reduce((sum, value) => sum + value, 0)) return 0;
+
+  const safePi = pi.map(f => Math.max(f, 1e-6));
+
+  const bestDistanceFor = (kappa) => goldenSectionMax(
+    t => hkyLogLikelihood(counts, safePi, kappa, t), 0, MAX_DISTANCE, 1e-6
+  );
+  const logKappa = goldenSectionMax(
+    lk => hkyLogLikelihood(counts, safePi, Math.exp(lk), bestDistanceFor(Math.exp(lk))),
+    Math.log(0.05), Math.log(100), 1e-3
+  );
+
+  const distance = bestDistanceFor(Math.exp(logKappa));
+  return distance > MAX_DISTANCE * 0.999 ? Infinity : distance;
+}
+
+/**
+ * Log-likelihood of pair counts under HKY85 at distance t
+ * @param {Float64Array} counts - 4x4 site pair counts
+ * @param {Array} pi - Base frequencies [A, C, G, T]
+ * @param {Number} kappa - Transition/transversion rate ratio
+ * @param {Number} t - Expected substitutions per site
+ * @returns {Number} Log-likelihood
+ */
+function hkyLogLikelihood(counts, pi, kappa, t) {
+  const piR = pi[A] + pi[G];
+  const piY = pi[C] + pi[T];
+  // Scale so that t is measured in expected substitutions per site
+  const beta = 1 / (2 * (piR * piY + kappa * (pi[A] * pi[G] + pi[C] * pi[T])));
+  const e1 = Math.exp(-beta * t);
+
+  let logLikelihood = 0;
+  for (let i = 0; i < 4; i++) {
+    for (let j = 0; j < 4; j++) {
+      const count = counts[i * 4 + j];
+      if (count === 0) continue;
+
+      const isPurineJ = j === A || j === G;
+      const isPurineI = i === A || i === G;
+      const classFreq = isPurineJ ? piR : piY;
+      const eClass = Math.exp(-beta * t * (1 + classFreq * (kappa - 1)));
+      let probability;
+
+      if (i === j) {
+        probability = pi[j] + pi[j] * (1 / classFreq - 1) * e1 + ((classFreq - pi[j]) / classFreq) * eClass;
+      } else if (isPurineI === isPurineJ) {
+        probability = pi[j] + pi[j] * (1 / classFreq - 1) * e1 - (pi[j] / classFreq) * eClass;
+      } else {
+        probability = pi[j] * (1 - e1);
+      }
+
+      logLikelihood += count * Math.log(Math.max(pi[i] * probability, 1e-300));
+    }
+  }
+
+  return logLikelihood;
+}
+
+/**
+ * Maximize a unimodal function on an interval by golden-section search
+ * @param {Function} fn - Function to maximize
+ * @param {Number} lower - Lower bound
+ * @param {Number} upper - Upper bound
+ * @param {Number} tolerance - Interval width at which to stop
+ * @returns {Number} Argument of the maximum
+ */
+export function goldenSectionMax(fn, lower, upper, tolerance = 1e-6) {
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let a = lower;
+  let b = upper;
+  let c = b - ratio * (b - a);
+  let d = a + ratio * (b - a);
+  let fc = fn(c);
+  let fd = fn(d);
+
+  while (b - a > tolerance) {
+    if (fc > fd) {
+      b = d;
+      d = c;
+      fd = fc;
+      c = b - ratio * (b - a);
+      fc = fn(c);
+    } else {
+      a = c;
+      c = d;
+      fc = fd;
+      d = a + ratio * (b - a);
+      fd = fn(d);
+    }
+  }
+
+  return (a + b) / 2;
+}
+
+/**
+ * Base frequencies from the pair counts of both sequences
+ * @param {Float64Array} counts - 4x4 site pair counts
+ * @param {Number} sites - Total number of sites
+ * @returns {Array} Frequencies [A, C, G, T]
+ */
+function baseFrequencies(counts, sites) {
+  const pi = [0, 0, 0, 0];
+  for (let i = 0; i < 4; i++) {
+    for (let j = 0; j < 4; j++) {
+      pi[i] += counts[i * 4 + j];
+      pi[j] += counts[i * 4 + j];
+    }
+  }
+  return pi.map(count => count / (2 * sites));
+}
+
+/**
+ * Natural log that signals saturation instead of returning NaN
+ * @param {Number} value - Log argument
+ * @returns {Number} log(value), or -Infinity when value <= 0
+ */
+function safeLog(value) {
+  return value > 0 ? Math.log(value) : -Infinity;
+}
+
+/**
+ * Precompute how a pair of (possibly ambiguous) bases contributes to the 4x4 pair matrix
+ * @returns {Array} Contribution lists indexed by maskA * 16 + maskB
+ */
+function buildPairContributions() {
+  const table = [];
+  for (let a = 0; a < 16; a++) {
+    for (let b = 0; b < 16; b++) {
+      const basesA = [A, C, G, T].filter(base => a & (1 << base));
+      const basesB = [A, C, G, T].filter(base => b & (1 << base));
+      const weight = basesA.length && basesB.length ? 1 / (basesA.length * basesB.length) : 0;
+      const contributions = [];
+      basesA.forEach(x => basesB.forEach(y => contributions.push([x * 4 + y, weight])));
+      table.push(contributions);
+    }
+  }
+  return table;
+}
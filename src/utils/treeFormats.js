@@ -0,0 +1,561 @@
+// src/utils/treeFormats.js
+// Readers and writers for phylogenetic tree formats (Newick, NEXUS, phyloXML)
+
+/**
+ * Parse a tree file, detecting its format from the content and file name
+ * @param {String} text - File content
+ * @param {String} fileName - Original file name (used as a format hint)
+ * @returns {Object} Parsed result {format, trees: [{name, tree}]}
+ */
+export function parseTreeFile(text, fileName = '') {
+  const content = text.replace(/^\uFEFF/, '').trim();
+  if (!content) {
+    throw new Error('Tree file is empty');
+  }
+
+  if (/^#NEXUS/i.test(content) || /\.(nex|nexus)$/i.test(fileName)) {
+    return { format: 'nexus', trees: parseNexus(content) };
+  }
+
+  if (content.startsWith('<') || /\.(xml|phyloxml)$/i.test(fileName)) {
+    return { format: 'phyloxml', trees: parsePhyloXML(content) };
+  }
+
+  const trees = splitStatements(content)
+    .filter(statement => statement.trim().length > 0)
+    .map((statement, index) => ({ name: `Tree ${index + 1}`, tree: parseNewick(statement) }));
+
+  if (trees.length === 0) {
+    throw new Error('No trees found in file');
+  }
+
+  return { format: 'newick', trees };
+}
+
+/**
+ * Parse a Newick string into the display hierarchy
+ * @param {String} newick - Newick tree string (trailing semicolon optional)
+ * @param {Object} translate - Optional token -> taxon name table (NEXUS TRANSLATE)
+ * @returns {Object} Root node {name, branchLength, bootstrap, children}
+ */
+export function parseNewick(newick, translate = null) {
+  const text = newick.trim();
+  let pos = 0;
+
+  const error = (message) => new Error(`Newick parse error at position ${pos}: ${message}`);
+  // Nodes whose support came from a label; their scale is decided once the whole tree is read
+  const labelled = [];
+
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+
+  // Comments are skipped; BEAST/MrBayes [&key=value] annotations are returned for support values
+  const readComments = () => {
+    const annotations = {};
+    skipWhitespace();
+    while (text[pos] === '[') {
+      const end = text.indexOf(']', pos);
+      if (end === -1) throw error('unterminated comment');
+      const body = text.slice(pos + 1, end);
+      if (body.startsWith('&')) {
+        Object.assign(annotations, parseAnnotation(body.slice(1)));
+      }
+      pos = end + 1;
+      skipWhitespace();
+    }
+    return annotations;
+  };
+
+  const readLabel = () => {
+    if (text[pos] === "'" || text[pos] === '"') {
+      const quote = text[pos];
+      let label = '';
+      pos++;
+      while (pos < text.length) {
+        if (text[pos] === quote) {
+          if (text[pos + 1] === quote) {
+            label += quote;
+            pos += 2;
+            continue;
+          }
+          pos++;
+          return { label, quoted: true };
+        }
+        label += text[pos++];
+      }
+      throw error('unterminated quoted label');
+    }
+
+    const start = pos;
+    while (pos < text.length && !/[(),:;[\]]/.test(text[pos])) pos++;
+    return { label: text.slice(start, pos).trim().replace(/_/g, ' '), quoted: false };
+  };
+
+  const readNode = () => {
+    const node = { name: '' };
+    readComments();
+
+    if (text[pos] === '(') {
+      pos++;
+      node.children = [readNode()];
+      readComments();
+      while (text[pos] === ',') {
+        pos++;
+        node.children.push(readNode());
+        readComments();
+      }
+      if (text[pos] !== ')') throw error(`expected ')' but found '${text[pos] || 'end of input'}'`);
+      pos++;
+    }
+
+    const annotations = readComments();
+    const { label, quoted } = readLabel();
+    Object.assign(annotations, readComments());
+
+    if (text[pos] === ':') {
+      pos++;
+      skipWhitespace();
+      const match = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/.exec(text.slice(pos));
+      if (!match) throw error('invalid branch length');
+      node.branchLength = parseFloat(match[0]);
+      pos += match[0].length;
+    }
+    Object.assign(annotations, readComments());
+
+    if (node.children) {
+      const support = quoted ? null : parseSupport(label);
+      if (support !== null) {
+        node.bootstrap = support;
+        labelled.push(node);
+      } else if (label) {
+        node.name = label;
+      }
+      if (node.bootstrap === undefined && annotations.posterior !== undefined) {
+        node.bootstrap = Math.round(annotations.posterior * 100);
+      }
+    } else {
+      const name = translate && translate[label] !== undefined ? translate[label] : label;
+      node.name = name;
+    }
+
+    return node;
+  };
+
+  const root = readNode();
+  readComments();
+  if (text[pos] === ';') pos++;
+  skipWhitespace();
+  if (pos < text.length) throw error('unexpected trailing content');
+  scaleSupport(labelled);
+
+  if (root.branchLength === undefined) root.branchLength = 0;
+  if (!root.name) root.name = 'Root';
+  return root;
+}
+
+/**
+ * Parse the TREES block of a NEXUS file, applying its TRANSLATE table
+ * @param {String} text - NEXUS file content
+ * @returns {Array} Trees [{name, tree}]
+ */
+export function parseNexus(text) {
+  const blockMatch = /begin\s+trees\s*;([\s\S]*?)\bend(block)?\s*;/i.exec(text);
+  if (!blockMatch) {
+    throw new Error('NEXUS file has no TREES block');
+  }
+
+  let translate = null;
+  const trees = [];
+
+  splitStatements(blockMatch[1]).forEach(rawStatement => {
+    // Leading comments belong to the block, not the statement
+    const statement = rawStatement.replace(/^(\s*\[[^\]]*\])*/, '').trim();
+
+    if (/^translate\b/i.test(statement)) {
+      translate = {};
+      splitOutside(statement.replace(/^translate\b/i, ''), ',').forEach(entry => {
+        const match = /^\s*(\S+)\s+([\s\S]+?)\s*$/.exec(entry);
+        if (match) translate[match[1]] = unquoteNexusToken(match[2]);
+      });
+      return;
+    }
+
+    const treeMatch = /^u?tree\s+(\*\s*)?('[^']*'|[^\s=]+)\s*=\s*([\s\S]*)$/i.exec(statement);
+    if (treeMatch) {
+      trees.push({
+        name: unquoteNexusToken(treeMatch[2]),
+        tree: parseNewick(treeMatch[3], translate)
+      });
+    }
+  });
+
+  if (trees.length === 0) {
+    throw new Error('NEXUS TREES block contains no trees');
+  }
+
+  return trees;
+}
+
+/**
+ * Parse a phyloXML document
+ * @param {String} text - phyloXML content
+ * @returns {Array} Trees [{name, tree}]
+ */
+export function parsePhyloXML(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid phyloXML: document is not well-formed XML');
+  }
+
+  const childElements = (element, tagName) =>
+    Array.from(element.children).filter(child => child.localName === tagName);
+  const childText = (element, tagName) => {
+    const child = childElements(element, tagName)[0];
+    return child ? child.textContent.trim() : undefined;
+  };
+
+  const labelled = [];
+  const readClade = (clade) => {
+    const node = { name: childText(clade, 'name') || '' };
+
+    const lengthText = clade.getAttribute('branch_length') || childText(clade, 'branch_length');
+    if (lengthText !== undefined && lengthText !== null) {
+      node.branchLength = parseFloat(lengthText);
+    }
+
+    const taxonomy = childElements(clade, 'taxonomy')[0];
+    if (taxonomy) {
+      const scientificName = childText(taxonomy, 'scientific_name');
+      if (scientificName) node.species = scientificName;
+      if (!node.name) node.name = scientificName || childText(taxonomy, 'code') || '';
+    }
+
+    const children = childElements(clade, 'clade').map(readClade);
+    if (children.length > 0) {
+      node.children = children;
+      const confidence = childElements(clade, 'confidence')[0];
+      if (confidence) {
+        const support = parseSupport(confidence.textContent.trim());
+        if (support !== null) {
+          node.bootstrap = support;
+          labelled.push(node);
+        }
+      }
+    }
+
+    return node;
+  };
+
+  const phylogenies = Array.from(doc.getElementsByTagName('*'))
+    .filter(element => element.localName === 'phylogeny');
+
+  const trees = phylogenies
+    .map((phylogeny, index) => {
+      const clade = childElements(phylogeny, 'clade')[0];
+      if (!clade) return null;
+      labelled.length = 0;
+      const tree = readClade(clade);
+      scaleSupport(labelled);
+      if (tree.branchLength === undefined) tree.branchLength = 0;
+      if (!tree.name) tree.name = 'Root';
+      return { name: childText(phylogeny, 'name') || `Tree ${index + 1}`, tree };
+    })
+    .filter(Boolean);
+
+  if (trees.length === 0) {
+    throw new Error('phyloXML file contains no phylogenies');
+  }
+
+  return trees;
+}
+
+/**
+ * Serialize a tree to a Newick string.
+ * Accepts both computed trees (`distance`) and display trees (`branchLength`);
+ * collapsed clades are written as a single tip.
+ * @param {Object} tree - Tree with name/children/branch length fields
+ * @param {Function} labelFor - Optional leaf label formatter
+ * @returns {String} Newick representation; support values become internal labels
+ */
+export function treeToNewick(tree, labelFor = quoteNewickLabel) {
+  if (!tree) return ';';
+
+  const format = (node, isRoot) => {
+    let label;
+    if (isInternal(node) && !node.collapsed) {
+      const support = node.bootstrap !== undefined && node.bootstrap !== null && !isRoot
+        ? String(Math.round(node.bootstrap))
+        : '';
+      label = `(${node.children.map(child => format(child, false)).join(',')})${support}`;
+    } else {
+      label = labelFor(tipLabel(node));
+    }
+    return isRoot ? label : `${label}:${formatBranchLength(branchLengthOf(node))}`;
+  };
+
+  return `${format(tree, true)};`;
+}
+
+/**
+ * Serialize a tree to a NEXUS file with TAXA and TREES blocks
+ * @param {Object} tree - Tree with name/children/branch length fields
+ * @param {String} treeName - Name written in the TREE statement
+ * @returns {String} NEXUS document
+ */
+export function treeToNexus(tree, treeName = 'tree_1') {
+  const taxa = [];
+  const collect = (node) => {
+    if (isInternal(node) && !node.collapsed) {
+      node.children.forEach(collect);
+    } else {
+      taxa.push(tipLabel(node));
+    }
+  };
+  if (tree) collect(tree);
+
+  // Tips are numbered through the TRANSLATE table to keep the tree statement compact
+  const tokens = new Map();
+  taxa.forEach((label, index) => {
+    if (!tokens.has(label)) tokens.set(label, String(index + 1));
+  });
+  const translateEntries = [...tokens].map(([label, token]) => `    ${token} ${quoteNewickLabel(label)}`);
+
+  return [
+    '#NEXUS',
+    '',
+    'BEGIN TAXA;',
+    `  DIMENSIONS NTAX=${taxa.length};`,
+    '  TAXLABELS',
+    ...taxa.map(label => `    ${quoteNewickLabel(label)}`),
+    '  ;',
+    'END;',
+    '',
+    'BEGIN TREES;',
+    '  TRANSLATE',
+    translateEntries.join(',\n'),
+    '  ;',
+    `  TREE ${quoteNewickLabel(treeName)} = [&R] ${treeToNewick(tree, label => tokens.get(label))}`,
+    'END;',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Re-root a display tree on the branch above a target node.
+ * Support values stay with the bipartition they describe as edges change direction.
+ * @param {Object} tree - Display tree {name, branchLength, bootstrap, children}
+ * @param {Object} target - Node of `tree` whose parent branch receives the root
+ * @returns {Object} New rooted tree (the input is not modified)
+ */
+export function rerootTree(tree, target) {
+  if (!tree || !target || target === tree) return tree;
+
+  // Undirected adjacency; the support of an edge is stored on its lower node
+  const graph = new Map();
+  const link = (node) => {
+    if (!graph.has(node)) graph.set(node, []);
+    (node.children || []).forEach(child => {
+      const edge = { length: branchLengthOf(child), support: child.bootstrap };
+      graph.get(node).push({ ...edge, node: child });
+      graph.set(child, [{ ...edge, node }]);
+      link(child);
+    });
+  };
+  link(tree);
+
+  const parentEdge = graph.get(target)?.[0];
+  if (!parentEdge) return tree;
+
+  const build = (node, parent, length, support) => {
+    const childEdges = graph.get(node).filter(edge => edge.node !== parent);
+
+    // The old root becomes a degree-two node once the root moves; merge its two branches
+    if (isInternal(node) && childEdges.length === 1) {
+      const [only] = childEdges;
+      return build(only.node, node, length + only.length, support !== undefined ? support : only.support);
+    }
+
+    const copy = { ...node, branchLength: length };
+    delete copy.distance;
+    if (childEdges.length > 0) {
+      copy.children = childEdges.map(edge => build(edge.node, node, edge.length, edge.support));
+      if (copy.name === 'Root') copy.name = '';
+      if (support !== undefined) {
+        copy.bootstrap = support;
+      } else {
+        delete copy.bootstrap;
+      }
+    } else {
+      delete copy.children;
+      delete copy.bootstrap;
+    }
+    return copy;
+  };
+
+  const half = parentEdge.length / 2;
+  return {
+    name: 'Root',
+    branchLength: 0,
+    children: [
+      build(target, parentEdge.node, half, parentEdge.support),
+      build(parentEdge.node, target, half, parentEdge.support)
+    ]
+  };
+}
+
+/**
+ * Count the tips below a node, including tips hidden inside collapsed clades
+ * @param {Object} node - Tree node
+ * @returns {Number} Number of tips
+ */
+export function countTips(node) {
+  if (!isInternal(node)) return 1;
+  return node.children.reduce((sum, child) => sum + countTips(child), 0);
+}
+
+/**
+ * Label used when a node is written as a tip
+ * @param {Object} node - Tree node
+ * @returns {String} Tip label
+ */
+function tipLabel(node) {
+  if (isInternal(node)) {
+    return node.name || `Collapsed clade (${countTips(node)} taxa)`;
+  }
+  return node.name || '';
+}
+
+/**
+ * Check whether a node has descendants
+ * @param {Object} node - Tree node
+ * @returns {Boolean} True for internal nodes
+ */
+function isInternal(node) {
+  return Boolean(node.children && node.children.length > 0);
+}
+
+/**
+ * Read a branch length from either tree representation
+ * @param {Object} node - Tree node
+ * @returns {Number} Branch length (0 when absent)
+ */
+function branchLengthOf(node) {
+  const length = node.branchLength !== undefined ? node.branchLength : node.distance;
+  return length || 0;
+}
+
+/**
+ * Quote a Newick label when it contains reserved characters
+ * @param {String} label - Taxon label
+ * @returns {String} Safe Newick label
+ */
+function quoteNewickLabel(label) {
+  const text = label === undefined || label === null ? '' : String(label);
+  if (/^[^\s()[\]':;,]+$/.test(text)) return text;
+  return `'${text.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Format a branch length for Newick output
+ * @param {Number} length - Branch length
+ * @returns {String} Compact decimal representation
+ */
+function formatBranchLength(length) {
+  return String(Number((length || 0).toFixed(6)));
+}
+
+/**
+ * Interpret an internal node label as a support value
+ * @param {String} label - Node label (e.g. "95", "0.98", "87/95")
+ * @returns {Number|null} Support on the label's own scale (see scaleSupport), or null if the label is not numeric
+ */
+function parseSupport(label) {
+  if (!label) return null;
+  // IQ-TREE writes "SH-aLRT/UFBoot"; the first value is used
+  const first = label.split('/')[0].trim();
+  if (!/^\d+(\.\d+)?$/.test(first)) return null;
+  return parseFloat(first);
+}
+
+/**
+ * Convert one tree's label supports to percentages. The scale is decided per tree: when
+ * every value is at most 1 they are posterior probabilities (MrBayes and BEAST write a fully
+ * supported clade as "1"), otherwise they are already percentages.
+ * @param {Array} nodes - Nodes whose bootstrap was read from a label (modified)
+ */
+function scaleSupport(nodes) {
+  if (nodes.length === 0 || !nodes.every(node => node.bootstrap <= 1)) return;
+  nodes.forEach(node => { node.bootstrap = Math.round(node.bootstrap * 100); });
+}
+
+/**
+ * Parse a BEAST-style annotation body ("height=1.2,posterior=0.99")
+ * @param {String} body - Annotation without the leading '&'
+ * @returns {Object} Numeric annotations by key
+ */
+function parseAnnotation(body) {
+  const annotations = {};
+  splitOutside(body, ',').forEach(pair => {
+    const [key, value] = pair.split('=');
+    if (key && value !== undefined && !Number.isNaN(parseFloat(value))) {
+      annotations[key.trim()] = parseFloat(value);
+    }
+  });
+  return annotations;
+}
+
+/**
+ * Split text on semicolons that are outside quotes and comments
+ * @param {String} text - Text to split
+ * @returns {Array} Statements without the terminating semicolon
+ */
+function splitStatements(text) {
+  return splitOutside(text, ';').filter(statement => statement.trim().length > 0);
+}
+
+/**
+ * Split text on a delimiter, ignoring delimiters inside quotes, brackets and braces
+ * @param {String} text - Text to split
+ * @param {String} delimiter - Single-character delimiter
+ * @returns {Array} Parts
+ */
+function splitOutside(text, delimiter) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  let depth = 0;
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+    } else if (char === delimiter && depth === 0) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  if (current.trim().length > 0) parts.push(current);
+  return parts;
+}
+
+/**
+ * Remove NEXUS quoting from a token
+ * @param {String} token - Possibly quoted token
+ * @returns {String} Unquoted token with underscores read as spaces
+ */
+function unquoteNexusToken(token) {
+  const trimmed = token.trim();
+  if (trimmed.startsWith("'") && trimmed.endsWith("'")) {
+    return trimmed.slice(1, -1).replace(/''/g, "'");
+  }
+  return trimmed.replace(/_/g, ' ');
+}
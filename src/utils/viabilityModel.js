@@ -0,0 +1,552 @@
+// src/utils/viabilityModel.js
+// Individual-based, age- and sex-structured population viability model (Vortex-style)
+
+export const DEFAULT_VIABILITY_PARAMETERS = {
+  initialSize: 500,
+  carryingCapacity: 600,
+  maxAge: 50,                  // No individual survives past this age
+  subadultAge: 8,              // Offspring are dependent juveniles until weaned at this age
+  femaleFirstBreeding: 15,
+  maleFirstBreeding: 20,
+  maxBreedingAge: 45,
+  sexRatioAtBirth: 0.5,        // Proportion of males among newborns
+  breedingProbability: 0.4,    // Annual probability that an available adult female gives birth
+  breedingSD: 0.1,             // Environmental SD of the breeding probability
+  minInterbirthInterval: 6,    // Years a mother is unavailable while raising an offspring
+  matesPerMale: 4,             // Females one adult male can sire offspring with in a year
+  mortality: {                 // Annual mortality by sex and age class
+    female: { infant: 0.06, juvenile: 0.03, subadult: 0.02, adult: 0.02 },
+    male: { infant: 0.06, juvenile: 0.03, subadult: 0.03, adult: 0.03 }
+  },
+  mortalityCV: 0.2,            // Environmental coefficient of variation of mortality
+  lethalEquivalents: 6.29,     // Inbreeding depression in first-year survival, exp(-B·F)
+  geneticLoci: 5,              // Neutral loci followed through drift
+  founderAlleleFrequencies: null, // Founder neutral alleles drawn from these; null gives unique alleles
+  // Threat scenario (see viabilityScenarios.js); the defaults are the undisturbed baseline
+  catastrophes: [],            // [{name, frequency, reproduction, survival}]: annual probability and multipliers
+  carryingCapacityLoss: 0,     // Proportion of K lost each year, compounded
+  offtakeRate: 0               // Annual proportion of independent individuals killed or removed
+};
+
+export const DEFAULT_VIABILITY_OPTIONS = {
+  years: 100,
+  iterations: 100,
+  sampledTrajectories: 10      // Individual iteration trajectories returned for plotting
+};
+
+const SEXES = ['female', 'male'];
+
+/**
+ * Resolve model parameters over the defaults (mortality schedules merge per sex)
+ * @param {Object} parameters - Partial parameters
+ * @returns {Object} Complete parameters
+ */
+export function resolveViabilityParameters(parameters = {}) {
+  const mortality = parameters.mortality || {};
+  return {
+    ...DEFAULT_VIABILITY_PARAMETERS,
+    ...parameters,
+    mortality: {
+      female: { ...DEFAULT_VIABILITY_PARAMETERS.mortality.female, ...mortality.female },
+      male: { ...DEFAULT_VIABILITY_PARAMETERS.mortality.male, ...mortality.male }
+    }
+  };
+}
+
+/**
+ * Age class of an individual: infant in its first year, juvenile until weaning,
+ * subadult until its sex's first breeding age, adult afterwards
+ * @param {Number} age - Age in years
+ * @param {String} sex - 'female' or 'male'
+ * @param {Object} parameters - Resolved parameters
+ * @returns {String} Age class
+ */
+export function ageClass(age, sex, parameters) {
+  if (age === 0) return 'infant';
+  if (age < parameters.subadultAge) return 'juvenile';
+  const firstBreeding = sex === 'female' ? parameters.femaleFirstBreeding : parameters.maleFirstBreeding;
+  return age < firstBreeding ? 'subadult' : 'adult';
+}
+
+/**
+ * Mean annual mortality of every age for each sex
+ * @param {Object} parameters - Resolved parameters
+ * @returns {Object} {female: Float64Array, male: Float64Array} indexed by age
+ */
+export function mortalitySchedules(parameters) {
+  const schedules = {};
+  SEXES.forEach(sex => {
+    schedules[sex] = Float64Array.from({ length: parameters.maxAge + 1 }, (_, age) =>
+      parameters.mortality[sex][ageClass(age, sex, parameters)]
+    );
+  });
+  return schedules;
+}
+
+function clamp(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Standard normal deviate (Box-Muller)
+ * @param {Function} random - Uniform [0, 1) generator
+ * @returns {Number} Deviate
+ */
+export function normalDeviate(random = Math.random) {
+  return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Kinship coefficient of two individuals from the pedigree, with unrelated, non-inbred
+ * founders. The later-born individual cannot be an ancestor of the other, so it is the one
+ * expanded into its parents; values are memoized on it.
+ * @param {Object} a - Individual {id, mother, father, inbreeding, kinship}
+ * @param {Object} b - Individual
+ * @returns {Number} Probability that alleles drawn from each are identical by descent
+ */
+export function kinship(a, b) {
+  if (a === b) return (1 + a.inbreeding) / 2;
+  const [younger, older] = a.id > b.id ? [a, b] : [b, a];
+  // Founders have the lowest ids, so a founder here means both are founders
+  if (!younger.mother) return 0;
+
+  let value = younger.kinship.get(older.id);
+  if (value === undefined) {
+    value = (kinship(younger.mother, older) + kinship(younger.father, older)) / 2;
+    younger.kinship.set(older.id, value);
+  }
+  return value;
+}
+
+/**
+ * Founding population at the stable age distribution implied by the mortality schedule.
+ * Founders are unrelated and carry two unique alleles at each neutral locus, or alleles drawn
+ * from founderAlleleFrequencies when the starting diversity is known. Adult females are
+ * spread over the inter-birth cycle so breeding does not start in synchrony.
+ * @param {Object} parameters - Resolved parameters
+ * @param {Function} random - Uniform [0, 1) generator
+ * @returns {Object} Population state {individuals, nextId, alleleCount}
+ */
+export function createPopulation(parameters, random = Math.random) {
+  const schedules = mortalitySchedules(parameters);
+  const survivorship = {};
+  SEXES.forEach(sex => {
+    let alive = 1;
+    survivorship[sex] = Array.from({ length: parameters.maxAge }, (_, age) => {
+      const current = alive;
+      alive *= 1 - schedules[sex][age];
+      return current;
+    });
+  });
+
+  const maleWeight = parameters.sexRatioAtBirth;
+  const weights = [
+    ...survivorship.female.map(value => value * (1 - maleWeight)),
+    ...survivorship.male.map(value => value * maleWeight)
+  ];
+  const totalWeight = weights.reduce((sum, value) => sum + value, 0);
+  const meanInterbirthInterval = parameters.minInterbirthInterval + 1 / Math.max(parameters.breedingProbability, 1e-6) - 1;
+  const loci = parameters.geneticLoci;
+  const frequencies = parameters.founderAlleleFrequencies;
+  const drawAllele = () => {
+    let target = random() * frequencies.reduce((sum, value) => sum + value, 0);
+    let allele = 0;
+    while (allele < frequencies.length - 1 && target >= frequencies[allele]) {
+      target -= frequencies[allele];
+      allele++;
+    }
+    return allele;
+  };
+
+  const individuals = [];
+  for (let id = 0; id < parameters.initialSize; id++) {
+    let target = random() * totalWeight;
+    let index = 0;
+    while (index < weights.length - 1 && target >= weights[index]) {
+      target -= weights[index];
+      index++;
+    }
+    const sex = index < parameters.maxAge ? 'female' : 'male';
+    const age = index % parameters.maxAge;
+    const alleles = new Int32Array(loci * 2);
+    for (let locus = 0; locus < loci; locus++) {
+      alleles[locus * 2] = frequencies ? drawAllele() : id * 2;
+      alleles[locus * 2 + 1] = frequencies ? drawAllele() : id * 2 + 1;
+    }
+    individuals.push({
+      id,
+      sex,
+      age,
+      mother: null,
+      father: null,
+      inbreeding: 0,
+      lastBirth: sex === 'female' && age >= parameters.femaleFirstBreeding
+        ? -Math.floor(random() * meanInterbirthInterval)
+        : -Infinity,
+      alleles
+    });
+  }
+
+  return {
+    individuals,
+    nextId: parameters.initialSize,
+    alleleCount: frequencies ? frequencies.length : parameters.initialSize * 2
+  };
+}
+
+/**
+ * Expected heterozygosity (gene diversity, 1 - Σp²) averaged over the neutral loci
+ * @param {Array} individuals - Living individuals
+ * @param {Number} loci - Number of loci
+ * @param {Int32Array} counts - Scratch buffer indexed by allele id, left zeroed
+ * @returns {Number} Gene diversity, 0 for an empty population
+ */
+export function geneDiversity(individuals, loci, counts) {
+  const copies = individuals.length * 2;
+  if (copies === 0 || loci === 0) return 0;
+
+  let total = 0;
+  for (let locus = 0; locus < loci; locus++) {
+    const first = locus * 2;
+    for (let i = 0; i < individuals.length; i++) {
+      counts[individuals[i].alleles[first]]++;
+      counts[individuals[i].alleles[first + 1]]++;
+    }
+    // Each allele's count is squared once, then cleared for the next locus
+    let homozygosity = 0;
+    for (let i = 0; i < individuals.length; i++) {
+      for (let copy = first; copy <= first + 1; copy++) {
+        const allele = individuals[i].alleles[copy];
+        homozygosity += counts[allele] * counts[allele];
+        counts[allele] = 0;
+      }
+    }
+    total += 1 - homozygosity / (copies * copies);
+  }
+  return total / loci;
+}
+
+/**
+ * Breeding for one year. Available females (of breeding age and past the inter-birth
+ * interval) give birth with the year's breeding probability as long as adult males
+ * remain to sire them; each offspring inherits one random allele per locus from each parent
+ * and its inbreeding coefficient from the pedigree.
+ * @param {Object} population - Population state (modified)
+ * @param {Object} parameters - Resolved parameters
+ * @param {Number} year - Simulation year
+ * @param {Number} breedingProbability - This year's breeding probability
+ * @param {Function} random - Uniform [0, 1) generator
+ * @returns {Number} Number of births
+ */
+export function breed(population, parameters, year, breedingProbability, random = Math.random) {
+  const { individuals } = population;
+  const males = individuals.filter(individual =>
+    individual.sex === 'male' && individual.age >= parameters.maleFirstBreeding && individual.age <= parameters.maxBreedingAge
+  );
+  if (males.length === 0) return 0;
+
+  const females = individuals.filter(individual =>
+    individual.sex === 'female' &&
+    individual.age >= parameters.femaleFirstBreeding &&
+    individual.age <= parameters.maxBreedingAge &&
+    year - individual.lastBirth >= parameters.minInterbirthInterval
+  );
+  // Mate limitation: visit females in random order until the males' capacity is used up
+  for (let i = females.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [females[i], females[j]] = [females[j], females[i]];
+  }
+
+  const capacity = males.length * parameters.matesPerMale;
+  const loci = parameters.geneticLoci;
+  let births = 0;
+  for (const mother of females) {
+    if (births >= capacity) break;
+    if (random() >= breedingProbability) continue;
+
+    const father = males[Math.floor(random() * males.length)];
+    const alleles = new Int32Array(loci * 2);
+    for (let locus = 0; locus < loci; locus++) {
+      alleles[locus * 2] = mother.alleles[locus * 2 + (random() < 0.5 ? 0 : 1)];
+      alleles[locus * 2 + 1] = father.alleles[locus * 2 + (random() < 0.5 ? 0 : 1)];
+    }
+    mother.lastBirth = year;
+    individuals.push({
+      id: population.nextId++,
+      sex: random() < parameters.sexRatioAtBirth ? 'male' : 'female',
+      age: 0,
+      mother,
+      father,
+      inbreeding: kinship(mother, father),
+      kinship: new Map(),
+      lastBirth: -Infinity,
+      alleles
+    });
+    births++;
+  }
+  return births;
+}
+
+/**
+ * Annual mortality, ageing and removal of individuals past the maximum age. Inbred
+ * first-year individuals also suffer inbreeding depression: their survival is multiplied
+ * by exp(-B·F) for B lethal equivalents.
+ * @param {Object} population - Population state (modified)
+ * @param {Object} schedules - Mean mortality by sex and age
+ * @param {Number} mortalityScale - This year's environmental multiplier of mortality
+ * @param {Object} parameters - Resolved parameters
+ * @param {Function} random - Uniform [0, 1) generator
+ * @param {Number} catastropheSurvival - Survival multiplier of this year's catastrophes
+ */
+export function survive(population, schedules, mortalityScale, parameters, random = Math.random, catastropheSurvival = 1) {
+  population.individuals = population.individuals.filter(individual => {
+    let survival = (1 - clamp(schedules[individual.sex][individual.age] * mortalityScale)) * catastropheSurvival;
+    if (individual.age === 0 && individual.inbreeding > 0) {
+      survival *= Math.exp(-parameters.lethalEquivalents * individual.inbreeding);
+    }
+    if (random() >= survival) return false;
+    individual.age++;
+    return individual.age < parameters.maxAge;
+  });
+}
+
+/**
+ * Offtake (poaching, conflict killings, rescue removals): every independent individual
+ * (weaned or older) is removed with the given annual probability
+ * @param {Object} population - Population state (modified)
+ * @param {Number} rate - Annual offtake rate
+ * @param {Object} parameters - Resolved parameters
+ * @param {Function} random - Uniform [0, 1) generator
+ * @returns {Number} Individuals removed
+ */
+export function harvest(population, rate, parameters, random = Math.random) {
+  if (!(rate > 0)) return 0;
+  const before = population.individuals.length;
+  population.individuals = population.individuals.filter(individual =>
+    individual.age < parameters.subadultAge || random() >= rate
+  );
+  return before - population.individuals.length;
+}
+
+/**
+ * Catastrophes striking this year, each independently with its annual frequency
+ * @param {Array} catastrophes - [{name, frequency, reproduction, survival}]
+ * @param {Function} random - Uniform [0, 1) generator
+ * @returns {Object} {count, reproduction, survival}: combined multipliers
+ */
+export function drawCatastrophes(catastrophes, random = Math.random) {
+  let count = 0;
+  let reproduction = 1;
+  let survival = 1;
+  catastrophes.forEach(catastrophe => {
+    if (random() >= catastrophe.frequency) return;
+    count++;
+    reproduction *= catastrophe.reproduction ?? 1;
+    survival *= catastrophe.survival ?? 1;
+  });
+  return { count, reproduction, survival };
+}
+
+/**
+ * Carrying capacity in a given year after the compounded annual loss
+ * @param {Object} parameters - Resolved parameters
+ * @param {Number} year - Simulation year
+ * @returns {Number} K
+ */
+export function carryingCapacityAt(parameters, year) {
+  return parameters.carryingCapacity * (1 - parameters.carryingCapacityLoss) ** year;
+}
+
+/**
+ * Carrying-capacity truncation: when N exceeds K, individuals chosen at random regardless
+ * of age or sex are removed until N equals K
+ * @param {Object} population - Population state (modified)
+ * @param {Number} carryingCapacity - K
+ * @param {Function} random - Uniform [0, 1) generator
+ */
+export function truncateToCapacity(population, carryingCapacity, random = Math.random) {
+  const { individuals } = population;
+  const keep = Math.max(0, Math.floor(carryingCapacity));
+  if (individuals.length <= keep) return;
+  for (let i = 0; i < keep; i++) {
+    const j = i + Math.floor(random() * (individuals.length - i));
+    [individuals[i], individuals[j]] = [individuals[j], individuals[i]];
+  }
+  individuals.length = keep;
+}
+
+/**
+ * Mean inbreeding coefficient of the living individuals
+ * @param {Array} individuals - Living individuals
+ * @returns {Number} Mean F, 0 for an empty population
+ */
+export function meanInbreeding(individuals) {
+  if (individuals.length === 0) return 0;
+  return individuals.reduce((sum, individual) => sum + individual.inbreeding, 0) / individuals.length;
+}
+
+/**
+ * A population is extinct once only one sex remains
+ * @param {Array} individuals - Living individuals
+ * @returns {Boolean}
+ */
+export function isExtinct(individuals) {
+  let females = false;
+  let males = false;
+  for (const individual of individuals) {
+    if (individual.sex === 'female') females = true;
+    else males = true;
+    if (females && males) return false;
+  }
+  return true;
+}
+
+/**
+ * Simulate one iteration. Each year draws catastrophes, then runs breeding, mortality
+ * with ageing, offtake and truncation to the year's carrying capacity. Environmental
+ * stochasticity is a single annual normal deviate that raises breeding and lowers
+ * mortality in good years; catastrophes multiply both on top of it.
+ * @param {Object} parameters - Resolved parameters
+ * @param {Number} years - Years to simulate
+ * @param {Function} random - Uniform [0, 1) generator
+ * @returns {Object} {sizes, heterozygosity, inbreeding, extinctionYear, catastrophes, offtake}
+ */
+export function simulateIteration(parameters, years, random = Math.random) {
+  const schedules = mortalitySchedules(parameters);
+  const population = createPopulation(parameters, random);
+  const counts = new Int32Array(population.alleleCount);
+  const loci = parameters.geneticLoci;
+
+  const sizes = new Float64Array(years + 1);
+  const heterozygosity = new Float64Array(years + 1);
+  const inbreeding = new Float64Array(years + 1);
+  sizes[0] = population.individuals.length;
+  heterozygosity[0] = geneDiversity(population.individuals, loci, counts);
+  let extinctionYear = isExtinct(population.individuals) ? 0 : null;
+  let catastrophes = 0;
+  let offtake = 0;
+
+  for (let year = 1; year <= years && extinctionYear === null; year++) {
+    const environment = normalDeviate(random);
+    const catastrophe = drawCatastrophes(parameters.catastrophes, random);
+    catastrophes += catastrophe.count;
+    const breedingProbability = clamp(parameters.breedingProbability + parameters.breedingSD * environment) * catastrophe.reproduction;
+    breed(population, parameters, year, breedingProbability, random);
+    survive(population, schedules, Math.max(0, 1 - parameters.mortalityCV * environment), parameters, random, catastrophe.survival);
+    offtake += harvest(population, parameters.offtakeRate, parameters, random);
+    truncateToCapacity(population, carryingCapacityAt(parameters, year), random);
+
+    if (isExtinct(population.individuals)) {
+      extinctionYear = year;
+      break;
+    }
+    sizes[year] = population.individuals.length;
+    heterozygosity[year] = geneDiversity(population.individuals, loci, counts);
+    inbreeding[year] = meanInbreeding(population.individuals);
+  }
+
+  return { sizes, heterozygosity, inbreeding, extinctionYear, catastrophes, offtake };
+}
+
+/**
+ * Linear-interpolated percentile of sorted values
+ * @param {Array} sorted - Ascending values
+ * @param {Number} fraction - Percentile as a proportion
+ * @returns {Number|null} Percentile, null without values
+ */
+export function percentile(sorted, fraction) {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * fraction;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Run the individual-based viability model over many iterations
+ * @param {Object} parameters - Partial parameters, see DEFAULT_VIABILITY_PARAMETERS
+ * @param {Object} options - {years, iterations, sampledTrajectories, random, onProgress}
+ * @returns {Object} Extinction probability and times, yearly N (mean, SD and the central 95%
+ *   of iterations) with H, H/H0 and mean F of surviving iterations and K, final N, H/H0 and F,
+ *   stochastic r, and catastrophes and offtake per iteration
+ */
+export function runViabilityModel(parameters = {}, options = {}) {
+  const config = resolveViabilityParameters(parameters);
+  const { years, iterations, sampledTrajectories } = { ...DEFAULT_VIABILITY_OPTIONS, ...options };
+  const { random = Math.random, onProgress } = options;
+  if (!(config.initialSize > 0) || !(config.carryingCapacity > 0)) {
+    throw new Error('Population viability analysis needs a positive initial size and carrying capacity');
+  }
+
+  const runs = [];
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    if (onProgress && iteration % 10 === 0) {
+      onProgress({ stage: 'simulation', completed: iteration, total: iterations });
+    }
+    runs.push(simulateIteration(config, years, random));
+  }
+
+  const extinctionYears = runs
+    .map(run => run.extinctionYear)
+    .filter(year => year !== null)
+    .sort((a, b) => a - b);
+
+  let logGrowth = 0;
+  let growthSteps = 0;
+  const trajectory = [];
+  for (let year = 0; year <= years; year++) {
+    const sizes = runs.map(run => run.sizes[year]).sort((a, b) => a - b);
+    const extant = runs.filter(run => run.extinctionYear === null || run.extinctionYear > year);
+    // H/H0 is undefined for founders without variation
+    const polymorphic = extant.filter(run => run.heterozygosity[0] > 0);
+    const mean = sizes.reduce((sum, size) => sum + size, 0) / runs.length;
+    const variance = sizes.reduce((sum, size) => sum + (size - mean) ** 2, 0) / Math.max(runs.length - 1, 1);
+
+    extant.forEach(run => {
+      if (year > 0 && run.sizes[year - 1] > 0) {
+        logGrowth += Math.log(run.sizes[year] / run.sizes[year - 1]);
+        growthSteps++;
+      }
+    });
+
+    trajectory.push({
+      year,
+      mean,
+      sd: Math.sqrt(variance),
+      lower: percentile(sizes, 0.025),
+      upper: percentile(sizes, 0.975),
+      extantMean: extant.length > 0 ? extant.reduce((sum, run) => sum + run.sizes[year], 0) / extant.length : null,
+      heterozygosity: polymorphic.length > 0
+        ? polymorphic.reduce((sum, run) => sum + run.heterozygosity[year] / run.heterozygosity[0], 0) / polymorphic.length
+        : null,
+      geneDiversity: extant.length > 0 ? extant.reduce((sum, run) => sum + run.heterozygosity[year], 0) / extant.length : null,
+      inbreeding: extant.length > 0 ? extant.reduce((sum, run) => sum + run.inbreeding[year], 0) / extant.length : null,
+      extinctionProbability: (runs.length - extant.length) / runs.length,
+      carryingCapacity: carryingCapacityAt(config, year)
+    });
+  }
+
+  const final = trajectory[years];
+  return {
+    parameters: config,
+    years,
+    iterations,
+    extinctionProbability: extinctionYears.length / iterations,
+    extinctionTime: extinctionYears.length > 0
+      ? {
+          mean: extinctionYears.reduce((sum, year) => sum + year, 0) / extinctionYears.length,
+          median: percentile(extinctionYears, 0.5),
+          earliest: extinctionYears[0]
+        }
+      : null,
+    trajectory,
+    finalSize: final.extantMean,
+    initialHeterozygosity: runs.reduce((sum, run) => sum + run.heterozygosity[0], 0) / iterations,
+    heterozygosityRetained: final.heterozygosity,
+    finalInbreeding: final.inbreeding,
+    stochasticGrowthRate: growthSteps > 0 ? logGrowth / growthSteps : null,
+    catastrophesPerIteration: runs.reduce((sum, run) => sum + run.catastrophes, 0) / iterations,
+    offtakePerIteration: runs.reduce((sum, run) => sum + run.offtake, 0) / iterations,
+    simulations: runs.slice(0, sampledTrajectories).map(run => Array.from(run.sizes))
+  };
+}
@@ -0,0 +1,111 @@
+// src/utils/viabilityScenarios.js
+// Threat scenarios for the viability model: catastrophes, habitat loss and offtake by conservation area
+
+import { GBIF_CONFIG } from '../config/gbifConfig';
+
+// Contribution of each configured threat. Catastrophe multipliers are the proportion of normal
+// breeding and survival in a year the event strikes; losses and offtake are annual proportions.
+export const THREAT_EFFECTS = {
+  peat_fires: {
+    catastrophe: { name: 'Peat fire', frequency: 0.15, reproduction: 0.6, survival: 0.9 },
+    carryingCapacityLoss: 0.005
+  },
+  fires: {
+    catastrophe: { name: 'Forest fire', frequency: 0.1, reproduction: 0.7, survival: 0.93 },
+    carryingCapacityLoss: 0.003
+  },
+  drought: { catastrophe: { name: 'El Niño drought', frequency: 0.15, reproduction: 0.5, survival: 0.97 } },
+  disease: { catastrophe: { name: 'Disease outbreak', frequency: 0.02, reproduction: 0.9, survival: 0.8 } },
+  river_pollution: { catastrophe: { name: 'Water-borne disease', frequency: 0.03, reproduction: 0.9, survival: 0.92 } },
+  palm_oil: { carryingCapacityLoss: 0.015, offtakeRate: 0.005 },
+  deforestation: { carryingCapacityLoss: 0.01 },
+  conversion: { carryingCapacityLoss: 0.01 },
+  logging: { carryingCapacityLoss: 0.005 },
+  illegal_logging: { carryingCapacityLoss: 0.007, offtakeRate: 0.003 },
+  mining: { carryingCapacityLoss: 0.005 },
+  gold_mining: { carryingCapacityLoss: 0.004, offtakeRate: 0.002 },
+  infrastructure: { carryingCapacityLoss: 0.003, offtakeRate: 0.002 },
+  fragmentation: { carryingCapacityLoss: 0.003 },
+  human_encroachment: { carryingCapacityLoss: 0.005, offtakeRate: 0.01 },
+  encroachment: { carryingCapacityLoss: 0.005, offtakeRate: 0.01 },
+  poaching: { offtakeRate: 0.01 }
+};
+
+export const BASELINE_SCENARIO = {
+  id: 'baseline',
+  name: 'Baseline (no threats)',
+  threats: [],
+  unmodelledThreats: [],
+  catastrophes: [],
+  carryingCapacityLoss: 0,
+  offtakeRate: 0
+};
+
+/**
+ * Combine threats into one scenario. Catastrophes are kept separately (a catastrophe listed
+ * by several threats counts once); annual K losses and offtake rates compound.
+ * @param {Array} threats - Threat keys of THREAT_EFFECTS
+ * @param {Object} details - {id, name} of the scenario
+ * @returns {Object} Scenario {id, name, threats, unmodelledThreats, catastrophes, carryingCapacityLoss, offtakeRate}
+ */
+export function scenarioFromThreats(threats = [], details = {}) {
+  const catastrophes = new Map();
+  let retainedCapacity = 1;
+  let survivingOfftake = 1;
+  const unmodelledThreats = [];
+
+  threats.forEach(threat => {
+    const effect = THREAT_EFFECTS[threat];
+    if (!effect) {
+      unmodelledThreats.push(threat);
+      return;
+    }
+    if (effect.catastrophe) catastrophes.set(effect.catastrophe.name, { ...effect.catastrophe });
+    retainedCapacity *= 1 - (effect.carryingCapacityLoss || 0);
+    survivingOfftake *= 1 - (effect.offtakeRate || 0);
+  });
+
+  return {
+    id: details.id || threats.join('+') || BASELINE_SCENARIO.id,
+    name: details.name || threats.join(', ') || BASELINE_SCENARIO.name,
+    threats,
+    unmodelledThreats,
+    catastrophes: [...catastrophes.values()],
+    carryingCapacityLoss: 1 - retainedCapacity,
+    offtakeRate: 1 - survivingOfftake
+  };
+}
+
+/**
+ * Preset scenario for every configured conservation area, from its listed threats
+ * @param {Object} areas - Conservation areas keyed by name
+ * @returns {Array} Scenarios with the area's primary species
+ */
+export function siteScenarios(areas = GBIF_CONFIG.CONSERVATION_AREAS) {
+  return Object.entries(areas).map(([name, area]) => ({
+    ...scenarioFromThreats(area.threats, { id: name, name }),
+    species: area.primarySpecies
+  }));
+}
+
+// Clamp to [0, 1]; a missing or non-numeric value takes the fallback
+const proportion = (value, fallback) => Math.min(1, Math.max(0, Number.isFinite(value) ? value : fallback));
+
+/**
+ * Model parameters of a scenario, to merge over a population's parameters. A catastrophe
+ * without a frequency never strikes, and a missing multiplier leaves that rate unchanged.
+ * @param {Object} scenario - Scenario
+ * @returns {Object} {catastrophes, carryingCapacityLoss, offtakeRate}
+ */
+export function scenarioParameters(scenario) {
+  return {
+    catastrophes: (scenario.catastrophes || []).map(({ name, frequency, reproduction, survival }) => ({
+      name,
+      frequency: proportion(frequency, 0),
+      reproduction: proportion(reproduction, 1),
+      survival: proportion(survival, 1)
+    })),
+    carryingCapacityLoss: proportion(scenario.carryingCapacityLoss, 0),
+    offtakeRate: proportion(scenario.offtakeRate, 0)
+  };
+}
@@ -0,0 +1,262 @@
+// src/utils/viabilitySensitivity.js
+// One-at-a-time and Latin hypercube sensitivity of the viability model, ranked by tornado swings and PRCC
+
+import { performPopulationViabilityAnalysis } from './dataProcessing';
+import { DEFAULT_VIABILITY_OPTIONS, resolveViabilityParameters } from './viabilityModel';
+
+// Each factor is a multiplier of the population's own value, sampled over its range. Growth rate is
+// not among them: r emerges from breeding and mortality together, so it is reported as a response
+export const SENSITIVITY_FACTORS = {
+  breedingProbability: {
+    label: 'Breeding probability',
+    range: [0.8, 1.2],
+    apply: (parameters, multiplier) => ({ breedingProbability: Math.min(1, parameters.breedingProbability * multiplier) })
+  },
+  carryingCapacity: {
+    label: 'Carrying capacity',
+    range: [0.5, 1.5],
+    apply: (parameters, multiplier) => ({ carryingCapacity: Math.max(2, Math.round(parameters.carryingCapacity * multiplier)) })
+  },
+  mortality: {
+    label: 'Mortality (all ages)',
+    range: [0.8, 1.2],
+    apply: (parameters, multiplier) => ({
+      mortality: Object.fromEntries(Object.entries(parameters.mortality).map(([sex, rates]) => [
+        sex,
+        Object.fromEntries(Object.entries(rates).map(([ageClass, rate]) => [ageClass, Math.min(1, rate * multiplier)]))
+      ]))
+    })
+  },
+  catastropheFrequency: {
+    label: 'Catastrophe frequency',
+    range: [0.5, 1.5],
+    apply: (parameters, multiplier) => ({
+      catastrophes: parameters.catastrophes.map(catastrophe => ({
+        ...catastrophe,
+        frequency: Math.min(1, catastrophe.frequency * multiplier)
+      }))
+    })
+  },
+  lethalEquivalents: {
+    label: 'Lethal equivalents',
+    range: [0.5, 1.5],
+    apply: (parameters, multiplier) => ({ lethalEquivalents: parameters.lethalEquivalents * multiplier })
+  }
+};
+
+export const SENSITIVITY_RESPONSES = {
+  extinctionProbability: { label: 'Extinction probability', value: result => result.extinctionProbability },
+  stochasticGrowthRate: { label: 'Stochastic growth rate r', value: result => result.stochasticGrowthRate },
+  finalSize: { label: 'Final N (surviving)', value: result => result.finalSize },
+  heterozygosityRetained: { label: 'Heterozygosity retained', value: result => result.heterozygosityRetained }
+};
+
+export const DEFAULT_SENSITIVITY_OPTIONS = {
+  samples: 30,        // Latin hypercube runs
+  numSimulations: 40  // Iterations of every run
+};
+
+/**
+ * Average ranks (ties share the mean of their positions)
+ * @param {Array} values - Numbers
+ * @returns {Array} Ranks starting at 1
+ */
+function rank(values) {
+  const order = values.map((value, index) => index).sort((a, b) => values[a] - values[b]);
+  const ranks = new Array(values.length);
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && values[order[end + 1]] === values[order[start]]) end++;
+    for (let i = start; i <= end; i++) ranks[order[i]] = (start + end) / 2 + 1;
+    start = end + 1;
+  }
+  return ranks;
+}
+
+/**
+ * Residuals of a least-squares regression of y on the columns (with an intercept),
+ * from the normal equations solved by Gaussian elimination
+ * @param {Array} y - Response
+ * @param {Array} columns - Predictors, each an array as long as y
+ * @returns {Array} Residuals
+ */
+function regressionResiduals(y, columns) {
+  const design = y.map((_, row) => [1, ...columns.map(column => column[row])]);
+  const size = design[0].length;
+  const matrix = Array.from({ length: size }, (_, i) => [
+    ...Array.from({ length: size }, (_, j) => design.reduce((sum, row) => sum + row[i] * row[j], 0)),
+    design.reduce((sum, row, index) => sum + row[i] * y[index], 0)
+  ]);
+
+  for (let pivot = 0; pivot < size; pivot++) {
+    let best = pivot;
+    for (let row = pivot + 1; row < size; row++) {
+      if (Math.abs(matrix[row][pivot]) > Math.abs(matrix[best][pivot])) best = row;
+    }
+    [matrix[pivot], matrix[best]] = [matrix[best], matrix[pivot]];
+    if (Math.abs(matrix[pivot][pivot]) < 1e-12) continue;
+    for (let row = 0; row < size; row++) {
+      if (row === pivot) continue;
+      const factor = matrix[row][pivot] / matrix[pivot][pivot];
+      for (let column = pivot; column <= size; column++) matrix[row][column] -= factor * matrix[pivot][column];
+    }
+  }
+  const coefficients = matrix.map((row, i) => (Math.abs(row[i]) < 1e-12 ? 0 : row[size] / row[i]));
+  return design.map((row, index) => y[index] - row.reduce((sum, value, j) => sum + value * coefficients[j], 0));
+}
+
+function correlation(a, b) {
+  const meanA = a.reduce((sum, value) => sum + value, 0) / a.length;
+  const meanB = b.reduce((sum, value) => sum + value, 0) / b.length;
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  a.forEach((value, i) => {
+    covariance += (value - meanA) * (b[i] - meanB);
+    varianceA += (value - meanA) ** 2;
+    varianceB += (b[i] - meanB) ** 2;
+  });
+  return varianceA > 1e-12 && varianceB > 1e-12 ? covariance / Math.sqrt(varianceA * varianceB) : null;
+}
+
+/**
+ * Partial rank correlation coefficient of each factor with a response: the correlation
+ * of the rank residuals of factor and response after regressing out the other factors' ranks
+ * @param {Array} inputs - Rows of factor multipliers, [run][factor]
+ * @param {Array} outputs - Response of each run
+ * @returns {Array} PRCC per factor, null where the response does not vary
+ */
+export function partialRankCorrelations(inputs, outputs) {
+  const factorRanks = inputs[0].map((_, factor) => rank(inputs.map(row => row[factor])));
+  const outputRanks = rank(outputs);
+  return factorRanks.map((ranks, factor) => {
+    const others = factorRanks.filter((_, other) => other !== factor);
+    return correlation(regressionResiduals(ranks, others), regressionResiduals(outputRanks, others));
+  });
+}
+
+/**
+ * Latin hypercube sample: each range is cut into as many equal strata as samples and every
+ * stratum is used once per factor, in an independent random order
+ * @param {Array} ranges - [low, high] per factor
+ * @param {Number} samples - Number of samples
+ * @param {Function} random - Uniform [0, 1) generator
+ * @returns {Array} Samples [sample][factor]
+ */
+export function latinHypercube(ranges, samples, random = Math.random) {
+  const columns = ranges.map(([low, high]) => {
+    const strata = Array.from({ length: samples }, (_, i) => i);
+    for (let i = strata.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [strata[i], strata[j]] = [strata[j], strata[i]];
+    }
+    return strata.map(stratum => low + (high - low) * (stratum + random()) / samples);
+  });
+  return Array.from({ length: samples }, (_, sample) => columns.map(column => column[sample]));
+}
+
+/**
+ * Sensitivity of the viability model, run through performPopulationViabilityAnalysis with the
+ * same population data and years. The one-at-a-time design runs the population as given and
+ * each factor at the low and high ends of its range; the Latin hypercube varies all factors at
+ * once. Catastrophe frequency is skipped for a population without catastrophes.
+ * @param {Object} populationData - Model parameters, as for performPopulationViabilityAnalysis
+ * @param {Number} years - Number of years to simulate
+ * @param {Object} options - {numSimulations, samples, factors (keys of SENSITIVITY_FACTORS),
+ *   ranges ({factor: [low, high]}), random, onProgress}
+ * @returns {Object} {years, numSimulations, factors, skipped, runs, baseline, tornado, prcc}:
+ *   runs are {design, run, multipliers, responses}; tornado and prcc are keyed by response
+ */
+export function runSensitivityAnalysis(populationData, years = DEFAULT_VIABILITY_OPTIONS.years, options = {}) {
+  const { numSimulations, samples } = { ...DEFAULT_SENSITIVITY_OPTIONS, ...options };
+  const { factors: selected = Object.keys(SENSITIVITY_FACTORS), ranges = {}, random = Math.random, onProgress } = options;
+  const base = resolveViabilityParameters(populationData);
+
+  const skipped = selected.filter(key => key === 'catastropheFrequency' && base.catastrophes.length === 0);
+  const factors = selected
+    .filter(key => SENSITIVITY_FACTORS[key] && !skipped.includes(key))
+    .map(key => ({ key, label: SENSITIVITY_FACTORS[key].label, range: ranges[key] || SENSITIVITY_FACTORS[key].range }));
+  if (factors.length === 0) {
+    throw new Error('Sensitivity analysis needs at least one factor to vary');
+  }
+
+  const designs = [
+    { design: 'baseline', multipliers: factors.map(() => 1) },
+    ...factors.flatMap((factor, index) => factor.range.map(multiplier => ({
+      design: 'oat',
+      multipliers: factors.map((_, other) => (other === index ? multiplier : 1))
+    }))),
+    ...latinHypercube(factors.map(factor => factor.range), samples, random).map(multipliers => ({ design: 'lhs', multipliers }))
+  ];
+
+  const runs = designs.map(({ design, multipliers }, run) => {
+    if (onProgress) onProgress({ stage: 'sensitivity', completed: run, total: designs.length });
+    const parameters = factors.reduce(
+      (current, factor, index) => ({ ...current, ...SENSITIVITY_FACTORS[factor.key].apply(base, multipliers[index]) }),
+      { ...populationData }
+    );
+    const result = performPopulationViabilityAnalysis(parameters, years, { numSimulations, random });
+    return {
+      design,
+      run,
+      multipliers: Object.fromEntries(factors.map((factor, index) => [factor.key, multipliers[index]])),
+      responses: Object.fromEntries(Object.entries(SENSITIVITY_RESPONSES).map(([key, response]) => [key, response.value(result)]))
+    };
+  });
+
+  const baseline = runs[0];
+  const tornado = {};
+  const prcc = {};
+  const hypercube = runs.filter(run => run.design === 'lhs');
+  Object.keys(SENSITIVITY_RESPONSES).forEach(response => {
+    // Arc elasticity over the range: relative change of the response per relative change of the factor
+    tornado[response] = factors.map((factor, index) => {
+      const [lowRun, highRun] = runs.slice(1 + index * 2, 3 + index * 2);
+      const low = lowRun.responses[response];
+      const high = highRun.responses[response];
+      const [lowMultiplier, highMultiplier] = factor.range;
+      const meanResponse = (low + high) / 2;
+      return {
+        factor: factor.key,
+        label: factor.label,
+        range: factor.range,
+        low,
+        high,
+        swing: low === null || high === null ? null : Math.abs(high - low),
+        elasticity: low === null || high === null || Math.abs(meanResponse) < 1e-12
+          ? null
+          : ((high - low) / meanResponse) / ((highMultiplier - lowMultiplier) / ((highMultiplier + lowMultiplier) / 2))
+      };
+    }).sort((a, b) => (b.swing ?? -1) - (a.swing ?? -1));
+
+    const complete = hypercube.filter(run => run.responses[response] !== null);
+    const coefficients = complete.length > factors.length + 2
+      ? partialRankCorrelations(
+          complete.map(run => factors.map(factor => run.multipliers[factor.key])),
+          complete.map(run => run.responses[response])
+        )
+      : factors.map(() => null);
+    prcc[response] = factors
+      .map((factor, index) => ({ factor: factor.key, label: factor.label, prcc: coefficients[index], samples: complete.length }))
+      .sort((a, b) => Math.abs(b.prcc ?? 0) - Math.abs(a.prcc ?? 0));
+  });
+
+  return { years, numSimulations, factors, skipped, runs, baseline, tornado, prcc };
+}
+
+/**
+ * Run table of a sensitivity analysis as CSV, one row per run
+ * @param {Object} result - runSensitivityAnalysis result
+ * @returns {String} CSV text with a header row
+ */
+export function sensitivityRunsToCsv(result) {
+  const responses = Object.keys(SENSITIVITY_RESPONSES);
+  const header = ['design', 'run', ...result.factors.map(factor => `${factor.key}_multiplier`), ...responses];
+  const rows = result.runs.map(run => [
+    run.design,
+    run.run,
+    ...result.factors.map(factor => run.multipliers[factor.key]),
+    ...responses.map(response => run.responses[response] ?? '')
+  ]);
+  return [header, ...rows].map(row => row.join(',')).join('\n') + '\n';
+}
@@ -0,0 +1,128 @@
+// src/workers/analysisTasks.js
+// Heavy analysis tasks runnable in the analysis worker (or inline as a fallback)
+
+import {
+  performMSA,
+  constructPhylogeneticTree,
+  calculateBootstrap,
+  performPopulationViabilityAnalysis
+} from '../utils/dataProcessing';
+import { maximumLikelihoodTree } from '../utils/maximumLikelihood';
+import { computeDensityNeighborhoods, assignDensityClusters } from '../utils/spatialAnalysis';
+import { prepareCodingSequences, analyzeCodingSelection } from '../utils/codonSelection';
+import { scanSelection } from '../utils/selectionScan';
+import { analyzePopulationGenetics } from '../utils/populationGenetics';
+import { analyzeDifferentiation } from '../utils/populationDifferentiation';
+import { analyzeCorridors } from '../utils/metapopulationModel';
+import { runSensitivityAnalysis } from '../utils/viabilitySensitivity';
+
+/**
+ * Task name -> handler(payload, {reportProgress, signal}).
+ * Payloads and results must be structured-cloneable.
+ */
+export const ANALYSIS_TASKS = {
+  performMSA: ({ sequences, options = {} }, { reportProgress }) =>
+    performMSA(sequences, { ...options, onProgress: reportProgress }),
+
+  constructPhylogeneticTree: ({ sequences, options = {} }) =>
+    constructPhylogeneticTree(sequences, options),
+
+  calculateBootstrap: ({ sequences, iterations, options = {} }, { reportProgress, signal }) =>
+    calculateBootstrap(sequences, iterations, { ...options, signal, onProgress: reportProgress }),
+
+  maximumLikelihoodTree: ({ sequences, startTree, options = {} }, { reportProgress }) =>
+    maximumLikelihoodTree(sequences, startTree, { ...options, onProgress: reportProgress }),
+
+  performPopulationViabilityAnalysis: ({ populationData, years, options = {} }, { reportProgress }) =>
+    performPopulationViabilityAnalysis(populationData, years, { ...options, onProgress: reportProgress }),
+
+  // Coding sequences are aligned once, then codons are paired for dN/dS and mapped to
+  // reference sites for the per-codon scan
+  codonSelection: ({ records, options = {} }, { reportProgress }) => {
+    const prepared = prepareCodingSequences(records, options, sequences =>
+      performMSA(sequences, { onProgress: reportProgress }).alignedSequences.map(sequence => sequence.aligned)
+    );
+    return {
+      ...analyzeCodingSelection(prepared.coding, { ...options, geneticCode: prepared.geneticCode }),
+      frames: prepared.frames,
+      scan: scanSelection(prepared, options, sequences => constructPhylogeneticTree(sequences).tree)
+    };
+  },
+
+  populationGenetics: ({ records, options = {} }, { reportProgress }) =>
+    analyzePopulationGenetics(records, { ...options, onProgress: reportProgress }, sequences =>
+      performMSA(sequences, { onProgress: reportProgress }).alignedSequences.map(sequence => sequence.aligned)
+    ),
+
+  populationDifferentiation: ({ records, options = {} }, { reportProgress }) =>
+    analyzeDifferentiation(records, { ...options, onProgress: reportProgress }, sequences =>
+      performMSA(sequences).alignedSequences.map(sequence => sequence.aligned)
+    ),
+
+  // Founders' neutral alleles are drawn from each species' haplotype frequencies at the locus
+  speciesViability: ({ records, populations, years, options = {} }, { reportProgress }) => {
+    const measured = records.length > 1
+      ? analyzePopulationGenetics(records, { simulations: 0 }, sequences =>
+          performMSA(sequences).alignedSequences.map(sequence => sequence.aligned)
+        ).species
+      : {};
+    const names = Object.keys(populations);
+    const species = {};
+    names.forEach((name, index) => {
+      const diversity = measured[name]?.sampleSize > 1 ? measured[name] : null;
+      const founderAlleleFrequencies = diversity
+        ? diversity.haplotypeFrequencies.map(count => count / diversity.sampleSize)
+        : null;
+      species[name] = {
+        ...performPopulationViabilityAnalysis({ ...populations[name], founderAlleleFrequencies }, years, {
+          ...options,
+          onProgress: reportProgress && (progress => reportProgress({ ...progress, species: name, speciesIndex: index, speciesTotal: names.length }))
+        }),
+        measuredDiversity: diversity && {
+          sampleSize: diversity.sampleSize,
+          haplotypes: diversity.haplotypeCount,
+          haplotypeDiversity: diversity.haplotypeDiversity,
+          founderAlleleFrequencies
+        }
+      };
+    });
+    return { species };
+  },
+
+  metapopulationViability: ({ population, subpopulations, options = {} }, { reportProgress }) =>
+    analyzeCorridors(population, subpopulations, { ...options, onProgress: reportProgress }),
+
+  viabilitySensitivity: ({ populationData, years, options = {} }, { reportProgress }) =>
+    runSensitivityAnalysis(populationData, years, { ...options, onProgress: reportProgress }),
+
+  densityAnalysis: ({ coordinates, radiusKm, clusterRadiusKm, minClusterDensity }, { reportProgress }) => {
+    const { offsets, neighbors } = computeDensityNeighborhoods(coordinates, radiusKm, reportProgress);
+    const counts = new Int32Array(offsets.length - 1);
+    for (let i = 0; i < counts.length; i++) counts[i] = offsets[i + 1] - offsets[i];
+
+    const { assignments, centers } = assignDensityClusters(coordinates, counts, {
+      clusterRadiusKm,
+      minDensity: minClusterDensity
+    });
+    return { offsets, neighbors, clusterAssignments: assignments, clusterCenters: centers };
+  }
+};
+
+/**
+ * Collect the ArrayBuffers backing typed arrays in a result so they can be transferred
+ * @param {*} value - Task result
+ * @param {Set} buffers - Accumulator
+ * @returns {Array} Unique transferable buffers
+ */
+export function collectTransferables(value, buffers = new Set()) {
+  if (ArrayBuffer.isView(value)) {
+    buffers.add(value.buffer);
+  } else if (value instanceof ArrayBuffer) {
+    buffers.add(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectTransferables(item, buffers));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectTransferables(item, buffers));
+  }
+  return [...buffers];
+}
@@ -0,0 +1,20 @@
+// src/workers/analysisWorker.js
+// Web Worker that runs long analyses off the main thread
+
+import { ANALYSIS_TASKS, collectTransferables } from './analysisTasks';
+
+self.onmessage = async (event) => {
+  const { id, task, payload } = event.data;
+  const reportProgress = (progress) => self.postMessage({ id, type: 'progress', progress });
+
+  try {
+    if (!ANALYSIS_TASKS[task]) {
+      throw new Error(`Unknown analysis task: ${task}`);
+    }
+    const result = await ANALYSIS_TASKS[task](payload, { reportProgress });
+    // Typed arrays in the result are moved rather than copied back to the page
+    self.postMessage({ id, type: 'result', result }, collectTransferables(result));
+  } catch (error) {
+    self.postMessage({ id, type: 'error', error: error.message });
+  }
+};
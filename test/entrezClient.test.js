@@ -0,0 +1,122 @@
+// test/entrezClient.test.js
+// EntrezClient against the in-process E-utilities stub
+
+const { describe, it, before, after, beforeEach, afterEach, mock: testMock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EntrezClient, EntrezError } = require('../src/services/entrezClient');
+const { startMockEutils, makeRecords } = require('./mockEutils');
+
+describe('EntrezClient', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockEutils(makeRecords('Pongo abelii', 5));
+  });
+  after(() => mock.close());
+
+  beforeEach(() => {
+    mock.reset();
+    testMock.method(console, 'warn', () => {});
+  });
+  afterEach(() => testMock.restoreAll());
+
+  // The API key only raises the rate limit so the tests are not paced at 3 requests/second
+  const createClient = (options = {}) => new EntrezClient({ baseUrl: mock.url, apiKey: 'test', retryDelay: 20, ...options });
+
+  it('reads the base URL from NCBI_EUTILS_URL', () => {
+    const previous = process.env.NCBI_EUTILS_URL;
+    process.env.NCBI_EUTILS_URL = mock.url;
+    try {
+      assert.equal(new EntrezClient().baseUrl, mock.url);
+    } finally {
+      if (previous === undefined) delete process.env.NCBI_EUTILS_URL;
+      else process.env.NCBI_EUTILS_URL = previous;
+    }
+  });
+
+  it('searches onto the history server and fetches GenBank batches from it', async () => {
+    const client = createClient();
+    const search = await client.search('nucleotide', '"Pongo abelii"[Organism]', 3);
+    assert.equal(search.count, 5);
+    assert.deepEqual(search.ids, ['1', '2', '3']);
+    assert.equal(search.queryKey, '1');
+
+    const history = { webEnv: search.webEnv, queryKey: search.queryKey };
+    const first = await client.fetchGenBank('nucleotide', history, 0, 2);
+    const second = await client.fetchGenBank('nucleotide', history, 2, 2);
+    assert.deepEqual(first.match(/^ACCESSION\s+\S+/gm), ['ACCESSION   MK000001', 'ACCESSION   MK000002']);
+    assert.deepEqual(second.match(/^ACCESSION\s+\S+/gm), ['ACCESSION   MK000003', 'ACCESSION   MK000004']);
+
+    const efetch = mock.requests.filter(request => request.endpoint === 'efetch.fcgi');
+    assert.deepEqual(efetch.map(request => [request.params.retstart, request.params.retmax, request.params.rettype]), [['0', '2', 'gb'], ['2', '2', 'gb']]);
+    assert.equal(client.requestCount, 3);
+  });
+
+  it('posts UIDs in the request body and fetches their accession.versions', async () => {
+    const client = createClient();
+    const posted = await client.post('nucleotide', ['2', '4']);
+    const accessions = await client.fetchAccessions('nucleotide', posted, 0, 2);
+    assert.deepEqual(accessions, ['MK000002.1', 'MK000004.1']);
+
+    const [epost] = mock.requests;
+    assert.equal(epost.method, 'POST');
+    assert.equal(epost.params.id, '2,4');
+  });
+
+  it('retries 503 responses with exponential backoff', async () => {
+    mock.fail('esearch.fcgi', { status: 503, body: 'Service Unavailable' }, { times: 2 });
+    const client = createClient({ retryDelay: 100 });
+    const search = await client.search('nucleotide', '"Pongo abelii"[Organism]', 5);
+    assert.equal(search.ids.length, 5);
+
+    const times = mock.requests.map(request => request.at);
+    assert.equal(times.length, 3);
+    assert.ok(times[1] - times[0] >= 90, `first retry after ${times[1] - times[0]} ms`);
+    assert.ok(times[2] - times[1] >= 190, `second retry after ${times[2] - times[1]} ms`);
+  });
+
+  it('waits for Retry-After on 429 responses', async () => {
+    mock.fail('esearch.fcgi', { status: 429, headers: { 'Retry-After': '1' }, body: 'Too Many Requests' });
+    const client = createClient({ retryDelay: 10 });
+    await client.search('nucleotide', '"Pongo abelii"[Organism]', 5);
+
+    const [first, second] = mock.requests.map(request => request.at);
+    assert.ok(second - first >= 950, `retried after ${second - first} ms`);
+  });
+
+  it('gives up after maxRetries with a retryable error', async () => {
+    mock.fail('esearch.fcgi', { status: 503 }, { times: Infinity });
+    const client = createClient({ maxRetries: 2 });
+    await assert.rejects(client.search('nucleotide', 'x', 5), error => {
+      assert.ok(error instanceof EntrezError);
+      assert.equal(error.status, 503);
+      assert.equal(error.retryable, true);
+      return true;
+    });
+    assert.equal(mock.count('esearch.fcgi'), 3);
+  });
+
+  it('does not retry other 4xx responses', async () => {
+    mock.fail('esearch.fcgi', { status: 400, body: 'Bad Request' });
+    const client = createClient();
+    await assert.rejects(client.search('nucleotide', 'x', 5), error => {
+      assert.equal(error.status, 400);
+      assert.equal(error.retryable, false);
+      return true;
+    });
+    assert.equal(mock.count('esearch.fcgi'), 1);
+  });
+
+  it('rejects an <ERROR> document served with status 200 without retrying', async () => {
+    const client = createClient();
+    const expired = { webEnv: 'SEARCH_expired', queryKey: '1' };
+    await assert.rejects(client.fetchGenBank('nucleotide', expired, 0, 2), error => {
+      assert.ok(error instanceof EntrezError);
+      assert.equal(error.retryable, false);
+      assert.match(error.message, /Unable to obtain query #1/);
+      return true;
+    });
+    await assert.rejects(client.fetchAccessions('nucleotide', expired, 0, 2), /Unable to obtain query #1/);
+    assert.equal(mock.count('efetch.fcgi'), 2);
+  });
+});
@@ -0,0 +1,183 @@
+// test/fetchDataNCBI.test.js
+// NCBI fetcher (batching, checkpoints, update mode and the CLI) against the in-process E-utilities stub
+
+const { describe, it, before, after, beforeEach, afterEach, mock: testMock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { EntrezClient } = require('../src/services/entrezClient');
+const { DEFAULT_OPTIONS, fetchSequences } = require('../src/services/FetchDataNCBI');
+const { startMockEutils, makeRecords } = require('./mockEutils');
+
+const CLI = path.join(__dirname, '..', 'src', 'services', 'FetchDataNCBI.js');
+
+const readJson = async (file) => JSON.parse(await fs.readFile(file, 'utf8'));
+const exists = (file) => fs.access(file).then(() => true, () => false);
+
+describe('fetchSequences', () => {
+  let mock;
+  let directory;
+  let out;
+
+  before(async () => {
+    mock = await startMockEutils([]);
+  });
+  after(() => mock.close());
+
+  beforeEach(async () => {
+    mock.reset();
+    mock.records = makeRecords('Pongo abelii', 5);
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'fetch-ncbi-'));
+    out = path.join(directory, 'sequences.json');
+    ['log', 'warn', 'error'].forEach(level => testMock.method(console, level, () => {}));
+  });
+  afterEach(async () => {
+    testMock.restoreAll();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  const fetchOptions = (overrides = {}) => ({ ...DEFAULT_OPTIONS, species: ['Pongo abelii'], out, batchSize: 2, ...overrides });
+  const createClient = (options = {}) => new EntrezClient({ baseUrl: mock.url, apiKey: 'test', retryDelay: 10, maxRetries: 0, ...options });
+
+  it('fetches the search result in efetch batches from the history set', async () => {
+    const { failures, written } = await fetchSequences(fetchOptions(), createClient());
+    assert.deepEqual(failures, []);
+    assert.equal(written, true);
+
+    assert.equal(mock.count('esearch.fcgi'), 1);
+    assert.equal(mock.count('epost.fcgi'), 0);
+    const batches = mock.requests.filter(request => request.endpoint === 'efetch.fcgi').map(request => request.params);
+    assert.deepEqual(batches.map(params => [params.retstart, params.retmax]), [['0', '2'], ['2', '2'], ['4', '1']]);
+    assert.ok(batches.every(params => params.rettype === 'gb' && params.WebEnv === batches[0].WebEnv));
+    assert.match(batches[0].WebEnv, /^SEARCH_/);
+
+    const data = await readJson(out);
+    assert.deepEqual(data['Pongo abelii'].map(record => record.accessionVersion),
+      ['MK000001.1', 'MK000002.1', 'MK000003.1', 'MK000004.1', 'MK000005.1']);
+    assert.equal(data['Pongo abelii'][0].country, 'Indonesia');
+
+    const manifest = await readJson(path.join(directory, 'sequences.manifest.json'));
+    assert.equal(manifest.complete, true);
+    assert.equal(manifest.queries[0].recordCount, 5);
+    assert.equal(await exists(path.join(directory, 'sequences.checkpoint.json')), false);
+  });
+
+  it('re-posts the UIDs with epost when the history set has expired', async () => {
+    mock.fail('efetch.fcgi', { body: '<eFetchResult><ERROR>Unable to obtain query #1</ERROR></eFetchResult>' }, {
+      times: Infinity,
+      when: params => params.WebEnv.startsWith('SEARCH')
+    });
+    const { failures } = await fetchSequences(fetchOptions(), createClient());
+    assert.deepEqual(failures, []);
+
+    const posts = mock.requests.filter(request => request.endpoint === 'epost.fcgi').map(request => request.params.id);
+    assert.deepEqual(posts, ['1,2', '3,4', '5']);
+    // Once the history set fails, later batches go straight to epost
+    assert.equal(mock.count('efetch.fcgi', params => params.WebEnv.startsWith('SEARCH')), 1);
+    assert.equal((await readJson(out))['Pongo abelii'].length, 5);
+  });
+
+  it('keeps completed batches in the checkpoint and resumes from it', async () => {
+    mock.fail('efetch.fcgi', { status: 503 }, { when: params => params.retstart === '2' });
+    const first = await fetchSequences(fetchOptions(), createClient());
+    assert.equal(first.written, false);
+    assert.deepEqual(first.failures.map(failure => [failure.retstart, failure.size]), [[2, 2]]);
+    assert.equal(await exists(out), false);
+
+    const checkpointFile = path.join(directory, 'sequences.checkpoint.json');
+    const checkpoint = await readJson(checkpointFile);
+    assert.deepEqual(Object.keys(checkpoint.queries['"Pongo abelii"[Organism]'].batches), ['0', '4']);
+
+    mock.reset();
+    const second = await fetchSequences(fetchOptions(), createClient());
+    assert.deepEqual(second.failures, []);
+    assert.equal(mock.count('esearch.fcgi'), 0);
+    assert.deepEqual(mock.requests.map(request => [request.endpoint, request.params.retstart]), [['efetch.fcgi', '2']]);
+    assert.equal((await readJson(out))['Pongo abelii'].length, 5);
+    assert.equal(await exists(checkpointFile), false);
+  });
+
+  it('writes partial data only with allowPartial', async () => {
+    mock.fail('efetch.fcgi', { status: 503 }, { when: params => params.retstart === '4' });
+    const { written, manifest } = await fetchSequences(fetchOptions({ allowPartial: true }), createClient());
+    assert.equal(written, true);
+    assert.equal(manifest.complete, false);
+    assert.equal((await readJson(out))['Pongo abelii'].length, 4);
+  });
+
+  it('fetches only new and revised records in update mode and logs the changes', async () => {
+    await fetchSequences(fetchOptions(), createClient());
+
+    // MK000002 is revised, MK000003 withdrawn and MK000006 added
+    mock.records = makeRecords('Pongo abelii', 6).filter(record => record.uid !== '3');
+    mock.records.find(record => record.uid === '2').version = 2;
+    mock.reset();
+
+    const { failures, manifest } = await fetchSequences(fetchOptions({ update: true }), createClient());
+    assert.deepEqual(failures, []);
+    assert.deepEqual(mock.requests.filter(request => request.endpoint === 'efetch.fcgi').map(request => request.params.rettype),
+      ['acc', 'gb']);
+    assert.deepEqual(mock.requests.filter(request => request.endpoint === 'epost.fcgi').map(request => request.params.id), ['2,6']);
+    assert.deepEqual(manifest.changes, { added: 1, updated: 1, removed: 1, unchanged: 3 });
+
+    const data = await readJson(out);
+    assert.deepEqual(data['Pongo abelii'].map(record => record.accessionVersion),
+      ['MK000001.1', 'MK000002.2', 'MK000004.1', 'MK000005.1', 'MK000006.1']);
+
+    const changelogFile = path.join(directory, 'sequences.changelog.json');
+    const [entry] = (await readJson(changelogFile)).entries;
+    assert.equal(entry.removalsChecked, true);
+    assert.deepEqual(entry.added.map(change => change.accession), ['MK000006']);
+    assert.deepEqual(entry.updated.map(change => [change.accession, change.previousVersion, change.version]), [['MK000002', 1, 2]]);
+    assert.deepEqual(entry.removed.map(change => change.accession), ['MK000003']);
+
+    mock.reset();
+    const unchanged = await fetchSequences(fetchOptions({ update: true }), createClient());
+    assert.deepEqual(unchanged.manifest.changes, { added: 0, updated: 0, removed: 0, unchanged: 5 });
+    assert.equal(mock.count('efetch.fcgi', params => params.rettype === 'gb'), 0);
+    assert.equal((await readJson(changelogFile)).entries.length, 2);
+  });
+
+  it('does not report removals when the search was truncated by max', async () => {
+    await fetchSequences(fetchOptions(), createClient());
+    mock.records = makeRecords('Pongo abelii', 6).filter(record => record.uid !== '5');
+
+    const { manifest } = await fetchSequences(fetchOptions({ update: true, max: 4 }), createClient());
+    assert.deepEqual(manifest.changes, { added: 0, updated: 0, removed: 0, unchanged: 5 });
+    const [entry] = (await readJson(path.join(directory, 'sequences.changelog.json'))).entries;
+    assert.equal(entry.removalsChecked, false);
+  });
+
+  describe('command line', () => {
+    // The stub runs in this process, so the CLI must be run asynchronously
+    const runCli = (args) => new Promise(resolve => {
+      const env = { ...process.env, NCBI_EUTILS_URL: mock.url };
+      delete env.NCBI_API_KEY;
+      execFile(process.execPath, [CLI, ...args], { env, timeout: 30000 }, (error, stdout, stderr) => {
+        resolve({ code: error ? error.code : 0, stdout, stderr });
+      });
+    });
+
+    it('fetches through NCBI_EUTILS_URL and exits with 0', async () => {
+      const { code } = await runCli(['--species', 'Pongo abelii', '--max', '3', '--batch-size', '3', '--out', out]);
+      assert.equal(code, 0);
+      assert.equal((await readJson(out))['Pongo abelii'].length, 3);
+    });
+
+    it('exits with 1 and leaves the output alone when a batch fails', async () => {
+      mock.fail('efetch.fcgi', { status: 503 }, { times: Infinity });
+      const { code, stderr } = await runCli(['--species', 'Pongo abelii', '--max', '3', '--out', out, '--retries', '0']);
+      assert.equal(code, 1);
+      assert.match(stderr, /was not modified/);
+      assert.equal(await exists(out), false);
+    });
+
+    it('exits with 2 on invalid arguments', async () => {
+      const { code } = await runCli(['--max', 'many']);
+      assert.equal(code, 2);
+      assert.equal(mock.requests.length, 0);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+// test/mockEutils.js
+// In-process E-utilities stub for the NCBI fetcher tests: esearch, epost and efetch over an
+// in-memory record set, with a request log and injectable faults
+
+const http = require('http');
+
+/**
+ * GenBank flat-file text for a mock record
+ * @param {Object} record - {accession, version, organism, sequence}
+ * @returns {String} One LOCUS ... // entry
+ */
+function genbankText({ accession, version, organism, sequence }) {
+  return [
+    `LOCUS       ${accession}  ${sequence.length} bp    DNA     linear   PRI 01-JAN-2020`,
+    `DEFINITION  ${organism} cytochrome b (cytb) gene, partial cds; mitochondrial.`,
+    `ACCESSION   ${accession}`,
+    `VERSION     ${accession}.${version}`,
+    `SOURCE      mitochondrion ${organism}`,
+    `  ORGANISM  ${organism}`,
+    '            Eukaryota; Metazoa; Chordata; Mammalia; Primates; Hominidae; Pongo.',
+    'FEATURES             Location/Qualifiers',
+    `     source          1..${sequence.length}`,
+    `                     /organism="${organism}"`,
+    '                     /country="Indonesia: Sumatra"',
+    'ORIGIN',
+    `        1 ${sequence.toLowerCase()}`,
+    '//'
+  ].join('\n');
+}
+
+/**
+ * Start the stub on a free local port
+ * @param {Array} records - [{uid, accession, version, organism, sequence}]; replace `mock.records` to
+ *   simulate changes in the database between runs
+ * @returns {Promise<Object>} {url, records, requests, fail(endpoint, response, {times, when}), count(endpoint, when),
+ *   reset(), close()}
+ */
+async function startMockEutils(records) {
+  const histories = new Map();
+  let historyCount = 0;
+  const faults = [];
+
+  const mock = {
+    records,
+    requests: [],
+
+    /**
+     * Answer matching requests with `response` ({status, headers, body}) instead of the stub's data
+     * @param {String} endpoint - e.g. 'efetch.fcgi'
+     * @param {Object} response - {status = 200, headers = {}, body = ''}
+     * @param {Object} options - {times (default 1, Infinity for always), when (params => Boolean)}
+     */
+    fail(endpoint, response, { times = 1, when = () => true } = {}) {
+      faults.push({ endpoint, response, times, when });
+    },
+
+    count(endpoint, when = () => true) {
+      return mock.requests.filter(request => request.endpoint === endpoint && when(request.params)).length;
+    },
+
+    // Drop pending faults and the request log between tests
+    reset() {
+      faults.length = 0;
+      mock.requests.length = 0;
+    }
+  };
+
+  // WebEnvs are named after the utility that created them, so tests can target either kind
+  const storeHistory = (prefix, uids) => {
+    const webEnv = `${prefix}_${++historyCount}`;
+    histories.set(webEnv, uids);
+    return webEnv;
+  };
+
+  const respond = (endpoint, params) => {
+    if (endpoint === 'esearch.fcgi') {
+      const organism = (params.term.match(/"([^"]+)"\[Organism\]/) || [])[1];
+      const hits = mock.records.filter(record => !organism || record.organism === organism).map(record => record.uid);
+      const ids = hits.slice(0, Number(params.retmax));
+      const webEnv = storeHistory('SEARCH', hits);
+      return {
+        body: `<?xml version="1.0"?><eSearchResult><Count>${hits.length}</Count><RetMax>${ids.length}</RetMax>` +
+          `<IdList>${ids.map(id => `<Id>${id}</Id>`).join('')}</IdList>` +
+          `<QueryKey>1</QueryKey><WebEnv>${webEnv}</WebEnv></eSearchResult>`
+      };
+    }
+
+    if (endpoint === 'epost.fcgi') {
+      const webEnv = storeHistory('POST', String(params.id).split(','));
+      return { body: `<?xml version="1.0"?><ePostResult><QueryKey>1</QueryKey><WebEnv>${webEnv}</WebEnv></ePostResult>` };
+    }
+
+    if (endpoint === 'efetch.fcgi') {
+      const uids = histories.get(params.WebEnv);
+      if (!uids) {
+        return { body: '<?xml version="1.0"?><eFetchResult><ERROR>Unable to obtain query #1</ERROR></eFetchResult>' };
+      }
+      const retstart = Number(params.retstart);
+      const batch = uids
+        .slice(retstart, retstart + Number(params.retmax))
+        .map(uid => mock.records.find(record => record.uid === uid))
+        .filter(Boolean);
+      return {
+        body: params.rettype === 'acc'
+          ? batch.map(record => `${record.accession}.${record.version}\n`).join('')
+          : batch.map(genbankText).join('\n') + '\n'
+      };
+    }
+
+    return { status: 404, body: 'Unknown utility' };
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const endpoint = url.pathname.split('/').pop();
+      const params = Object.fromEntries(new URLSearchParams(req.method === 'POST' ? body : url.search));
+      mock.requests.push({ endpoint, params, method: req.method, at: Date.now() });
+
+      const fault = faults.find(candidate => candidate.endpoint === endpoint && candidate.times > 0 && candidate.when(params));
+      if (fault) fault.times--;
+      const { status = 200, headers = {}, body: responseBody = '' } = fault ? fault.response : respond(endpoint, params);
+      res.writeHead(status, { 'Content-Type': 'text/plain', ...headers });
+      res.end(responseBody);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  mock.url = `http://127.0.0.1:${server.address().port}/entrez/eutils`;
+  mock.close = () => new Promise(resolve => server.close(resolve));
+  return mock;
+}
+
+/**
+ * Mock records numbered from `first`
+ * @param {String} organism - Species name
+ * @param {Number} count - Number of records
+ * @param {Number} first - First UID
+ * @returns {Array} Records
+ */
+function makeRecords(organism, count, first = 1) {
+  return Array.from({ length: count }, (_, i) => ({
+    uid: String(first + i),
+    accession: `MK${String(first + i).padStart(6, '0')}`,
+    version: 1,
+    organism,
+    sequence: 'ACGTACGTAC'
+  }));
+}
+
+module.exports = {
+  startMockEutils,
+  makeRecords,
+  genbankText
+};